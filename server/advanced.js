@@ -11,6 +11,9 @@
 import { existsSync, readdirSync, statSync, readFileSync } from 'fs';
 import { join, extname, basename, relative } from 'path';
 import { homedir } from 'os';
+import { ftsSearch } from './search.js';
+import { SentimentService } from './sentiment.js';
+import { RevisionLog } from './revisions.js';
 
 // ═══════════════════════════════════
 //  1. PROACTIVE REMINDERS
@@ -21,21 +24,6 @@ export class ReminderEngine {
     this.db = db;
     this.timers = new Map();   // active setTimeout refs
     this.listeners = [];       // ws connections to notify
-    this._initTable();
-  }
-
-  _initTable() {
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS reminders (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        content TEXT NOT NULL,
-        due_at DATETIME NOT NULL,
-        repeat TEXT DEFAULT NULL,
-        fired INTEGER DEFAULT 0,
-        created_at DATETIME DEFAULT (datetime('now','localtime'))
-      );
-      CREATE INDEX IF NOT EXISTS idx_rem_due ON reminders(due_at);
-    `);
   }
 
   addListener(ws) {
@@ -44,6 +32,14 @@ export class ReminderEngine {
     this.listeners = this.listeners.filter(w => w.readyState === 1);
   }
 
+  // Notify all connected clients (market alerts go out this way too)
+  broadcast(payload) {
+    const msg = JSON.stringify(payload);
+    for (const ws of this.listeners) {
+      try { if (ws.readyState === 1) ws.send(msg); } catch {}
+    }
+  }
+
   add(content, dueAt, repeat = null) {
     const stmt = this.db.prepare(
       'INSERT INTO reminders (content, due_at, repeat) VALUES (?, ?, ?)'
@@ -104,18 +100,13 @@ export class ReminderEngine {
     this.db.prepare('UPDATE reminders SET fired = 1 WHERE id = ?').run(reminder.id);
     this.timers.delete(reminder.id);
 
-    // Notify all connected clients
-    const msg = JSON.stringify({
+    this.broadcast({
       type: 'reminder_fired',
       id: reminder.id,
       content: reminder.content,
       due_at: reminder.due_at,
     });
 
-    for (const ws of this.listeners) {
-      try { if (ws.readyState === 1) ws.send(msg); } catch {}
-    }
-
     console.log(`[Reminder] FIRED: ${reminder.content}`);
 
     // Handle repeating reminders
@@ -141,7 +132,15 @@ export class ReminderEngine {
 
   // Periodic re-check for far-future reminders
   startPeriodicCheck(intervalMs = 3600000) {
-    setInterval(() => this.startAll(), intervalMs);
+    this.checkTimer = setInterval(() => this.startAll(), intervalMs);
+  }
+
+  // Stop firing (an account was removed); reminders stay in the DB
+  stopAll() {
+    for (const timer of this.timers.values()) clearTimeout(timer);
+    this.timers.clear();
+    if (this.checkTimer) clearInterval(this.checkTimer);
+    this.checkTimer = null;
   }
 }
 
@@ -216,57 +215,16 @@ export function parseRepeat(text) {
 // ═══════════════════════════════════
 
 export class MoodTracker {
-  constructor(db) {
+  // `sentiment` is the shared SentimentService; a lexicon-only one
+  // without a cache when left out
+  constructor(db, { sentiment = new SentimentService() } = {}) {
     this.db = db;
-    this._initTable();
-  }
-
-  _initTable() {
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS mood_log (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        score REAL NOT NULL,
-        label TEXT NOT NULL,
-        triggers TEXT,
-        session_id TEXT,
-        timestamp DATETIME DEFAULT (datetime('now','localtime'))
-      );
-      CREATE INDEX IF NOT EXISTS idx_mood_ts ON mood_log(timestamp);
-    `);
+    this.sentiment = sentiment;
   }
 
   // Analyze sentiment of a message, return -1.0 to 1.0
-  analyzeSentiment(text) {
-    const lower = text.toLowerCase();
-    const posWords = [
-      'happy','great','awesome','love','excellent','amazing','wonderful','fantastic',
-      'good','nice','thanks','thank','perfect','excited','glad','fun','enjoy','beautiful',
-      'brilliant','cool','sweet','yes','yay','haha','lol','appreciate','helpful','impressive'
-    ];
-    const negWords = [
-      'sad','angry','frustrated','hate','terrible','awful','horrible','bad','worse','worst',
-      'annoyed','upset','disappointed','depressed','anxious','worried','stressed','tired',
-      'sick','boring','stupid','ugh','damn','crap','fail','sucks','broken','lost','confused'
-    ];
-    const strongPos = ['love','amazing','fantastic','brilliant','perfect','excited'];
-    const strongNeg = ['hate','terrible','depressed','awful','horrible'];
-
-    let score = 0;
-    const words = lower.split(/\s+/);
-    for (const w of words) {
-      if (strongPos.some(p => w.includes(p))) score += 0.3;
-      else if (posWords.some(p => w.includes(p))) score += 0.15;
-      if (strongNeg.some(n => w.includes(n))) score -= 0.3;
-      else if (negWords.some(n => w.includes(n))) score -= 0.15;
-    }
-
-    // Emoji analysis
-    const posEmojis = /[😀😁😂🤣😃😄😅😆😊😍🥰😘🤗🎉🎊🚀💪✅👍❤️🔥⭐]/g;
-    const negEmojis = /[😢😭😤😡🤬😰😥😞😔💀☠️👎😵😖😫😩]/g;
-    score += ((text.match(posEmojis) || []).length * 0.1);
-    score -= ((text.match(negEmojis) || []).length * 0.1);
-
-    return Math.max(-1, Math.min(1, score));
+  async analyzeSentiment(text) {
+    return (await this.sentiment.score(text)).score;
   }
 
   scoreToLabel(score) {
@@ -279,8 +237,8 @@ export class MoodTracker {
   }
 
   // Log mood from a conversation message
-  track(text, sessionId = null) {
-    const score = this.analyzeSentiment(text);
+  async track(text, sessionId = null) {
+    const score = await this.analyzeSentiment(text);
     const label = this.scoreToLabel(score);
 
     // Extract potential mood triggers
@@ -355,24 +313,10 @@ export class MoodTracker {
 // ═══════════════════════════════════
 
 export class SummaryEngine {
-  constructor(db, ollamaUrl, model) {
+  // complete(messages, opts) → Promise<string>, usually bound to the active LLM provider
+  constructor(db, complete) {
     this.db = db;
-    this.ollamaUrl = ollamaUrl;
-    this.model = model;
-    this._initTable();
-  }
-
-  _initTable() {
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS daily_summaries (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        date TEXT NOT NULL UNIQUE,
-        summary TEXT NOT NULL,
-        topics TEXT,
-        message_count INTEGER DEFAULT 0,
-        created_at DATETIME DEFAULT (datetime('now','localtime'))
-      );
-    `);
+    this.complete = complete;
   }
 
   // Get conversations for a specific day
@@ -424,22 +368,12 @@ export class SummaryEngine {
   }
 
   async _llmSummarize(transcript, date) {
-    const resp = await fetch(`${this.ollamaUrl}/api/chat`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        model: this.model,
-        messages: [{
-          role: 'user',
-          content: `Summarize this conversation from ${date} in 2-4 sentences. Focus on key topics discussed, decisions made, and any action items:\n\n${transcript.substring(0, 3000)}`
-        }],
-        stream: false,
-        options: { temperature: 0.3 }
-      }),
-      signal: AbortSignal.timeout(30000),
-    });
-    const data = await resp.json();
-    return data.message?.content?.trim() || this._extractiveSummary(transcript);
+    const text = await this.complete([{
+      role: 'user',
+      content: `Summarize this conversation from ${date} in 2-4 sentences. Focus on key topics discussed, decisions made, and any action items:\n\n${transcript.substring(0, 3000)}`
+    }], { temperature: 0.3, timeoutMs: 30000 });
+    if (!text) throw new Error('Empty summary');
+    return text;
   }
 
   _extractiveSummary(convos) {
@@ -766,34 +700,21 @@ const JOURNAL_PROMPTS = [
 export class JournalEngine {
   constructor(db) {
     this.db = db;
-    this._initTable();
+    this.revisions = new RevisionLog(db);
   }
 
-  _initTable() {
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS journal (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        content TEXT NOT NULL,
-        prompt TEXT,
-        mood_score REAL,
-        mood_label TEXT,
-        tags TEXT,
-        pinned INTEGER DEFAULT 0,
-        created_at DATETIME DEFAULT (datetime('now','localtime'))
-      );
-      CREATE INDEX IF NOT EXISTS idx_journal_date ON journal(created_at);
-      CREATE INDEX IF NOT EXISTS idx_journal_pinned ON journal(pinned);
-    `);
-  }
-
-  // Write a new entry
-  write(content, prompt = null, moodScore = null, moodLabel = null) {
+  // Write a new entry (author 'user' or 'llm' goes on its first revision)
+  write(content, prompt = null, moodScore = null, moodLabel = null, { author = 'user' } = {}) {
     const tags = this._autoTag(content).join(',');
     const stmt = this.db.prepare(`
       INSERT INTO journal (content, prompt, mood_score, mood_label, tags)
       VALUES (?, ?, ?, ?, ?)
     `);
-    const result = stmt.run(content, prompt, moodScore, moodLabel, tags);
+    const result = this.db.transaction(() => {
+      const r = stmt.run(content, prompt, moodScore, moodLabel, tags);
+      this.revisions.record('journal', r.lastInsertRowid, { content, author });
+      return r;
+    })();
     return {
       id: result.lastInsertRowid,
       content, prompt, mood_score: moodScore, mood_label: moodLabel, tags,
@@ -838,16 +759,35 @@ export class JournalEngine {
     return this.db.prepare('SELECT * FROM journal WHERE id = ?').get(id);
   }
 
-  // Edit an entry
-  edit(id, content) {
+  // Edit an entry; every change is kept as a revision
+  edit(id, content, { author = 'user', note = null } = {}) {
+    const before = this.getEntry(id);
+    if (!before) return null;
+    if (before.content === content) return before;
     const tags = this._autoTag(content).join(',');
-    this.db.prepare('UPDATE journal SET content = ?, tags = ? WHERE id = ?').run(content, tags, id);
+    this.db.transaction(() => {
+      this.revisions.seed('journal', id, { content: before.content });
+      this.db.prepare('UPDATE journal SET content = ?, tags = ? WHERE id = ?').run(content, tags, id);
+      this.revisions.record('journal', id, { content, author, note });
+    })();
     return this.getEntry(id);
   }
 
-  // Delete entry
+  history(id) {
+    return this.revisions.list('journal', id);
+  }
+
+  restore(id, rev) {
+    const r = this.revisions.get('journal', id, rev);
+    return r && this.edit(id, r.content, { note: `restored r${rev}` });
+  }
+
+  // Delete entry; its history is kept
   delete(id) {
-    this.db.prepare('DELETE FROM journal WHERE id = ?').run(id);
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM journal WHERE id = ?').run(id);
+      this.revisions.markDeleted('journal', id);
+    })();
     return { deleted: true, id };
   }
 
@@ -865,16 +805,9 @@ export class JournalEngine {
     return this.db.prepare('SELECT * FROM journal WHERE pinned = 1 ORDER BY created_at DESC').all();
   }
 
-  // Search entries
+  // Search entries, best match first
   search(query) {
-    const keywords = query.toLowerCase().split(/\s+/).filter(w => w.length > 2);
-    if (!keywords.length) return [];
-    const conditions = keywords.map(() => 'LOWER(content) LIKE ?').join(' OR ');
-    const params = keywords.map(k => `%${k}%`);
-    return this.db.prepare(`
-      SELECT * FROM journal WHERE ${conditions}
-      ORDER BY created_at DESC LIMIT 20
-    `).all(...params);
+    return ftsSearch(this.db, 'journal', query, { any: true });
   }
 
   // Streak calculation
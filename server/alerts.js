@@ -0,0 +1,309 @@
+// ═══════════════════════════════════════════════════════════════
+//  VELLE.AI — Market Alerts
+//  • "NVDA crosses 150", "AAPL rsi(14) below 30", "SPY down 2%",
+//    "MSFT golden cross", or any backtest rule DSL expression
+//  • Polled on a schedule against daily bars, with today's bar
+//    patched from the live quote while the market is open
+//  • Deduplicated: an alert fires once when its condition turns true,
+//    re-arms when it turns false, and stays quiet for its cooldown
+//  • Fired alerts go out as `alert_fired` WebSocket events
+// ═══════════════════════════════════════════════════════════════
+
+import { parseRule, seriesFor, StrategyError } from './backtest.js';
+import { getMarketData } from './quant.js';
+import { fetchCharts } from './marketdata.js';
+
+export const ALERT_STATUSES = ['active', 'paused', 'triggered'];
+export const DEFAULT_COOLDOWN_MINUTES = 60;
+
+// Enough daily bars for sma(200) and a crossing the day before
+const HISTORY_RANGE = '1y';
+const SYMBOL_PATTERN = /^\^?[A-Z0-9][A-Z0-9.=-]{0,14}$/;
+
+export class AlertError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AlertError';
+  }
+}
+
+// Phrases that don't read as a rule on their own
+const SHORTHANDS = [
+  [/^golden\s+cross$/, () => 'sma(50) crosses_above sma(200)'],
+  [/^death\s+cross$/, () => 'sma(50) crosses_below sma(200)'],
+  [/^cross(?:es)?\s+\$?(\d+(?:\.\d+)?)$/, (m) => `close crosses_above ${m[1]} or close crosses_below ${m[1]}`],
+  [/^(?:up|gains?|rises?|jumps?)\s+(\d+(?:\.\d+)?)%(?:\s+(?:intraday|today))?$/, (m) => `change(1) >= ${m[1]}`],
+  [/^(?:down|drops?|falls?|loses?)\s+(\d+(?:\.\d+)?)%(?:\s+(?:intraday|today))?$/, (m) => `change(1) <= -${m[1]}`],
+];
+
+// Plain-English condition → rule DSL. Words become operators ("rsi below
+// 30" → "rsi < 30"), and a condition that starts with an operator is
+// about the price ("above 150" → "close > 150").
+export function parseAlertCondition(text) {
+  const phrase = String(text || '').trim().toLowerCase().replace(/^(?:when|if)\s+/, '');
+  if (!phrase) throw new AlertError('Say what to watch for, e.g. "crosses 150", "rsi(14) below 30", "down 2%"');
+
+  let rule = null;
+  for (const [re, build] of SHORTHANDS) {
+    const m = re.exec(phrase);
+    if (m) { rule = build(m); break; }
+  }
+  if (!rule) {
+    rule = phrase
+      .replace(/\$(?=\d)/g, '')
+      .replace(/\bcross(?:es)?[\s_]above\b/g, 'crosses_above')
+      .replace(/\bcross(?:es)?[\s_]below\b/g, 'crosses_below')
+      .replace(/\b(?:is\s+)?(?:above|over)\b/g, '>')
+      .replace(/\b(?:is\s+)?(?:below|under)\b/g, '<')
+      .replace(/\s+/g, ' ')
+      .trim();
+    if (/^(?:[<>]=?|crosses_)/.test(rule)) rule = `close ${rule}`;
+  }
+
+  try {
+    // A two-bar dry run catches unknown fields ("bb(20).top") that only
+    // surface when a series is resolved
+    const fn = parseRule(rule);
+    const rows = [1, 2].map(close => ({ open: close, high: close, low: close, close, volume: 0 }));
+    fn(seriesFor(rows), 1);
+  } catch (e) {
+    if (e instanceof StrategyError) throw new AlertError(e.message);
+    throw e;
+  }
+  return rule;
+}
+
+// "30m", "2h", "1d" or plain minutes
+export function parseCooldown(text) {
+  const m = /^(\d+(?:\.\d+)?)\s*(m|min|h|d)?$/i.exec(String(text ?? '').trim());
+  if (!m) throw new AlertError(`Cooldown "${text}" — use minutes or 30m / 2h / 1d`);
+  const n = parseFloat(m[1]);
+  const unit = (m[2] || 'm').toLowerCase();
+  return Math.round(unit === 'd' ? n * 1440 : unit === 'h' ? n * 60 : n);
+}
+
+// "/alert NVDA crosses 150 --once --cooldown 2h" → { symbol, condition, once, cooldown }
+export function parseAlertArgs(text) {
+  let once = false;
+  let cooldown = null;
+  const rest = String(text || '')
+    .replace(/(?:^|\s)--once\b/, () => { once = true; return ' '; })
+    .replace(/(?:^|\s)--cooldown(?:=|\s+)(\S+)/, (_, v) => { cooldown = parseCooldown(v); return ' '; })
+    .trim();
+  const [symbol, ...words] = rest.split(/\s+/);
+  return { symbol: (symbol || '').replace(/^\$/, '').toUpperCase(), condition: words.join(' '), once, cooldown };
+}
+
+// Daily bars with today's bar brought up to the live quote. Outside
+// regular hours the last bar is already the close and is used as is.
+export function withLiveBar(rows, quote, now = new Date()) {
+  if (!rows?.length || quote?.price == null || quote.state !== 'REGULAR') return rows;
+  const last = rows[rows.length - 1];
+  const price = quote.price;
+  if (last.date.toISOString().slice(0, 10) === now.toISOString().slice(0, 10)) {
+    return [...rows.slice(0, -1), {
+      ...last,
+      close: price,
+      high: Math.max(last.high ?? price, price),
+      low: Math.min(last.low ?? price, price),
+      volume: quote.volume ?? last.volume,
+    }];
+  }
+  return [...rows, { date: now, open: price, high: price, low: price, close: price, volume: quote.volume ?? 0 }];
+}
+
+export class AlertEngine {
+  // Tables are created by migrations.js. `notify` gets every fired alert
+  // as an `alert_fired` message.
+  constructor(db, { notify = () => {} } = {}) {
+    this.db = db;
+    this.notify = notify;
+    this.rules = new Map();    // rule text → compiled rule
+    this.timer = null;
+    this.checking = false;
+  }
+
+  add({ symbol, condition, label = null, once = false, cooldown = DEFAULT_COOLDOWN_MINUTES }) {
+    const sym = String(symbol || '').replace(/^\$/, '').toUpperCase();
+    if (!SYMBOL_PATTERN.test(sym)) throw new AlertError(`Not a ticker: ${symbol || '(none)'}`);
+    const rule = parseAlertCondition(condition);
+    const minutes = cooldown == null ? DEFAULT_COOLDOWN_MINUTES : Number(cooldown);
+    if (!Number.isFinite(minutes) || minutes < 0) throw new AlertError('Cooldown must be zero or more minutes');
+    const r = this.db.prepare(
+      'INSERT INTO alerts (symbol, condition, rule, label, once, cooldown_minutes) VALUES (?, ?, ?, ?, ?, ?)'
+    ).run(sym, String(condition).trim(), rule, label, once ? 1 : 0, Math.round(minutes));
+    return this.get(r.lastInsertRowid);
+  }
+
+  get(id) {
+    const a = this.db.prepare('SELECT * FROM alerts WHERE id = ?').get(id);
+    if (!a) throw new AlertError(`No alert #${id}`);
+    return a;
+  }
+
+  list({ status = null } = {}) {
+    return status
+      ? this.db.prepare('SELECT * FROM alerts WHERE status = ? ORDER BY symbol, id').all(status)
+      : this.db.prepare("SELECT * FROM alerts ORDER BY status = 'active' DESC, symbol, id").all();
+  }
+
+  // Pause, resume ('active' re-arms it) or mark triggered
+  setStatus(id, status) {
+    if (!ALERT_STATUSES.includes(status)) throw new AlertError(`Status must be one of: ${ALERT_STATUSES.join(', ')}`);
+    this.get(id);
+    this.db.prepare(`UPDATE alerts SET status = ?, armed = CASE WHEN ? = 'active' THEN 1 ELSE armed END WHERE id = ?`)
+      .run(status, status, id);
+    return this.get(id);
+  }
+
+  remove(id) {
+    this.get(id);
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM alert_events WHERE alert_id = ?').run(id);
+      this.db.prepare('DELETE FROM alerts WHERE id = ?').run(id);
+    })();
+    return true;
+  }
+
+  events(limit = 20) {
+    return this.db.prepare('SELECT * FROM alert_events ORDER BY id DESC LIMIT ?').all(limit);
+  }
+
+  // Evaluate every active alert once. Returns what fired and what couldn't
+  // be checked (no bars, bad rule).
+  async check(market = getMarketData()) {
+    const active = this.db.prepare(`
+      SELECT *, (last_fired_at IS NOT NULL
+        AND last_fired_at > datetime('now','localtime', '-' || cooldown_minutes || ' minutes')) as cooling
+      FROM alerts WHERE status = 'active'
+    `).all();
+    if (!active.length) return { checked: 0, fired: [], errors: [] };
+
+    const symbols = [...new Set(active.map(a => a.symbol))];
+    const [charts, quotes] = await Promise.all([
+      fetchCharts(market, symbols, HISTORY_RANGE, '1d'),
+      Promise.resolve(market.quotes(symbols)).catch(() => ({})),
+    ]);
+
+    const fired = [];
+    const errors = [];
+    const seen = this.db.prepare("UPDATE alerts SET armed = ?, last_checked_at = datetime('now','localtime') WHERE id = ?");
+    for (const a of active) {
+      const rows = withLiveBar(charts.get(a.symbol), quotes?.[a.symbol]);
+      if (!rows?.length) { errors.push({ id: a.id, symbol: a.symbol, error: 'No price data' }); continue; }
+      let hit;
+      try {
+        hit = this._compile(a.rule)(seriesFor(rows), rows.length - 1);
+      } catch (e) {
+        errors.push({ id: a.id, symbol: a.symbol, error: e.message });
+        continue;
+      }
+      if (!hit) { seen.run(1, a.id); continue; }
+      // Still true since it last fired, or fired too recently
+      if (!a.armed || a.cooling) { seen.run(a.armed, a.id); continue; }
+      fired.push(this._fire(a, rows));
+    }
+    return { checked: active.length, fired, errors };
+  }
+
+  _compile(rule) {
+    if (!this.rules.has(rule)) this.rules.set(rule, parseRule(rule));
+    return this.rules.get(rule);
+  }
+
+  _fire(alert, rows) {
+    const last = rows[rows.length - 1];
+    const prev = rows.length > 1 ? rows[rows.length - 2].close : null;
+    const price = last.close;
+    const pct = prev ? (price - prev) / prev * 100 : null;
+    const message = `${alert.symbol} ${alert.label || alert.condition} — $${price.toFixed(2)}${pct != null ? ` (${pct >= 0 ? '+' : ''}${pct.toFixed(2)}%)` : ''}`;
+
+    const event = this.db.transaction(() => {
+      this.db.prepare(`
+        UPDATE alerts SET armed = 0, fire_count = fire_count + 1,
+          last_fired_at = datetime('now','localtime'), last_checked_at = datetime('now','localtime'),
+          status = CASE WHEN once = 1 THEN 'triggered' ELSE status END
+        WHERE id = ?
+      `).run(alert.id);
+      const r = this.db.prepare(
+        'INSERT INTO alert_events (alert_id, symbol, price, pct, message) VALUES (?, ?, ?, ?, ?)'
+      ).run(alert.id, alert.symbol, price, pct, message);
+      return this.db.prepare('SELECT * FROM alert_events WHERE id = ?').get(r.lastInsertRowid);
+    })();
+
+    try {
+      this.notify({
+        type: 'alert_fired',
+        id: alert.id,
+        symbol: alert.symbol,
+        condition: alert.condition,
+        rule: alert.rule,
+        price,
+        pct,
+        message,
+        fired_at: event.fired_at,
+      });
+    } catch {}
+    console.log(`[Alert] FIRED: ${message}`);
+    return event;
+  }
+
+  // Poll on an interval; a slow check is never overlapped by the next one
+  start(intervalMs = 60000, market = null) {
+    this.stop();
+    const tick = async () => {
+      if (this.checking) return;
+      this.checking = true;
+      try {
+        await this.check(market || getMarketData());
+      } catch (e) {
+        console.warn(`[Alerts] Check failed: ${e.message}`);
+      } finally {
+        this.checking = false;
+      }
+    };
+    this.timer = setInterval(tick, intervalMs);
+    this.timer.unref?.();
+    const n = this.list({ status: 'active' }).length;
+    console.log(`[Alerts] ${n} active alert(s), checking every ${Math.round(intervalMs / 1000)}s`);
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+export function formatAlerts(alerts) {
+  if (!alerts.length) return '🔔 No alerts. Add one with `/alert NVDA crosses 150`.';
+  const icon = { active: '🟢', paused: '⏸️', triggered: '✅' };
+  let text = '## 🔔 Alerts\n\n';
+  for (const a of alerts) {
+    text += `${icon[a.status]} #${a.id} **${a.symbol}** ${a.label || a.condition}`;
+    text += ` · \`${a.rule}\``;
+    if (a.once) text += ' · once';
+    if (a.cooldown_minutes !== DEFAULT_COOLDOWN_MINUTES) text += ` · cooldown ${a.cooldown_minutes}m`;
+    if (a.fire_count) text += ` · fired ${a.fire_count}× (last ${a.last_fired_at})`;
+    text += '\n';
+  }
+  return text;
+}
+
+export function formatAlert(a) {
+  return `🔔 Alert #${a.id}: **${a.symbol}** ${a.label || a.condition} → \`${a.rule}\`` +
+    `${a.once ? ' · fires once' : ` · cooldown ${a.cooldown_minutes}m`}`;
+}
+
+export function formatAlertEvents(events) {
+  if (!events.length) return '🔔 No alerts have fired yet.';
+  let text = '## 🔔 Alert History\n\n';
+  for (const e of events) text += `• ${e.fired_at} — #${e.alert_id} ${e.message}\n`;
+  return text;
+}
+
+export function formatAlertCheck(r) {
+  let text = `🔔 Checked ${r.checked} alert(s) — ${r.fired.length} fired.`;
+  for (const e of r.fired) text += `\n• ${e.message}`;
+  for (const e of r.errors) text += `\n⚠ #${e.id} ${e.symbol}: ${e.error}`;
+  return text;
+}
@@ -0,0 +1,330 @@
+// ═══════════════════════════════════════════════════════════════
+//  VELLE.AI — Authentication
+//  • AUTH_MODE: none (single user, loopback only) · accounts
+//    (username + password) · token (API tokens only)
+//  • Passwords hashed with scrypt; sessions and API tokens are
+//    stored as SHA-256 hashes, never in the clear
+//  • Session cookie for the browser, Bearer token for scripts —
+//    both accepted on REST calls and the WebSocket handshake
+//  • The first account is the admin and owns companion.db; every
+//    other account gets its own database under memory/users/
+// ═══════════════════════════════════════════════════════════════
+
+import { randomBytes, randomInt, createHash, scrypt, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+
+const scryptAsync = promisify(scrypt);
+
+export const AUTH_MODES = ['none', 'accounts', 'token'];
+export const ROLES = ['admin', 'member'];
+export const SESSION_COOKIE = 'velle_session';
+export const SESSION_TTL_DAYS = 30;
+
+const SCRYPT = { N: 16384, r: 8, p: 1, keylen: 64 };
+const MIN_PASSWORD = 8;
+const USERNAME = /^[a-z0-9][a-z0-9_.-]{1,31}$/i;
+const MAX_FAILURES = 5;
+const LOCKOUT_MS = 60 * 1000;
+
+// status is the HTTP status the REST layer answers with
+export class AuthError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+const sha256 = (text) => createHash('sha256').update(text).digest('hex');
+
+// ── Passwords ──
+
+// Stored as scrypt$N$r$p$salt$hash so the cost can be raised later
+// without invalidating existing hashes
+export async function hashPassword(password) {
+  const salt = randomBytes(16);
+  const key = await scryptAsync(password, salt, SCRYPT.keylen, { N: SCRYPT.N, r: SCRYPT.r, p: SCRYPT.p });
+  return ['scrypt', SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const key = await scryptAsync(password, Buffer.from(salt, 'base64'), expected.length, { N: +N, r: +r, p: +p });
+  return timingSafeEqual(key, expected);
+}
+
+// ── Cookies ──
+
+export function parseCookies(header = '') {
+  const out = {};
+  for (const part of header.split(';')) {
+    const i = part.indexOf('=');
+    if (i < 0) continue;
+    const name = part.slice(0, i).trim();
+    if (name) {
+      try { out[name] = decodeURIComponent(part.slice(i + 1).trim()); } catch { /* malformed value */ }
+    }
+  }
+  return out;
+}
+
+// maxAge 0 clears the cookie
+export function sessionCookie(token, { secure = false, maxAge = SESSION_TTL_DAYS * 86400 } = {}) {
+  return [
+    `${SESSION_COOKIE}=${maxAge ? encodeURIComponent(token) : ''}`,
+    'Path=/', 'HttpOnly', 'SameSite=Lax', `Max-Age=${maxAge}`,
+    ...(secure ? ['Secure'] : []),
+  ].join('; ');
+}
+
+// The credential a request carries: the session cookie, an
+// "Authorization: Bearer" API token, or (WebSocket only) ?token=
+export function credentialsOf(req, { allowQuery = false } = {}) {
+  const bearer = /^Bearer\s+(\S+)/i.exec(req.headers.authorization || '')?.[1];
+  if (bearer) return { kind: 'token', value: bearer };
+  const cookie = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (cookie) return { kind: 'session', value: cookie };
+  if (allowQuery) {
+    const query = new URL(req.url, 'http://localhost').searchParams.get('token');
+    if (query) return { kind: 'token', value: query };
+  }
+  return null;
+}
+
+const publicUser = (u) => u && {
+  id: u.id,
+  username: u.username,
+  role: u.role,
+  has_password: !!u.password_hash,
+  disabled: !!u.disabled,
+  owner: u.db_file === null,
+  created_at: u.created_at,
+  last_login_at: u.last_login_at,
+};
+
+// ── Auth Manager ──
+
+export class AuthManager {
+  constructor(db, { mode = 'none' } = {}) {
+    this.db = db;
+    this.mode = mode;
+    this.failures = new Map();   // username → { count, until }
+    this.setupCode = null;
+    // Tables are created by migrations.js
+  }
+
+  get enabled() {
+    return this.mode !== 'none';
+  }
+
+  userCount() {
+    return this.db.prepare('SELECT COUNT(*) AS n FROM users').get().n;
+  }
+
+  // A one-time code printed to the server log; whoever holds it may create
+  // the first (admin) account, so a stranger on the LAN can't claim it first
+  needsSetup() {
+    if (!this.enabled || this.userCount() > 0) return false;
+    this.setupCode ??= String(randomInt(0, 1e6)).padStart(6, '0');
+    return true;
+  }
+
+  // ── Users ──
+
+  getUser(id) {
+    return this.db.prepare('SELECT * FROM users WHERE id = ?').get(id) || null;
+  }
+
+  findUser(username) {
+    return this.db.prepare('SELECT * FROM users WHERE username = ?').get(String(username || '').trim()) || null;
+  }
+
+  listUsers() {
+    return this.db.prepare('SELECT * FROM users ORDER BY id').all().map(publicUser);
+  }
+
+  // Every user but the first gets a database of their own (db_file,
+  // relative to the main database's directory); the first keeps the main one
+  async createUser({ username, password = null, role = 'member' } = {}) {
+    username = String(username || '').trim();
+    if (!USERNAME.test(username)) throw new AuthError('Username must be 2-32 letters, digits, ".", "_" or "-"');
+    if (this.findUser(username)) throw new AuthError(`User ${username} already exists`, 409);
+    if (!ROLES.includes(role)) throw new AuthError(`Role must be one of: ${ROLES.join(', ')}`);
+    if (this.mode === 'accounts' && !password) throw new AuthError('A password is required');
+    if (password) this.checkPassword(password);
+
+    const first = this.userCount() === 0;
+    const hash = password ? await hashPassword(password) : null;
+    const id = this.db.prepare(
+      'INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)'
+    ).run(username, hash, first ? 'admin' : role).lastInsertRowid;
+    if (!first) this.db.prepare('UPDATE users SET db_file = ? WHERE id = ?').run(`users/${id}.db`, id);
+    if (first) this.setupCode = null;
+    return this.getUser(id);
+  }
+
+  async setup({ code, username, password } = {}) {
+    if (!this.needsSetup()) throw new AuthError('Setup is already done — log in instead', 409);
+    if (String(code || '').trim() !== this.setupCode) throw new AuthError('Wrong setup code — it is printed in the server log', 403);
+    return this.createUser({ username, password, role: 'admin' });
+  }
+
+  checkPassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD) {
+      throw new AuthError(`Passwords need at least ${MIN_PASSWORD} characters`);
+    }
+  }
+
+  async setPassword(id, password) {
+    this.checkPassword(password);
+    const r = this.db.prepare('UPDATE users SET password_hash = ? WHERE id = ?').run(await hashPassword(password), id);
+    if (!r.changes) throw new AuthError(`No user #${id}`, 404);
+    // A new password signs out every session, including the caller's
+    this.db.prepare('DELETE FROM auth_sessions WHERE user_id = ?').run(id);
+  }
+
+  async changePassword(id, current, password) {
+    const user = this.getUser(id);
+    if (user?.password_hash && !(await verifyPassword(String(current || ''), user.password_hash))) {
+      throw new AuthError('Current password is wrong', 403);
+    }
+    await this.setPassword(id, password);
+  }
+
+  updateUser(id, { role, disabled } = {}) {
+    const user = this.getUser(id);
+    if (!user) throw new AuthError(`No user #${id}`, 404);
+    if (role !== undefined) {
+      if (!ROLES.includes(role)) throw new AuthError(`Role must be one of: ${ROLES.join(', ')}`);
+      if (user.db_file === null && role !== 'admin') throw new AuthError('The owner account stays an admin');
+      this.db.prepare('UPDATE users SET role = ? WHERE id = ?').run(role, id);
+    }
+    if (disabled !== undefined) {
+      if (user.db_file === null && disabled) throw new AuthError('The owner account cannot be disabled');
+      this.db.prepare('UPDATE users SET disabled = ? WHERE id = ?').run(disabled ? 1 : 0, id);
+      if (disabled) this.revokeAll(id);
+    }
+    return this.getUser(id);
+  }
+
+  // The user's database file is left on disk; deleting data is a separate decision
+  deleteUser(id) {
+    const user = this.getUser(id);
+    if (!user) throw new AuthError(`No user #${id}`, 404);
+    if (user.db_file === null) throw new AuthError('The owner account cannot be deleted');
+    this.revokeAll(id);
+    this.db.prepare('DELETE FROM users WHERE id = ?').run(id);
+    return user;
+  }
+
+  revokeAll(userId) {
+    this.db.prepare('DELETE FROM auth_sessions WHERE user_id = ?').run(userId);
+    this.db.prepare('DELETE FROM api_tokens WHERE user_id = ?').run(userId);
+  }
+
+  // ── Login ──
+
+  // The account, or AuthError; the caller starts the session
+  async login(username, password) {
+    const key = String(username || '').trim().toLowerCase();
+    const f = this.failures.get(key);
+    if (f?.until > Date.now()) throw new AuthError('Too many failed attempts — try again in a minute', 429);
+
+    const user = this.findUser(username);
+    const ok = user?.password_hash && !user.disabled && await verifyPassword(String(password || ''), user.password_hash);
+    if (!ok) {
+      const count = (f?.count || 0) + 1;
+      this.failures.set(key, count >= MAX_FAILURES ? { count: 0, until: Date.now() + LOCKOUT_MS } : { count, until: 0 });
+      throw new AuthError('Wrong username or password', 401);
+    }
+    this.failures.delete(key);
+    return user;
+  }
+
+  // ── Sessions ──
+
+  createSession(userId, userAgent = null) {
+    const token = randomBytes(32).toString('base64url');
+    this.db.prepare(`
+      INSERT INTO auth_sessions (token_hash, user_id, expires_at, user_agent)
+      VALUES (?, ?, datetime('now', 'localtime', ?), ?)
+    `).run(sha256(token), userId, `+${SESSION_TTL_DAYS} days`, userAgent ? String(userAgent).slice(0, 200) : null);
+    this.db.prepare("UPDATE users SET last_login_at = datetime('now', 'localtime') WHERE id = ?").run(userId);
+    return token;
+  }
+
+  sessionUser(token) {
+    const row = this.db.prepare(`
+      SELECT u.*, s.token_hash FROM auth_sessions s JOIN users u ON u.id = s.user_id
+      WHERE s.token_hash = ? AND s.expires_at > datetime('now', 'localtime') AND u.disabled = 0
+    `).get(sha256(token));
+    if (!row) return null;
+    this.db.prepare("UPDATE auth_sessions SET last_seen_at = datetime('now', 'localtime') WHERE token_hash = ?").run(row.token_hash);
+    delete row.token_hash;
+    return row;
+  }
+
+  logout(token) {
+    return this.db.prepare('DELETE FROM auth_sessions WHERE token_hash = ?').run(sha256(token)).changes > 0;
+  }
+
+  pruneSessions() {
+    return this.db.prepare("DELETE FROM auth_sessions WHERE expires_at <= datetime('now', 'localtime')").run().changes;
+  }
+
+  // ── API Tokens ──
+
+  // Only the prefix is kept for display; the token itself is shown once
+  createToken(userId, name = 'token') {
+    const token = `velle_${randomBytes(24).toString('base64url')}`;
+    const id = this.db.prepare(
+      'INSERT INTO api_tokens (user_id, name, token_hash, prefix) VALUES (?, ?, ?, ?)'
+    ).run(userId, String(name).trim().slice(0, 60) || 'token', sha256(token), token.slice(0, 12)).lastInsertRowid;
+    return { ...this.db.prepare('SELECT id, name, prefix, created_at FROM api_tokens WHERE id = ?').get(id), token };
+  }
+
+  listTokens(userId) {
+    return this.db.prepare(
+      'SELECT id, name, prefix, created_at, last_used_at FROM api_tokens WHERE user_id = ? ORDER BY id'
+    ).all(userId);
+  }
+
+  revokeToken(userId, id) {
+    return this.db.prepare('DELETE FROM api_tokens WHERE id = ? AND user_id = ?').run(id, userId).changes > 0;
+  }
+
+  tokenUser(raw) {
+    const row = this.db.prepare(`
+      SELECT u.*, t.id AS token_id FROM api_tokens t JOIN users u ON u.id = t.user_id
+      WHERE t.token_hash = ? AND u.disabled = 0
+    `).get(sha256(String(raw || '')));
+    if (!row) return null;
+    this.db.prepare("UPDATE api_tokens SET last_used_at = datetime('now', 'localtime') WHERE id = ?").run(row.token_id);
+    delete row.token_id;
+    return row;
+  }
+
+  // The user behind a request or WebSocket upgrade, or null
+  authenticate(req, opts) {
+    const cred = credentialsOf(req, opts);
+    if (!cred) return null;
+    return cred.kind === 'session' ? this.sessionUser(cred.value) : this.tokenUser(cred.value);
+  }
+
+  publicUser(user) {
+    return publicUser(user);
+  }
+}
+
+export function formatUsers(users) {
+  if (!users.length) return '👥 No accounts yet.';
+  let out = '## 👥 Users\n\n';
+  for (const u of users) {
+    const icon = u.role === 'admin' ? '👑' : '👤';
+    out += `${icon} #${u.id} **${u.username}** — ${u.role}${u.owner ? ' · owner' : ''}${u.disabled ? ' · disabled' : ''}`;
+    out += ` · last login ${u.last_login_at || 'never'}\n`;
+  }
+  return out;
+}
@@ -0,0 +1,633 @@
+// ═══════════════════════════════════════════════════════════════
+//  VELLE.AI — Strategy Backtester
+//  • Rule DSL over the quant.js indicators:
+//      "sma(50) crosses_above sma(200)", "rsi(14) < 30 and close > bb(20,2).lower"
+//  • Or a JS module whose signal(ctx) returns 'long' | 'short' | 'flat'
+//  • Multi-asset portfolio with shared cash, commissions, slippage,
+//    stop-loss / take-profit and optional shorting
+//  • CAGR, Sharpe, Sortino, max drawdown, win rate + an equity curve
+//
+//  Signals are read on a bar's close and filled at the next bar's open,
+//  so a rule never trades on a price it couldn't have seen.
+// ═══════════════════════════════════════════════════════════════
+
+import { existsSync, readdirSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { pathToFileURL } from 'url';
+import {
+  calcSMA, calcEMA, calcRSI, calcATR, calcADX, calcMACD, calcBollingerBands,
+  calcVWAP, calcStochastic, calcWilliamsR, calcOBV, calcCCI, calcIchimoku,
+  calcKeltner, calcSupertrend, calcDonchian, calcParabolicSAR,
+  getMarketData,
+} from './quant.js';
+import { fetchCharts } from './marketdata.js';
+
+const PERIODS_PER_YEAR = 252;
+
+export class StrategyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StrategyError';
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  RULE DSL
+// ═══════════════════════════════════════════════════════════════
+//
+//  rule     := or
+//  or       := and ('or' and)*
+//  and      := cmp ('and' cmp)*
+//  cmp      := '(' or ')' | operand op operand
+//  op       := > < >= <= crosses_above crosses_below
+//  operand  := number | price | indicator '(' args ')' ['.' field]
+//  price    := open high low close volume
+
+const PRICE_FIELDS = ['open', 'high', 'low', 'close', 'volume'];
+
+// name → (bars, ...args) → { field: series }, first field is the default
+const INDICATORS = {
+  sma: (b, period = 20) => ({ value: calcSMA(b.close, period) }),
+  ema: (b, period = 20) => ({ value: calcEMA(b.close, period) }),
+  rsi: (b, period = 14) => ({ value: calcRSI(b.close, period) }),
+  atr: (b, period = 14) => ({ value: calcATR(b.high, b.low, b.close, period) }),
+  adx: (b, period = 14) => ({ value: calcADX(b.high, b.low, b.close, period) }),
+  macd: (b, fast = 12, slow = 26, signal = 9) => calcMACD(b.close, fast, slow, signal),
+  bb: (b, period = 20, stdDev = 2) => {
+    const { middle, upper, lower } = calcBollingerBands(b.close, period, stdDev);
+    return { middle, upper, lower };
+  },
+  // % move over `period` bars: change(1) is today vs the previous close
+  change: (b, period = 1) => ({
+    value: b.close.map((c, i) => (i >= period && b.close[i - period] ? (c - b.close[i - period]) / b.close[i - period] * 100 : null)),
+  }),
+  vwap: (b, period = 20) => ({ value: calcVWAP(b.high, b.low, b.close, b.volume, period) }),
+  stoch: (b, period = 14, dPeriod = 3, smooth = 1) => calcStochastic(b.high, b.low, b.close, period, dPeriod, smooth),
+  willr: (b, period = 14) => ({ value: calcWilliamsR(b.high, b.low, b.close, period) }),
+  obv: (b) => ({ value: calcOBV(b.close, b.volume) }),
+  cci: (b, period = 20) => ({ value: calcCCI(b.high, b.low, b.close, period) }),
+  // No lagging line: it's the close from 26 bars ahead
+  ichimoku: (b, ...args) => {
+    const { conversion, base, span_a, span_b } = calcIchimoku(b.high, b.low, b.close, ...args);
+    return { conversion, base, span_a, span_b };
+  },
+  keltner: (b, ...args) => {
+    const { middle, upper, lower } = calcKeltner(b.high, b.low, b.close, ...args);
+    return { middle, upper, lower };
+  },
+  supertrend: (b, ...args) => calcSupertrend(b.high, b.low, b.close, ...args),
+  donchian: (b, period = 20) => {
+    const { middle, upper, lower } = calcDonchian(b.high, b.low, period);
+    return { middle, upper, lower };
+  },
+  psar: (b, step = 0.02, max = 0.2) => ({ value: calcParabolicSAR(b.high, b.low, step, max) }),
+};
+
+const COMPARATORS = {
+  '>': (a, b) => a > b,
+  '<': (a, b) => a < b,
+  '>=': (a, b) => a >= b,
+  '<=': (a, b) => a <= b,
+};
+
+function tokenize(text) {
+  const tokens = [];
+  const re = /\s*(crosses_above|crosses_below|>=|<=|[<>(),.]|-?\d+(?:\.\d+)?|[a-z_]\w*)/iy;
+  let m;
+  while (re.lastIndex < text.length) {
+    const start = re.lastIndex;
+    if (!(m = re.exec(text))) {
+      if (!text.slice(start).trim()) break;
+      throw new StrategyError(`Can't read "${text.slice(start).trim()}" in rule: ${text}`);
+    }
+    tokens.push(m[1].toLowerCase());
+  }
+  return tokens;
+}
+
+// Compile a rule into (series, i) → boolean. `series(key)` resolves an
+// operand key like "sma(50)" or "macd(12,26,9).signal" to a value array.
+export function parseRule(text) {
+  const tokens = tokenize(String(text));
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  const expect = (t) => {
+    if (next() !== t) throw new StrategyError(`Expected "${t}" in rule: ${text}`);
+  };
+
+  function operand() {
+    const t = next();
+    if (t == null) throw new StrategyError(`Rule ends too early: ${text}`);
+    if (/^-?\d/.test(t)) { const v = parseFloat(t); return { key: t, at: () => v }; }
+    if (PRICE_FIELDS.includes(t)) return { key: t };
+    if (!/^[a-z_]/.test(t)) throw new StrategyError(`Expected a number, price or indicator before "${t}" in rule: ${text}`);
+    if (!INDICATORS[t]) throw new StrategyError(`Unknown indicator "${t}" — try ${Object.keys(INDICATORS).join(', ')}`);
+    const args = [];
+    if (peek() === '(') {
+      next();
+      while (peek() !== ')') {
+        const a = next();
+        if (a == null || !/^-?\d/.test(a)) throw new StrategyError(`${t}() takes numbers: ${text}`);
+        args.push(parseFloat(a));
+        if (peek() === ',') next();
+      }
+      expect(')');
+    }
+    let field = null;
+    if (peek() === '.') { next(); field = next(); }
+    return { key: `${t}(${args.join(',')})${field ? `.${field}` : ''}` };
+  }
+
+  function cmp() {
+    if (peek() === '(') {
+      next();
+      const inner = or();
+      expect(')');
+      return inner;
+    }
+    const left = operand();
+    const op = next();
+    const right = operand();
+    const val = (o, s, i) => (o.at ? o.at() : s(o.key)[i]);
+    if (op === 'crosses_above' || op === 'crosses_below') {
+      const up = op === 'crosses_above';
+      return (s, i) => {
+        if (i < 1) return false;
+        const a0 = val(left, s, i - 1), b0 = val(right, s, i - 1), a1 = val(left, s, i), b1 = val(right, s, i);
+        if ([a0, b0, a1, b1].some(v => v == null)) return false;
+        return up ? a0 <= b0 && a1 > b1 : a0 >= b0 && a1 < b1;
+      };
+    }
+    const compare = COMPARATORS[op];
+    if (!compare) throw new StrategyError(`Unknown operator "${op ?? ''}" in rule: ${text}`);
+    return (s, i) => {
+      const a = val(left, s, i), b = val(right, s, i);
+      return a != null && b != null && compare(a, b);
+    };
+  }
+
+  function and() {
+    const parts = [cmp()];
+    while (peek() === 'and') { next(); parts.push(cmp()); }
+    return parts.length === 1 ? parts[0] : (s, i) => parts.every(p => p(s, i));
+  }
+
+  function or() {
+    const parts = [and()];
+    while (peek() === 'or') { next(); parts.push(and()); }
+    return parts.length === 1 ? parts[0] : (s, i) => parts.some(p => p(s, i));
+  }
+
+  const rule = or();
+  if (pos < tokens.length) throw new StrategyError(`Unexpected "${tokens[pos]}" in rule: ${text}`);
+  return rule;
+}
+
+// Lazily computed, memoized operand series for one symbol's bars
+export function seriesFor(rows) {
+  const bars = Object.fromEntries(PRICE_FIELDS.map(f => [f, rows.map(r => r[f] ?? r.close)]));
+  const cache = new Map();
+  return (key) => {
+    if (cache.has(key)) return cache.get(key);
+    let out;
+    if (PRICE_FIELDS.includes(key)) out = bars[key];
+    else {
+      const m = /^([a-z_]+)\(([^)]*)\)(?:\.(\w+))?$/.exec(key);
+      if (!m || !INDICATORS[m[1]]) throw new StrategyError(`Unknown series "${key}"`);
+      const args = m[2] ? m[2].split(',').map(Number) : [];
+      const fields = INDICATORS[m[1]](bars, ...args);
+      const field = m[3] || Object.keys(fields)[0];
+      if (!fields[field]) throw new StrategyError(`${m[1]} has no "${field}" — try ${Object.keys(fields).join(', ')}`);
+      out = fields[field];
+    }
+    cache.set(key, out);
+    return out;
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  STRATEGIES
+// ═══════════════════════════════════════════════════════════════
+//
+//  { name, description,
+//    long:  { entry: rule, exit: rule },
+//    short: { entry: rule, exit: rule },        // traded with options.short
+//    signal(ctx) → 'long' | 'short' | 'flat' | null,   // instead of rules
+//    stop_loss, take_profit }                   // defaults, options override
+//
+//  signal ctx: { i, bar, rows, series(key), position: 1 | -1 | 0, short }
+
+export const STRATEGY_PRESETS = {
+  rsi: {
+    name: 'RSI 30/70', description: 'Buy oversold, sell overbought',
+    long: { entry: 'rsi(14) < 30', exit: 'rsi(14) > 70' },
+    short: { entry: 'rsi(14) > 70', exit: 'rsi(14) < 30' },
+  },
+  sma_cross: {
+    name: 'SMA 50/200 cross', description: 'Golden cross in, death cross out',
+    long: { entry: 'sma(50) crosses_above sma(200)', exit: 'sma(50) crosses_below sma(200)' },
+    short: { entry: 'sma(50) crosses_below sma(200)', exit: 'sma(50) crosses_above sma(200)' },
+  },
+  ema_cross: {
+    name: 'EMA 12/26 cross', description: 'Fast trend following',
+    long: { entry: 'ema(12) crosses_above ema(26)', exit: 'ema(12) crosses_below ema(26)' },
+    short: { entry: 'ema(12) crosses_below ema(26)', exit: 'ema(12) crosses_above ema(26)' },
+  },
+  macd: {
+    name: 'MACD signal cross', description: 'MACD line crossing its signal line',
+    long: { entry: 'macd(12,26,9) crosses_above macd(12,26,9).signal', exit: 'macd(12,26,9) crosses_below macd(12,26,9).signal' },
+    short: { entry: 'macd(12,26,9) crosses_below macd(12,26,9).signal', exit: 'macd(12,26,9) crosses_above macd(12,26,9).signal' },
+  },
+  bollinger: {
+    name: 'Bollinger reversion', description: 'Fade the bands, exit at the middle',
+    long: { entry: 'close < bb(20,2).lower', exit: 'close > bb(20,2).middle' },
+    short: { entry: 'close > bb(20,2).upper', exit: 'close < bb(20,2).middle' },
+  },
+  adx_trend: {
+    name: 'ADX trend', description: 'Ride strong trends on the right side of SMA50',
+    long: { entry: 'adx(14) > 25 and close > sma(50)', exit: 'close < sma(50)' },
+    short: { entry: 'adx(14) > 25 and close < sma(50)', exit: 'close > sma(50)' },
+  },
+};
+
+// Turn DSL rules into a signal function
+function compileStrategy(strategy) {
+  if (typeof strategy.signal === 'function') return strategy.signal;
+  if (!strategy.long && !strategy.short) throw new StrategyError('A strategy needs long/short rules or a signal() function');
+  const side = (rules, label) => {
+    if (!rules) return null;
+    if (!rules.entry || !rules.exit) throw new StrategyError(`${label} rules need both entry and exit`);
+    return { entry: parseRule(rules.entry), exit: parseRule(rules.exit) };
+  };
+  const long = side(strategy.long, 'Long');
+  const short = side(strategy.short, 'Short');
+
+  return ({ i, series, position, short: allowShort }) => {
+    if (position > 0) return long.exit(series, i) ? 'flat' : null;
+    if (position < 0) return short.exit(series, i) ? 'flat' : null;
+    if (long?.entry(series, i)) return 'long';
+    if (allowShort && short?.entry(series, i)) return 'short';
+    return null;
+  };
+}
+
+// JS modules (default export) and JSON files in `dir`, by file name
+export async function loadStrategies(dir) {
+  const out = {};
+  if (!dir || !existsSync(dir)) return out;
+  for (const file of readdirSync(dir)) {
+    const name = file.replace(/\.(m?js|json)$/, '');
+    if (name === file) continue;
+    try {
+      const path = join(dir, file);
+      out[name] = file.endsWith('.json')
+        ? JSON.parse(readFileSync(path, 'utf-8'))
+        : (await import(pathToFileURL(path).href)).default;
+      out[name].name ??= name;
+    } catch (e) {
+      console.error(`[Backtest] Skipping strategy ${file}: ${e.message}`);
+    }
+  }
+  return out;
+}
+
+// A preset/file name, inline { long, short } rules, or a strategy object
+export async function resolveStrategy(spec, { dir = null } = {}) {
+  if (spec && typeof spec === 'object') return spec;
+  const name = String(spec || 'rsi').toLowerCase();
+  if (STRATEGY_PRESETS[name]) return STRATEGY_PRESETS[name];
+  const custom = await loadStrategies(dir);
+  if (custom[name]) return custom[name];
+  const known = [...Object.keys(STRATEGY_PRESETS), ...Object.keys(custom)];
+  throw new StrategyError(`Unknown strategy "${spec}" — try ${known.join(', ')}`);
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  ENGINE
+// ═══════════════════════════════════════════════════════════════
+
+export const BACKTEST_DEFAULTS = {
+  range: '5y',
+  capital: 10000,
+  commission: 0,       // fraction of notional per fill
+  slippage: 0,         // fraction of price, against you on every fill
+  stop_loss: null,     // fraction below entry (above, for shorts)
+  take_profit: null,   // fraction above entry (below, for shorts)
+  short: false,        // trade the strategy's short side
+  size: 1,             // fraction of each symbol's equal-weight sleeve
+};
+
+const dayKey = d => d.toISOString().slice(0, 10);
+
+export async function runBacktest(symbols, strategy, options = {}, market = getMarketData()) {
+  if (typeof symbols === 'string') symbols = symbols.split(/[\s,]+/);
+  symbols = [...new Set(symbols.filter(Boolean).map(s => s.toUpperCase()))];
+  if (!symbols.length) throw new StrategyError('Need at least one ticker');
+  const opts = { ...BACKTEST_DEFAULTS, ...definedOnly(options) };
+  opts.stop_loss ??= strategy.stop_loss ?? null;
+  opts.take_profit ??= strategy.take_profit ?? null;
+  const signal = compileStrategy(strategy);
+
+  const charts = await fetchCharts(market, symbols, opts.range, '1d');
+  const missing = symbols.filter(s => !charts.get(s) || charts.get(s).length < 30);
+  if (missing.length === symbols.length) return { error: `Not enough data for ${symbols.join(', ')} backtest` };
+  const active = symbols.filter(s => !missing.includes(s));
+
+  // Per-symbol state and a shared calendar of every trading day
+  const books = new Map(active.map(sym => {
+    const rows = charts.get(sym);
+    return [sym, {
+      rows, series: seriesFor(rows),
+      index: new Map(rows.map((r, i) => [dayKey(r.date), i])),
+      qty: 0, entry: null, pending: null, last: null, first: rows[0].close,
+    }];
+  }));
+  const days = [...new Set(active.flatMap(s => charts.get(s).map(r => dayKey(r.date))))].sort();
+  const weight = opts.size / active.length;
+
+  let cash = opts.capital;
+  const trades = [];
+  const curve = { dates: [], equity: [], benchmark: [] };
+  let exposed = 0;
+
+  const equityNow = () => cash + [...books.values()].reduce((sum, b) => sum + b.qty * (b.last ?? 0), 0);
+
+  function fill(book, sym, side, price, date, reason) {
+    const slip = side === 'buy' ? 1 + opts.slippage : 1 - opts.slippage;
+    const px = price * slip;
+    if (book.qty !== 0) {
+      // Close the open position
+      const qty = Math.abs(book.qty);
+      const fee = qty * px * opts.commission;
+      const long = book.qty > 0;
+      cash += long ? qty * px - fee : -(qty * px) - fee;
+      const pnl = (long ? px - book.entry.price : book.entry.price - px) * qty - fee - book.entry.fee;
+      trades.push({
+        symbol: sym, side: long ? 'long' : 'short', qty,
+        entry_date: book.entry.date, entry_price: book.entry.price,
+        exit_date: date, exit_price: px, reason,
+        pnl, return: pnl / (book.entry.price * qty),
+        bars: book.barsHeld,
+      });
+      book.qty = 0;
+      book.entry = null;
+      return;
+    }
+    // Open: size off current equity, longs limited by cash on hand
+    const target = Math.max(0, equityNow() * weight);
+    const budget = side === 'buy' ? Math.min(target, cash) : target;
+    const qty = budget / (px * (1 + opts.commission));
+    if (qty <= 0) return;
+    const fee = qty * px * opts.commission;
+    cash += side === 'buy' ? -(qty * px) - fee : qty * px - fee;
+    book.qty = side === 'buy' ? qty : -qty;
+    book.entry = { date, price: px, fee };
+    book.barsHeld = 0;
+  }
+
+  for (const day of days) {
+    for (const [sym, book] of books) {
+      const i = book.index.get(day);
+      if (i == null) continue;
+      const bar = book.rows[i];
+      const open = bar.open ?? bar.close;
+
+      // 1. Orders decided at the previous close fill at this open
+      if (book.pending) {
+        const want = book.pending;
+        book.pending = null;
+        if (book.qty > 0 && want !== 'long') fill(book, sym, 'sell', open, bar.date, 'signal');
+        if (book.qty < 0 && want !== 'short') fill(book, sym, 'buy', open, bar.date, 'signal');
+        if (book.qty === 0 && want === 'long') fill(book, sym, 'buy', open, bar.date, 'signal');
+        if (book.qty === 0 && want === 'short') fill(book, sym, 'sell', open, bar.date, 'signal');
+      }
+
+      // 2. Stops and targets, intrabar; a gap through the level fills at the open
+      if (book.qty !== 0) {
+        book.barsHeld++;
+        const long = book.qty > 0;
+        const entry = book.entry.price;
+        const high = bar.high ?? bar.close, low = bar.low ?? bar.close;
+        if (opts.stop_loss) {
+          const stop = long ? entry * (1 - opts.stop_loss) : entry * (1 + opts.stop_loss);
+          if (long ? low <= stop : high >= stop) {
+            fill(book, sym, long ? 'sell' : 'buy', long ? Math.min(open, stop) : Math.max(open, stop), bar.date, 'stop');
+          }
+        }
+        if (book.qty !== 0 && opts.take_profit) {
+          const target = long ? entry * (1 + opts.take_profit) : entry * (1 - opts.take_profit);
+          if (long ? high >= target : low <= target) {
+            fill(book, sym, long ? 'sell' : 'buy', long ? Math.max(open, target) : Math.min(open, target), bar.date, 'target');
+          }
+        }
+      }
+
+      // 3. Signal on this close, filled at the next open
+      book.last = bar.close;
+      const position = Math.sign(book.qty);
+      const current = position > 0 ? 'long' : position < 0 ? 'short' : 'flat';
+      const want = signal({ i, bar, rows: book.rows, series: book.series, position, short: opts.short });
+      if (want && want !== current && (want !== 'short' || opts.short)) book.pending = want;
+    }
+
+    const equity = equityNow();
+    const hold = [...books.values()].reduce((sum, b) => sum + (b.last ? b.last / b.first : 1), 0) / books.size;
+    if ([...books.values()].some(b => b.qty !== 0)) exposed++;
+    curve.dates.push(day);
+    curve.equity.push(+equity.toFixed(2));
+    curve.benchmark.push(+(opts.capital * hold).toFixed(2));
+  }
+
+  // Anything still open is marked out at the last close
+  for (const [sym, book] of books) {
+    if (book.qty === 0) continue;
+    const last = book.rows[book.rows.length - 1];
+    fill(book, sym, book.qty > 0 ? 'sell' : 'buy', last.close, last.date, 'end');
+  }
+  curve.equity[curve.equity.length - 1] = +cash.toFixed(2);
+
+  return {
+    strategy: strategy.name || 'custom',
+    symbols: active,
+    skipped: missing,
+    options: opts,
+    start_date: days[0],
+    end_date: days[days.length - 1],
+    metrics: { ...performance(curve.dates, curve.equity), ...tradeStats(trades), exposure: exposed / days.length },
+    benchmark: performance(curve.dates, curve.benchmark),
+    trades,
+    curve,
+  };
+}
+
+function definedOnly(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined && v !== null));
+}
+
+// Return/risk stats of an equity series
+export function performance(dates, equity) {
+  const n = equity.length;
+  if (n < 2) return { total_return: null, cagr: null, volatility: null, sharpe: null, sortino: null, max_drawdown: null };
+  const returns = [];
+  for (let i = 1; i < n; i++) returns.push(equity[i - 1] > 0 ? equity[i] / equity[i - 1] - 1 : 0);
+
+  const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
+  const std = Math.sqrt(returns.reduce((a, r) => a + (r - mean) ** 2, 0) / returns.length);
+  const downside = Math.sqrt(returns.reduce((a, r) => a + Math.min(r, 0) ** 2, 0) / returns.length);
+  const years = (new Date(dates[n - 1]) - new Date(dates[0])) / (365.25 * 86400000);
+  const total = equity[n - 1] / equity[0] - 1;
+
+  let peak = equity[0], maxDD = 0;
+  for (const v of equity) {
+    if (v > peak) peak = v;
+    maxDD = Math.min(maxDD, (v - peak) / peak);
+  }
+
+  return {
+    total_return: total,
+    cagr: years > 0 && total > -1 ? Math.pow(1 + total, 1 / years) - 1 : null,
+    volatility: std * Math.sqrt(PERIODS_PER_YEAR),
+    sharpe: std > 0 ? (mean / std) * Math.sqrt(PERIODS_PER_YEAR) : null,
+    sortino: downside > 0 ? (mean / downside) * Math.sqrt(PERIODS_PER_YEAR) : null,
+    max_drawdown: maxDD,
+  };
+}
+
+function tradeStats(trades) {
+  const wins = trades.filter(t => t.pnl > 0);
+  const losses = trades.filter(t => t.pnl <= 0);
+  const grossWin = wins.reduce((a, t) => a + t.pnl, 0);
+  const grossLoss = -losses.reduce((a, t) => a + t.pnl, 0);
+  return {
+    trades: trades.length,
+    win_rate: trades.length ? wins.length / trades.length : null,
+    avg_win: wins.length ? grossWin / wins.length : null,
+    avg_loss: losses.length ? -grossLoss / losses.length : null,
+    profit_factor: grossLoss > 0 ? grossWin / grossLoss : null,
+  };
+}
+
+// Equity curve in the shape public/index.html's renderChart() draws:
+// equity as the price line, buy & hold as the dashed overlay
+export function equityChartData(bt) {
+  return {
+    kind: 'equity',
+    ticker: `${bt.strategy} · ${bt.symbols.join(', ')}`,
+    range: bt.options.range,
+    dates: bt.curve.dates,
+    close: bt.curve.equity,
+    sma50: bt.curve.benchmark,
+    sma200: null,
+    volume: null,
+    rsi: null,
+    metrics: bt.metrics,
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  SLASH OPTIONS
+// ═══════════════════════════════════════════════════════════════
+
+// "5%" → 0.05, "10bps" → 0.001, "0.02" → 0.02, "2" → 0.02
+function parseFraction(text) {
+  const m = /^(-?\d+(?:\.\d+)?)(%|bps)?$/i.exec(text);
+  if (!m) throw new StrategyError(`Not a percentage: ${text}`);
+  const v = parseFloat(m[1]);
+  if (m[2] === '%') return v / 100;
+  if (m[2]?.toLowerCase() === 'bps') return v / 10000;
+  return v >= 1 ? v / 100 : v;
+}
+
+const OPTION_KEYS = {
+  fee: 'commission', commission: 'commission',
+  slip: 'slippage', slippage: 'slippage',
+  sl: 'stop_loss', stop: 'stop_loss',
+  tp: 'take_profit', target: 'take_profit',
+  size: 'size',
+};
+
+// "/backtest AAPL,MSFT sma_cross short fee=0.1% sl=5% range=2y"
+// "/backtest NVDA entry="rsi(14) < 25" exit="rsi(14) > 60""
+export function parseBacktestArgs(text) {
+  const words = text.match(/\w+="[^"]*"|\w+='[^']*'|"[^"]*"|\S+/g) || [];
+  const out = { symbols: [], strategy: null, options: {}, rules: {} };
+  for (const word of words) {
+    const kv = /^(\w+)=["']?(.*?)["']?$/.exec(word);
+    if (!kv) {
+      if (word.toLowerCase() === 'short') out.options.short = true;
+      else if (!out.symbols.length) out.symbols = word.toUpperCase().split(',').filter(Boolean);
+      else out.strategy = word;
+      continue;
+    }
+    const [, key, value] = kv;
+    const k = key.toLowerCase();
+    if (k === 'entry' || k === 'exit' || k === 'short_entry' || k === 'short_exit') out.rules[k] = value;
+    else if (k === 'range') out.options.range = value;
+    else if (k === 'capital') out.options.capital = parseFloat(value);
+    else if (OPTION_KEYS[k]) out.options[OPTION_KEYS[k]] = parseFraction(value);
+    else throw new StrategyError(`Unknown option "${key}"`);
+  }
+  if (out.rules.entry || out.rules.exit) {
+    out.strategy = {
+      name: 'custom rules',
+      long: { entry: out.rules.entry, exit: out.rules.exit },
+      ...(out.rules.short_entry ? { short: { entry: out.rules.short_entry, exit: out.rules.short_exit } } : {}),
+    };
+  }
+  return out;
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  FORMATTING
+// ═══════════════════════════════════════════════════════════════
+
+export function formatStrategyList(custom = {}) {
+  let out = '## 🧪 Strategies\n\n';
+  for (const [key, st] of Object.entries({ ...STRATEGY_PRESETS, ...custom })) {
+    out += `• **${key}** — ${st.name}${st.description ? `: ${st.description}` : ''}\n`;
+    if (st.long) out += `  long: \`${st.long.entry}\` → \`${st.long.exit}\`\n`;
+    if (st.signal) out += '  signal(): JS module\n';
+  }
+  out += '\nUsage: `/backtest AAPL,MSFT sma_cross [short] [fee=0.1%] [slip=5bps] [sl=5%] [tp=15%] [range=5y] [capital=10000]`\n';
+  out += 'Inline rules: `/backtest NVDA entry="rsi(14) < 25" exit="rsi(14) > 60"`';
+  return out;
+}
+
+export function formatStrategyBacktest(bt) {
+  if (bt.error) return `⚠ ${bt.error}`;
+  const pct = v => v == null ? 'n/a' : `${(v * 100).toFixed(2)}%`;
+  const num = v => v == null ? 'n/a' : v.toFixed(2);
+  const m = bt.metrics, b = bt.benchmark, o = bt.options;
+
+  let text = `🧪 **Backtest: ${bt.strategy}** — ${bt.symbols.join(', ')}\n`;
+  text += `${bt.start_date} → ${bt.end_date} · $${o.capital.toLocaleString()} · fee ${pct(o.commission)} · slippage ${pct(o.slippage)}`;
+  if (o.stop_loss) text += ` · stop ${pct(o.stop_loss)}`;
+  if (o.take_profit) text += ` · target ${pct(o.take_profit)}`;
+  if (o.short) text += ' · shorts on';
+  text += '\n\n';
+
+  text += '| | Strategy | Buy & Hold |\n|---|---|---|\n';
+  text += `| Total return | ${pct(m.total_return)} | ${pct(b.total_return)} |\n`;
+  text += `| CAGR | ${pct(m.cagr)} | ${pct(b.cagr)} |\n`;
+  text += `| Sharpe | ${num(m.sharpe)} | ${num(b.sharpe)} |\n`;
+  text += `| Sortino | ${num(m.sortino)} | ${num(b.sortino)} |\n`;
+  text += `| Max drawdown | ${pct(m.max_drawdown)} | ${pct(b.max_drawdown)} |\n\n`;
+
+  text += `Trades: ${m.trades} · Win rate: ${pct(m.win_rate)} · Profit factor: ${num(m.profit_factor)} · In market: ${pct(m.exposure)}\n`;
+  if (bt.skipped.length) text += `Skipped (not enough data): ${bt.skipped.join(', ')}\n`;
+
+  const recent = bt.trades.slice(-6);
+  if (recent.length) {
+    text += '\n**Recent Trades:**\n';
+    for (const t of recent) {
+      text += `${t.pnl > 0 ? '🟢' : '🔴'} ${t.symbol} ${t.side} ${dayKey(new Date(t.entry_date))} $${t.entry_price.toFixed(2)} → `;
+      text += `${dayKey(new Date(t.exit_date))} $${t.exit_price.toFixed(2)} (${pct(t.return)}, ${t.reason})\n`;
+    }
+  }
+
+  text += m.total_return > b.total_return
+    ? '\nBeat buy & hold. Check it out of sample before you believe it. 😼'
+    : '\nBuy & hold won. Doing nothing remains undefeated. 💀';
+  return text;
+}
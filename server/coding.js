@@ -1,80 +1,99 @@
 // ═══════════════════════════════════════════════════════════════
 //  VELLE.AI CODING TOOLS
 //  Code runner, snippet manager, regex tester, format/lint,
-//  encode/decode, diff, project scaffolding, port scanner
+//  encode/decode, project scaffolding, port scanner (diff: diff.js)
 // ═══════════════════════════════════════════════════════════════
 
-import { execSync, exec } from 'child_process';
-import { promisify } from 'util';
-import { writeFileSync, readFileSync, existsSync, mkdirSync, unlinkSync, readdirSync, statSync } from 'fs';
+import { writeFileSync, readFileSync, existsSync, mkdirSync, readdirSync, statSync } from 'fs';
 import { join, dirname, extname, basename } from 'path';
-import { fileURLToPath } from 'url';
 import { createHash } from 'crypto';
-
-const execAsync = promisify(exec);
-const __dirname = dirname(fileURLToPath(import.meta.url));
-const TEMP_DIR = join(__dirname, '..', '.tmp');
-if (!existsSync(TEMP_DIR)) mkdirSync(TEMP_DIR, { recursive: true });
+import { ftsSearch } from './search.js';
+import { RevisionLog } from './revisions.js';
+import { runSandboxed, COMPILE_LIMITS, formatUsage, limitMessage } from './sandbox.js';
 
 // ═══════════════════════════════════
 //  1. CODE RUNNER
 // ═══════════════════════════════════
 
+// Each language is a list of steps run in the same scratch directory
+// (see sandbox.js); compile steps get COMPILE_LIMITS
+const BIN = process.platform === 'win32' ? 'main.exe' : './main';
+const JS = { file: 'main.js', steps: [{ name: 'run', argv: ['node', 'main.js'] }] };
+const PY = { file: 'main.py', steps: [{ name: 'run', argv: ['python3', 'main.py'] }] };
+const SH = { file: 'main.sh', steps: [{ name: 'run', argv: ['bash', 'main.sh'] }] };
+const TS = { file: 'main.ts', steps: [{ name: 'run', argv: ['npx', '--no-install', 'tsx', 'main.ts'] }] };
+const compiled = (file, compiler) => ({
+  file,
+  steps: [
+    { name: 'compile', argv: [...compiler, file, '-o', 'main'], limits: COMPILE_LIMITS },
+    { name: 'run', argv: [BIN] },
+  ],
+});
+
 const RUNNERS = {
-  javascript: { ext: '.js', cmd: (f) => `node "${f}"` },
-  js: { ext: '.js', cmd: (f) => `node "${f}"` },
-  python: { ext: '.py', cmd: (f) => `python3 "${f}"` },
-  py: { ext: '.py', cmd: (f) => `python3 "${f}"` },
-  bash: { ext: '.sh', cmd: (f) => `bash "${f}"` },
-  sh: { ext: '.sh', cmd: (f) => `bash "${f}"` },
-  typescript: { ext: '.ts', cmd: (f) => `npx tsx "${f}"` },
-  ts: { ext: '.ts', cmd: (f) => `npx tsx "${f}"` },
-  rust: { ext: '.rs', cmd: (f, out) => `rustc "${f}" -o "${out}" && "${out}"` },
-  go: { ext: '.go', cmd: (f) => `go run "${f}"` },
-  c: { ext: '.c', cmd: (f, out) => `gcc "${f}" -o "${out}" && "${out}"` },
-  cpp: { ext: '.cpp', cmd: (f, out) => `g++ "${f}" -o "${out}" && "${out}"` },
+  javascript: JS,
+  js: JS,
+  python: PY,
+  py: PY,
+  bash: SH,
+  sh: SH,
+  typescript: TS,
+  ts: TS,
+  rust: compiled('main.rs', ['rustc']),
+  go: { file: 'main.go', steps: [
+    { name: 'compile', argv: ['go', 'build', '-o', 'main', 'main.go'], limits: COMPILE_LIMITS },
+    { name: 'run', argv: [BIN] },
+  ] },
+  c: compiled('main.c', ['gcc']),
+  cpp: compiled('main.cpp', ['g++']),
 };
 
-async function runCode(code, lang = 'javascript') {
+// opts: { limits, network, stdin } for this run, over the sandbox config
+async function runCode(code, lang = 'javascript', opts = {}) {
   const runner = RUNNERS[lang.toLowerCase()];
   if (!runner) return { error: `Unsupported language: ${lang}. Supported: ${Object.keys(RUNNERS).filter(k => k.length > 2).join(', ')}` };
 
-  const id = Date.now().toString(36);
-  const srcFile = join(TEMP_DIR, `run_${id}${runner.ext}`);
-  const outFile = join(TEMP_DIR, `run_${id}`);
-
-  writeFileSync(srcFile, code);
-
   try {
-    const cmd = runner.cmd(srcFile, outFile);
-    const { stdout, stderr } = await execAsync(cmd, { timeout: 30000, maxBuffer: 1024 * 1024 });
+    const r = await runSandboxed(runner.steps, { files: { [runner.file]: code }, ...opts });
+    const failed = r.exit_code !== 0;
+    const stderr = r.stderr.trim();
+    const reason = limitMessage(r) || (r.signal ? `killed by ${r.signal}` : `exited with code ${r.exit_code}`);
     return {
-      success: true,
-      output: (stdout || '').trim(),
-      stderr: (stderr || '').trim(),
+      success: !failed,
+      output: r.stdout.trim(),
+      stderr,
+      ...(failed ? { error: stderr || reason } : {}),
       lang,
+      step: r.step,
+      exit_code: r.exit_code,
+      signal: r.signal,
+      limit: r.limit,
+      timed_out: r.timed_out,
+      cpu_ms: r.cpu_ms,
+      peak_memory_kb: r.peak_memory_kb,
+      wall_ms: r.wall_ms,
+      sandbox: r.sandbox,
+      steps: r.steps,
     };
   } catch (err) {
-    return {
-      success: false,
-      output: (err.stdout || '').trim(),
-      error: (err.stderr || err.message || '').trim(),
-      lang,
-    };
-  } finally {
-    try { unlinkSync(srcFile); } catch {}
-    try { unlinkSync(outFile); } catch {}
-    try { unlinkSync(outFile + '.exe'); } catch {}
+    return { success: false, output: '', error: err.message, lang };
   }
 }
 
 function formatRunResult(r) {
-  if (r.error && !r.output) return `❌ **Error (${r.lang || '?'}):**\n\`\`\`\n${r.error}\n\`\`\``;
-  let text = `▶️ **Run (${r.lang}):**\n`;
+  const usage = r.sandbox ? `\n\n_${formatUsage(r)}_` : '';
+  const limit = limitMessage(r);
+  if (r.error && !r.output) {
+    const title = r.step === 'compile' ? 'Compile error' : limit ? 'Stopped' : 'Error';
+    // error is stderr when there was any, else the reason (limit, signal, exit code)
+    const detail = r.stderr ? `\n\`\`\`\n${r.stderr.slice(0, 2000)}\n\`\`\`` : limit ? '' : ` ${r.error}`;
+    return `❌ **${title} (${r.lang || '?'}):**${limit ? ` ${limit}` : ''}${detail}${usage}`;
+  }
+  let text = `▶️ **Run (${r.lang}):**${limit ? ` ⚠ ${limit}` : ''}\n`;
   if (r.output) text += `\`\`\`\n${r.output.slice(0, 2000)}\n\`\`\``;
   if (r.stderr) text += `\n⚠ stderr:\n\`\`\`\n${r.stderr.slice(0, 500)}\n\`\`\``;
   if (!r.output && !r.stderr) text += '(no output)';
-  return text;
+  return text + usage;
 }
 
 // ═══════════════════════════════════
@@ -84,21 +103,16 @@ function formatRunResult(r) {
 export class SnippetManager {
   constructor(db) {
     this.db = db;
-    this.db.exec(`CREATE TABLE IF NOT EXISTS snippets (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      name TEXT NOT NULL,
-      code TEXT NOT NULL,
-      language TEXT DEFAULT 'javascript',
-      tags TEXT,
-      created_at DATETIME DEFAULT (datetime('now','localtime')),
-      updated_at DATETIME DEFAULT (datetime('now','localtime'))
-    )`);
+    this.revisions = new RevisionLog(db);
   }
 
-  save(name, code, language = 'javascript', tags = null) {
-    const stmt = this.db.prepare('INSERT INTO snippets (name, code, language, tags) VALUES (?, ?, ?, ?)');
-    const r = stmt.run(name, code, language, tags);
-    return { id: r.lastInsertRowid, name, language };
+  // author: 'user' or 'llm', recorded on the revision
+  save(name, code, language = 'javascript', tags = null, { author = 'user' } = {}) {
+    return this.db.transaction(() => {
+      const r = this.db.prepare('INSERT INTO snippets (name, code, language, tags) VALUES (?, ?, ?, ?)').run(name, code, language, tags);
+      this.revisions.record('snippet', r.lastInsertRowid, { content: code, title: name, author });
+      return { id: r.lastInsertRowid, name, language };
+    })();
   }
 
   get(id) {
@@ -110,17 +124,37 @@ export class SnippetManager {
   }
 
   search(query) {
-    return this.db.prepare('SELECT * FROM snippets WHERE name LIKE ? OR code LIKE ? OR tags LIKE ? ORDER BY id DESC')
-      .all(`%${query}%`, `%${query}%`, `%${query}%`);
+    return ftsSearch(this.db, 'snippets', query, { any: true });
+  }
+
+  // Unchanged code adds no revision
+  update(id, code, { author = 'user', note = null } = {}) {
+    const before = this.get(id);
+    if (!before) return null;
+    if (before.code === code) return before;
+    return this.db.transaction(() => {
+      this.revisions.seed('snippet', id, { content: before.code, title: before.name });
+      this.db.prepare("UPDATE snippets SET code = ?, updated_at = datetime('now','localtime') WHERE id = ?").run(code, id);
+      this.revisions.record('snippet', id, { content: code, title: before.name, author, note });
+      return this.get(id);
+    })();
   }
 
-  update(id, code) {
-    this.db.prepare('UPDATE snippets SET code = ?, updated_at = datetime("now","localtime") WHERE id = ?').run(code, id);
-    return this.get(id);
+  history(id) {
+    return this.revisions.list('snippet', id);
+  }
+
+  // Restoring is itself a new revision
+  restore(id, rev) {
+    const r = this.revisions.get('snippet', id, rev);
+    return r && this.update(id, r.content, { note: `restored r${rev}` });
   }
 
   delete(id) {
-    this.db.prepare('DELETE FROM snippets WHERE id = ?').run(id);
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM snippets WHERE id = ?').run(id);
+      this.revisions.markDeleted('snippet', id);
+    })();
   }
 }
 
@@ -221,46 +255,9 @@ function jsonValidate(text) {
 }
 
 // ═══════════════════════════════════
-//  6. DIFF TOOL
+//  6. DIFF TOOL — see diff.js
 // ═══════════════════════════════════
 
-function diffStrings(a, b) {
-  const linesA = a.split('\n');
-  const linesB = b.split('\n');
-  const result = [];
-  const maxLen = Math.max(linesA.length, linesB.length);
-
-  for (let i = 0; i < maxLen; i++) {
-    const la = linesA[i];
-    const lb = linesB[i];
-    if (la === lb) {
-      result.push({ type: 'same', line: i + 1, text: la });
-    } else if (la === undefined) {
-      result.push({ type: 'added', line: i + 1, text: lb });
-    } else if (lb === undefined) {
-      result.push({ type: 'removed', line: i + 1, text: la });
-    } else {
-      result.push({ type: 'removed', line: i + 1, text: la });
-      result.push({ type: 'added', line: i + 1, text: lb });
-    }
-  }
-  return result;
-}
-
-function formatDiff(result) {
-  const changes = result.filter(r => r.type !== 'same');
-  if (!changes.length) return '✅ Files are identical.';
-
-  let text = `📝 **Diff** — ${changes.length} change${changes.length > 1 ? 's' : ''}:\n\`\`\`diff\n`;
-  for (const r of result.slice(0, 100)) {
-    if (r.type === 'same') text += `  ${r.text}\n`;
-    else if (r.type === 'removed') text += `- ${r.text}\n`;
-    else if (r.type === 'added') text += `+ ${r.text}\n`;
-  }
-  text += '```';
-  return text;
-}
-
 // ═══════════════════════════════════
 //  7. PROJECT SCAFFOLDING
 // ═══════════════════════════════════
@@ -472,9 +469,6 @@ export {
   // JSON
   jsonPretty, jsonMinify, jsonValidate,
 
-  // Diff
-  diffStrings, formatDiff,
-
   // Scaffold
   scaffoldProject, formatScaffold, TEMPLATES,
 
@@ -11,9 +11,19 @@ import {
   getSentiment, formatSentiment,
   findMoonshots, formatMoonshots,
   generateIdeas, formatIdeas,
+  compareStocks, formatComparison, comparisonChartData,
   getChartData,
 } from './quant.js';
-import { parseReminderTime, parseRepeat } from './advanced.js';
+import { runBacktest, resolveStrategy, formatStrategyBacktest, StrategyError } from './backtest.js';
+import { parseReminderTime, parseRepeat, formatFileResults } from './advanced.js';
+import { formatTodoList } from './productivity.js';
+import { DEFAULT_WATCHLIST, WatchlistError, formatWatchlists, formatWatchlist } from './watchlists.js';
+import {
+  PortfolioError, tradePrice, portfolioChartData,
+  formatPortfolio, formatTransaction, formatAllocation, formatPnl, formatHistory,
+} from './portfolio.js';
+import { AlertError, formatAlert, formatAlerts } from './alerts.js';
+import { OptionsError, STRATEGIES, formatOptionChain, formatStrategy, payoffChartData } from './options.js';
 
 const execAsync = promisify(exec);
 
@@ -50,20 +60,59 @@ export const COMMAND_HANDLERS = {
     const ticker = params.ticker?.replace(/\s/g, '').toUpperCase();
     const range = params.range || '6mo';
     if (!ticker) return { success: false, result: 'Need a ticker.' };
-    const chart = await getChartData(ticker, range);
+    const chart = await getChartData(ticker, range, params.overlays);
     return { success: !chart.error, result: chart.error ? chart.error : `Chart data loaded for ${ticker} (${range})`, data: chart };
   },
 
+  stock_compare: async (params) => {
+    const symbols = String(params.tickers || '').split(/[\s,]+/).filter(Boolean);
+    const c = await compareStocks(symbols, params.range || '1y', { benchmark: params.benchmark || 'SPY' });
+    if (c.error) return { success: false, result: `⚠ ${c.error}` };
+    return { success: true, result: formatComparison(c), data: c, chart_data: comparisonChartData(c) };
+  },
+
+  options_chain: async (params) => {
+    const engine = COMMAND_HANDLERS._options;
+    if (!engine) return { success: false, result: 'Options not initialized' };
+    try {
+      const c = await engine.chain(params.ticker, params.expiration || null);
+      return { success: true, result: formatOptionChain(c), data: { ...c, calls: undefined, puts: undefined } };
+    } catch (e) {
+      if (e instanceof OptionsError) return { success: false, result: `⚠ ${e.message}` };
+      throw e;
+    }
+  },
+
+  options_strategy: async (params) => {
+    const engine = COMMAND_HANDLERS._options;
+    if (!engine) return { success: false, result: 'Options not initialized' };
+    try {
+      const s = await engine.strategy(params.ticker, {
+        strategy: params.strategy,
+        legs: params.legs || null,
+        expiration: params.expiration || null,
+        strikes: String(params.strikes || '').split(/[\s,]+/).filter(Boolean).map(Number),
+        quantity: params.quantity || 1,
+      });
+      return { success: true, result: formatStrategy(s), data: s, chart_data: payoffChartData(s) };
+    } catch (e) {
+      if (e instanceof OptionsError) return { success: false, result: `⚠ ${e.message}` };
+      throw e;
+    }
+  },
+
   momentum_scan: async (params) => {
-    const n = parseInt(params.n) || 10;
-    const picks = await momentumScan(n);
-    return { success: true, result: formatMomentum(picks), data: picks };
+    return watchlistScan(params.list, async symbols => {
+      const picks = await momentumScan(parseInt(params.n) || 10, symbols);
+      return { success: true, result: formatMomentum(picks), data: picks };
+    });
   },
 
   dislocation_scan: async (params) => {
-    const n = parseInt(params.n) || 10;
-    const picks = await dislocations(n);
-    return { success: true, result: formatDislocations(picks), data: picks };
+    return watchlistScan(params.list, async symbols => {
+      const picks = await dislocations(parseInt(params.n) || 10, symbols);
+      return { success: true, result: formatDislocations(picks), data: picks };
+    });
   },
 
   backtest: async (params) => {
@@ -73,6 +122,25 @@ export const COMMAND_HANDLERS = {
     return { success: !bt.error, result: bt.error ? bt.error : formatBacktest(bt), data: bt };
   },
 
+  strategy_backtest: async (params) => {
+    const symbols = String(params.tickers || '').toUpperCase().split(/[\s,]+/).filter(Boolean);
+    if (!symbols.length) return { success: false, result: 'Need at least one ticker.' };
+    try {
+      const strategy = params.entry
+        ? { name: 'custom rules', long: { entry: params.entry, exit: params.exit } }
+        : await resolveStrategy(params.strategy || 'rsi', { dir: COMMAND_HANDLERS._strategyDir });
+      const bt = await runBacktest(symbols, strategy, {
+        range: params.range, short: params.short,
+        commission: params.commission, slippage: params.slippage,
+        stop_loss: params.stop_loss, take_profit: params.take_profit,
+      });
+      return { success: !bt.error, result: formatStrategyBacktest(bt), data: bt };
+    } catch (e) {
+      if (e instanceof StrategyError) return { success: false, result: `⚠ ${e.message}` };
+      throw e;
+    }
+  },
+
   sentiment: async (params) => {
     const ticker = params.ticker?.replace(/\s/g, '').toUpperCase();
     if (!ticker) return { success: false, result: 'Need a ticker.' };
@@ -80,15 +148,77 @@ export const COMMAND_HANDLERS = {
     return { success: true, result: formatSentiment(s), data: s };
   },
 
-  moonshot_scan: async () => {
-    const picks = await findMoonshots();
-    return { success: true, result: formatMoonshots(picks), data: picks };
+  moonshot_scan: async (params) => {
+    return watchlistScan(params.list, async symbols => {
+      const picks = await findMoonshots(5, symbols);
+      return { success: true, result: formatMoonshots(picks), data: picks };
+    });
   },
 
   stock_ideas: async (params) => {
     const n = params.n || params.per_bucket || 5;
-    const ideas = await generateIdeas(n);
-    return { success: true, result: formatIdeas(ideas), data: ideas };
+    return watchlistScan(params.list, async symbols => {
+      const ideas = await generateIdeas(n, symbols);
+      return { success: true, result: formatIdeas(ideas), data: ideas };
+    });
+  },
+
+  watchlists: async (params) => {
+    const mgr = COMMAND_HANDLERS._watchlists;
+    if (!mgr) return { success: false, result: 'Watchlists not initialized' };
+    try {
+      if (!params.name) return { success: true, result: formatWatchlists(mgr.list()), data: mgr.list() };
+      const w = mgr.get(params.name);
+      return { success: true, result: formatWatchlist(w), data: w };
+    } catch (e) {
+      if (e instanceof WatchlistError) return { success: false, result: `⚠ ${e.message}` };
+      throw e;
+    }
+  },
+
+  watchlist_add: async (params) => {
+    const mgr = COMMAND_HANDLERS._watchlists;
+    if (!mgr) return { success: false, result: 'Watchlists not initialized' };
+    try {
+      const name = params.name || mgr.get().name;
+      const r = mgr.add(name, params.tickers);
+      return { success: true, result: `👀 ${name}: added ${r.added.join(', ') || 'nothing'}${r.skipped.length ? ` (already there: ${r.skipped.join(', ')})` : ''}`, data: r };
+    } catch (e) {
+      if (e instanceof WatchlistError) return { success: false, result: `⚠ ${e.message}` };
+      throw e;
+    }
+  },
+
+  watchlist_remove: async (params) => {
+    const mgr = COMMAND_HANDLERS._watchlists;
+    if (!mgr) return { success: false, result: 'Watchlists not initialized' };
+    try {
+      const name = params.name || mgr.get().name;
+      const r = mgr.remove(name, params.tickers);
+      return { success: true, result: `👀 ${name}: removed ${r.removed.join(', ') || 'nothing'}${r.missing.length ? ` (not on it: ${r.missing.join(', ')})` : ''}`, data: r };
+    } catch (e) {
+      if (e instanceof WatchlistError) return { success: false, result: `⚠ ${e.message}` };
+      throw e;
+    }
+  },
+
+  set_alert: async (params) => {
+    const engine = COMMAND_HANDLERS._alertEngine;
+    if (!engine) return { success: false, result: 'Alerts not initialized' };
+    try {
+      const a = engine.add({ symbol: params.ticker, condition: params.condition, once: params.once, cooldown: params.cooldown_minutes });
+      return { success: true, result: formatAlert(a), data: a };
+    } catch (e) {
+      if (e instanceof AlertError) return { success: false, result: `⚠ ${e.message}` };
+      throw e;
+    }
+  },
+
+  list_alerts: async () => {
+    const engine = COMMAND_HANDLERS._alertEngine;
+    if (!engine) return { success: false, result: 'Alerts not initialized' };
+    const alerts = engine.list();
+    return { success: true, result: formatAlerts(alerts), data: alerts };
   },
 
   // ═══════════════════════════════════
@@ -191,6 +321,13 @@ export const COMMAND_HANDLERS = {
     }
   },
 
+  search_files: async (params) => {
+    const engine = COMMAND_HANDLERS._fileSearch;
+    if (!engine) return { success: false, result: 'File search not initialized' };
+    const results = engine.search(params.query);
+    return { success: true, result: formatFileResults(results.slice(0, 15), params.query), data: results.slice(0, 15) };
+  },
+
   // ═══════════════════════════════════
   //  PRODUCTIVITY COMMANDS (LLM-triggered)
   // ═══════════════════════════════════
@@ -208,6 +345,19 @@ export const COMMAND_HANDLERS = {
     return { success: true, result: `✅ Task added: #${t.id} ${t.content}` };
   },
 
+  list_todos: async (params) => {
+    const mgr = COMMAND_HANDLERS._todoManager;
+    if (!mgr) return { success: false, result: 'Todo system not initialized' };
+    const filter = params.filter || 'active';
+    const list = params.project ? mgr.getByProject(params.project)
+      : filter === 'today' ? mgr.getToday()
+      : filter === 'overdue' ? mgr.getOverdue()
+      : filter === 'all' ? mgr.getAll()
+      : mgr.getAll().filter(t => t.status === 'todo' || t.status === 'doing');
+    const title = params.project ? `Project: ${params.project}` : `${filter[0].toUpperCase()}${filter.slice(1)} tasks`;
+    return { success: true, result: formatTodoList(list, title), data: list };
+  },
+
   complete_todo: async (params) => {
     const mgr = COMMAND_HANDLERS._todoManager;
     if (!mgr) return { success: false, result: 'Todo system not initialized' };
@@ -247,57 +397,718 @@ export const COMMAND_HANDLERS = {
   save_knowledge: async (params) => {
     const mgr = COMMAND_HANDLERS._knowledgeBase;
     if (!mgr) return { success: false, result: 'KB not initialized' };
-    const item = mgr.add(params.title, params.content, params.type || 'note', params.language, params.tags);
+    const item = mgr.add(params.title, params.content, params.type || 'note', params.language, params.tags, { author: 'llm' });
     return { success: true, result: `📚 Saved: #${item.id} ${item.title}` };
   },
+
+  update_knowledge: async (params) => {
+    const mgr = COMMAND_HANDLERS._knowledgeBase;
+    if (!mgr) return { success: false, result: 'KB not initialized' };
+    const item = mgr.update(params.id, params.content, { author: 'llm' });
+    if (!item) return { success: false, result: `KB item #${params.id} not found` };
+    return { success: true, result: `📚 Updated: #${item.id} ${item.title} (previous text kept — /kb history ${item.id})` };
+  },
+
+  // ═══════════════════════════════════
+  //  PORTFOLIO COMMANDS
+  // ═══════════════════════════════════
+
+  portfolio_summary: async (params) => {
+    return portfolioCall(async pf => {
+      const s = await pf.summary({ account: params.account });
+      return { success: true, result: formatPortfolio(s), data: s };
+    });
+  },
+
+  portfolio_buy: async (params) => portfolioTrade('buy', params),
+
+  portfolio_sell: async (params) => portfolioTrade('sell', params),
+
+  portfolio_dividend: async (params) => {
+    return portfolioCall(async pf => {
+      const t = pf.dividend(params.ticker, params.amount, pick(params, ['account', 'fees', 'date', 'note']));
+      return { success: true, result: `💵 Recorded ${formatTransaction(t)}`, data: t };
+    });
+  },
+
+  portfolio_cash: async (params) => {
+    return portfolioCall(async pf => {
+      const t = pf.addTransaction({ ...pick(params, ['account', 'amount', 'date', 'note']), type: params.type });
+      return { success: true, result: `💵 Recorded ${formatTransaction(t)}`, data: t };
+    });
+  },
+
+  portfolio_allocation: async (params) => {
+    return portfolioCall(async pf => {
+      const a = await pf.allocation({ account: params.account });
+      return { success: true, result: formatAllocation(a), data: a };
+    });
+  },
+
+  portfolio_pnl: async (params) => {
+    return portfolioCall(async pf => {
+      const p = pf.pnl({ account: params.account, year: params.year });
+      return { success: true, result: formatPnl(p), data: p };
+    });
+  },
+
+  portfolio_history: async (params) => {
+    return portfolioCall(async pf => {
+      const h = await pf.history({ account: params.account, range: params.range });
+      return { success: true, result: formatHistory(h), data: h, chart_data: h.dates.length ? portfolioChartData(h) : undefined };
+    });
+  },
+};
+
+// Run a scan over a named watchlist (the default one when `name` is empty)
+async function watchlistScan(name, scan) {
+  const mgr = COMMAND_HANDLERS._watchlists;
+  let symbols;
+  try {
+    symbols = mgr ? mgr.symbols(name || null) : DEFAULT_WATCHLIST;
+  } catch (e) {
+    if (e instanceof WatchlistError) return { success: false, result: `⚠ ${e.message}` };
+    throw e;
+  }
+  if (!symbols.length) return { success: false, result: `⚠ Watchlist ${name || 'default'} is empty.` };
+  return scan(symbols);
+}
+
+// Portfolio handlers share the "not initialized" check and turn bad input
+// (unknown account, overselling, …) into a failed result
+async function portfolioCall(fn) {
+  const pf = COMMAND_HANDLERS._portfolio;
+  if (!pf) return { success: false, result: 'Portfolio not initialized' };
+  try {
+    return await fn(pf);
+  } catch (e) {
+    if (e instanceof PortfolioError) return { success: false, result: `⚠ ${e.message}` };
+    throw e;
+  }
+}
+
+function portfolioTrade(type, params) {
+  return portfolioCall(async pf => {
+    const symbol = String(params.ticker || '').toUpperCase();
+    const price = await tradePrice(symbol, params.price);
+    const t = pf.addTransaction({ ...pick(params, ['account', 'quantity', 'fees', 'date', 'note']), type, symbol, price });
+    return { success: true, result: `💼 Recorded ${formatTransaction(t)}`, data: t };
+  });
+}
+
+function pick(obj, keys) {
+  return Object.fromEntries(keys.filter(k => obj[k] != null).map(k => [k, obj[k]]));
+}
+
+// ── Parameter schemas ──
+// JSON Schema for every handler's params. They are sent to the model as
+// native tool definitions and checked before a handler runs. `aliases`
+// maps names models tend to invent onto the canonical param.
+
+const TICKER = { type: 'string', description: 'Ticker symbol, e.g. NVDA or BTC-USD' };
+const SCAN_SIZE = { type: 'integer', minimum: 1, maximum: 50, description: 'How many results to return' };
+const WATCHLIST_NAME = { type: 'string', description: 'Watchlist name; the default list if omitted' };
+const PORTFOLIO_ACCOUNT = { type: 'string', description: 'Account name; all accounts (or the default one for writes) if omitted' };
+const PORTFOLIO_DATE = { type: 'string', description: 'YYYY-MM-DD, default today' };
+const PORTFOLIO_TRADE = {
+  type: 'object',
+  properties: {
+    ticker: TICKER,
+    quantity: { type: 'number', minimum: 0 },
+    price: { type: 'number', minimum: 0, description: 'Per share; current quote if omitted' },
+    fees: { type: 'number', minimum: 0, description: 'Commission paid on the trade' },
+    date: PORTFOLIO_DATE,
+    account: PORTFOLIO_ACCOUNT,
+    note: { type: 'string' },
+  },
+  required: ['ticker', 'quantity'],
+};
+const PORTFOLIO_TRADE_ALIASES = { symbol: 'ticker', shares: 'quantity', qty: 'quantity', commission: 'fees', fee: 'fees' };
+const SHELL_NAME = process.platform === 'win32' ? 'PowerShell' : 'POSIX shell';
+
+export const COMMAND_SCHEMAS = {
+  market_snapshot: {
+    description: 'Snapshot of major indices, sectors, crypto and volatility',
+    parameters: { type: 'object', properties: {} },
+  },
+  stock_quote: {
+    description: 'Live quote: price, change, P/E, market cap',
+    parameters: { type: 'object', properties: { ticker: TICKER }, required: ['ticker'] },
+    aliases: { symbol: 'ticker' },
+  },
+  stock_analyze: {
+    description: 'Full technical analysis: trend, RSI, MACD, ADX, Bollinger Bands, patterns',
+    parameters: { type: 'object', properties: { ticker: TICKER }, required: ['ticker'] },
+    aliases: { symbol: 'ticker' },
+  },
+  stock_chart: {
+    description: 'Render a price chart with SMA, volume and RSI panels, plus optional indicator overlays',
+    parameters: {
+      type: 'object',
+      properties: {
+        ticker: TICKER,
+        range: { type: 'string', enum: ['1mo', '3mo', '6mo', '1y', '2y', '5y', 'ytd', 'max'], default: '6mo' },
+        overlays: {
+          type: 'string',
+          description: 'Space-separated, optionally with periods: vwap, keltner(20,2), donchian, ichimoku, supertrend, psar, bb, sma(20), ema(20), stoch, willr, cci, obv, macd, rsi',
+        },
+      },
+      required: ['ticker'],
+    },
+    aliases: { symbol: 'ticker', period: 'range', indicators: 'overlays', overlay: 'overlays' },
+  },
+  stock_compare: {
+    description: 'Compare tickers side by side: normalized performance, risk stats, return correlations, beta vs a benchmark',
+    parameters: {
+      type: 'object',
+      properties: {
+        tickers: { type: 'string', description: 'Two to eight, comma-separated, e.g. NVDA,AMD,INTC' },
+        range: { type: 'string', enum: ['1mo', '3mo', '6mo', '1y', '2y', '5y', 'ytd', 'max'], default: '1y' },
+        benchmark: { type: 'string', description: 'Beta is measured against this', default: 'SPY' },
+      },
+      required: ['tickers'],
+    },
+    aliases: { symbols: 'tickers', ticker: 'tickers', period: 'range', vs: 'benchmark' },
+  },
+  options_chain: {
+    description: 'Option chain for a ticker with IV, Greeks, IV rank and the expected move',
+    parameters: {
+      type: 'object',
+      properties: {
+        ticker: TICKER,
+        expiration: { type: 'string', description: 'YYYY-MM-DD; the expiration nearest a month out if omitted' },
+      },
+      required: ['ticker'],
+    },
+    aliases: { symbol: 'ticker', expiry: 'expiration', date: 'expiration' },
+  },
+  options_strategy: {
+    description: 'Price a multi-leg options strategy and chart its payoff: max profit/loss, breakevens, probability of profit',
+    parameters: {
+      type: 'object',
+      properties: {
+        ticker: TICKER,
+        strategy: { type: 'string', enum: Object.keys(STRATEGIES), description: 'Preset; strikes are picked near the money unless given' },
+        legs: { type: 'string', description: 'Custom legs instead of a preset, e.g. "+1c180 -1c190" or "+100s -1c200"' },
+        expiration: { type: 'string', description: 'YYYY-MM-DD; the expiration nearest a month out if omitted' },
+        strikes: { type: 'string', description: 'Strikes for the preset, lowest first, e.g. "170,180"' },
+        quantity: { type: 'integer', minimum: 1, default: 1, description: 'Multiplies every leg' },
+      },
+      required: ['ticker'],
+    },
+    aliases: { symbol: 'ticker', expiry: 'expiration', date: 'expiration', type: 'strategy', contracts: 'quantity' },
+  },
+  momentum_scan: {
+    description: 'Rank a watchlist by momentum',
+    parameters: { type: 'object', properties: { n: SCAN_SIZE, list: WATCHLIST_NAME } },
+    aliases: { count: 'n', limit: 'n', watchlist: 'list' },
+  },
+  dislocation_scan: {
+    description: 'Find watchlist stocks stretched far from their moving averages',
+    parameters: { type: 'object', properties: { n: SCAN_SIZE, list: WATCHLIST_NAME } },
+    aliases: { count: 'n', limit: 'n', watchlist: 'list' },
+  },
+  backtest: {
+    description: 'Backtest an RSI mean-reversion strategy on a ticker',
+    parameters: {
+      type: 'object',
+      properties: {
+        ticker: TICKER,
+        buy_rsi: { type: 'number', minimum: 1, maximum: 99, default: 30, description: 'Buy when RSI drops below this' },
+        sell_rsi: { type: 'number', minimum: 1, maximum: 99, default: 70, description: 'Sell when RSI rises above this' },
+      },
+      required: ['ticker'],
+    },
+    aliases: { symbol: 'ticker' },
+  },
+  strategy_backtest: {
+    description: 'Backtest a trading strategy on one or more tickers with fees, slippage, stops and optional shorting. Presets: rsi, sma_cross, ema_cross, macd, bollinger, adx_trend; or custom entry/exit rules like "sma(20) crosses_above sma(50)"',
+    parameters: {
+      type: 'object',
+      properties: {
+        tickers: { type: 'string', description: 'Comma-separated tickers, e.g. AAPL,MSFT' },
+        strategy: { type: 'string', default: 'rsi', description: 'Preset or saved strategy name' },
+        entry: { type: 'string', description: 'Custom long entry rule (overrides strategy)' },
+        exit: { type: 'string', description: 'Custom long exit rule' },
+        range: { type: 'string', enum: ['1y', '2y', '5y', '10y', 'max'], default: '5y' },
+        short: { type: 'boolean', default: false, description: 'Also trade the short side' },
+        commission: { type: 'number', minimum: 0, maximum: 0.05, description: 'Fee as a fraction of notional, e.g. 0.001' },
+        slippage: { type: 'number', minimum: 0, maximum: 0.05, description: 'Slippage as a fraction of price' },
+        stop_loss: { type: 'number', minimum: 0, maximum: 1, description: 'Stop-loss as a fraction, e.g. 0.05' },
+        take_profit: { type: 'number', minimum: 0, maximum: 10, description: 'Take-profit as a fraction, e.g. 0.15' },
+      },
+      required: ['tickers'],
+    },
+    aliases: { ticker: 'tickers', symbols: 'tickers', symbol: 'tickers', fee: 'commission', sl: 'stop_loss', tp: 'take_profit' },
+  },
+  sentiment: {
+    description: 'News headline sentiment for a ticker',
+    parameters: { type: 'object', properties: { ticker: TICKER }, required: ['ticker'] },
+    aliases: { symbol: 'ticker' },
+  },
+  moonshot_scan: {
+    description: 'Scan a watchlist for high-volatility names with momentum',
+    parameters: { type: 'object', properties: { list: WATCHLIST_NAME } },
+    aliases: { watchlist: 'list' },
+  },
+  stock_ideas: {
+    description: 'Generate trade ideas from a watchlist, grouped by setup',
+    parameters: { type: 'object', properties: { n: { ...SCAN_SIZE, maximum: 20, description: 'Ideas per bucket' }, list: WATCHLIST_NAME } },
+    aliases: { per_bucket: 'n', watchlist: 'list' },
+  },
+  watchlists: {
+    description: "List the user's watchlists, or show the tickers on one",
+    parameters: { type: 'object', properties: { name: { type: 'string', description: 'Watchlist to show; all lists if omitted' } } },
+    aliases: { list: 'name', watchlist: 'name' },
+  },
+  watchlist_add: {
+    description: 'Add tickers to a watchlist',
+    parameters: {
+      type: 'object',
+      properties: { tickers: { type: 'string', description: 'Comma-separated, e.g. NVDA,AMD' }, name: WATCHLIST_NAME },
+      required: ['tickers'],
+    },
+    aliases: { ticker: 'tickers', symbols: 'tickers', symbol: 'tickers', list: 'name', watchlist: 'name' },
+  },
+  watchlist_remove: {
+    description: 'Remove tickers from a watchlist',
+    parameters: {
+      type: 'object',
+      properties: { tickers: { type: 'string', description: 'Comma-separated' }, name: WATCHLIST_NAME },
+      required: ['tickers'],
+    },
+    aliases: { ticker: 'tickers', symbols: 'tickers', symbol: 'tickers', list: 'name', watchlist: 'name' },
+  },
+  set_alert: {
+    description: 'Alert the user when a market condition is met, e.g. "crosses 150", "rsi(14) below 30", "down 2%", "golden cross"',
+    parameters: {
+      type: 'object',
+      properties: {
+        ticker: TICKER,
+        condition: { type: 'string', description: 'Plain phrase or backtest rule, e.g. "close > sma(200)"' },
+        once: { type: 'boolean', description: 'Stop after the first time it fires', default: false },
+        cooldown_minutes: { type: 'integer', minimum: 0, description: 'Quiet period after firing', default: 60 },
+      },
+      required: ['ticker', 'condition'],
+    },
+    aliases: { symbol: 'ticker', rule: 'condition', when: 'condition', cooldown: 'cooldown_minutes' },
+  },
+  list_alerts: {
+    description: "List the user's market alerts",
+    parameters: { type: 'object', properties: {} },
+  },
+  open_browser: {
+    description: 'Open a URL in the default browser',
+    parameters: {
+      type: 'object',
+      properties: { url: { type: 'string', pattern: '^https?://', description: 'Full http(s) URL' } },
+      required: ['url'],
+    },
+    aliases: { link: 'url' },
+  },
+  open_app: {
+    description: 'Open a desktop app: file_manager, terminal, powershell, calculator or text_editor',
+    parameters: { type: 'object', properties: { app: { type: 'string' } }, required: ['app'] },
+    aliases: { name: 'app', application: 'app' },
+  },
+  play_music: {
+    description: 'Search YouTube for music',
+    parameters: { type: 'object', properties: { query: { type: 'string', default: 'lofi' } } },
+    aliases: { song: 'query', artist: 'query' },
+  },
+  set_reminder: {
+    description: 'Set a reminder. Time formats: "in 5 minutes", "in 1 hour", "at 3:00pm", "tomorrow", "every day at 9am"',
+    parameters: {
+      type: 'object',
+      properties: {
+        message: { type: 'string', description: 'What to remind the user about' },
+        time: { type: 'string', description: 'When to fire', default: 'in 5 minutes' },
+      },
+      required: ['message'],
+    },
+    aliases: { text: 'message', content: 'message', reminder: 'message', due_at: 'time', when: 'time' },
+  },
+  system_info: {
+    description: 'Platform, hostname, uptime, memory and CPU info',
+    parameters: { type: 'object', properties: {} },
+  },
+  run_shell: {
+    description: `Run a read-only ${SHELL_NAME} command on the user's machine (e.g. ${process.platform === 'win32' ? 'Get-Process, ipconfig, Get-Date' : 'ls, df -h, uptime'}). ` +
+      'Never destructive commands. If the user asks to run a command without saying which, ask them instead of guessing.',
+    parameters: {
+      type: 'object',
+      properties: { command: { type: 'string', maxLength: 200 } },
+      required: ['command'],
+    },
+    aliases: { cmd: 'command' },
+  },
+  search_files: {
+    description: "Search the user's files by name, path or content",
+    parameters: { type: 'object', properties: { query: { type: 'string' } }, required: ['query'] },
+    aliases: { q: 'query', name: 'query' },
+  },
+  list_todos: {
+    description: 'List tasks from the todo list',
+    parameters: {
+      type: 'object',
+      properties: {
+        filter: { type: 'string', enum: ['active', 'today', 'overdue', 'all'], default: 'active' },
+        project: { type: 'string', description: 'Only tasks in this project' },
+      },
+    },
+  },
+  add_todo: {
+    description: 'Add a task to the todo list',
+    parameters: {
+      type: 'object',
+      properties: {
+        content: { type: 'string' },
+        project: { type: 'string', default: 'inbox' },
+        priority: { type: 'integer', minimum: 1, maximum: 4, default: 2, description: '1 = urgent, 4 = someday' },
+        due_date: { type: 'string', description: 'YYYY-MM-DD' },
+        tags: { type: 'string', description: 'Comma-separated' },
+      },
+      required: ['content'],
+    },
+    aliases: { text: 'content', task: 'content', due: 'due_date' },
+  },
+  complete_todo: {
+    description: 'Mark a task done by id',
+    parameters: { type: 'object', properties: { id: { type: 'integer' } }, required: ['id'] },
+    aliases: { task_id: 'id' },
+  },
+  add_habit: {
+    description: 'Start tracking a daily habit',
+    parameters: { type: 'object', properties: { name: { type: 'string' }, icon: { type: 'string' } }, required: ['name'] },
+    aliases: { habit: 'name' },
+  },
+  check_habit: {
+    description: "Check in today's habit by id",
+    parameters: { type: 'object', properties: { id: { type: 'integer' } }, required: ['id'] },
+    aliases: { habit_id: 'id' },
+  },
+  add_goal: {
+    description: 'Create a long-term goal',
+    parameters: { type: 'object', properties: { title: { type: 'string' }, description: { type: 'string' } }, required: ['title'] },
+    aliases: { goal: 'title' },
+  },
+  save_bookmark: {
+    description: 'Bookmark a piece of information',
+    parameters: {
+      type: 'object',
+      properties: { content: { type: 'string' }, note: { type: 'string' }, tags: { type: 'string', description: 'Comma-separated' } },
+      required: ['content'],
+    },
+    aliases: { text: 'content' },
+  },
+  save_knowledge: {
+    description: 'Save a note, snippet, link or reference to the knowledge base',
+    parameters: {
+      type: 'object',
+      properties: {
+        title: { type: 'string' },
+        content: { type: 'string' },
+        type: { type: 'string', enum: ['note', 'snippet', 'link', 'reference'], default: 'note' },
+        language: { type: 'string', description: 'Programming language for snippets' },
+        tags: { type: 'string', description: 'Comma-separated' },
+      },
+      required: ['title', 'content'],
+    },
+  },
+  update_knowledge: {
+    description: 'Replace the content of an existing knowledge base item; earlier versions stay in its history',
+    parameters: {
+      type: 'object',
+      properties: {
+        id: { type: 'integer', description: 'Knowledge base item id' },
+        content: { type: 'string', description: 'The full new content' },
+      },
+      required: ['id', 'content'],
+    },
+  },
+  portfolio_summary: {
+    description: "The user's portfolio: holdings, value, cash, unrealized and realized P&L",
+    parameters: { type: 'object', properties: { account: PORTFOLIO_ACCOUNT } },
+  },
+  portfolio_buy: {
+    description: 'Record a buy in the portfolio. Without a price, the current quote is used',
+    parameters: PORTFOLIO_TRADE,
+    aliases: PORTFOLIO_TRADE_ALIASES,
+  },
+  portfolio_sell: {
+    description: 'Record a sale from the portfolio; lots are matched by the account\'s cost method (FIFO, LIFO or average)',
+    parameters: PORTFOLIO_TRADE,
+    aliases: PORTFOLIO_TRADE_ALIASES,
+  },
+  portfolio_dividend: {
+    description: 'Record a dividend received',
+    parameters: {
+      type: 'object',
+      properties: {
+        ticker: TICKER,
+        amount: { type: 'number', minimum: 0, description: 'Total cash received' },
+        fees: { type: 'number', minimum: 0, description: 'Tax withheld' },
+        date: PORTFOLIO_DATE,
+        account: PORTFOLIO_ACCOUNT,
+        note: { type: 'string' },
+      },
+      required: ['ticker', 'amount'],
+    },
+    aliases: { symbol: 'ticker', withholding: 'fees', tax: 'fees' },
+  },
+  portfolio_cash: {
+    description: 'Record cash moved into or out of a portfolio account, or a standalone fee',
+    parameters: {
+      type: 'object',
+      properties: {
+        type: { type: 'string', enum: ['deposit', 'withdraw', 'fee'] },
+        amount: { type: 'number', minimum: 0 },
+        date: PORTFOLIO_DATE,
+        account: PORTFOLIO_ACCOUNT,
+        note: { type: 'string' },
+      },
+      required: ['type', 'amount'],
+    },
+    aliases: { kind: 'type' },
+  },
+  portfolio_allocation: {
+    description: 'Portfolio allocation by sector, including cash',
+    parameters: { type: 'object', properties: { account: PORTFOLIO_ACCOUNT } },
+  },
+  portfolio_pnl: {
+    description: 'Realized gains (short / long term) and dividend income, optionally for one tax year',
+    parameters: {
+      type: 'object',
+      properties: { account: PORTFOLIO_ACCOUNT, year: { type: 'integer', minimum: 1900, maximum: 2100 } },
+    },
+  },
+  portfolio_history: {
+    description: 'Daily portfolio value against net money invested, charted',
+    parameters: {
+      type: 'object',
+      properties: {
+        account: PORTFOLIO_ACCOUNT,
+        range: { type: 'string', enum: ['1mo', '3mo', '6mo', 'ytd', '1y', '2y', '5y', 'all'], default: '1y' },
+      },
+    },
+  },
 };
 
+// Check params against a command schema. Coerces the loose types models
+// produce ("10" → 10, ["a","b"] → "a,b"), applies aliases and defaults,
+// and drops unknown keys. Returns { valid, params, errors }.
+export function validateParams(schema, raw = {}) {
+  const props = schema.parameters?.properties || {};
+  const input = { ...raw };
+  delete input.action;
+  for (const [alias, canonical] of Object.entries(schema.aliases || {})) {
+    if (input[alias] !== undefined && input[canonical] === undefined) input[canonical] = input[alias];
+  }
+
+  const params = {};
+  const errors = [];
+  for (const [key, spec] of Object.entries(props)) {
+    let value = input[key];
+    if (value === undefined || value === null || value === '') {
+      if (spec.default !== undefined) params[key] = spec.default;
+      continue;
+    }
+
+    if (spec.type === 'integer' || spec.type === 'number') {
+      const num = typeof value === 'number' ? value : Number(String(value).trim());
+      if (!Number.isFinite(num) || (spec.type === 'integer' && !Number.isInteger(num))) {
+        errors.push(`${key} must be ${spec.type === 'integer' ? 'an integer' : 'a number'}`);
+        continue;
+      }
+      if (spec.minimum !== undefined && num < spec.minimum) errors.push(`${key} must be ≥ ${spec.minimum}`);
+      if (spec.maximum !== undefined && num > spec.maximum) errors.push(`${key} must be ≤ ${spec.maximum}`);
+      value = num;
+    } else if (spec.type === 'boolean') {
+      if (typeof value !== 'boolean') {
+        if (/^(true|yes|1)$/i.test(String(value))) value = true;
+        else if (/^(false|no|0)$/i.test(String(value))) value = false;
+        else { errors.push(`${key} must be true or false`); continue; }
+      }
+    } else if (spec.type === 'string') {
+      if (Array.isArray(value)) value = value.join(',');
+      else if (typeof value === 'object') { errors.push(`${key} must be a string`); continue; }
+      value = String(value);
+      if (spec.maxLength !== undefined && value.length > spec.maxLength) errors.push(`${key} is too long (${spec.maxLength} char max)`);
+      if (spec.pattern && !new RegExp(spec.pattern, 'i').test(value)) errors.push(`${key} has an invalid format`);
+    }
+
+    if (spec.enum && !spec.enum.includes(value)) errors.push(`${key} must be one of: ${spec.enum.join(', ')}`);
+    params[key] = value;
+  }
+
+  for (const key of schema.parameters?.required || []) {
+    const reported = errors.some(e => e.startsWith(`${key} `));
+    if (params[key] === undefined && !reported) errors.push(`missing required param: ${key}`);
+  }
+
+  return { valid: errors.length === 0, params, errors };
+}
+
+// Scan free text for top-level JSON objects. Unlike a regex this copes with
+// nested objects and braces inside strings.
+export function findJsonObjects(text) {
+  const found = [];
+  let depth = 0, start = -1, inString = false, escaped = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"' && depth > 0) inString = true;
+    else if (ch === '{') {
+      if (depth === 0) start = i;
+      depth++;
+    } else if (ch === '}' && depth > 0) {
+      depth--;
+      if (depth === 0) {
+        const raw = text.slice(start, i + 1);
+        try { found.push({ value: JSON.parse(raw), start, end: i + 1 }); } catch { /* not JSON */ }
+      }
+    }
+  }
+  return found;
+}
+
 export class CommandExecutor {
-  constructor(memoryManager) {
+  // policy: optional PolicyEngine (permissions.js) consulted before every handler
+  constructor(memoryManager, policy = null) {
     this.memory = memoryManager;
+    this.policy = policy;
     this.handlers = { ...COMMAND_HANDLERS };
   }
 
   getAvailableCommands() {
-    return Object.keys(this.handlers);
+    return Object.keys(this.handlers).filter(k => !k.startsWith('_'));
   }
 
-  async execute(action, params = {}) {
+  // Native tool definitions (OpenAI / Ollama function-calling format)
+  getToolDefinitions() {
+    return this.getAvailableCommands()
+      .filter(name => COMMAND_SCHEMAS[name])
+      .map(name => ({
+        type: 'function',
+        function: {
+          name,
+          description: COMMAND_SCHEMAS[name].description,
+          parameters: COMMAND_SCHEMAS[name].parameters,
+        },
+      }));
+  }
+
+  // Prompt section for models without native tool support, generated from the schemas
+  getToolPrompt() {
+    const lines = this.getAvailableCommands().map(name => {
+      const schema = COMMAND_SCHEMAS[name];
+      if (!schema) return `- ${name}`;
+      const required = schema.parameters.required || [];
+      const args = Object.entries(schema.parameters.properties).map(([key, spec]) => {
+        const type = spec.enum ? spec.enum.join('|') : spec.type;
+        return `${key}${required.includes(key) ? '' : '?'}: ${type}`;
+      });
+      return `- ${name}(${args.join(', ')}) — ${schema.description}`;
+    });
+    return `\n\n## Available Commands:
+If the user asks you to perform an action, include a JSON object with an "action" field and the params, e.g.
+{"action": "stock_quote", "ticker": "NVDA"}
+{"action": "set_reminder", "message": "Check email", "time": "in 10 minutes"}
+Only emit a command when the user actually wants the action performed. You will get the results back and can then answer.
+
+${lines.join('\n')}`;
+  }
+
+  validate(action, params = {}) {
+    const schema = COMMAND_SCHEMAS[action];
+    if (!schema) {
+      const { action: _, ...rest } = params;
+      return { valid: true, params: rest, errors: [] };
+    }
+    return validateParams(schema, params);
+  }
+
+  // confirm: async ({ action, params, risk, reason }) => { approved, remember, reason }
+  // Called for actions the policy marks 'ask'; without it those are refused.
+  async execute(action, params = {}, { confirm } = {}) {
     const handler = this.handlers[action];
-    if (!handler) {
+    if (!handler || action.startsWith('_')) {
       return {
         success: false,
         result: `Unknown command: ${action}. Available: ${this.getAvailableCommands().join(', ')}`
       };
     }
 
+    const check = this.validate(action, params);
+    if (!check.valid) {
+      const message = `Invalid params for ${action}: ${check.errors.join('; ')}`;
+      this.memory?.logCommand(action, params, 'invalid', message);
+      return { success: false, result: message };
+    }
+
+    const permission = await this._authorize(action, check.params, confirm);
+    if (permission.decision !== 'allow' && permission.decision !== 'approved') {
+      const message = permission.decision === 'timeout'
+        ? `⏱ ${action} was not confirmed in time — skipped.`
+        : permission.decision === 'rejected'
+          ? `🚫 ${action} was declined by the user.`
+          : `🚫 ${action} blocked: ${permission.reason}`;
+      this.memory?.logCommand(action, check.params, 'denied', message, permission);
+      return { success: false, result: message, denied: true, decision: permission.decision };
+    }
+
     try {
-      const result = await handler(params);
-      this.memory?.logCommand(action, params, result.success ? 'completed' : 'failed', result.result);
+      const result = await handler(check.params);
+      this.memory?.logCommand(action, check.params, result.success ? 'completed' : 'failed', result.result, permission);
       return result;
     } catch (err) {
       const errorResult = { success: false, result: `Error: ${err.message}` };
-      this.memory?.logCommand(action, params, 'error', err.message);
+      this.memory?.logCommand(action, check.params, 'error', err.message, permission);
       return errorResult;
     }
   }
 
-  // Parse LLM output for command intents
-  // The LLM should output JSON blocks like: {"action": "open_browser", "url": "..."}
+  // Resolve the policy verdict, asking the user when needed.
+  // Returns { risk, decision, reason } with decision one of
+  // allow | deny | approved | rejected | timeout.
+  async _authorize(action, params, confirm) {
+    if (!this.policy) return { decision: 'allow', risk: null, reason: 'No policy' };
+    const verdict = this.policy.evaluate(action, params);
+    const base = { risk: verdict.risk, reason: verdict.reason };
+    if (verdict.decision !== 'ask') return { ...base, decision: verdict.decision };
+    if (!confirm) return { ...base, decision: 'deny', reason: 'needs confirmation, but no one is there to ask' };
+
+    const answer = await confirm({ action, params, risk: verdict.risk, reason: verdict.reason });
+    if (answer?.approved) {
+      if (answer.remember) this.policy.rememberApproval(action, params);
+      return { ...base, decision: 'approved' };
+    }
+    return { ...base, decision: answer?.reason === 'timeout' ? 'timeout' : 'rejected' };
+  }
+
+  // Parse LLM output for command intents (text mode, for models without
+  // native tool calling), e.g. {"action": "open_browser", "url": "..."}
   extractCommands(text) {
-    const commands = [];
-    const jsonPattern = /\{[^{}]*"action"\s*:\s*"[^"]+?"[^{}]*\}/g;
-    const matches = text.match(jsonPattern);
-    if (matches) {
-      for (const match of matches) {
-        try {
-          const parsed = JSON.parse(match);
-          if (parsed.action) {
-            commands.push(parsed);
-          }
-        } catch { /* skip malformed JSON */ }
-      }
+    return findJsonObjects(text)
+      .map(m => m.value)
+      .filter(v => typeof v?.action === 'string' && v.action);
+  }
+
+  // The reply text with any command JSON removed, for display
+  stripCommands(text) {
+    let out = '';
+    let last = 0;
+    for (const { value, start, end } of findJsonObjects(text)) {
+      if (typeof value?.action !== 'string') continue;
+      out += text.slice(last, start);
+      last = end;
     }
-    return commands;
+    out += text.slice(last);
+    return out.replace(/```(?:json)?\s*```/g, '').replace(/\n{3,}/g, '\n\n').trim();
   }
 }
@@ -0,0 +1,345 @@
+// ═══════════════════════════════════════════════════════════════
+//  VELLE.AI — Diff Engine
+//  • Myers O(ND) shortest edit script over lines or words
+//  • Unified hunks with collapsed context, side-by-side rows
+//  • Word-level highlighting inside changed lines
+//  • Patch (.diff) export that `git apply` / `patch` accept
+//  • Shared by /diff and the "what changed" views for journal,
+//    knowledge base and snippet edits
+// ═══════════════════════════════════════════════════════════════
+
+export const DIFF_MODES = ['unified', 'split', 'patch'];
+export const DEFAULT_CONTEXT = 3;
+
+// Past this many edits the middle of the input is reported as one
+// replaced block; the trace Myers keeps grows with edits²
+const MAX_EDITS = 2000;
+// Longest diff rendered into a chat message
+const MAX_CHAT_LINES = 200;
+// Changed line pairs less alike than this are shown whole, not word-marked
+const WORD_SIMILARITY = 0.4;
+
+// ── Myers ──
+
+// Edit script between two token arrays: [{ type: 'same'|'removed'|'added', a, b }]
+// where a / b are indexes into the inputs (null on the side that lacks the token)
+export function myers(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length, endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+  const ops = [];
+  for (let i = 0; i < start; i++) ops.push({ type: 'same', a: i, b: i });
+  const middle = shortestEdit(a, b, start, endA, start, endB);
+  if (middle) ops.push(...middle);
+  else {
+    for (let i = start; i < endA; i++) ops.push({ type: 'removed', a: i, b: null });
+    for (let j = start; j < endB; j++) ops.push({ type: 'added', a: null, b: j });
+  }
+  for (let i = endA, j = endB; i < a.length; i++, j++) ops.push({ type: 'same', a: i, b: j });
+  return ops;
+}
+
+// Greedy forward search with a per-step snapshot of V for the backtrack.
+// Returns null when the edit distance passes MAX_EDITS.
+function shortestEdit(a, b, a0, a1, b0, b1) {
+  const n = a1 - a0, m = b1 - b0;
+  if (!n || !m) {
+    const ops = [];
+    for (let i = a0; i < a1; i++) ops.push({ type: 'removed', a: i, b: null });
+    for (let j = b0; j < b1; j++) ops.push({ type: 'added', a: null, b: j });
+    return ops;
+  }
+  const max = Math.min(n + m, MAX_EDITS);
+  const off = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  for (let d = 0; d <= max; d++) {
+    // trace[d] holds V for k in [-d-1, d+1] as it stood before step d
+    trace.push(v.slice(off - d - 1, off + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[off + k - 1] < v[off + k + 1])) ? v[off + k + 1] : v[off + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[a0 + x] === b[b0 + y]) { x++; y++; }
+      v[off + k] = x;
+      if (x >= n && y >= m) return backtrack(trace, n, m, a0, b0);
+    }
+  }
+  return null;
+}
+
+function backtrack(trace, n, m, a0, b0) {
+  const ops = [];
+  let x = n, y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const v = trace[d];
+    const at = k => v[k + d + 1];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) { x--; y--; ops.push({ type: 'same', a: a0 + x, b: b0 + y }); }
+    if (d > 0) {
+      if (x === prevX) ops.push({ type: 'added', a: null, b: b0 + y - 1 });
+      else ops.push({ type: 'removed', a: a0 + x - 1, b: null });
+    }
+    x = prevX; y = prevY;
+  }
+  return ops.reverse();
+}
+
+// ── Lines ──
+
+// Lines keep their "\n" so a missing final newline counts as a change
+function splitLines(text) {
+  return String(text ?? '').match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+// [{ type, text, oldLine, newLine, eol }] — line numbers are 1-based,
+// eol is false only for a last line without a trailing newline
+export function diffLines(a, b) {
+  const la = splitLines(a), lb = splitLines(b);
+  return myers(la, lb).map(op => {
+    const raw = op.type === 'added' ? lb[op.b] : la[op.a];
+    return {
+      type: op.type,
+      text: raw.replace(/\n$/, ''),
+      oldLine: op.a === null ? null : op.a + 1,
+      newLine: op.b === null ? null : op.b + 1,
+      eol: raw.endsWith('\n'),
+    };
+  });
+}
+
+export function diffStats(ops) {
+  const stats = { added: 0, removed: 0, unchanged: 0 };
+  for (const op of ops) {
+    if (op.type === 'added') stats.added++;
+    else if (op.type === 'removed') stats.removed++;
+    else stats.unchanged++;
+  }
+  return stats;
+}
+
+// Changes grouped with `context` unchanged lines around them; hunks
+// closer than 2×context merge. skipped = unchanged lines collapsed before it.
+export function hunks(ops, context = DEFAULT_CONTEXT) {
+  const changed = [];
+  ops.forEach((op, i) => { if (op.type !== 'same') changed.push(i); });
+  if (!changed.length) return [];
+
+  const groups = [];
+  for (const i of changed) {
+    const last = groups[groups.length - 1];
+    if (last && i - last.end <= 2 * context + 1) last.end = i;
+    else groups.push({ start: i, end: i });
+  }
+
+  const result = [];
+  let oldSeen = 0, newSeen = 0, cursor = 0;
+  const advance = until => {
+    for (; cursor < until; cursor++) {
+      if (ops[cursor].type !== 'added') oldSeen++;
+      if (ops[cursor].type !== 'removed') newSeen++;
+    }
+  };
+  for (const g of groups) {
+    const from = Math.max(0, g.start - context);
+    const to = Math.min(ops.length, g.end + context + 1);
+    const skipped = from - cursor;
+    advance(from);
+    const lines = ops.slice(from, to);
+    const oldLines = lines.filter(l => l.type !== 'added').length;
+    const newLines = lines.filter(l => l.type !== 'removed').length;
+    result.push({
+      oldStart: oldLines ? oldSeen + 1 : oldSeen,
+      oldLines,
+      newStart: newLines ? newSeen + 1 : newSeen,
+      newLines,
+      skipped,
+      lines,
+    });
+    advance(to);
+  }
+  return result;
+}
+
+function hunkHeader(h) {
+  const range = (start, count) => (count === 1 ? `${start}` : `${start},${count}`);
+  return `@@ -${range(h.oldStart, h.oldLines)} +${range(h.newStart, h.newLines)} @@`;
+}
+
+// Standard unified diff; '' when the texts match
+export function unifiedPatch(a, b, { from = 'a', to = 'b', context = DEFAULT_CONTEXT } = {}) {
+  const hs = hunks(diffLines(a, b), context);
+  if (!hs.length) return '';
+  let out = `--- ${from}\n+++ ${to}\n`;
+  for (const h of hs) {
+    out += hunkHeader(h) + '\n';
+    for (const l of h.lines) {
+      out += `${l.type === 'added' ? '+' : l.type === 'removed' ? '-' : ' '}${l.text}\n`;
+      if (!l.eol) out += '\\ No newline at end of file\n';
+    }
+  }
+  return out;
+}
+
+// ── Words ──
+
+const WORD_RE = /[\p{L}\p{N}_]+|\s+|[^\p{L}\p{N}_\s]/gu;
+
+// Token-level edit script inside one line
+export function diffWords(a, b) {
+  const ta = a.match(WORD_RE) || [], tb = b.match(WORD_RE) || [];
+  const ops = myers(ta, tb).map(op => ({ type: op.type, text: op.type === 'added' ? tb[op.b] : ta[op.a] }));
+  // A lone space between two changes reads better as part of the change
+  for (let i = 1; i < ops.length - 1; i++) {
+    if (ops[i].type === 'same' && /^\s+$/.test(ops[i].text) && ops[i - 1].type !== 'same' && ops[i + 1].type !== 'same') {
+      ops.splice(i, 1, { type: 'removed', text: ops[i].text }, { type: 'added', text: ops[i].text });
+      i++;
+    }
+  }
+  return ops;
+}
+
+// Old / new line with git --word-diff markers: [-removed-] and {+added+}
+export function markWords(a, b) {
+  const ops = diffWords(a, b);
+  const same = ops.filter(o => o.type === 'same').reduce((n, o) => n + o.text.length, 0);
+  const similarity = a.length + b.length ? (2 * same) / (a.length + b.length) : 1;
+  const side = (skip, open, close) => {
+    let out = '', run = '';
+    for (const o of ops) {
+      if (o.type === skip) continue;
+      if (o.type === 'same') { if (run) { out += open + run + close; run = ''; } out += o.text; }
+      else run += o.text;
+    }
+    return run ? out + open + run + close : out;
+  };
+  return { old: side('added', '[-', '-]'), new: side('removed', '{+', '+}'), similarity };
+}
+
+// ── Rendering ──
+
+// Runs of removed / added lines inside a hunk, paired up for word marking
+function changeBlocks(lines) {
+  const blocks = [];
+  for (const l of lines) {
+    const last = blocks[blocks.length - 1];
+    if (l.type === 'same') blocks.push({ same: l });
+    else if (last && !last.same) last[l.type].push(l);
+    else blocks.push({ removed: l.type === 'removed' ? [l] : [], added: l.type === 'added' ? [l] : [] });
+  }
+  return blocks;
+}
+
+// Unified view with word markers (not a patch: the markers are for reading)
+function unifiedLines(hs, { words = true } = {}) {
+  const out = [];
+  for (const h of hs) {
+    if (h.skipped) out.push(`⋯ ${h.skipped} unchanged line${h.skipped > 1 ? 's' : ''}`);
+    out.push(hunkHeader(h));
+    for (const block of changeBlocks(h.lines)) {
+      if (block.same) { out.push(` ${block.same.text}`); continue; }
+      const marked = block.removed.map((r, i) => {
+        const add = block.added[i];
+        if (!words || !add) return null;
+        const m = markWords(r.text, add.text);
+        return m.similarity >= WORD_SIMILARITY ? m : null;
+      });
+      block.removed.forEach((r, i) => out.push(`-${marked[i]?.old ?? r.text}`));
+      block.added.forEach((l, i) => out.push(`+${marked[i]?.new ?? l.text}`));
+    }
+  }
+  return out;
+}
+
+// Side-by-side rows: [{ type: 'same'|'changed'|'removed'|'added'|'skip', left, right, oldLine, newLine }]
+export function sideBySide(a, b, { context = DEFAULT_CONTEXT } = {}) {
+  const rows = [];
+  for (const h of hunks(diffLines(a, b), context)) {
+    if (h.skipped) rows.push({ type: 'skip', count: h.skipped });
+    for (const block of changeBlocks(h.lines)) {
+      if (block.same) {
+        const s = block.same;
+        rows.push({ type: 'same', left: s.text, right: s.text, oldLine: s.oldLine, newLine: s.newLine });
+        continue;
+      }
+      const n = Math.max(block.removed.length, block.added.length);
+      for (let i = 0; i < n; i++) {
+        const r = block.removed[i], l = block.added[i];
+        rows.push({
+          type: r && l ? 'changed' : r ? 'removed' : 'added',
+          left: r?.text ?? null, right: l?.text ?? null,
+          oldLine: r?.oldLine ?? null, newLine: l?.newLine ?? null,
+        });
+      }
+    }
+  }
+  return rows;
+}
+
+function splitLinesView(rows) {
+  const width = Math.min(40, Math.max(8, ...rows.map(r => (r.left ?? '').length)));
+  const digits = Math.max(1, ...rows.map(r => String(Math.max(r.oldLine ?? 0, r.newLine ?? 0)).length));
+  const cell = t => {
+    const s = (t ?? '').replace(/\t/g, '  ');
+    return s.length > width ? s.slice(0, width - 1) + '…' : s.padEnd(width);
+  };
+  const num = n => (n === null ? ''.padStart(digits) : String(n).padStart(digits));
+  return rows.map(r => {
+    if (r.type === 'skip') return `⋯ ${r.count} unchanged line${r.count > 1 ? 's' : ''}`;
+    const lm = r.type === 'removed' || r.type === 'changed' ? '-' : ' ';
+    const rm = r.type === 'added' || r.type === 'changed' ? '+' : ' ';
+    return `${num(r.oldLine)} ${lm}${cell(r.left)} │ ${num(r.newLine)} ${rm}${r.right ?? ''}`;
+  });
+}
+
+function clip(lines) {
+  if (lines.length <= MAX_CHAT_LINES) return lines.join('\n');
+  return lines.slice(0, MAX_CHAT_LINES).join('\n') + `\n⋯ ${lines.length - MAX_CHAT_LINES} more lines (export with --patch)`;
+}
+
+function summary(stats, hunkCount) {
+  return `+${stats.added} −${stats.removed} · ${hunkCount} hunk${hunkCount === 1 ? '' : 's'}`;
+}
+
+// ═══════════════════════════════════
+//  FORMATTERS
+// ═══════════════════════════════════
+
+// mode: unified (word-marked) | split (side by side) | patch (copyable .diff)
+export function formatDiff(a, b, { mode = 'unified', context = DEFAULT_CONTEXT, title = 'Diff', from = 'a', to = 'b' } = {}) {
+  const ops = diffLines(a, b);
+  const stats = diffStats(ops);
+  if (!stats.added && !stats.removed) return `✅ **${title}** — no differences.`;
+  const hs = hunks(ops, context);
+  const head = `📝 **${title}** — ${summary(stats, hs.length)}`;
+
+  if (mode === 'patch') return `${head}\n\`\`\`diff\n${unifiedPatch(a, b, { from, to, context })}\`\`\``;
+  if (mode === 'split') {
+    return `${head} · side by side (${from} │ ${to})\n\`\`\`\n${clip(splitLinesView(sideBySide(a, b, { context })))}\n\`\`\``;
+  }
+  return `${head}\n\`\`\`diff\n${clip(unifiedLines(hs))}\n\`\`\``;
+}
+
+// Fenced, word-marked diff block ('' when nothing changed)
+export function diffBlock(before, after, { context = 1 } = {}) {
+  const hs = hunks(diffLines(before, after), context);
+  return hs.length ? `\`\`\`diff\n${clip(unifiedLines(hs))}\n\`\`\`` : '';
+}
+
+// Compact "what changed" view for an edit: one line of context, word-marked
+export function formatChanges(before, after, { title = 'What changed' } = {}) {
+  const stats = diffStats(diffLines(before, after));
+  if (!stats.added && !stats.removed) return `✏️ **${title}** — nothing changed.`;
+  return `✏️ **${title}** — +${stats.added} −${stats.removed}\n${diffBlock(before, after)}`;
+}
+
+// Summary + patch for REST responses that report an edit
+export function describeChanges(before, after, { from = 'before', to = 'after' } = {}) {
+  const stats = diffStats(diffLines(before, after));
+  return { ...stats, patch: unifiedPatch(before, after, { from, to }) };
+}
@@ -0,0 +1,374 @@
+// ═══════════════════════════════════════════════════════════════
+//  VELLE.AI — Export & Import
+//  • Versioned JSON bundle of every personal-data table
+//  • Obsidian-style Markdown vault (one note per entry, wikilinks)
+//  • Import merges by id or content hash, reports conflicts,
+//    supports dry runs
+// ═══════════════════════════════════════════════════════════════
+
+import { mkdirSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { createHash } from 'crypto';
+import { SCHEMA_VERSION, getSchemaVersion } from './migrations.js';
+import { REVISION_TYPES } from './revisions.js';
+
+export const BUNDLE_FORMAT = 'velle-export';
+export const BUNDLE_VERSION = 1;
+
+// Exported tables, parents before children. `key` is the identity column
+// (default id), `created` the column that tells two rows sharing an id
+// apart, `refs` the columns holding ids from another table (or a function
+// of the row naming that table). `review` rewrites an incoming row that
+// can't be trusted as-is; `replace: false` keeps local rows even with
+// onConflict: 'replace'. `where` limits which rows are exported.
+// Derived data (embeddings, FTS indexes) and the command log are left out.
+export const EXPORT_TABLES = [
+  { name: 'conversations', created: 'timestamp', refs: { parent_id: 'conversations' } },
+  { name: 'sessions', key: 'session_id', refs: { active_leaf_id: 'conversations' } },
+  { name: 'memories', created: 'created_at' },
+  { name: 'journal', created: 'created_at' },
+  { name: 'todos', created: 'created_at' },
+  { name: 'habits', created: 'created_at' },
+  { name: 'habit_logs', refs: { habit_id: 'habits' } },
+  { name: 'goals', created: 'created_at' },
+  { name: 'milestones', refs: { goal_id: 'goals' } },
+  { name: 'knowledge', created: 'created_at' },
+  { name: 'bookmarks', created: 'created_at' },
+  { name: 'snippets', created: 'created_at' },
+  { name: 'reminders', created: 'created_at' },
+  { name: 'mood_log', created: 'timestamp' },
+  { name: 'pomodoro_sessions', created: 'started_at' },
+  { name: 'achievements', key: 'id' },
+  { name: 'daily_summaries', key: 'date' },
+  { name: 'permission_rules', created: 'created_at', review: reviewRule, replace: false },
+  // Lots and realized gains are rebuilt from transactions after an import
+  { name: 'portfolio_accounts', created: 'created_at' },
+  { name: 'portfolio_transactions', created: 'created_at', refs: { account_id: 'portfolio_accounts' } },
+  { name: 'portfolio_securities', key: 'symbol' },
+  { name: 'watchlists', created: 'created_at' },
+  { name: 'watchlist_symbols', created: 'added_at', refs: { watchlist_id: 'watchlists' } },
+  { name: 'alerts', created: 'created_at' },
+  { name: 'alert_events', created: 'fired_at', refs: { alert_id: 'alerts' } },
+  // A deleted item's history stays behind: with no item in the bundle to
+  // remap it to, its item_id could land on an unrelated local item
+  { name: 'revisions', created: 'created_at', refs: { item_id: row => REVISION_TYPES[row.item_type] }, where: 'deleted_at IS NULL' },
+];
+
+// A bundle may come from anyone, and an "allow" rule would silently drop the
+// confirmation for what it matches (run_shell included). Imported rules can
+// only tighten the policy: allow arrives as ask, to be re-allowed by hand.
+function reviewRule(row) {
+  if (row.decision === 'deny' || row.decision === 'ask') return row;
+  return { ...row, decision: 'ask', note: `Imported as ask (was ${row.decision})${row.note ? ` — ${row.note}` : ''}` };
+}
+
+function tableExists(db, name) {
+  return !!db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(name);
+}
+
+function columnsOf(db, name) {
+  return db.prepare(`PRAGMA table_info(${name})`).all().map(c => c.name);
+}
+
+// Only an INTEGER PRIMARY KEY id is a rowid that can be handed out afresh;
+// a TEXT one (achievements) names the record
+function hasRowidKey(db, name) {
+  return db.prepare(`PRAGMA table_info(${name})`).all()
+    .some(c => c.name === 'id' && c.pk === 1 && c.type.toUpperCase() === 'INTEGER');
+}
+
+// ── JSON bundle ──
+
+export function exportBundle(db) {
+  const tables = {};
+  for (const t of EXPORT_TABLES) {
+    if (!tableExists(db, t.name)) continue;
+    const order = columnsOf(db, t.name).includes('id') ? 'id' : 'rowid';
+    tables[t.name] = db.prepare(`SELECT * FROM ${t.name}${t.where ? ` WHERE ${t.where}` : ''} ORDER BY ${order}`).all();
+  }
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    schema_version: getSchemaVersion(db),
+    exported_at: new Date().toISOString(),
+    counts: Object.fromEntries(Object.entries(tables).map(([k, rows]) => [k, rows.length])),
+    tables,
+  };
+}
+
+// Row fingerprint without its numeric id, which can differ between installs
+// for the same data. References are hashed after remapping to local ids.
+function contentHash(row, def) {
+  const skipId = (def.key || 'id') !== 'id' || typeof row.id === 'number';
+  const fields = Object.keys(row).filter(k => !(k === 'id' && skipId)).sort().map(k => [k, row[k]]);
+  return createHash('sha1').update(JSON.stringify(fields)).digest('hex');
+}
+
+const DRY_RUN = Symbol('dry run');
+
+// Merge a bundle into the DB. For each incoming row:
+//   • identical content already present         → unchanged
+//   • same record (key, or id + created time)
+//     with different content                    → conflict (kept local, or
+//                                                  replaced with onConflict: 'replace')
+//   • otherwise                                 → inserted, under a new id
+//                                                  when its id is taken
+// References (parent_id, habit_id, goal_id, …) follow remapped ids.
+// Rows a table's `review` had to change are listed in report.review.
+// dryRun does all of it inside a transaction that is rolled back.
+export function importBundle(db, bundle, { dryRun = false, onConflict = 'keep' } = {}) {
+  if (bundle?.format !== BUNDLE_FORMAT || !bundle.tables) throw new Error('Not a VELLE.AI export bundle');
+  if (bundle.version > BUNDLE_VERSION) throw new Error(`Bundle format v${bundle.version} is newer than this VELLE.AI supports (v${BUNDLE_VERSION})`);
+  if (bundle.schema_version > SCHEMA_VERSION) {
+    throw new Error(`Bundle is from schema v${bundle.schema_version}; this VELLE.AI is v${SCHEMA_VERSION}. Update before importing.`);
+  }
+
+  const report = { dry_run: dryRun, tables: {}, conflicts: [], skipped_tables: [], review: [] };
+  const idMaps = {};   // table → Map(incoming id → local id)
+
+  const run = () => {
+    for (const def of EXPORT_TABLES) {
+      const rows = bundle.tables[def.name];
+      if (!rows?.length) continue;
+      if (!tableExists(db, def.name)) { report.skipped_tables.push(def.name); continue; }
+
+      const localCols = new Set(columnsOf(db, def.name));
+      const key = def.key || 'id';
+      const hasIntId = key === 'id' && hasRowidKey(db, def.name);
+      const idMap = idMaps[def.name] = new Map();
+      const stats = report.tables[def.name] = { inserted: 0, unchanged: 0, conflicts: 0, replaced: 0 };
+
+      const hashes = new Map();   // content hash → local id / key
+      for (const r of db.prepare(`SELECT * FROM ${def.name}`).all()) hashes.set(contentHash(r, def), r[key]);
+      const byKey = db.prepare(`SELECT * FROM ${def.name} WHERE ${key} = ?`);
+
+      for (const incoming of rows) {
+        // Point references at local ids; only columns this DB has
+        let row = {};
+        for (const [col, val] of Object.entries(incoming)) if (localCols.has(col)) row[col] = val;
+        const original = row;
+        if (def.review) row = def.review(row);
+        for (const [col, ref] of Object.entries(def.refs || {})) {
+          const table = typeof ref === 'function' ? ref(row) : ref;
+          if (row[col] != null && idMaps[table]?.has(row[col])) row[col] = idMaps[table].get(row[col]);
+        }
+
+        const hash = contentHash(row, def);
+        if (hashes.has(hash)) {
+          idMap.set(incoming[key], hashes.get(hash));
+          stats.unchanged++;
+          continue;
+        }
+
+        const existing = row[key] != null ? byKey.get(row[key]) : null;
+        const sameRecord = existing && (!hasIntId || (def.created && existing[def.created] === row[def.created]));
+        if (sameRecord) {
+          idMap.set(incoming[key], existing[key]);
+          if (onConflict === 'replace' && def.replace !== false) {
+            const cols = Object.keys(row).filter(c => c !== key);
+            db.prepare(`UPDATE ${def.name} SET ${cols.map(c => `${c} = ?`).join(', ')} WHERE ${key} = ?`)
+              .run(...cols.map(c => row[c]), existing[key]);
+            stats.replaced++;
+          } else {
+            stats.conflicts++;
+          }
+          report.conflicts.push({ table: def.name, key: existing[key], resolution: onConflict === 'replace' && def.replace !== false ? 'replaced' : 'kept local', local: existing, incoming });
+          continue;
+        }
+
+        // New row; its id moves if this DB already uses it. Tables keyed
+        // by something else just get a fresh rowid.
+        if ((hasIntId && existing) || (!hasIntId && typeof row.id === 'number')) delete row.id;
+        const cols = Object.keys(row);
+        let result;
+        try {
+          result = db.prepare(`INSERT INTO ${def.name} (${cols.join(', ')}) VALUES (${cols.map(() => '?').join(', ')})`)
+            .run(...cols.map(c => row[c]));
+        } catch (e) {
+          // e.g. a second check-in for the same habit and day
+          if (!String(e.code).startsWith('SQLITE_CONSTRAINT')) throw e;
+          stats.conflicts++;
+          report.conflicts.push({ table: def.name, key: incoming[key], resolution: 'kept local', reason: e.message, incoming });
+          continue;
+        }
+        const localKey = hasIntId ? Number(result.lastInsertRowid) : row[key];
+        idMap.set(incoming[key], localKey);
+        hashes.set(hash, localKey);
+        stats.inserted++;
+        if (row !== original) report.review.push({ table: def.name, key: localKey, row, incoming: original });
+      }
+    }
+    if (dryRun) throw DRY_RUN;
+  };
+
+  try {
+    db.transaction(run)();
+  } catch (e) {
+    if (e !== DRY_RUN) throw e;
+  }
+  report.totals = Object.values(report.tables).reduce((t, s) => {
+    for (const k of Object.keys(s)) t[k] = (t[k] || 0) + s[k];
+    return t;
+  }, {});
+  return report;
+}
+
+// ── Markdown vault ──
+
+function slug(text, max = 60) {
+  return String(text || 'untitled').replace(/[\\/:*?"<>|#^[\]]/g, '').replace(/\s+/g, ' ').trim().slice(0, max) || 'untitled';
+}
+
+function frontmatter(fields) {
+  const lines = Object.entries(fields)
+    .filter(([, v]) => v != null && v !== '')
+    .map(([k, v]) => `${k}: ${Array.isArray(v) ? `[${v.join(', ')}]` : JSON.stringify(v)}`);
+  return `---\n${lines.join('\n')}\n---\n\n`;
+}
+
+function tagList(tags) {
+  return tags ? String(tags).split(',').map(t => t.trim()).filter(Boolean) : [];
+}
+
+// Write the vault under `dir`; returns the files written (relative paths)
+export function exportMarkdown(db, dir) {
+  const files = [];
+  // Same-titled notes in a folder get " (2)", " (3)", …
+  const taken = new Set();
+  const unique = (folder, name) => {
+    let n = name;
+    for (let i = 2; taken.has(`${folder}/${n}`); i++) n = `${name} (${i})`;
+    taken.add(`${folder}/${n}`);
+    return n;
+  };
+  const write = (rel, text) => {
+    const full = join(dir, rel);
+    mkdirSync(join(full, '..'), { recursive: true });
+    writeFileSync(full, text);
+    files.push(rel);
+  };
+  const all = (table, order = 'id') => (tableExists(db, table) ? db.prepare(`SELECT * FROM ${table} ORDER BY ${order}`).all() : []);
+  const index = { Conversations: [], Journal: [], Knowledge: [], Goals: [], Snippets: [] };
+
+  // Conversations: the active branch of each session
+  const sessions = all('sessions', 'created_at');
+  for (const s of sessions) {
+    const msgs = db.prepare(`
+      WITH RECURSIVE branch(id, parent_id, depth) AS (
+        SELECT id, parent_id, 0 FROM conversations WHERE id = ?
+        UNION ALL
+        SELECT c.id, c.parent_id, b.depth + 1 FROM conversations c JOIN branch b ON c.id = b.parent_id
+      )
+      SELECT c.* FROM branch b JOIN conversations c ON c.id = b.id ORDER BY b.depth DESC
+    `).all(s.active_leaf_id);
+    if (!msgs.length) continue;
+    const title = s.title || msgs.find(m => m.role === 'user')?.content.slice(0, 50) || s.session_id;
+    const name = unique('Conversations', `${msgs[0].timestamp.slice(0, 10)} ${slug(title)}`);
+    let body = frontmatter({ session: s.session_id, created: msgs[0].timestamp, pinned: s.pinned ? true : null });
+    body += `# ${title}\n\n`;
+    for (const m of msgs) body += `**${m.role === 'user' ? 'You' : 'VELLE'}** · ${m.timestamp}\n\n${m.content}\n\n`;
+    write(`Conversations/${name}.md`, body);
+    index.Conversations.push(name);
+  }
+
+  for (const j of all('journal')) {
+    const name = unique('Journal', `${j.created_at.slice(0, 10)} entry ${j.id}`);
+    let body = frontmatter({ created: j.created_at, mood: j.mood_label, mood_score: j.mood_score, tags: tagList(j.tags), pinned: j.pinned ? true : null });
+    if (j.prompt) body += `> ${j.prompt}\n\n`;
+    write(`Journal/${name}.md`, body + j.content + '\n');
+    index.Journal.push(name);
+  }
+
+  for (const k of all('knowledge')) {
+    const name = unique('Knowledge', slug(k.title));
+    const content = k.type === 'snippet' ? '```' + (k.language || '') + '\n' + k.content + '\n```' : k.content;
+    write(`Knowledge/${name}.md`, frontmatter({ type: k.type, tags: tagList(k.tags), created: k.created_at }) + `# ${k.title}\n\n${content}\n`);
+    index.Knowledge.push(name);
+  }
+
+  const milestones = all('milestones');
+  for (const g of all('goals')) {
+    const name = unique('Goals', slug(g.title));
+    let body = frontmatter({ status: g.status, progress: g.progress, target: g.target_date, category: g.category, created: g.created_at });
+    body += `# ${g.title}\n\n${g.description ? g.description + '\n\n' : ''}`;
+    for (const m of milestones.filter(m => m.goal_id === g.id)) body += `- [${m.completed ? 'x' : ' '}] ${m.title}\n`;
+    write(`Goals/${name}.md`, body);
+    index.Goals.push(name);
+  }
+
+  for (const s of all('snippets')) {
+    const name = unique('Snippets', slug(s.name));
+    write(`Snippets/${name}.md`, frontmatter({ language: s.language, tags: tagList(s.tags) }) + '```' + (s.language || '') + '\n' + s.code + '\n```\n');
+    index.Snippets.push(name);
+  }
+
+  // Single-note lists
+  const memories = all('memories', 'category, importance DESC');
+  if (memories.length) {
+    let body = '# Memories\n';
+    let cat = null;
+    for (const m of memories) {
+      if (m.category !== cat) { cat = m.category; body += `\n## ${cat}\n\n`; }
+      body += `- ${m.content} _(importance ${m.importance})_\n`;
+    }
+    write('Memories.md', body);
+  }
+
+  const todos = all('todos', 'project, status, priority');
+  if (todos.length) {
+    let body = '# Tasks\n';
+    let project = null;
+    for (const t of todos) {
+      if (t.project !== project) { project = t.project; body += `\n## ${project}\n\n`; }
+      body += `- [${t.status === 'done' ? 'x' : ' '}] ${t.content}${t.due_date ? ` 📅 ${t.due_date}` : ''}${t.priority === 1 ? ' ⏫' : ''}\n`;
+    }
+    write('Tasks.md', body);
+  }
+
+  const habits = all('habits');
+  if (habits.length) {
+    const logs = all('habit_logs', 'date');
+    let body = '# Habits\n';
+    for (const h of habits) {
+      const days = logs.filter(l => l.habit_id === h.id).map(l => l.date);
+      body += `\n## ${h.icon} ${h.name}\n\n${h.frequency}, ${days.length} check-ins${days.length ? ` (last ${days[days.length - 1]})` : ''}\n`;
+    }
+    write('Habits.md', body);
+  }
+
+  const bookmarks = all('bookmarks');
+  if (bookmarks.length) {
+    let body = '# Bookmarks\n\n';
+    for (const b of bookmarks) body += `- ${b.content.replace(/\n+/g, ' ')}${b.note ? ` — _${b.note}_` : ''}${tagList(b.tags).map(t => ` #${t.replace(/\s+/g, '-')}`).join('')}\n`;
+    write('Bookmarks.md', body);
+  }
+
+  // Index note linking everything
+  let home = `# VELLE.AI Vault\n\nExported ${new Date().toISOString().slice(0, 16).replace('T', ' ')}\n\n`;
+  for (const note of ['Memories', 'Tasks', 'Habits', 'Bookmarks']) {
+    if (files.includes(`${note}.md`)) home += `- [[${note}]]\n`;
+  }
+  for (const [section, names] of Object.entries(index)) {
+    if (!names.length) continue;
+    home += `\n## ${section}\n\n${names.map(n => `- [[${section}/${n}|${n}]]`).join('\n')}\n`;
+  }
+  write('VELLE.md', home);
+  return files;
+}
+
+export function formatImportReport(report) {
+  const t = report.totals || {};
+  let out = `## 📥 Import${report.dry_run ? ' (dry run — nothing written)' : ''}\n\n`;
+  out += `**${t.inserted || 0}** new · **${t.unchanged || 0}** already here · **${(t.conflicts || 0) + (t.replaced || 0)}** conflicts\n\n`;
+  for (const [table, s] of Object.entries(report.tables)) {
+    if (!s.inserted && !s.conflicts && !s.replaced) continue;
+    out += `• ${table}: +${s.inserted}${s.conflicts ? `, ${s.conflicts} conflicts kept local` : ''}${s.replaced ? `, ${s.replaced} replaced` : ''}\n`;
+  }
+  if (report.skipped_tables.length) out += `\n⚠ Skipped (not in this DB): ${report.skipped_tables.join(', ')}\n`;
+  const rules = report.review.filter(r => r.table === 'permission_rules');
+  if (rules.length) {
+    out += `\n🛡️ **${rules.length} permission rule${rules.length === 1 ? '' : 's'} imported as ask** — the bundle allowed ${rules.length === 1 ? 'it' : 'them'} without confirmation. Review, then \`/perm allow ACTION [regex]\` the ones you trust:\n`;
+    for (const { key, row } of rules) out += `• #${key} **${row.action}**${row.pattern ? ` when \`${row.pattern}\`` : ''}\n`;
+  }
+  return out;
+}
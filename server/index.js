@@ -1,11 +1,17 @@
 import express from 'express';
 import { WebSocketServer } from 'ws';
 import { createServer } from 'http';
-import { readFileSync, existsSync } from 'fs';
+import { AsyncLocalStorage, AsyncResource } from 'async_hooks';
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
-import { MemoryManager } from './memory.js';
+import { MemoryManager, formatSessionList, formatSessionSearch } from './memory.js';
 import { CommandExecutor, COMMAND_HANDLERS } from './commands.js';
+import { createProviders } from './providers.js';
+import { PolicyEngine, formatRules, DECISIONS } from './permissions.js';
+import { SearchEngine, formatSearchResults, SEARCH_SOURCES } from './search.js';
+import { SchemaVersionError, getSchemaVersion } from './migrations.js';
+import { exportBundle, importBundle, exportMarkdown, formatImportReport } from './export.js';
 import {
   runCode, formatRunResult, RUNNERS,
   SnippetManager, formatSnippetList,
@@ -13,7 +19,6 @@ import {
   encodeBase64, decodeBase64, encodeURL, decodeURL,
   encodeHex, decodeHex, hashText, formatEncodeDecode,
   jsonPretty, jsonMinify, jsonValidate,
-  diffStrings, formatDiff,
   scaffoldProject, formatScaffold, TEMPLATES,
   scanPorts, formatPorts,
   httpRequest, formatHttpResult,
@@ -44,13 +49,41 @@ import {
   analyzeStock, formatAnalysis,
   momentumScan, formatMomentum,
   dislocations, formatDislocations,
-  backtestRSI, formatBacktest,
+  backtestRSI,
   getSentiment, formatSentiment,
   findMoonshots, formatMoonshots,
   generateIdeas, formatIdeas,
+  compareStocks, formatComparison, comparisonChartData,
   getChartData,
-  WATCHLIST,
+  setMarketData, setSentimentService,
 } from './quant.js';
+import { SentimentService, SentimentError, SENTIMENT_MODELS, formatSentimentScore, formatEvaluation } from './sentiment.js';
+import { createMarketData, MARKET_DATA_SOURCES, formatPriceCache } from './marketdata.js';
+import {
+  runBacktest, resolveStrategy, loadStrategies, parseBacktestArgs, equityChartData,
+  formatStrategyBacktest, formatStrategyList, STRATEGY_PRESETS, StrategyError,
+} from './backtest.js';
+import {
+  PortfolioManager, PortfolioError, parsePortfolioArgs, tradePrice, portfolioChartData,
+  formatPortfolio, formatAccounts, formatTransaction, formatTransactions, formatLots,
+  formatAllocation, formatPnl, formatHistory,
+} from './portfolio.js';
+import {
+  WatchlistManager, WatchlistError, parseListArg,
+  formatWatchlists, formatWatchlist,
+} from './watchlists.js';
+import {
+  AlertEngine, AlertError, parseAlertArgs,
+  formatAlert, formatAlerts, formatAlertEvents, formatAlertCheck,
+} from './alerts.js';
+import {
+  OptionsEngine, OptionsError, STRATEGIES, parseLegs, strategyName,
+  formatOptionChain, formatExpirations, formatStrategy, payoffChartData,
+} from './options.js';
+import { formatDiff, formatChanges, describeChanges, unifiedPatch, diffLines, diffStats, sideBySide, DEFAULT_CONTEXT } from './diff.js';
+import { formatRevisionHistory, formatRevision } from './revisions.js';
+import { configureSandbox, getSandboxConfig, detectSandbox, formatSandboxStatus, SANDBOX_MODES } from './sandbox.js';
+import { AuthManager, AuthError, AUTH_MODES, sessionCookie, credentialsOf, formatUsers } from './auth.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const ROOT = join(__dirname, '..');
@@ -59,68 +92,311 @@ const ROOT = join(__dirname, '..');
 
 const CONFIG = {
   port: parseInt(process.env.PORT || '3000'),
+  provider: process.env.LLM_PROVIDER || 'ollama',
   ollamaUrl: process.env.OLLAMA_URL || 'http://localhost:11434',
+  openaiBaseUrl: process.env.OPENAI_BASE_URL || null,
+  openaiApiKey: process.env.OPENAI_API_KEY || null,
   model: process.env.MODEL || 'auto',
-  dbPath: join(ROOT, 'memory', 'companion.db'),
+  embedProvider: process.env.EMBED_PROVIDER || null,
+  embedModel: process.env.EMBED_MODEL || 'nomic-embed-text',
+  confirmTimeoutMs: parseInt(process.env.CONFIRM_TIMEOUT_MS || '60000'),
+  agentMaxSteps: parseInt(process.env.AGENT_MAX_STEPS || '6'),
+  dbPath: process.env.DB_PATH || join(ROOT, 'memory', 'companion.db'),
+  exportDir: process.env.EXPORT_DIR || join(ROOT, 'exports'),
+  marketData: process.env.MARKET_DATA || 'yahoo',
+  marketDataDir: process.env.MARKET_DATA_DIR || join(ROOT, 'market-data'),
+  marketDataRecord: process.env.MARKET_DATA_RECORD === '1',
+  marketDataConcurrency: parseInt(process.env.MARKET_DATA_CONCURRENCY || '4'),
+  priceCache: process.env.PRICE_CACHE !== '0',
+  strategyDir: process.env.STRATEGY_DIR || join(ROOT, 'strategies'),
+  alertPollMs: parseInt(process.env.ALERT_POLL_MS || '60000'),
+  riskFreeRate: parseFloat(process.env.RISK_FREE_RATE || '0.045'),
+  sentimentModel: process.env.SENTIMENT_MODEL || 'lexicon',
+  authMode: process.env.AUTH_MODE || 'none',
+  host: process.env.HOST || null,   // default: loopback only when AUTH_MODE=none
+  sandbox: process.env.SANDBOX || 'auto',
+  sandboxNetwork: process.env.SANDBOX_NETWORK === '1',
+  sandboxCpuSeconds: parseInt(process.env.SANDBOX_CPU_SECONDS || '10'),
+  sandboxMemoryMb: parseInt(process.env.SANDBOX_MEMORY_MB || '512'),
 };
 
-// Auto-detect model from Ollama if set to 'auto' or not specified
-async function resolveModel() {
-  if (CONFIG.model !== 'auto') return;
+// ── LLM Providers ──
+
+const providers = createProviders({
+  ollamaUrl: CONFIG.ollamaUrl,
+  openaiBaseUrl: CONFIG.openaiBaseUrl,
+  openaiApiKey: CONFIG.openaiApiKey,
+  mock: CONFIG.provider === 'mock' || process.env.MOCK_PROVIDER === '1',
+});
+if (!providers.has(CONFIG.provider)) {
+  console.warn(`[VELLE.AI] Unknown LLM_PROVIDER "${CONFIG.provider}", falling back to ollama`);
+  CONFIG.provider = 'ollama';
+}
+CONFIG.embedProvider = providers.has(CONFIG.embedProvider) ? CONFIG.embedProvider : CONFIG.provider;
+
+function getProvider(name = CONFIG.provider) {
+  return providers.get(name) || providers.get(CONFIG.provider);
+}
+
+const FALLBACK_MODEL = 'qwen3:8b';
+const PREFERRED_MODELS = ['qwen3:8b', 'llama3.2', 'llama3.1', 'llama3', 'mistral', 'deepseek-r1'];
+
+// Pick a model for a provider: a preferred name if installed, else the first it lists
+async function resolveModel(providerName = CONFIG.provider) {
+  const provider = getProvider(providerName);
   try {
-    const resp = await fetch(`${CONFIG.ollamaUrl}/api/tags`, { signal: AbortSignal.timeout(3000) });
-    const data = await resp.json();
-    const models = (data.models || []).map(m => m.name);
-    if (models.length > 0) {
-      const preferred = ['qwen3:8b', 'llama3.2', 'llama3.1', 'llama3', 'mistral', 'deepseek-r1'];
-      CONFIG.model = preferred.find(p => models.includes(p)) || models[0];
-      console.log(`[VELLE.AI] Auto-detected model: ${CONFIG.model}`);
-    } else {
-      CONFIG.model = 'qwen3:8b';
-      console.log('[VELLE.AI] No models found, defaulting to qwen3:8b');
-    }
+    const models = (await provider.listModels()).map(m => m.name);
+    if (models.length > 0) return PREFERRED_MODELS.find(p => models.includes(p)) || models[0];
+    console.log(`[VELLE.AI] No models found on ${provider.name}, defaulting to ${FALLBACK_MODEL}`);
   } catch {
-    CONFIG.model = 'qwen3:8b';
-    console.log('[VELLE.AI] Ollama not reachable yet, defaulting to qwen3:8b');
+    console.log(`[VELLE.AI] ${provider.name} not reachable yet, defaulting to ${FALLBACK_MODEL}`);
+  }
+  return FALLBACK_MODEL;
+}
+if (CONFIG.model === 'auto') {
+  CONFIG.model = await resolveModel(CONFIG.provider);
+  console.log(`[VELLE.AI] Using model: ${CONFIG.model} (${CONFIG.provider})`);
+}
+
+// Default models for providers other than the active one, resolved on first use
+const providerDefaults = new Map();
+
+// Personalities may pin "provider" and/or "model"; otherwise the global selection applies
+async function chatTarget(personality = {}) {
+  let name = CONFIG.provider;
+  if (personality.provider) {
+    if (providers.has(personality.provider)) name = personality.provider;
+    else console.warn(`[VELLE.AI] Personality provider "${personality.provider}" not configured, using ${CONFIG.provider}`);
   }
+  let model = personality.model;
+  if (!model && name === CONFIG.provider) model = CONFIG.model;
+  if (!model) {
+    if (!providerDefaults.has(name)) providerDefaults.set(name, await resolveModel(name));
+    model = providerDefaults.get(name);
+  }
+  return { provider: getProvider(name), model };
+}
+
+// One-shot completion against the active provider/model (summaries, titles, etc.)
+function completeText(messages, opts = {}) {
+  return getProvider().complete(messages, { model: CONFIG.model, ...opts });
+}
+
+function embedText(text) {
+  return getProvider(CONFIG.embedProvider).embed(text, { model: CONFIG.embedModel });
 }
-try { await resolveModel(); } catch { CONFIG.model = 'qwen3:8b'; }
 
 // ── Initialize ──
 
+// Opening the DB migrates it; a DB from a newer VELLE.AI is left untouched
+function openMemory(dbPath = CONFIG.dbPath) {
+  try {
+    return new MemoryManager(dbPath, { embed: embedText, embedModel: CONFIG.embedModel });
+  } catch (e) {
+    if (!(e instanceof SchemaVersionError)) throw e;
+    console.error(`[DB] ${e.message}`);
+    process.exit(1);
+  }
+}
+
 const app = express();
 const server = createServer(app);
-const wss = new WebSocketServer({ server });
 
-const memory = new MemoryManager(CONFIG.dbPath);
-const commander = new CommandExecutor(memory);
-const reminders = new ReminderEngine(memory.db);
-const mood = new MoodTracker(memory.db);
-const summaries = new SummaryEngine(memory.db, CONFIG.ollamaUrl, CONFIG.model);
+// The main database holds the owner's data plus what accounts share:
+// the accounts themselves and the price, IV and sentiment caches
+const mainMemory = openMemory();
+if (!AUTH_MODES.includes(CONFIG.authMode)) {
+  console.warn(`[VELLE.AI] Unknown AUTH_MODE "${CONFIG.authMode}", falling back to accounts`);
+  CONFIG.authMode = 'accounts';
+}
+const auth = new AuthManager(mainMemory.db, { mode: CONFIG.authMode });
+
+// One sentiment scorer for chat mood and headlines
+if (!SENTIMENT_MODELS.includes(CONFIG.sentimentModel)) {
+  console.warn(`[VELLE.AI] Unknown SENTIMENT_MODEL "${CONFIG.sentimentModel}", falling back to lexicon`);
+  CONFIG.sentimentModel = 'lexicon';
+}
+const sentiment = new SentimentService(mainMemory.db, { model: CONFIG.sentimentModel, complete: completeText });
+setSentimentService(sentiment);
 const fileSearch = new FileSearchEngine();
-const journal = new JournalEngine(memory.db);
-const todos = new TodoManager(memory.db);
-const habits = new HabitTracker(memory.db);
-const pomodoro = new PomodoroEngine(memory.db);
-const goals = new GoalTracker(memory.db);
-const bookmarks = new BookmarkManager(memory.db);
-const kb = new KnowledgeBase(memory.db);
-const achievements = new AchievementEngine(memory.db);
-const insightEngine = new InsightEngine(memory.db);
-const briefing = new BriefingEngine(memory.db);
-const snippets = new SnippetManager(memory.db);
-
-// Start reminder scheduler
-reminders.startAll();
-reminders.startPeriodicCheck();
+
+// ── Market Data ──
+
+if (!MARKET_DATA_SOURCES.includes(CONFIG.marketData)) {
+  console.warn(`[VELLE.AI] Unknown MARKET_DATA "${CONFIG.marketData}", falling back to yahoo`);
+  CONFIG.marketData = 'yahoo';
+}
+const marketData = createMarketData({
+  source: CONFIG.marketData,
+  dir: CONFIG.marketDataDir,
+  record: CONFIG.marketDataRecord,
+  db: CONFIG.priceCache ? mainMemory.db : null,
+  concurrency: CONFIG.marketDataConcurrency,
+});
+setMarketData(marketData);
+const options = new OptionsEngine(mainMemory.db, { rate: CONFIG.riskFreeRate });
+
+// ── Code Sandbox ──
+
+if (!SANDBOX_MODES.includes(CONFIG.sandbox)) {
+  console.warn(`[VELLE.AI] Unknown SANDBOX "${CONFIG.sandbox}", falling back to auto`);
+  CONFIG.sandbox = 'auto';
+}
+try {
+  configureSandbox({
+    mode: CONFIG.sandbox,
+    network: CONFIG.sandboxNetwork,
+    limits: { cpuSeconds: CONFIG.sandboxCpuSeconds, memoryMb: CONFIG.sandboxMemoryMb },
+    hide: [dirname(CONFIG.dbPath), CONFIG.exportDir],   // bwrap / nsjail runs can't read anyone's data
+  });
+} catch (e) {
+  console.warn(`[Sandbox] ${e.message}, falling back to auto`);
+  configureSandbox({ mode: 'auto' });
+}
+const sandboxBackend = getSandboxConfig().backend;
+console.log(`[Sandbox] Code runs under ${sandboxBackend}${CONFIG.sandboxNetwork ? '' : ', network blocked'}`);
+if (sandboxBackend === 'off') console.warn('[Sandbox] No isolation available — /run executes with the server\'s privileges');
+
+// ── Workspaces ──
+// Everything personal lives in a workspace: one account's database and the
+// engines over it, with their own reminder and alert timers. The owner (the
+// first account, or the only user with AUTH_MODE=none) keeps companion.db.
+
+function createWorkspace(memory, user = null) {
+  const policy = new PolicyEngine(memory.db, { allowHighRisk: !user || user.role === 'admin' });
+  const reminders = new ReminderEngine(memory.db);
+  const w = {
+    user,
+    memory,
+    policy,
+    commander: new CommandExecutor(memory, policy),
+    reminders,
+    mood: new MoodTracker(memory.db, { sentiment }),
+    summaries: new SummaryEngine(memory.db, completeText),
+    journal: new JournalEngine(memory.db),
+    todos: new TodoManager(memory.db),
+    habits: new HabitTracker(memory.db),
+    pomodoro: new PomodoroEngine(memory.db),
+    goals: new GoalTracker(memory.db),
+    bookmarks: new BookmarkManager(memory.db),
+    kb: new KnowledgeBase(memory.db),
+    achievements: new AchievementEngine(memory.db),
+    insightEngine: new InsightEngine(memory.db),
+    briefing: new BriefingEngine(memory.db),
+    snippets: new SnippetManager(memory.db),
+    search: new SearchEngine(memory.db),   // after every store it indexes
+    portfolio: new PortfolioManager(memory.db),
+    watchlists: new WatchlistManager(memory.db),
+    // Fired alerts reach the account's clients through its reminder listeners
+    alerts: new AlertEngine(memory.db, { notify: msg => reminders.broadcast(msg) }),
+  };
+  reminders.startAll();
+  reminders.startPeriodicCheck();
+  w.alerts.start(CONFIG.alertPollMs);
+  return w;
+}
+
+const ownerWorkspace = createWorkspace(mainMemory);
+const workspaces = new Map();   // user id → workspace, for accounts with their own DB
+
+function workspaceFor(user) {
+  if (!user?.db_file) return ownerWorkspace;
+  if (!workspaces.has(user.id)) {
+    workspaces.set(user.id, createWorkspace(openMemory(join(dirname(CONFIG.dbPath), user.db_file)), user));
+  }
+  return workspaces.get(user.id);
+}
+
+// Stop a removed account's timers and close its DB (the file stays)
+function closeWorkspace(userId) {
+  const w = workspaces.get(userId);
+  if (!w) return;
+  w.reminders.stopAll();
+  w.alerts.stop();
+  for (const client of wss.clients) if (client.userId === userId) client.close(4001, 'Account removed');
+  w.memory.db.close();
+  workspaces.delete(userId);
+}
+
+// Requests and sockets run inside requestContext, so the engine names used
+// throughout this file resolve to the caller's workspace; outside one
+// (startup, timers) they are the owner's
+const requestContext = new AsyncLocalStorage();
+
+const currentUser = () => requestContext.getStore()?.user || null;
+const currentWorkspace = () => requestContext.getStore()?.workspace || ownerWorkspace;
+
+function isAdmin() {
+  return !auth.enabled || currentUser()?.role === 'admin';
+}
+
+// Host access (shell, files, ports, model switching) and shared settings
+function requireAdmin(what) {
+  if (!isAdmin()) throw new AuthError(`${what} is limited to admins`, 403);
+}
+
+function scoped(key) {
+  return new Proxy({}, {
+    get(_, prop) {
+      const target = currentWorkspace()[key];
+      const value = target[prop];
+      return typeof value === 'function' ? value.bind(target) : value;
+    },
+    set(_, prop, value) {
+      currentWorkspace()[key][prop] = value;
+      return true;
+    },
+  });
+}
+
+const memory = scoped('memory');
+const policy = scoped('policy');
+const commander = scoped('commander');
+const reminders = scoped('reminders');
+const mood = scoped('mood');
+const summaries = scoped('summaries');
+const journal = scoped('journal');
+const todos = scoped('todos');
+const habits = scoped('habits');
+const pomodoro = scoped('pomodoro');
+const goals = scoped('goals');
+const bookmarks = scoped('bookmarks');
+const kb = scoped('kb');
+const achievements = scoped('achievements');
+const insightEngine = scoped('insightEngine');
+const briefing = scoped('briefing');
+const snippets = scoped('snippets');
+const search = scoped('search');
+const portfolio = scoped('portfolio');
+const watchlists = scoped('watchlists');
+const alerts = scoped('alerts');
+
+// Open every account up front so their reminders and alerts run
+for (const user of auth.listUsers()) if (!user.disabled) workspaceFor(auth.getUser(user.id));
+
+// Embed memories saved before embeddings were available (or under another model)
+async function runEmbeddingBackfill() {
+  for (const w of [ownerWorkspace, ...workspaces.values()]) {
+    const r = await w.memory.backfillEmbeddings();
+    if (r.embedded) console.log(`[Memory] Embedded ${r.embedded} memories for ${w.user?.username || 'owner'} (${r.remaining} remaining)`);
+  }
+}
+runEmbeddingBackfill().catch(() => {});
+const backfillTimer = setInterval(() => runEmbeddingBackfill().catch(() => {}), 10 * 60 * 1000);
 
 // Inject engines into command handlers so LLM-triggered actions work
 COMMAND_HANDLERS._reminderEngine = reminders;
+COMMAND_HANDLERS._alertEngine = alerts;
+COMMAND_HANDLERS._options = options;
 COMMAND_HANDLERS._todoManager = todos;
 COMMAND_HANDLERS._habitTracker = habits;
 COMMAND_HANDLERS._goalTracker = goals;
 COMMAND_HANDLERS._bookmarks = bookmarks;
 COMMAND_HANDLERS._knowledgeBase = kb;
+COMMAND_HANDLERS._strategyDir = CONFIG.strategyDir;
+COMMAND_HANDLERS._portfolio = portfolio;
+COMMAND_HANDLERS._watchlists = watchlists;
+COMMAND_HANDLERS._fileSearch = fileSearch;
 
 const TYPE_ICONS = { note: '📝', snippet: '💻', link: '🔗', reference: '📚' };
 
@@ -128,46 +404,199 @@ const TYPE_ICONS = { note: '📝', snippet: '💻', link: '🔗', reference: '
 const profilesPath = join(ROOT, 'personalities', 'profiles.json');
 const personalities = JSON.parse(readFileSync(profilesPath, 'utf-8'));
 
-app.use(express.json());
+// Small JSON bodies are parsed up front, before the auth gate, so every
+// handler runs in the caller's requestContext. Routes taking bigger bodies
+// (/api/import: whole export bundles) parse them after the gate, so nobody
+// can make the server buffer one without logging in.
+const jsonBody = express.json();
+const bundleBody = express.json({ limit: '200mb' });
+const csvBody = express.text({ type: ['text/*', 'application/csv'], limit: '1mb' });
+app.use((req, res, next) => (req.path === '/api/import' ? next() : jsonBody(req, res, next)));
+
+// A parser resumes from socket callbacks, outside requestContext; this
+// carries the caller's context across it
+function parsedInContext(parser) {
+  return (req, res, next) => {
+    const store = requestContext.getStore();
+    parser(req, res, store ? err => requestContext.run(store, () => next(err)) : next);
+  };
+}
+
 app.use(express.static(join(ROOT, 'public')));
 app.use('/assets', express.static(join(ROOT, 'assets')));
 
+// ── Auth ──
+
+const authError = (res, e) => res.status(e instanceof AuthError ? e.status : 500).json({ error: e.message });
+
+function startSession(req, res, user) {
+  const token = auth.createSession(user.id, req.headers['user-agent']);
+  res.setHeader('Set-Cookie', sessionCookie(token, { secure: req.secure }));
+  res.json({ user: auth.publicUser(auth.getUser(user.id)) });
+}
+
+function requireAccount() {
+  const user = currentUser();
+  if (!user) throw new AuthError('Accounts are off (AUTH_MODE=none)');
+  return user;
+}
+
+// Open to everyone: what the login screen needs
+app.get('/api/auth/status', (req, res) => {
+  const user = auth.enabled ? auth.authenticate(req) : null;
+  res.json({ mode: CONFIG.authMode, setup_required: auth.needsSetup(), user: auth.publicUser(user) });
+});
+
+// Body: { code, username, password } — code is printed in the server log
+app.post('/api/auth/setup', async (req, res) => {
+  try {
+    const user = await auth.setup(req.body);
+    console.log(`[Auth] Created admin account "${user.username}"`);
+    startSession(req, res, user);
+  } catch (e) { authError(res, e); }
+});
+
+// Body: { username, password } or { token }
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    if (!auth.enabled) throw new AuthError('Accounts are off (AUTH_MODE=none)');
+    const { username, password, token } = req.body;
+    const user = token ? auth.tokenUser(token) : await auth.login(username, password);
+    if (!user) throw new AuthError('Unknown or revoked token', 401);
+    startSession(req, res, user);
+  } catch (e) { authError(res, e); }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  const cred = credentialsOf(req);
+  if (cred?.kind === 'session') auth.logout(cred.value);
+  res.setHeader('Set-Cookie', sessionCookie('', { maxAge: 0 }));
+  res.json({ ok: true });
+});
+
+// Everything else under /api needs an account when auth is on, and runs in
+// that account's workspace
+app.use('/api', (req, res, next) => {
+  if (!auth.enabled) return next();
+  const user = auth.authenticate(req);
+  if (!user) return res.status(401).json({ error: 'Log in first' });
+  requestContext.run({ user, workspace: workspaceFor(user) }, next);
+});
+
+// Host access and settings every account shares
+app.use([
+  '/api/models/switch', '/api/code/run', '/api/code/sandbox', '/api/code/ports', '/api/code/http', '/api/files',
+  '/api/sentiment/model', '/api/sentiment/cache', '/api/quant/cache', '/api/auth/users',
+], (req, res, next) => (isAdmin() ? next() : res.status(403).json({ error: 'Admins only' })));
+
+app.get('/api/auth/me', (req, res) => {
+  res.json({ mode: CONFIG.authMode, user: auth.publicUser(currentUser()), admin: isAdmin() });
+});
+
+// Body: { current, password } — signs out other sessions, keeps this one
+app.put('/api/auth/password', async (req, res) => {
+  try {
+    const user = requireAccount();
+    await auth.changePassword(user.id, req.body.current, req.body.password);
+    startSession(req, res, user);
+  } catch (e) { authError(res, e); }
+});
+
+app.get('/api/auth/tokens', (req, res) => {
+  try { res.json(auth.listTokens(requireAccount().id)); } catch (e) { authError(res, e); }
+});
+
+// The token is in this response only
+app.post('/api/auth/tokens', (req, res) => {
+  try { res.status(201).json(auth.createToken(requireAccount().id, req.body.name)); } catch (e) { authError(res, e); }
+});
+
+app.delete('/api/auth/tokens/:id', (req, res) => {
+  try { res.json({ deleted: auth.revokeToken(requireAccount().id, parseInt(req.params.id)) }); } catch (e) { authError(res, e); }
+});
+
+app.get('/api/auth/users', (req, res) => res.json(auth.listUsers()));
+
+// Body: { username, password, role }. In token mode (no passwords) the
+// response carries the new account's first API token.
+app.post('/api/auth/users', async (req, res) => {
+  try {
+    const user = await auth.createUser(req.body);
+    workspaceFor(user);
+    const out = { user: auth.publicUser(user) };
+    if (CONFIG.authMode === 'token') out.token = auth.createToken(user.id, 'initial').token;
+    console.log(`[Auth] ${currentUser().username} created account "${user.username}" (${user.role})`);
+    res.status(201).json(out);
+  } catch (e) { authError(res, e); }
+});
+
+// Body: any of { role, disabled, password }
+app.patch('/api/auth/users/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const { role, disabled, password } = req.body;
+    if (password !== undefined) await auth.setPassword(id, password);
+    const user = auth.updateUser(id, { role, disabled });
+    if (user.disabled) closeWorkspace(user.id);
+    else if (workspaces.has(user.id)) workspaces.get(user.id).policy.allowHighRisk = user.role === 'admin';
+    res.json(auth.publicUser(user));
+  } catch (e) { authError(res, e); }
+});
+
+// The account's database file stays in memory/users/
+app.delete('/api/auth/users/:id', (req, res) => {
+  try {
+    const user = auth.deleteUser(parseInt(req.params.id));
+    closeWorkspace(user.id);
+    res.json({ deleted: true, db_file: user.db_file });
+  } catch (e) { authError(res, e); }
+});
+
 // ── Model Management ──
 
 app.get('/api/models', async (req, res) => {
-  try {
-    const resp = await fetch(`${CONFIG.ollamaUrl}/api/tags`);
-    const data = await resp.json();
-    const models = (data.models || []).map(m => ({
-      name: m.name,
-      size: m.size ? `${(m.size / 1e9).toFixed(1)}GB` : null,
-      modified: m.modified_at,
-    }));
-    res.json({ current: CONFIG.model, models });
-  } catch (e) {
-    res.json({ current: CONFIG.model, models: [], error: 'Ollama not reachable' });
-  }
+  const errors = {};
+  const listed = await Promise.all([...providers.values()].map(async p => {
+    try {
+      return (await p.listModels()).map(m => ({ ...m, provider: p.name }));
+    } catch (e) {
+      errors[p.name] = e.message;
+      return [];
+    }
+  }));
+  const models = listed.flat();
+  const result = { current: CONFIG.model, provider: CONFIG.provider, providers: [...providers.keys()], models };
+  if (Object.keys(errors).length) result.errors = errors;
+  if (!models.length) result.error = 'No LLM provider reachable';
+  res.json(result);
 });
 
-app.post('/api/models/switch', (req, res) => {
-  const { model } = req.body;
-  if (!model) return res.status(400).json({ error: 'No model specified' });
-  CONFIG.model = model;
-  console.log(`[VELLE.AI] Model switched to: ${model}`);
-  res.json({ success: true, model });
+app.post('/api/models/switch', async (req, res) => {
+  const { model, provider } = req.body;
+  if (!model && !provider) return res.status(400).json({ error: 'No model or provider specified' });
+  if (provider && !providers.has(provider)) {
+    return res.status(400).json({ error: `Unknown provider: ${provider}`, providers: [...providers.keys()] });
+  }
+  if (provider) CONFIG.provider = provider;
+  CONFIG.model = model || await resolveModel(CONFIG.provider);
+  console.log(`[VELLE.AI] Model switched to: ${CONFIG.model} (${CONFIG.provider})`);
+  res.json({ success: true, model: CONFIG.model, provider: CONFIG.provider });
 });
 
 // ── REST API ──
 
 // ── Coding Tools API ──
 
+// Body: { code, lang, stdin?, network? } — network overrides SANDBOX_NETWORK for this run
 app.post('/api/code/run', async (req, res) => {
-  const { code, lang } = req.body;
+  const { code, lang, stdin, network } = req.body;
   if (!code) return res.status(400).json({ error: 'No code provided' });
-  const result = await runCode(code, lang || 'javascript');
+  const result = await runCode(code, lang || 'javascript', { stdin, network: typeof network === 'boolean' ? network : undefined });
   res.json(result);
 });
 
+app.get('/api/code/sandbox', (req, res) => res.json({ ...getSandboxConfig(), host: detectSandbox() }));
+
 app.get('/api/snippets', (req, res) => res.json(snippets.getAll()));
 app.post('/api/snippets', (req, res) => {
   const { name, code, language, tags } = req.body;
@@ -178,6 +607,13 @@ app.get('/api/snippets/:id', (req, res) => {
   const s = snippets.get(parseInt(req.params.id));
   s ? res.json(s) : res.status(404).json({ error: 'Not found' });
 });
+app.put('/api/snippets/:id', (req, res) => {
+  const before = snippets.get(parseInt(req.params.id));
+  if (!before) return res.status(404).json({ error: 'Not found' });
+  if (!req.body.code) return res.status(400).json({ error: 'Need code' });
+  const after = snippets.update(before.id, req.body.code);
+  res.json({ ...after, changes: describeChanges(before.code, after.code) });
+});
 app.delete('/api/snippets/:id', (req, res) => {
   snippets.delete(parseInt(req.params.id));
   res.json({ success: true });
@@ -209,6 +645,22 @@ app.post('/api/code/hash', (req, res) => {
   res.json({ result: hashText(text || '', algo || 'sha256') });
 });
 
+// Body: { a, b, format?: json|split|patch, context?, from?, to? }
+// json: stats + every line; split: side-by-side rows; patch: .diff download
+app.post('/api/code/diff', (req, res) => {
+  const { a, b, format = 'json', from = 'a', to = 'b' } = req.body;
+  if (typeof a !== 'string' || typeof b !== 'string') return res.status(400).json({ error: 'Need a and b as strings' });
+  const context = Number.isInteger(req.body.context) ? req.body.context : DEFAULT_CONTEXT;
+  if (format === 'patch') {
+    res.attachment('changes.diff').type('text/x-diff');
+    return res.send(unifiedPatch(a, b, { from, to, context }));
+  }
+  if (format === 'split') return res.json({ ...diffStats(diffLines(a, b)), rows: sideBySide(a, b, { context }) });
+  if (format !== 'json') return res.status(400).json({ error: 'format must be json, split or patch' });
+  const lines = diffLines(a, b);
+  res.json({ ...diffStats(lines), lines });
+});
+
 app.get('/api/code/ports', async (req, res) => res.json(await scanPorts()));
 app.post('/api/code/http', async (req, res) => {
   const { url, method, body, headers } = req.body;
@@ -223,10 +675,23 @@ app.get('/api/personalities', (req, res) => {
   res.json(list);
 });
 
-// Get memories
-app.get('/api/memories', (req, res) => {
-  const category = req.query.category || null;
-  res.json(memory.getMemories(category, 50));
+// Get memories (?q= ranks by semantic similarity, keyword fallback)
+app.get('/api/memories', async (req, res) => {
+  try {
+    if (req.query.q) {
+      const limit = parseInt(req.query.limit) || 10;
+      return res.json(await memory.semanticSearch(req.query.q, limit));
+    }
+    const category = req.query.category || null;
+    res.json(memory.getMemories(category, 50));
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// Embed any memories still missing vectors
+app.post('/api/memories/backfill', async (req, res) => {
+  try {
+    res.json(await memory.backfillEmbeddings(parseInt(req.body.batch) || 100));
+  } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
 // Save a memory
@@ -243,9 +708,87 @@ app.delete('/api/memories/:id', (req, res) => {
   res.json({ deleted: true });
 });
 
-// Get conversation sessions
+// Get conversation sessions (?archived=1 for the archive)
 app.get('/api/sessions', (req, res) => {
-  res.json(memory.getAllSessions());
+  res.json(memory.getAllSessions({ archived: req.query.archived === '1' }));
+});
+
+// Full-text search across sessions: snippets + message ids to jump to
+app.get('/api/sessions/search', (req, res) => {
+  if (!req.query.q) return res.status(400).json({ error: 'q required' });
+  res.json(memory.searchSessions(req.query.q, {
+    limit: parseInt(req.query.limit) || 50,
+    archived: req.query.archived !== '0',
+  }));
+});
+
+// One session with its active branch
+app.get('/api/sessions/:id', (req, res) => {
+  const session = memory.getSession(req.params.id);
+  if (!session) return res.status(404).json({ error: 'Session not found' });
+  res.json({ ...session, messages: memory.getBranchView(req.params.id) });
+});
+
+// Rename, pin or archive
+app.patch('/api/sessions/:id', (req, res) => {
+  const { title, pinned, archived } = req.body;
+  const session = memory.updateSession(req.params.id, { title, pinned, archived });
+  if (!session) return res.status(404).json({ error: 'Session not found' });
+  res.json(session);
+});
+
+app.delete('/api/sessions/:id', (req, res) => {
+  res.json({ deleted: memory.deleteSession(req.params.id) });
+});
+
+// ── Export / Import ──
+
+// Accounts with their own database export into exportDir/<username>
+function exportDir() {
+  const user = currentUser();
+  return user?.db_file ? join(CONFIG.exportDir, user.username) : CONFIG.exportDir;
+}
+
+// Write the JSON bundle and/or Markdown vault to exportDir
+function writeExport(format = 'all') {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+  const dir = exportDir();
+  if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+  const out = {};
+  if (format === 'json' || format === 'all') {
+    const bundle = exportBundle(memory.db);
+    out.json = join(dir, `velle-export-${stamp}.json`);
+    writeFileSync(out.json, JSON.stringify(bundle, null, 2));
+    out.counts = bundle.counts;
+  }
+  if (format === 'markdown' || format === 'all') {
+    out.markdown = join(dir, `velle-vault-${stamp}`);
+    out.files = exportMarkdown(memory.db, out.markdown).length;
+  }
+  return out;
+}
+
+// ?format=json (download, default) | markdown (vault written to exportDir)
+app.get('/api/export', (req, res) => {
+  try {
+    if (req.query.format === 'markdown') return res.json(writeExport('markdown'));
+    const bundle = exportBundle(memory.db);
+    res.setHeader('Content-Disposition', `attachment; filename="velle-export-${bundle.exported_at.slice(0, 10)}.json"`);
+    res.json(bundle);
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// Body: an export bundle. ?dry_run=1 reports without writing;
+// ?on_conflict=replace overwrites local rows that differ.
+app.post('/api/import', parsedInContext(bundleBody), (req, res) => {
+  try {
+    const report = importBundle(memory.db, req.body, {
+      dryRun: req.query.dry_run === '1',
+      onConflict: req.query.on_conflict === 'replace' ? 'replace' : 'keep',
+    });
+    if (!report.dry_run) portfolio.rebuildAll();
+    res.json(report);
+  } catch (e) { res.status(400).json({ error: e.message }); }
 });
 
 // Get stats
@@ -258,25 +801,59 @@ app.get('/api/commands', (req, res) => {
   res.json(commander.getAvailableCommands());
 });
 
-// Health check (also checks Ollama connectivity)
-app.get('/api/health', async (req, res) => {
-  let ollamaStatus = 'unknown';
+// Param schemas, in the tool-definition format sent to the model
+app.get('/api/commands/schemas', (req, res) => {
+  res.json(commander.getToolDefinitions());
+});
+
+// ── Permissions API ──
+
+app.get('/api/permissions', (req, res) => {
+  res.json({
+    actions: policy.getOverview(commander.getAvailableCommands()),
+    rules: policy.listRules(),
+    recent: policy.getRecentDecisions(parseInt(req.query.limit) || 50),
+  });
+});
+
+app.post('/api/permissions/rules', (req, res) => {
+  const { action, decision, pattern, note } = req.body;
+  if (!action || !decision) return res.status(400).json({ error: 'action and decision required' });
   try {
-    const resp = await fetch(`${CONFIG.ollamaUrl}/api/tags`);
-    if (resp.ok) {
-      const data = await resp.json();
-      ollamaStatus = `connected (${data.models?.length || 0} models)`;
-    } else {
-      ollamaStatus = 'error: ' + resp.status;
-    }
+    res.json(policy.addRule(action, decision, pattern || null, note || null));
   } catch (e) {
-    ollamaStatus = 'unreachable: ' + e.message;
+    res.status(400).json({ error: e.message });
+  }
+});
+
+app.delete('/api/permissions/rules/:id', (req, res) => {
+  res.json({ deleted: policy.deleteRule(parseInt(req.params.id)) });
+});
+
+// Dry run: what would happen if the model asked for this?
+app.post('/api/permissions/check', (req, res) => {
+  const { action, params } = req.body;
+  if (!action) return res.status(400).json({ error: 'action required' });
+  res.json(policy.evaluate(action, params || {}));
+});
+
+// Health check (also checks LLM provider connectivity)
+app.get('/api/health', async (req, res) => {
+  const providerStatus = {};
+  for (const [name, p] of providers) {
+    providerStatus[name] = (await p.health()).detail;
   }
 
   res.json({
     status: 'running',
-    ollama: ollamaStatus,
+    provider: CONFIG.provider,
+    providers: providerStatus,
     model: CONFIG.model,
+    market_data: marketData.name,
+    sentiment_model: sentiment.model,
+    auth_mode: CONFIG.authMode,
+    sandbox: getSandboxConfig().backend,
+    schema_version: getSchemaVersion(memory.db),
     ...memory.getStats()
   });
 });
@@ -304,28 +881,62 @@ app.get('/api/quant/analyze/:ticker', async (req, res) => {
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
+// ?symbols=NVDA,AMD,INTC&range=1y&benchmark=SPY&window=60
+app.get('/api/quant/compare', async (req, res) => {
+  try {
+    const symbols = String(req.query.symbols || '').split(',').map(s => s.trim()).filter(Boolean);
+    const c = await compareStocks(symbols, req.query.range || '1y', {
+      benchmark: req.query.benchmark ?? 'SPY',
+      window: parseInt(req.query.window) || 60,
+    });
+    if (c.error) return res.status(400).json(c);
+    res.json({ ...c, chart: comparisonChartData(c) });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
 app.get('/api/quant/chart/:ticker', async (req, res) => {
   try {
     const range = req.query.range || '6mo';
-    const chart = await getChartData(req.params.ticker, range);
+    const chart = await getChartData(req.params.ticker, range, req.query.overlays || '');
     res.json(chart);
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
+// Options — ?expiration=YYYY-MM-DD, the one nearest a month out otherwise
+const optionsError = (res, e) => res.status(e instanceof OptionsError ? (/^No option chain/.test(e.message) ? 404 : 400) : 500).json({ error: e.message });
+
+app.get('/api/options/:symbol', async (req, res) => {
+  try {
+    res.json(await options.chain(req.params.symbol, req.query.expiration || null));
+  } catch (e) { optionsError(res, e); }
+});
+
+// Body: { strategy, expiration?, strikes?: [low, ..., high], quantity? } or { legs: "+1c180 -1c190", ... }
+app.post('/api/options/:symbol/strategy', async (req, res) => {
+  try {
+    const { strategy, legs, expiration, strikes, quantity } = req.body || {};
+    const s = await options.strategy(req.params.symbol, { strategy, legs, expiration, strikes: strikes || [], quantity });
+    res.json({ ...s, chart: payoffChartData(s) });
+  } catch (e) { optionsError(res, e); }
+});
+
+// Scans take ?list=NAME (the default watchlist otherwise)
+const watchlistError = (res, e) => res.status(e instanceof WatchlistError ? (/^No watchlist/.test(e.message) ? 404 : 400) : 500).json({ error: e.message });
+
 app.get('/api/quant/momentum', async (req, res) => {
   try {
     const n = parseInt(req.query.n) || 10;
-    const picks = await momentumScan(n);
+    const picks = await momentumScan(n, watchlists.symbols(req.query.list));
     res.json(picks);
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { watchlistError(res, e); }
 });
 
 app.get('/api/quant/dislocations', async (req, res) => {
   try {
     const n = parseInt(req.query.n) || 10;
-    const picks = await dislocations(n);
+    const picks = await dislocations(n, watchlists.symbols(req.query.list));
     res.json(picks);
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { watchlistError(res, e); }
 });
 
 app.get('/api/quant/backtest/:ticker', async (req, res) => {
@@ -335,6 +946,22 @@ app.get('/api/quant/backtest/:ticker', async (req, res) => {
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
+// Strategy backtest: { symbols, strategy: name | { long, short, ... }, options }
+app.post('/api/quant/backtest', async (req, res) => {
+  try {
+    const { symbols, strategy, options = {} } = req.body || {};
+    const bt = await runBacktest(symbols || [], await resolveStrategy(strategy, { dir: CONFIG.strategyDir }), options);
+    if (bt.error) return res.status(404).json(bt);
+    res.json({ ...bt, chart: equityChartData(bt) });
+  } catch (e) {
+    res.status(e instanceof StrategyError ? 400 : 500).json({ error: e.message });
+  }
+});
+
+app.get('/api/quant/strategies', async (req, res) => {
+  res.json({ ...STRATEGY_PRESETS, ...await loadStrategies(CONFIG.strategyDir) });
+});
+
 app.get('/api/quant/sentiment/:ticker', async (req, res) => {
   try {
     const s = await getSentiment(req.params.ticker);
@@ -342,23 +969,232 @@ app.get('/api/quant/sentiment/:ticker', async (req, res) => {
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
+// Sentiment service — body: { text, model? }
+const sentimentError = (res, e) => res.status(e instanceof SentimentError ? 400 : 500).json({ error: e.message });
+
+app.post('/api/sentiment', async (req, res) => {
+  try {
+    const { text, model } = req.body || {};
+    if (model && !SENTIMENT_MODELS.includes(model)) throw new SentimentError(`Sentiment model must be one of: ${SENTIMENT_MODELS.join(', ')}`);
+    res.json(await sentiment.score(text, { model: model || sentiment.model }));
+  } catch (e) { sentimentError(res, e); }
+});
+
+// Accuracy on the bundled labelled set (?model=llm to try the LLM)
+app.get('/api/sentiment/eval', async (req, res) => {
+  try {
+    const model = req.query.model || sentiment.model;
+    if (!SENTIMENT_MODELS.includes(model)) throw new SentimentError(`Sentiment model must be one of: ${SENTIMENT_MODELS.join(', ')}`);
+    res.json(await sentiment.evaluate({ model }));
+  } catch (e) { sentimentError(res, e); }
+});
+
+// Body: { model: 'lexicon' | 'llm' }
+app.put('/api/sentiment/model', (req, res) => {
+  try {
+    sentiment.setModel(req.body?.model);
+    res.json({ model: sentiment.model });
+  } catch (e) { sentimentError(res, e); }
+});
+
+app.get('/api/sentiment/cache', (req, res) => {
+  res.json(sentiment.cacheStats());
+});
+
+app.delete('/api/sentiment/cache', (req, res) => {
+  res.json({ deleted: sentiment.clearCache() });
+});
+
 app.get('/api/quant/moonshots', async (req, res) => {
   try {
-    const picks = await findMoonshots();
+    const picks = await findMoonshots(5, watchlists.symbols(req.query.list));
     res.json(picks);
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { watchlistError(res, e); }
 });
 
-app.get('/api/quant/watchlist', (req, res) => {
-  res.json(WATCHLIST);
+app.get('/api/quant/cache', (req, res) => {
+  if (!marketData.stats) return res.status(404).json({ error: `No price cache for ${marketData.name} data` });
+  res.json(marketData.stats());
+});
+
+app.delete('/api/quant/cache', (req, res) => {
+  if (!marketData.clear) return res.status(404).json({ error: `No price cache for ${marketData.name} data` });
+  res.json({ deleted: marketData.clear(req.query.symbol || null) });
 });
 
 app.get('/api/quant/ideas', async (req, res) => {
   try {
     const n = parseInt(req.query.n) || 5;
-    const ideas = await generateIdeas(n);
+    const ideas = await generateIdeas(n, watchlists.symbols(req.query.list));
     res.json(ideas);
-  } catch (e) { res.status(500).json({ error: e.message }); }
+  } catch (e) { watchlistError(res, e); }
+});
+
+// ── Watchlist Endpoints ──
+
+app.get('/api/quant/watchlist', (req, res) => {
+  res.json(watchlists.list().map(w => watchlists.get(w.name)));
+});
+
+// Body: { name, description?, symbols? }
+app.post('/api/quant/watchlist', (req, res) => {
+  try {
+    const { name, description, symbols } = req.body || {};
+    res.json(watchlists.create(name, { description, symbols }));
+  } catch (e) { watchlistError(res, e); }
+});
+
+app.get('/api/quant/watchlist/:name', (req, res) => {
+  try {
+    res.json(watchlists.get(req.params.name));
+  } catch (e) { watchlistError(res, e); }
+});
+
+// Body: { name?, description?, default: true? }
+app.patch('/api/quant/watchlist/:name', (req, res) => {
+  try {
+    const { name, description } = req.body || {};
+    res.json(watchlists.update(req.params.name, { name, description, is_default: req.body?.default === true }));
+  } catch (e) { watchlistError(res, e); }
+});
+
+// Body: { symbols } — replaces the whole list
+app.put('/api/quant/watchlist/:name', (req, res) => {
+  try {
+    res.json(watchlists.replace(req.params.name, req.body?.symbols || []));
+  } catch (e) { watchlistError(res, e); }
+});
+
+app.delete('/api/quant/watchlist/:name', (req, res) => {
+  try {
+    res.json({ deleted: watchlists.delete(req.params.name) });
+  } catch (e) { watchlistError(res, e); }
+});
+
+// Body: { symbols: ['NVDA', …] or "NVDA, AMD" }
+app.post('/api/quant/watchlist/:name/symbols', (req, res) => {
+  try {
+    res.json(watchlists.add(req.params.name, req.body?.symbols || []));
+  } catch (e) { watchlistError(res, e); }
+});
+
+app.delete('/api/quant/watchlist/:name/symbols/:symbol', (req, res) => {
+  try {
+    res.json(watchlists.remove(req.params.name, [req.params.symbol]));
+  } catch (e) { watchlistError(res, e); }
+});
+
+// Body: CSV text (or JSON { csv }); ?replace=1 swaps the contents.
+// Creates the list if it doesn't exist.
+app.post('/api/quant/watchlist/:name/import', parsedInContext(csvBody), (req, res) => {
+  try {
+    const csv = typeof req.body === 'string' ? req.body : req.body?.csv;
+    res.json(watchlists.importCsv(req.params.name, csv, { replace: req.query.replace === '1' }));
+  } catch (e) { watchlistError(res, e); }
+});
+
+app.get('/api/quant/watchlist/:name/export', (req, res) => {
+  try {
+    const csv = watchlists.exportCsv(req.params.name);
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${req.params.name}.csv"`);
+    res.send(csv);
+  } catch (e) { watchlistError(res, e); }
+});
+
+// ── Portfolio Endpoints ──
+// Bad input (unknown account, overselling, …) is a 400
+
+const portfolioError = (res, e) => res.status(e instanceof PortfolioError ? 400 : 500).json({ error: e.message });
+
+// ?account=NAME for one account, all of them otherwise
+app.get('/api/portfolio', async (req, res) => {
+  try {
+    res.json(await portfolio.summary({ account: req.query.account }));
+  } catch (e) { portfolioError(res, e); }
+});
+
+app.get('/api/portfolio/accounts', (req, res) => {
+  res.json(portfolio.listAccounts());
+});
+
+app.post('/api/portfolio/accounts', (req, res) => {
+  try {
+    const { name, cost_method, currency } = req.body || {};
+    res.json(portfolio.createAccount(name, { cost_method, currency }));
+  } catch (e) { portfolioError(res, e); }
+});
+
+// Body: { name?, cost_method? }
+app.patch('/api/portfolio/accounts/:account', (req, res) => {
+  try {
+    res.json(portfolio.updateAccount(req.params.account, req.body || {}));
+  } catch (e) { portfolioError(res, e); }
+});
+
+app.delete('/api/portfolio/accounts/:account', (req, res) => {
+  try {
+    res.json({ deleted: portfolio.deleteAccount(req.params.account) });
+  } catch (e) { portfolioError(res, e); }
+});
+
+app.get('/api/portfolio/transactions', (req, res) => {
+  try {
+    const { account, symbol, type } = req.query;
+    res.json(portfolio.listTransactions({ account, symbol, type, limit: parseInt(req.query.limit) || 100 }));
+  } catch (e) { portfolioError(res, e); }
+});
+
+// Body: { type, symbol?, quantity?, price?, amount?, fees?, date?, account?, note? }.
+// Buys and sells without a price use the current quote.
+app.post('/api/portfolio/transactions', async (req, res) => {
+  try {
+    const tx = { ...req.body };
+    if (tx.type === 'buy' || tx.type === 'sell') tx.price = await tradePrice(tx.symbol || '', tx.price);
+    res.json(portfolio.addTransaction(tx));
+  } catch (e) { portfolioError(res, e); }
+});
+
+app.delete('/api/portfolio/transactions/:id', (req, res) => {
+  try {
+    const ok = portfolio.deleteTransaction(parseInt(req.params.id));
+    if (!ok) return res.status(404).json({ error: 'Transaction not found' });
+    res.json({ deleted: true });
+  } catch (e) { portfolioError(res, e); }
+});
+
+// ?all=1 includes closed lots
+app.get('/api/portfolio/lots', (req, res) => {
+  try {
+    const { account, symbol } = req.query;
+    res.json(portfolio.listLots({ account, symbol, open: req.query.all !== '1' }));
+  } catch (e) { portfolioError(res, e); }
+});
+
+app.get('/api/portfolio/allocation', async (req, res) => {
+  try {
+    res.json(await portfolio.allocation({ account: req.query.account }));
+  } catch (e) { portfolioError(res, e); }
+});
+
+app.get('/api/portfolio/pnl', (req, res) => {
+  try {
+    res.json(portfolio.pnl({ account: req.query.account, year: req.query.year }));
+  } catch (e) { portfolioError(res, e); }
+});
+
+app.get('/api/portfolio/history', async (req, res) => {
+  try {
+    const h = await portfolio.history({ account: req.query.account, range: req.query.range || '1y' });
+    res.json({ ...h, chart: portfolioChartData(h) });
+  } catch (e) { portfolioError(res, e); }
+});
+
+// Body: { sector, industry? } — overrides the looked-up sector
+app.put('/api/portfolio/securities/:symbol', (req, res) => {
+  if (!req.body?.sector) return res.status(400).json({ error: 'Need a sector' });
+  portfolio.setSector(req.params.symbol, req.body.sector, req.body.industry || null);
+  res.json({ symbol: req.params.symbol.toUpperCase(), sector: req.body.sector });
 });
 
 // ── Advanced Feature Endpoints ──
@@ -378,6 +1214,45 @@ app.delete('/api/reminders/:id', (req, res) => {
   res.json(reminders.remove(parseInt(req.params.id)));
 });
 
+// Market alerts
+const alertError = (res, e) => res.status(e instanceof AlertError ? (/^No alert/.test(e.message) ? 404 : 400) : 500).json({ error: e.message });
+
+app.get('/api/alerts', (req, res) => {
+  res.json(alerts.list({ status: req.query.status || null }));
+});
+
+// Body: { symbol, condition, label?, once?, cooldown_minutes? }
+app.post('/api/alerts', (req, res) => {
+  try {
+    const { symbol, condition, label, once, cooldown_minutes } = req.body || {};
+    res.json(alerts.add({ symbol, condition, label, once, cooldown: cooldown_minutes }));
+  } catch (e) { alertError(res, e); }
+});
+
+app.get('/api/alerts/events', (req, res) => {
+  res.json(alerts.events(parseInt(req.query.limit) || 50));
+});
+
+// Evaluate every active alert now instead of waiting for the next poll
+app.post('/api/alerts/check', async (req, res) => {
+  try {
+    res.json(await alerts.check());
+  } catch (e) { alertError(res, e); }
+});
+
+// Body: { status: 'active' | 'paused' }
+app.patch('/api/alerts/:id', (req, res) => {
+  try {
+    res.json(alerts.setStatus(parseInt(req.params.id), req.body?.status));
+  } catch (e) { alertError(res, e); }
+});
+
+app.delete('/api/alerts/:id', (req, res) => {
+  try {
+    res.json({ deleted: alerts.remove(parseInt(req.params.id)) });
+  } catch (e) { alertError(res, e); }
+});
+
 // Mood
 app.get('/api/mood', (req, res) => {
   res.json(mood.getCurrentMood());
@@ -406,6 +1281,13 @@ app.post('/api/summaries/generate', async (req, res) => {
 });
 
 // File search
+// Unified full-text search (?types=journal,knowledge to narrow)
+app.get('/api/search', (req, res) => {
+  if (!req.query.q) return res.status(400).json({ error: 'Need ?q=query' });
+  const types = req.query.types ? req.query.types.split(',') : undefined;
+  res.json(search.search(req.query.q, { types, limit: parseInt(req.query.limit) || 10 }));
+});
+
 app.get('/api/files/search', (req, res) => {
   const q = req.query.q;
   if (!q) return res.status(400).json({ error: 'Need ?q=query' });
@@ -464,7 +1346,9 @@ app.post('/api/journal', (req, res) => {
 app.put('/api/journal/:id', (req, res) => {
   const { content } = req.body;
   if (!content) return res.status(400).json({ error: 'Need content' });
-  res.json(journal.edit(parseInt(req.params.id), content));
+  const before = journal.getEntry(parseInt(req.params.id));
+  if (!before) return res.status(404).json({ error: 'Not found' });
+  res.json({ ...journal.edit(before.id, content), changes: describeChanges(before.content, content) });
 });
 
 app.delete('/api/journal/:id', (req, res) => {
@@ -553,9 +1437,27 @@ app.get('/api/kb/:id', (req, res) => {
   if (!item) return res.status(404).json({ error: 'Not found' });
   res.json(item);
 });
-app.put('/api/kb/:id', (req, res) => res.json(kb.update(parseInt(req.params.id), req.body.content)));
+app.put('/api/kb/:id', (req, res) => {
+  const before = kb.get(parseInt(req.params.id));
+  if (!before) return res.status(404).json({ error: 'Not found' });
+  if (!req.body.content) return res.status(400).json({ error: 'Need content' });
+  res.json({ ...kb.update(before.id, req.body.content), changes: describeChanges(before.content, req.body.content) });
+});
 app.delete('/api/kb/:id', (req, res) => res.json(kb.delete(parseInt(req.params.id))));
 
+// Revision history: list, view (with what it changed) and restore
+for (const [path, type, store] of [['snippets', 'snippet', snippets], ['kb', 'knowledge', kb], ['journal', 'journal', journal]]) {
+  app.get(`/api/${path}/:id/revisions`, (req, res) => res.json(store.history(parseInt(req.params.id))));
+  app.get(`/api/${path}/:id/revisions/:rev`, (req, res) => {
+    const r = store.revisions.view(type, parseInt(req.params.id), parseInt(req.params.rev));
+    r ? res.json(r) : res.status(404).json({ error: 'Revision not found' });
+  });
+  app.post(`/api/${path}/:id/revisions/:rev/restore`, (req, res) => {
+    const item = store.restore(parseInt(req.params.id), parseInt(req.params.rev));
+    item ? res.json(item) : res.status(404).json({ error: 'Revision or item not found' });
+  });
+}
+
 // Achievements
 app.get('/api/achievements', (req, res) => res.json(achievements.getAll()));
 app.get('/api/achievements/progress', (req, res) => res.json(achievements.getProgress()));
@@ -630,16 +1532,181 @@ app.get('/api/dashboard', (req, res) => {
   });
 });
 
+// ── REST chat (Server-Sent Events) ──
+// POST /api/chat runs a message through the same pipeline as the WebSocket
+// `chat` message: slash commands first, then handleChat with memory, tools
+// and the permission policy. Both write events to a socket-like `send`;
+// ChatChannel forwards them as SSE frames (event: <type>), or only keeps
+// them for a single JSON reply when stream=false.
+
+const SSE_HEARTBEAT_MS = 15000;
+
+function newSessionId() {
+  return `session_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+class ChatChannel {
+  constructor(res, { stream }) {
+    this.res = res;
+    this.stream = stream;
+    this.events = [];          // everything but tokens, for the summary
+    this.readyState = 1;       // WebSocket.OPEN, as listeners check it
+    this.userId = currentUser()?.id ?? null;
+  }
+
+  send(raw) {
+    if (this.readyState !== 1) return;
+    const event = JSON.parse(raw);
+    if (event.type !== 'stream_token') this.events.push(event);
+    if (this.stream) this.res.write(`event: ${event.type}\ndata: ${raw}\n\n`);
+  }
+
+  close() {
+    this.readyState = 3;
+  }
+}
+
+// What a REST caller gets back: the reply, and what ran to produce it
+function chatSummary(sessionId, events) {
+  const of = type => events.filter(e => e.type === type);
+  const strip = ({ type, ...rest }) => rest;
+  const end = of('stream_end').filter(e => !e.partial).pop();
+  const slash = of('slash_result').pop();
+  return {
+    session_id: sessionId,
+    reply: slash ? slash.content : end?.full_content ?? '',
+    slash_command: !!slash,
+    message_id: end?.message_id ?? null,
+    model: end?.model ?? null,
+    provider: end?.provider ?? null,
+    stopped: !!end?.stopped,
+    commands: of('command_result').map(strip),
+    memories: of('memory_auto_saved').map(strip),
+    achievements: of('achievement_unlocked').map(strip),
+    error: of('error').pop()?.content ?? null,
+  };
+}
+
+// Body: { message, session_id?, personality?, model?, provider?, agent?, stream? }
+// stream (default true) → text/event-stream ending in `event: done` with the
+// summary; stream=false (body or ?stream=false) → the summary as JSON.
+// Actions the policy marks "ask" can be answered with POST /api/chat/confirm
+// while streaming; with stream=false there is no one to ask and they're denied.
+app.post('/api/chat', async (req, res) => {
+  const { message, session_id, personality = 'default', model, provider, agent } = req.body;
+  const stream = req.body.stream !== false && req.query.stream !== 'false';
+  if (typeof message !== 'string' || !message.trim()) return res.status(400).json({ error: 'Need message' });
+  if (!personalities[personality]) return res.status(400).json({ error: `Unknown personality: ${personality}` });
+  if (provider && !providers.has(provider)) return res.status(400).json({ error: `Provider not configured: ${provider}` });
+
+  const sessionId = session_id || newSessionId();
+  const channel = new ChatChannel(res, { stream });
+  const turn = new AbortController();
+  let heartbeat = null;
+  res.on('close', () => {
+    if (!res.writableFinished) turn.abort();   // the caller went away mid-turn
+    channel.close();
+    clearInterval(heartbeat);
+  });
+
+  if (stream) {
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive', 'X-Accel-Buffering': 'no' });
+    res.flushHeaders();
+    heartbeat = setInterval(() => res.write(': keep-alive\n\n'), SSE_HEARTBEAT_MS);
+    channel.send(JSON.stringify({ type: 'session', session_id: sessionId }));
+  }
+
+  try {
+    const handled = await handleSlashCommand(channel, message, sessionId);
+    if (!handled) {
+      await handleChat(channel, sessionId, personality, message.trim(), {
+        agent: !!agent, signal: turn.signal, model, provider, interactive: stream,
+      });
+      autoTitle(channel, sessionId).catch(err => console.warn('[Sessions] Title failed:', err.message));
+    }
+  } catch (err) {
+    channel.send(JSON.stringify({ type: 'error', content: err.message }));
+  }
+
+  const summary = chatSummary(sessionId, channel.events);
+  channel.close();   // the title may land later; it's only saved then
+  if (!stream) return res.status(summary.error && !summary.reply ? 502 : 200).json(summary);
+  res.write(`event: done\ndata: ${JSON.stringify(summary)}\n\n`);
+  res.end();
+});
+
+// Answer a command_confirm_request from a streaming /api/chat turn
+app.post('/api/chat/confirm', (req, res) => {
+  const { id, approved, remember } = req.body;
+  const pending = pendingConfirms.get(id);
+  if (!pending || pending.ws.userId !== (currentUser()?.id ?? null)) return res.status(404).json({ error: 'No pending confirmation with that id' });
+  resolveConfirmation(pending.ws, id, { approved: !!approved, remember: !!remember });
+  res.json({ id, approved: !!approved });
+});
+
 // ── WebSocket (streaming chat) ──
 
-wss.on('connection', (ws) => {
-  let sessionId = `session_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+// The handshake takes the same credentials as REST, plus ?token= for
+// clients that can't set headers. Browsers always send Origin; another
+// site's is refused so a web page can't drive this server.
+const wss = new WebSocketServer({
+  server,
+  verifyClient({ origin, req }, done) {
+    if (origin) {
+      let host = null;
+      try { host = new URL(origin).host; } catch {}
+      if (host !== req.headers.host) return done(false, 403, 'Cross-origin WebSocket refused');
+    }
+    if (!auth.enabled) return done(true);
+    req.user = auth.authenticate(req, { allowQuery: true });
+    done(!!req.user, 401, 'Log in first');
+  },
+});
+
+// A socket lives in its account's workspace; its listeners are bound to it
+wss.on('connection', (ws, req) => {
+  ws.userId = req.user?.id ?? null;
+  requestContext.run({ user: req.user || null, workspace: workspaceFor(req.user) }, () => handleConnection(ws));
+});
+
+function handleConnection(ws) {
+  let sessionId = newSessionId();
   let currentPersonality = 'default';
+  let agentMode = false;
+  let activeTurn = null;   // AbortController for the chat turn in progress
+
+  const runTurn = async (content, { agent, userMessageId } = {}) => {
+    activeTurn = new AbortController();
+    try {
+      await handleChat(ws, sessionId, currentPersonality, content, {
+        agent: agent ?? agentMode,
+        signal: activeTurn.signal,
+        userMessageId,
+      });
+    } finally {
+      activeTurn = null;
+    }
+    autoTitle(ws, sessionId).catch(err => console.warn('[Sessions] Title failed:', err.message));
+  };
+
+  // Answer an existing user message again, as a new branch under it
+  const replyTo = async (userMsg, agent) => {
+    memory.setActiveLeaf(sessionId, userMsg.id);
+    sendBranch();
+    memory.setActiveLeaf(sessionId, userMsg.parent_id);   // prompt history stops before it
+    await runTurn(userMsg.content, { agent, userMessageId: userMsg.id });
+    sendBranch();
+  };
+
+  // The active branch, with sibling ids at each fork
+  const sendBranch = (limit = 50) => {
+    ws.send(JSON.stringify({ type: 'history', branch: true, messages: memory.getBranchView(sessionId).slice(-limit) }));
+  };
 
   console.log(`[WS] New connection: ${sessionId}`);
   reminders.addListener(ws);
 
-  ws.on('message', async (raw) => {
+  ws.on('message', AsyncResource.bind(async (raw) => {
     let msg;
     try {
       msg = JSON.parse(raw.toString());
@@ -647,61 +1714,220 @@ wss.on('connection', (ws) => {
       ws.send(JSON.stringify({ type: 'error', content: 'Invalid JSON' }));
       return;
     }
+    if (typeof msg !== 'object' || msg === null) {
+      ws.send(JSON.stringify({ type: 'error', content: 'Expected a JSON object' }));
+      return;
+    }
 
-    // Handle different message types
-    switch (msg.type) {
-      case 'chat':
-        // Check for slash commands first
-        const slashResult = await handleSlashCommand(ws, msg.content, sessionId);
-        if (slashResult) break; // Slash command handled it
-        await handleChat(ws, sessionId, currentPersonality, msg.content);
-        break;
+    // A bad message gets an error reply; it must never take the server down
+    try {
+      // Handle different message types
+      switch (msg.type) {
+        case 'chat':
+          // Check for slash commands first
+          const slashResult = await handleSlashCommand(ws, msg.content, sessionId);
+          if (slashResult) break; // Slash command handled it
+          await runTurn(msg.content, { agent: msg.agent });
+          break;
+
+        // ── Branching: regenerate a reply, edit a past message, switch forks ──
 
-      case 'set_personality':
-        if (personalities[msg.personality]) {
-          currentPersonality = msg.personality;
-          const p = personalities[currentPersonality];
-          ws.send(JSON.stringify({
-            type: 'personality_changed',
-            personality: currentPersonality,
-            greeting: p.greeting,
-            style: p.style
-          }));
+        case 'regenerate': {
+          if (msg.message_id != null && !Number.isInteger(msg.message_id)) {
+            ws.send(JSON.stringify({ type: 'error', content: 'message_id must be an integer' }));
+            break;
+          }
+          // Walk up from the reply (default: the active leaf) to the user message it answers
+          let target = memory.getMessage(msg.message_id ?? memory.getActiveLeaf(sessionId));
+          while (target && target.role !== 'user') target = target.parent_id ? memory.getMessage(target.parent_id) : null;
+          if (!target || target.session_id !== sessionId) {
+            ws.send(JSON.stringify({ type: 'error', content: 'Nothing to regenerate' }));
+            break;
+          }
+          await replyTo(target, msg.agent);
+          break;
         }
-        break;
 
-      case 'set_session':
-        sessionId = msg.session_id || sessionId;
-        ws.send(JSON.stringify({ type: 'session_set', session_id: sessionId }));
-        break;
+        case 'edit_message': {
+          if (!Number.isInteger(msg.message_id) || typeof msg.content !== 'string' || !msg.content.trim()) {
+            ws.send(JSON.stringify({ type: 'error', content: 'edit_message needs an integer message_id and non-empty content' }));
+            break;
+          }
+          const original = memory.getMessage(msg.message_id);
+          if (!original || original.session_id !== sessionId || original.role !== 'user') {
+            ws.send(JSON.stringify({ type: 'error', content: 'Can only edit your own messages in this session' }));
+            break;
+          }
+          // The edit becomes a sibling of the original, starting a new branch
+          const saved = memory.saveMessage(sessionId, 'user', msg.content.trim(), currentPersonality, original.parent_id);
+          await replyTo(memory.getMessage(saved.lastInsertRowid), msg.agent);
+          break;
+        }
 
-      case 'save_memory':
-        const result = memory.saveMemory(
-          msg.content,
-          msg.category || 'general',
-          msg.importance || 5,
-          'explicit'
-        );
-        ws.send(JSON.stringify({ type: 'memory_saved', ...result }));
-        break;
+        case 'switch_branch': {
+          if (!Number.isInteger(msg.message_id)) {
+            ws.send(JSON.stringify({ type: 'error', content: 'message_id must be an integer' }));
+            break;
+          }
+          if (!memory.switchBranch(sessionId, msg.message_id)) {
+            ws.send(JSON.stringify({ type: 'error', content: `Message #${msg.message_id} not found in this session` }));
+            break;
+          }
+          sendBranch();
+          break;
+        }
 
-      case 'get_history':
-        const history = memory.getConversationHistory(sessionId, msg.limit || 50);
-        ws.send(JSON.stringify({ type: 'history', messages: history }));
-        break;
+        case 'stop':
+          if (activeTurn) {
+            activeTurn.abort();
+            for (const [id, pending] of pendingConfirms) {
+              if (pending.ws === ws) resolveConfirmation(ws, id, { approved: false, reason: 'stopped' });
+            }
+          }
+          break;
+
+        case 'set_agent':
+          agentMode = !!msg.enabled;
+          ws.send(JSON.stringify({ type: 'agent_mode', enabled: agentMode, max_steps: CONFIG.agentMaxSteps }));
+          break;
+
+        case 'set_personality':
+          if (personalities[msg.personality]) {
+            currentPersonality = msg.personality;
+            const p = personalities[currentPersonality];
+            ws.send(JSON.stringify({
+              type: 'personality_changed',
+              personality: currentPersonality,
+              greeting: p.greeting,
+              style: p.style
+            }));
+          }
+          break;
+
+        case 'set_session':
+          sessionId = msg.session_id || sessionId;
+          ws.send(JSON.stringify({ type: 'session_set', session_id: sessionId }));
+          break;
+
+        case 'save_memory':
+          const result = memory.saveMemory(
+            msg.content,
+            msg.category || 'general',
+            msg.importance || 5,
+            'explicit'
+          );
+          ws.send(JSON.stringify({ type: 'memory_saved', ...result }));
+          break;
+
+        case 'get_history':
+          sendBranch(msg.limit || 50);
+          break;
+
+        case 'command_confirm_response':
+          resolveConfirmation(ws, msg.id, { approved: !!msg.approved, remember: !!msg.remember });
+          break;
 
-      default:
-        ws.send(JSON.stringify({ type: 'error', content: `Unknown type: ${msg.type}` }));
+        default:
+          ws.send(JSON.stringify({ type: 'error', content: `Unknown type: ${msg.type}` }));
+      }
+    } catch (e) {
+      console.error(`[WS] ${msg.type} failed:`, e);
+      ws.send(JSON.stringify({ type: 'error', content: `${msg.type} failed: ${e.message}` }));
     }
-  });
+  }));
 
   ws.on('close', () => {
     console.log(`[WS] Disconnected: ${sessionId}`);
+    activeTurn?.abort();
+    for (const [id, pending] of pendingConfirms) {
+      if (pending.ws === ws) resolveConfirmation(ws, id, { approved: false, reason: 'disconnected' });
+    }
   });
-});
+}
+
+// ── Command confirmations ──
+// Actions the policy marks 'ask' pause until the client answers a
+// command_confirm_request. No answer within the timeout counts as a no.
+
+const pendingConfirms = new Map();   // id → { ws, resolve, timer }
+
+function requestConfirmation(ws, { action, params, risk, reason }) {
+  const id = `confirm_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  return new Promise(resolve => {
+    const timer = setTimeout(() => {
+      resolveConfirmation(ws, id, { approved: false, reason: 'timeout' });
+      try { ws.send(JSON.stringify({ type: 'command_confirm_timeout', id })); } catch {}
+    }, CONFIG.confirmTimeoutMs);
+    pendingConfirms.set(id, { ws, resolve, timer });
+    ws.send(JSON.stringify({
+      type: 'command_confirm_request',
+      id, action, params, risk, reason,
+      timeout_ms: CONFIG.confirmTimeoutMs,
+    }));
+  });
+}
+
+function resolveConfirmation(ws, id, answer) {
+  const pending = pendingConfirms.get(id);
+  if (!pending || pending.ws !== ws) return;
+  clearTimeout(pending.timer);
+  pendingConfirms.delete(id);
+  pending.resolve(answer);
+}
 
 // ── Slash Command Handler (direct quant commands from chat) ──
 
+// The watchlist a scan's "--list NAME" picks (default list without one);
+// `rest` is the other args
+function scanWatchlist(text) {
+  const { list, rest } = parseListArg(text);
+  const w = watchlists.get(list);
+  if (!w.symbols.length) throw new WatchlistError(`Watchlist ${w.name} is empty — /watchlist add ${w.name} TICKERS`);
+  return { name: w.name, symbols: w.symbols, rest };
+}
+
+// Commands that reach the host (shell, filesystem, network); admins only
+// when accounts are on
+const HOST_COMMANDS = new Set([
+  'run', 'exec', 'find', 'files', 'scaffold', 'new', 'ports', 'http', 'fetch', 'curl',
+  'loc', 'lines', 'codestats', 'import',
+]);
+
+// Raw text after the first `skip` words of a slash command, newlines kept
+function rawArgs(trimmed, skip) {
+  const m = trimmed.match(new RegExp(`^(?:\\S+\\s+){${skip}}([\\s\\S]*)$`));
+  return m ? m[1].trim() : '';
+}
+
+// /snippet|kb|journal history ID · rev ID REV · restore ID REV
+function revisionCommand(sub, parts, { command, type, store, label }) {
+  const id = parseInt(parts[2]);
+  if (!id) return `⚠ Usage: \`${command} ${sub} ID${sub === 'history' ? '' : ' REV'}\``;
+  if (sub === 'history') return formatRevisionHistory(label(id), store.history(id), { command });
+  const rev = parseInt(String(parts[3] || '').replace(/^r/i, ''));
+  if (!rev) return `⚠ Usage: \`${command} ${sub} ID REV\``;
+  const r = store.revisions.get(type, id, rev);
+  if (!r) return `⚠ ${label(id)} has no r${rev}. See \`${command} history ${id}\`.`;
+  if (sub === 'rev') return formatRevision(label(id), r);
+  const before = store.history(id)[0];
+  if (!store.restore(id, rev)) return `⚠ ${label(id)} no longer exists.`;
+  return `♻️ Restored ${label(id)} to r${rev}.\n\n${formatChanges(before.content, r.content)}`;
+}
+
+// Text and label of a snippet, KB item or journal entry for /diff
+function diffSource(type, id) {
+  if (type === 'snippet') {
+    const s = snippets.get(id);
+    return s && { text: s.code, label: `snippet #${id} (${s.name})` };
+  }
+  if (type === 'kb') {
+    const k = kb.get(id);
+    return k && { text: k.content, label: `kb #${id} (${k.title})` };
+  }
+  const e = journal.getEntry(id);
+  return e && { text: e.content, label: `journal #${id} (${e.created_at})` };
+}
+
 async function handleSlashCommand(ws, content, sessionId) {
   const trimmed = content.trim();
   if (!trimmed.startsWith('/')) return false;
@@ -712,6 +1938,7 @@ async function handleSlashCommand(ws, content, sessionId) {
 
   let result;
   try {
+    if (HOST_COMMANDS.has(cmd)) requireAdmin(`/${cmd}`);
     switch (cmd) {
       case 'market':
       case 'snapshot': {
@@ -743,41 +1970,132 @@ async function handleSlashCommand(ws, content, sessionId) {
         break;
       }
       case 'chart': {
-        if (!arg) { result = '⚠ Usage: /chart TICKER [range]'; break; }
+        if (!arg) { result = '⚠ Usage: /chart TICKER [range] [overlays…] — e.g. /chart NVDA 1y vwap keltner stoch'; break; }
         const ticker = parts[1]?.toUpperCase();
-        const range = parts[2] || '6mo';
+        // "/chart NVDA 1y vwap stoch" or "/chart NVDA vwap"
+        const hasRange = /^(\d+(d|wk|mo|y)|ytd|max)$/i.test(parts[2] || '');
+        const range = hasRange ? parts[2].toLowerCase() : '6mo';
+        const overlays = parts.slice(hasRange ? 3 : 2).join(' ');
         ws.send(JSON.stringify({ type: 'system_msg', content: `📈 Loading ${ticker} chart (${range})...` }));
-        const chart = await getChartData(ticker, range);
+        const chart = await getChartData(ticker, range, overlays);
         if (chart.error) { result = `⚠ ${chart.error}`; break; }
         ws.send(JSON.stringify({ type: 'chart_data', data: chart }));
-        result = `📈 Chart loaded for ${ticker} (${range}) — ${chart.close.length} data points`;
+        result = `📈 Chart loaded for ${ticker} (${range}) — ${chart.close.length} data points${chart.overlays.length ? ` · ${chart.overlays.map(o => o.id).join(', ')}` : ''}`;
+        break;
+      }
+      case 'compare':
+      case 'vs': {
+        // "/compare NVDA AMD INTC 1y [vs QQQ] [window=20]"
+        let range = '1y', benchmark = 'SPY', window = 60;
+        const symbols = [];
+        const args = parts.slice(1);
+        for (let i = 0; i < args.length; i++) {
+          const a = args[i];
+          if (/^(\d+(d|wk|mo|y)|ytd|max)$/i.test(a)) range = a.toLowerCase();
+          else if (/^vs$/i.test(a) && args[i + 1]) benchmark = args[++i];
+          else if (/^window=\d+$/i.test(a)) window = parseInt(a.split('=')[1]);
+          else symbols.push(...a.split(',').filter(Boolean));
+        }
+        if (symbols.length < 2) { result = '⚠ Usage: /compare TICKER TICKER [...] [range] [vs BENCHMARK] [window=60]'; break; }
+        ws.send(JSON.stringify({ type: 'system_msg', content: `📊 Comparing ${symbols.join(', ').toUpperCase()} (${range})...` }));
+        const c = await compareStocks(symbols, range, { benchmark, window });
+        if (!c.error) ws.send(JSON.stringify({ type: 'chart_data', data: comparisonChartData(c) }));
+        result = formatComparison(c);
+        break;
+      }
+      case 'options':
+      case 'opt': {
+        // "/options AAPL [2024-06-21]", "/options AAPL exps",
+        // "/options AAPL bull_call [2024-06-21] [180 190]", "/options AAPL legs +1c180 -1c190 [2024-06-21]"
+        const ticker = parts[1]?.toUpperCase();
+        if (!ticker) { result = '⚠ Usage: /options TICKER [EXPIRATION] · /options TICKER exps · /options TICKER STRATEGY [EXPIRATION] [STRIKES] · /options TICKER legs +1c180 -1c190'; break; }
+        const args = parts.slice(2);
+        const expiration = args.find(a => /^\d{4}-\d{2}-\d{2}$/.test(a)) || null;
+        const rest = args.filter(a => a !== expiration);
+        const sub = rest[0]?.toLowerCase();
+        try {
+          if (!sub) {
+            result = formatOptionChain(await options.chain(ticker, expiration));
+          } else if (['exps', 'expirations', 'dates'].includes(sub)) {
+            result = formatExpirations(await options.chain(ticker, expiration));
+          } else {
+            const custom = sub === 'legs';
+            if (!custom && !strategyName(sub)) { result = `⚠ Unknown strategy "${sub}" — try ${Object.keys(STRATEGIES).join(', ')}, or legs`; break; }
+            ws.send(JSON.stringify({ type: 'system_msg', content: `📐 Pricing ${ticker} ${custom ? 'custom legs' : sub}...` }));
+            const s = await options.strategy(ticker, custom
+              ? { legs: parseLegs(rest.slice(1).join(' ')), expiration }
+              : { strategy: sub, expiration, strikes: rest.slice(1).flatMap(a => a.split(',')).filter(Boolean).map(Number) });
+            ws.send(JSON.stringify({ type: 'chart_data', data: payoffChartData(s) }));
+            result = formatStrategy(s);
+          }
+        } catch (e) {
+          if (!(e instanceof OptionsError)) throw e;
+          result = `⚠ ${e.message}`;
+        }
         break;
       }
       case 'momentum':
       case 'momo': {
-        ws.send(JSON.stringify({ type: 'system_msg', content: '🚀 Scanning momentum leaders...' }));
-        const picks = await momentumScan(parseInt(arg) || 10);
+        const list = scanWatchlist(trimmed.slice(parts[0].length + 1));
+        ws.send(JSON.stringify({ type: 'system_msg', content: `🚀 Scanning momentum leaders in ${list.name}...` }));
+        const picks = await momentumScan(parseInt(list.rest) || 10, list.symbols);
         result = formatMomentum(picks);
         break;
       }
       case 'dislocate':
       case 'value': {
-        ws.send(JSON.stringify({ type: 'system_msg', content: '🔍 Scanning for dislocations...' }));
-        const picks = await dislocations(parseInt(arg) || 10);
+        const list = scanWatchlist(trimmed.slice(parts[0].length + 1));
+        ws.send(JSON.stringify({ type: 'system_msg', content: `🔍 Scanning ${list.name} for dislocations...` }));
+        const picks = await dislocations(parseInt(list.rest) || 10, list.symbols);
         result = formatDislocations(picks);
         break;
       }
       case 'backtest':
       case 'bt': {
-        if (!arg) { result = '⚠ Usage: /backtest TICKER'; break; }
-        ws.send(JSON.stringify({ type: 'system_msg', content: `📊 Backtesting RSI strategy on ${arg}...` }));
-        const bt = await backtestRSI(arg);
-        result = bt.error ? `⚠ ${bt.error}` : formatBacktest(bt);
+        const text = trimmed.slice(parts[0].length + 1).trim();
+        if (!text || /^(strategies|list)$/i.test(text)) {
+          result = formatStrategyList(await loadStrategies(CONFIG.strategyDir));
+          break;
+        }
+        const req = parseBacktestArgs(text);
+        const strategy = await resolveStrategy(req.strategy || 'rsi', { dir: CONFIG.strategyDir });
+        ws.send(JSON.stringify({ type: 'system_msg', content: `🧪 Backtesting ${strategy.name || 'strategy'} on ${req.symbols.join(', ')}...` }));
+        const bt = await runBacktest(req.symbols, strategy, req.options);
+        if (!bt.error) ws.send(JSON.stringify({ type: 'chart_data', data: equityChartData(bt) }));
+        result = formatStrategyBacktest(bt);
         break;
       }
       case 'sentiment':
       case 'news': {
-        if (!arg) { result = '⚠ Usage: /sentiment TICKER'; break; }
+        if (!arg) { result = '⚠ Usage: /sentiment TICKER · /sentiment text TEXT · /sentiment eval [lexicon|llm] · /sentiment model [lexicon|llm] · /sentiment cache [clear]'; break; }
+        const sub = parts[1].toLowerCase();
+        if (sub === 'text' || sub === 'score') {
+          const text = trimmed.slice(trimmed.indexOf(parts[1]) + parts[1].length).trim();
+          if (!text) { result = '⚠ Usage: /sentiment text TEXT'; break; }
+          result = formatSentimentScore(text, await sentiment.score(text));
+          break;
+        }
+        if (sub === 'eval') {
+          const model = parts[2]?.toLowerCase() || sentiment.model;
+          if (!SENTIMENT_MODELS.includes(model)) { result = `⚠ Model must be one of: ${SENTIMENT_MODELS.join(', ')}`; break; }
+          ws.send(JSON.stringify({ type: 'system_msg', content: `🎯 Scoring the evaluation set with ${model}...` }));
+          result = formatEvaluation(await sentiment.evaluate({ model }));
+          break;
+        }
+        if (sub === 'model') {
+          if (parts[2]) {
+            requireAdmin('Switching the sentiment model');
+            sentiment.setModel(parts[2].toLowerCase());
+          }
+          result = `🎯 Sentiment model: **${sentiment.model}** (${SENTIMENT_MODELS.join(' / ')})`;
+          break;
+        }
+        if (sub === 'cache') {
+          if (parts[2]?.toLowerCase() === 'clear') { requireAdmin('Clearing the sentiment cache'); result = `🧹 Cleared ${sentiment.clearCache()} cached sentiment score(s).`; break; }
+          const c = sentiment.cacheStats();
+          result = `🎯 ${c.entries} cached sentiment score(s)${c.by_model.length ? ` — ${c.by_model.map(m => `${m.model} ${m.entries}`).join(' · ')}` : ''}`;
+          break;
+        }
         ws.send(JSON.stringify({ type: 'system_msg', content: `📰 Scanning sentiment for ${arg}...` }));
         const s = await getSentiment(arg);
         result = formatSentiment(s);
@@ -785,20 +2103,207 @@ async function handleSlashCommand(ws, content, sessionId) {
       }
       case 'moonshot':
       case 'moon': {
-        ws.send(JSON.stringify({ type: 'system_msg', content: '🚀 Scanning moonshot radar...' }));
-        const picks = await findMoonshots();
+        const list = scanWatchlist(trimmed.slice(parts[0].length + 1));
+        ws.send(JSON.stringify({ type: 'system_msg', content: `🚀 Scanning moonshot radar over ${list.name}...` }));
+        const picks = await findMoonshots(5, list.symbols);
         result = formatMoonshots(picks);
         break;
       }
       case 'ideas':
       case 'picks': {
-        const n = parseInt(arg) || 5;
-        ws.send(JSON.stringify({ type: 'system_msg', content: '🧠 Building stock ideas across 4 styles... this takes a minute.' }));
-        const ideas = await generateIdeas(n);
+        const list = scanWatchlist(trimmed.slice(parts[0].length + 1));
+        const n = parseInt(list.rest) || 5;
+        ws.send(JSON.stringify({ type: 'system_msg', content: `🧠 Building stock ideas from ${list.name} across 4 styles... this takes a minute.` }));
+        const ideas = await generateIdeas(n, list.symbols);
         result = formatIdeas(ideas);
         break;
       }
 
+      case 'cache': {
+        if (!marketData.stats) { result = `🗄️ No price cache — market data comes from ${marketData.name}.`; break; }
+        if (parts[1]?.toLowerCase() === 'clear') {
+          requireAdmin('Clearing the shared price cache');
+          const symbol = parts[2]?.toUpperCase() || null;
+          const n = marketData.clear(symbol);
+          result = `🗑️ Cleared ${n} cached bars${symbol ? ` for ${symbol}` : ''}.`;
+          break;
+        }
+        result = formatPriceCache(marketData.stats());
+        break;
+      }
+
+      case 'watchlist':
+      case 'wl': {
+        const sub = parts[1]?.toLowerCase() || '';
+        const name = parts[2];
+        const syms = parts.slice(3);
+        switch (sub) {
+          case '':
+          case 'list':
+            result = formatWatchlists(watchlists.list());
+            break;
+          case 'show':
+            result = formatWatchlist(watchlists.get(name));
+            break;
+          case 'create':
+          case 'new': {
+            if (!name) { result = '⚠ Usage: /watchlist create NAME [TICKERS]'; break; }
+            result = formatWatchlist(watchlists.create(name, { symbols: syms }));
+            break;
+          }
+          case 'add': {
+            if (!name || !syms.length) { result = '⚠ Usage: /watchlist add NAME TICKERS'; break; }
+            const r = watchlists.add(name, syms);
+            result = `👀 ${name}: added ${r.added.join(', ') || 'nothing'}${r.skipped.length ? ` · already there: ${r.skipped.join(', ')}` : ''}`;
+            break;
+          }
+          case 'rm':
+          case 'remove': {
+            if (!name || !syms.length) { result = '⚠ Usage: /watchlist rm NAME TICKERS'; break; }
+            const r = watchlists.remove(name, syms);
+            result = `👀 ${name}: removed ${r.removed.join(', ') || 'nothing'}${r.missing.length ? ` · not on it: ${r.missing.join(', ')}` : ''}`;
+            break;
+          }
+          case 'set': {
+            if (!name || !syms.length) { result = '⚠ Usage: /watchlist set NAME TICKERS  (replaces the list)'; break; }
+            result = formatWatchlist(watchlists.replace(name, syms));
+            break;
+          }
+          case 'rename': {
+            if (!name || !parts[3]) { result = '⚠ Usage: /watchlist rename OLD NEW'; break; }
+            result = `👀 Renamed to **${watchlists.update(name, { name: parts[3] }).name}**.`;
+            break;
+          }
+          case 'default': {
+            if (!name) { result = '⚠ Usage: /watchlist default NAME'; break; }
+            result = `⭐ Scans now use **${watchlists.update(name, { is_default: true }).name}** by default.`;
+            break;
+          }
+          case 'delete':
+          case 'del': {
+            if (!name) { result = '⚠ Usage: /watchlist delete NAME'; break; }
+            watchlists.delete(name);
+            result = `🗑️ Watchlist ${name} deleted.`;
+            break;
+          }
+          case 'import': {
+            const file = parts.slice(3).filter(p => p !== '--replace').join(' ');
+            if (!name || !file) { result = '⚠ Usage: /watchlist import NAME path/to/list.csv [--replace]'; break; }
+            requireAdmin('Importing from a path');
+            if (!existsSync(file)) { result = `⚠ File not found: ${file}`; break; }
+            const r = watchlists.importCsv(name, readFileSync(file, 'utf8'), { replace: parts.includes('--replace') });
+            result = `📥 ${r.name}: ${r.added.length} added${r.skipped.length ? `, ${r.skipped.length} already there` : ''} — ${r.symbols.length} symbol(s) now.`;
+            break;
+          }
+          case 'export': {
+            const w = watchlists.get(name);
+            if (parts[3]) requireAdmin('Exporting to a path');
+            const file = parts[3] || join(exportDir(), `watchlist-${w.name}.csv`);
+            mkdirSync(dirname(file), { recursive: true });
+            writeFileSync(file, watchlists.exportCsv(w.name));
+            result = `📤 ${w.name} (${w.symbols.length} symbols) → \`${file}\``;
+            break;
+          }
+          default:
+            // "/watchlist tech" shows that list
+            result = formatWatchlist(watchlists.get(parts[1]));
+        }
+        break;
+      }
+
+      case 'portfolio':
+      case 'pf': {
+        const { opts, rest } = parsePortfolioArgs(parts.slice(1));
+        const sub = rest[0]?.toLowerCase() || '';
+        const [a1, a2, a3] = rest.slice(1);
+        switch (sub) {
+          case '':
+          case 'summary':
+            result = formatPortfolio(await portfolio.summary({ account: opts.account }));
+            break;
+          case 'buy':
+          case 'sell': {
+            if (!a1 || !a2) { result = `⚠ Usage: /portfolio ${sub} TICKER QTY [@PRICE] [fee=X] [date=YYYY-MM-DD] [#account]`; break; }
+            const price = await tradePrice(a1, a3);
+            const t = portfolio.addTransaction({ ...opts, type: sub, symbol: a1, quantity: parseFloat(a2), price });
+            result = `💼 Recorded ${formatTransaction(t)}`;
+            break;
+          }
+          case 'div':
+          case 'dividend': {
+            if (!a1 || !a2) { result = '⚠ Usage: /portfolio div TICKER AMOUNT [fee=WITHHELD] [date=YYYY-MM-DD] [#account]'; break; }
+            result = `💵 Recorded ${formatTransaction(portfolio.dividend(a1, parseFloat(a2), opts))}`;
+            break;
+          }
+          case 'deposit':
+          case 'withdraw':
+          case 'fee': {
+            if (!a1) { result = `⚠ Usage: /portfolio ${sub} AMOUNT [date=YYYY-MM-DD] [#account]`; break; }
+            result = `💵 Recorded ${formatTransaction(portfolio.addTransaction({ ...opts, type: sub, amount: parseFloat(a1) }))}`;
+            break;
+          }
+          case 'tx':
+          case 'transactions':
+            result = formatTransactions(portfolio.listTransactions({ account: opts.account, symbol: a1, limit: 30 }));
+            break;
+          case 'rm':
+          case 'delete': {
+            if (!a1) { result = '⚠ Usage: /portfolio delete TRANSACTION_ID'; break; }
+            result = portfolio.deleteTransaction(parseInt(a1)) ? `🗑️ Transaction #${a1} deleted.` : `⚠ Transaction #${a1} not found.`;
+            break;
+          }
+          case 'lots':
+            result = formatLots(portfolio.listLots({ account: opts.account, symbol: a1 }));
+            break;
+          case 'pnl':
+          case 'realized':
+            result = formatPnl(portfolio.pnl({ account: opts.account, year: a1 }));
+            break;
+          case 'alloc':
+          case 'allocation':
+            result = formatAllocation(await portfolio.allocation({ account: opts.account }));
+            break;
+          case 'history':
+          case 'value': {
+            const h = await portfolio.history({ account: opts.account, range: a1 || '1y' });
+            if (h.dates.length) ws.send(JSON.stringify({ type: 'chart_data', data: portfolioChartData(h) }));
+            result = formatHistory(h);
+            break;
+          }
+          case 'sector': {
+            if (!a1 || !a2) { result = '⚠ Usage: /portfolio sector TICKER Sector Name'; break; }
+            const sector = rest.slice(2).join(' ');
+            portfolio.setSector(a1, sector);
+            result = `🏷️ ${a1.toUpperCase()} → ${sector}`;
+            break;
+          }
+          case 'accounts':
+            result = formatAccounts(portfolio.listAccounts());
+            break;
+          case 'account': {
+            const action = a1?.toLowerCase();
+            if (action === 'add' && a2) {
+              const a = portfolio.createAccount(a2, { cost_method: a3?.toLowerCase() });
+              result = `💼 Account **${a.name}** created (${a.cost_method.toUpperCase()}).`;
+            } else if (action === 'method' && a2 && a3) {
+              const a = portfolio.updateAccount(a2, { cost_method: a3.toLowerCase() });
+              result = `💼 **${a.name}** now uses ${a.cost_method.toUpperCase()} — past sales re-matched.`;
+            } else if (action === 'rename' && a2 && a3) {
+              result = `💼 Renamed to **${portfolio.updateAccount(a2, { name: a3 }).name}**.`;
+            } else if (action === 'delete' && a2) {
+              portfolio.deleteAccount(a2);
+              result = `🗑️ Account ${a2} deleted.`;
+            } else {
+              result = '⚠ Usage: /portfolio account add NAME [fifo|lifo|average] | method NAME METHOD | rename OLD NEW | delete NAME';
+            }
+            break;
+          }
+          default:
+            result = '⚠ Usage: /portfolio [buy|sell|div|deposit|withdraw|fee|tx|delete|lots|pnl|alloc|history|sector|accounts|account] … [#account]';
+        }
+        break;
+      }
+
       // ── Advanced Feature Commands ──
 
       case 'remind':
@@ -841,6 +2346,45 @@ async function handleSlashCommand(ws, content, sessionId) {
         break;
       }
 
+      case 'alert':
+      case 'alerts': {
+        const sub = parts[1]?.toLowerCase() || '';
+        const id = parseInt(parts[2]);
+        switch (sub) {
+          case '':
+          case 'list':
+            result = formatAlerts(alerts.list());
+            break;
+          case 'check':
+            result = formatAlertCheck(await alerts.check());
+            break;
+          case 'history':
+            result = formatAlertEvents(alerts.events(parseInt(parts[2]) || 20));
+            break;
+          case 'pause':
+          case 'resume': {
+            if (!id) { result = `⚠ Usage: /alert ${sub} ID`; break; }
+            result = formatAlert(alerts.setStatus(id, sub === 'pause' ? 'paused' : 'active'));
+            break;
+          }
+          case 'rm':
+          case 'del':
+          case 'delete': {
+            if (!id) { result = '⚠ Usage: /alert delete ID'; break; }
+            alerts.remove(id);
+            result = `🗑️ Alert #${id} deleted.`;
+            break;
+          }
+          default: {
+            // "/alert NVDA crosses 150 --once --cooldown 2h"
+            const { symbol, condition, once, cooldown } = parseAlertArgs(parts.slice(1).join(' '));
+            if (!condition) { result = '⚠ Usage: /alert TICKER CONDITION [--once] [--cooldown 2h] — e.g. `/alert NVDA crosses 150`, `/alert AAPL rsi(14) below 30`'; break; }
+            result = formatAlert(alerts.add({ symbol, condition, once, cooldown }));
+          }
+        }
+        break;
+      }
+
       case 'mood': {
         const current = mood.getCurrentMood();
         const daily = mood.getDailySummary();
@@ -875,8 +2419,18 @@ async function handleSlashCommand(ws, content, sessionId) {
         break;
       }
 
-      case 'find':
       case 'search':
+      case 's': {
+        const query = parts.slice(1).join(' ').trim();
+        if (!query) { result = `⚠ Usage: /search query  (or /search ${Object.keys(SEARCH_SOURCES).join('|')}: query)`; break; }
+        // "/search journal: query" narrows to one store
+        const scoped = query.match(/^(\w+):\s*(.+)$/);
+        const types = scoped && SEARCH_SOURCES[scoped[1].toLowerCase()] ? [scoped[1].toLowerCase()] : undefined;
+        result = formatSearchResults(search.search(types ? scoped[2] : query, { types }));
+        break;
+      }
+
+      case 'find':
       case 'files': {
         if (!arg) { result = '⚠ Usage: /find filename or keyword'; break; }
         ws.send(JSON.stringify({ type: 'system_msg', content: `🔍 Searching files for "${parts.slice(1).join(' ')}"...` }));
@@ -953,6 +2507,22 @@ async function handleSlashCommand(ws, content, sessionId) {
           break;
         }
 
+        if (sub === 'history' || sub === 'rev' || sub === 'restore') {
+          result = revisionCommand(sub, parts, { command: '/journal', type: 'journal', store: journal, label: id => `journal entry #${id}` });
+          break;
+        }
+
+        if (sub === 'edit') {
+          const id = parseInt(parts[2]);
+          const text = rawArgs(trimmed, 3);
+          if (!id || !text) { result = '⚠ Usage: /journal edit ID new text'; break; }
+          const before = journal.getEntry(id);
+          if (!before) { result = '⚠ Entry not found.'; break; }
+          journal.edit(id, text);
+          result = `📓 Entry #${id} updated.\n\n${formatChanges(before.content, text)}`;
+          break;
+        }
+
         if (sub === 'read' || sub === 'view') {
           const id = parseInt(parts[2]);
           if (!id) { result = '⚠ Usage: /journal read ID'; break; }
@@ -1278,6 +2848,20 @@ async function handleSlashCommand(ws, content, sessionId) {
           result = `${TYPE_ICONS[item.type] || '📝'} **${item.title}**\n\n${item.content}`;
           break;
         }
+        if (sub === 'history' || sub === 'rev' || sub === 'restore') {
+          result = revisionCommand(sub, parts, { command: '/kb', type: 'knowledge', store: kb, label: id => `KB #${id}` });
+          break;
+        }
+        if (sub === 'edit' || sub === 'update') {
+          const id = parseInt(parts[2]);
+          const text = rawArgs(trimmed, 3);
+          if (!id || !text) { result = '⚠ Usage: /kb edit ID new content'; break; }
+          const before = kb.get(id);
+          if (!before) { result = '⚠ Not found.'; break; }
+          kb.update(id, text);
+          result = `📚 **#${id} ${before.title}** updated.\n\n${formatChanges(before.content, text)}`;
+          break;
+        }
         if (sub === 'del' || sub === 'delete') {
           const id = parseInt(parts[2]);
           if (!id) { result = '⚠ Usage: /kb del ID'; break; }
@@ -1307,7 +2891,8 @@ async function handleSlashCommand(ws, content, sessionId) {
 
       case 'run':
       case 'exec': {
-        // /run js console.log("hi")  OR  /run py print("hi")
+        // /run js console.log("hi")  OR  /run py print("hi")  OR  /run status
+        if (parts[1]?.toLowerCase() === 'status') { result = formatSandboxStatus(); break; }
         const lang = parts[1] || 'js';
         const code = parts.slice(2).join(' ');
         if (!code) { result = `⚠ Usage: \`/run <lang> <code>\`\nLanguages: ${Object.keys(RUNNERS).filter(k => k.length > 2).join(', ')}`; break; }
@@ -1346,6 +2931,7 @@ async function handleSlashCommand(ws, content, sessionId) {
           break;
         }
         if (sub === 'run') {
+          requireAdmin('Running snippets');
           const id = parseInt(parts[2]);
           if (!id) { result = '⚠ Usage: `/snippet run ID`'; break; }
           const s = snippets.get(id);
@@ -1355,6 +2941,21 @@ async function handleSlashCommand(ws, content, sessionId) {
           result = formatRunResult(r);
           break;
         }
+        if (sub === 'history' || sub === 'rev' || sub === 'restore') {
+          result = revisionCommand(sub, parts, { command: '/snippet', type: 'snippet', store: snippets, label: id => `snippet #${id}` });
+          break;
+        }
+        if (sub === 'edit' || sub === 'update') {
+          // /snippet edit ID new code (newlines kept)
+          const id = parseInt(parts[2]);
+          const code = rawArgs(trimmed, 3);
+          if (!id || !code) { result = '⚠ Usage: `/snippet edit ID new code`'; break; }
+          const before = snippets.get(id);
+          if (!before) { result = '⚠ Not found'; break; }
+          snippets.update(id, code);
+          result = `📦 Snippet **#${id} ${before.name}** updated.\n\n${formatChanges(before.code, code)}`;
+          break;
+        }
         if (sub === 'search' || sub === 'find') {
           result = formatSnippetList(snippets.search(parts.slice(2).join(' ')));
           break;
@@ -1428,13 +3029,24 @@ async function handleSlashCommand(ws, content, sessionId) {
       }
 
       case 'diff': {
-        // /diff text1 ||| text2
-        const rest = parts.slice(1).join(' ');
+        // /diff [--split|--patch] [--context N] text1 ||| text2
+        // /diff snippet|kb|journal ID1 ID2
+        let rest = rawArgs(trimmed, 1);
+        const opts = { mode: 'unified' };
+        for (let m; (m = rest.match(/^--(split|patch|unified|context[= ](\d+))\s*/i)); rest = rest.slice(m[0].length)) {
+          if (m[2] !== undefined) opts.context = parseInt(m[2]);
+          else opts.mode = m[1].toLowerCase();
+        }
+        const pair = rest.match(/^(snippet|kb|journal)\s+#?(\d+)\s+#?(\d+)$/i);
+        if (pair) {
+          const [left, right] = [pair[2], pair[3]].map(id => diffSource(pair[1].toLowerCase(), parseInt(id)));
+          if (!left || !right) { result = `⚠ ${pair[1]} #${left ? pair[3] : pair[2]} not found.`; break; }
+          result = formatDiff(left.text, right.text, { ...opts, from: left.label, to: right.label });
+          break;
+        }
         const sep = rest.indexOf('|||');
-        if (sep === -1) { result = '⚠ Usage: `/diff text1 ||| text2`'; break; }
-        const a = rest.slice(0, sep).trim();
-        const b = rest.slice(sep + 3).trim();
-        result = formatDiff(diffStrings(a, b));
+        if (sep === -1) { result = '⚠ Usage: `/diff [--split|--patch] [--context N] text1 ||| text2` or `/diff snippet|kb|journal ID1 ID2`'; break; }
+        result = formatDiff(rest.slice(0, sep).trim(), rest.slice(sep + 3).trim(), opts);
         break;
       }
 
@@ -1542,18 +3154,142 @@ async function handleSlashCommand(ws, content, sessionId) {
         break;
       }
 
+      // ── Permissions ──
+
+      case 'permissions':
+      case 'perm': {
+        const sub = parts[1]?.toLowerCase();
+        if (!sub || sub === 'list') {
+          result = formatRules(policy.listRules());
+          break;
+        }
+        if (DECISIONS.includes(sub)) {
+          const action = parts[2];
+          const pattern = parts.slice(3).join(' ').trim() || null;
+          if (!action) { result = `⚠ Usage: /perm ${sub} ACTION [regex]`; break; }
+          const rule = policy.addRule(action, sub, pattern);
+          result = `🛡️ Rule #${rule.id}: **${rule.action}** → ${rule.decision}${rule.pattern ? ` when \`${rule.pattern}\`` : ''}`;
+          break;
+        }
+        if (sub === 'del' || sub === 'delete') {
+          const id = parseInt(parts[2]);
+          if (!id) { result = '⚠ Usage: /perm del ID'; break; }
+          result = policy.deleteRule(id) ? `🗑️ Rule #${id} deleted.` : `⚠ Rule #${id} not found.`;
+          break;
+        }
+        if (sub === 'check') {
+          const action = parts[2];
+          const subject = parts.slice(3).join(' ');
+          if (!action) { result = '⚠ Usage: /perm check ACTION [command|url|app]'; break; }
+          const key = { run_shell: 'command', open_browser: 'url', open_app: 'app', play_music: 'query' }[action];
+          const v = policy.evaluate(action, key ? { [key]: subject } : {});
+          result = `🛡️ **${action}** (${v.risk} risk) → **${v.decision}** — ${v.reason}`;
+          break;
+        }
+        result = '⚠ Usage: /perm [list|allow|deny|ask|del|check]';
+        break;
+      }
+
+      // ── Sessions ──
+
+      case 'whoami': {
+        const user = currentUser();
+        result = user
+          ? `👤 **${user.username}** — ${user.role}${user.db_file ? '' : ' · owner'} (AUTH_MODE=${CONFIG.authMode})`
+          : '👤 Single-user mode (AUTH_MODE=none)';
+        break;
+      }
+
+      case 'users': {
+        requireAdmin('/users');
+        result = formatUsers(auth.listUsers());
+        break;
+      }
+
+      case 'sessions':
+      case 'chats': {
+        const sub = parts[1]?.toLowerCase();
+        const rest = parts.slice(2).join(' ').trim();
+        if (!sub || sub === 'list' || sub === 'archived') {
+          result = formatSessionList(memory.getAllSessions({ archived: sub === 'archived' }).slice(0, 20), sessionId);
+          break;
+        }
+        if (sub === 'search') {
+          if (!rest) { result = '⚠ Usage: /sessions search query'; break; }
+          result = formatSessionSearch(memory.searchSessions(rest), rest);
+          break;
+        }
+        // The rest act on the current session
+        if (!memory.getSession(sessionId)) { result = '⚠ This session has no messages yet.'; break; }
+        if (sub === 'rename') {
+          if (!rest) { result = '⚠ Usage: /sessions rename New title'; break; }
+          memory.updateSession(sessionId, { title: rest });
+          ws.send(JSON.stringify({ type: 'session_title', session_id: sessionId, title: rest }));
+          result = `✏️ Session renamed to **${rest}**`;
+          break;
+        }
+        const flags = {
+          pin: [{ pinned: true }, '📌 Session pinned.'],
+          unpin: [{ pinned: false }, '📌 Session unpinned.'],
+          archive: [{ archived: true }, '🗄️ Session archived.'],
+          unarchive: [{ archived: false }, '🗄️ Session restored from the archive.'],
+        };
+        if (flags[sub]) {
+          memory.updateSession(sessionId, flags[sub][0]);
+          result = flags[sub][1];
+          break;
+        }
+        result = '⚠ Usage: /sessions [list|archived|search|rename|pin|unpin|archive|unarchive]';
+        break;
+      }
+
+      // ── Export / Import ──
+
+      case 'export': {
+        const format = { json: 'json', md: 'markdown', markdown: 'markdown', vault: 'markdown' }[parts[1]?.toLowerCase()] || 'all';
+        const out = writeExport(format);
+        result = '## 📦 Export\n\n';
+        if (out.json) result += `**JSON bundle:** \`${out.json}\`\n${Object.entries(out.counts).filter(([, n]) => n).map(([t, n]) => `${t} ${n}`).join(' · ')}\n\n`;
+        if (out.markdown) result += `**Markdown vault:** \`${out.markdown}\` (${out.files} notes) — open the folder in Obsidian\n`;
+        break;
+      }
+
+      case 'import': {
+        const flags = parts.slice(1).filter(p => /^--?(dry|replace)$/.test(p)).map(p => p.replace(/^-+/, ''));
+        const file = parts.slice(1).filter(p => !/^--?(dry|replace)$/.test(p)).join(' ');
+        if (!file) { result = '⚠ Usage: /import path/to/velle-export.json [--dry] [--replace]'; break; }
+        if (!existsSync(file)) { result = `⚠ File not found: ${file}`; break; }
+        const report = importBundle(memory.db, JSON.parse(readFileSync(file, 'utf8')), {
+          dryRun: flags.includes('dry'),
+          onConflict: flags.includes('replace') ? 'replace' : 'keep',
+        });
+        if (!report.dry_run) portfolio.rebuildAll();
+        result = formatImportReport(report);
+        break;
+      }
+
       case 'help': {
         result = `**📖 VELLE.AI Commands**
 
-**📊 Quant** — /market /quote /analyze /chart /momentum /dislocate /backtest /sentiment /moonshot /ideas
+**📊 Quant** — /market /quote /analyze /chart TICKER [range] [vwap keltner stoch…] /compare TICKERS [range] [vs SPY] /options TICKER [EXP|exps|STRATEGY [strikes]|legs +1c180 -1c190] /momentum /dislocate [N] [--list NAME] /backtest [TICKERS strategy|strategies] /sentiment /moonshot /ideas /cache [clear TICKER]
+
+**👀 Watchlists** — /watchlist [show|create|add|rm|set|rename|default|delete|import|export] NAME [TICKERS] · scans take --list NAME
+
+**💼 Portfolio** — /portfolio [#account] · buy|sell TICKER QTY [@PRICE] · div TICKER AMOUNT · deposit|withdraw AMOUNT · tx · lots · pnl [YEAR] · alloc · history [RANGE] · accounts · account add NAME [fifo|lifo|average]
 
 **⏰ Reminders** — /remind [time] [task] /cancelremind ID
 
-**🧠 Mood & Summaries** — /mood /summary /history
+**🔔 Alerts** — /alert TICKER CONDITION [--once] [--cooldown 2h] (crosses 150 · above/below X · rsi(14) below 30 · down 2% · golden cross) · /alert [list|check|history|pause|resume|delete ID]
+
+**🧠 Mood & Summaries** — /mood /summary /history · /sentiment text TEXT · /sentiment eval [lexicon|llm] · /sentiment model [lexicon|llm]
+
+**🗂️ Sessions** — /sessions [list|archived|search|rename|pin|unpin|archive|unarchive]
+
+**🔍 Search** — /search query (everything) /search journal: query (one store)
 
 **📁 Files** — /find query
 
-**📓 Journal** — /journal [write|prompt|today|streak|weekly|pin|read|search|delete]
+**📓 Journal** — /journal [write|prompt|today|streak|weekly|pin|read|edit|history|rev|restore|search|delete]
 
 **📋 Tasks** — /todo [add|done|start|del|overdue|today|projects|stats] (p1-p4 priority, #project, @due)
 
@@ -1565,11 +3301,17 @@ async function handleSlashCommand(ws, content, sessionId) {
 
 **🔖 Bookmarks** — /bookmark [save|search|del]
 
-**📚 Knowledge** — /kb [add Title | Content|search|read|del]
+**📚 Knowledge** — /kb [add Title | Content|search|read|edit|history|rev|restore|del]
 
 **📊 Overview** — /dashboard /briefing /achievements /insights
 
-**💻 Coding** — /run [lang] [code] /snippet [save|get|run|search|del] /regex /json [pretty|minify|validate] /encode /decode /hash /diff /scaffold /ports /http /loc
+**📦 Data** — /export [json|md] /import path [--dry] [--replace]
+
+**🛡️ Permissions** — /perm [list|allow|deny|ask|del|check] ACTION [regex]
+
+**👥 Accounts** — /whoami /users (admin) · passwords and API tokens under /api/auth
+
+**💻 Coding** — /run [lang] [code] · /run status (sandbox) /snippet [save|get|edit|history|rev|restore|run|search|del] /regex /json [pretty|minify|validate] /encode /decode /hash /diff [--split|--patch] a ||| b · /diff snippet|kb|journal ID1 ID2 /scaffold /ports /http /loc
 
 Or just ask naturally. 😼`;
         break;
@@ -1590,11 +3332,70 @@ Or just ask naturally. 😼`;
 
 // ── Chat Handler ──
 
-async function handleChat(ws, sessionId, personalityId, userMessage) {
+// provider:model pairs that rejected native tool definitions
+const textToolModels = new Set();
+
+// Stream one model turn to the client; stream_start is sent with the first token.
+// An aborted turn keeps whatever text arrived and comes back with stopped: true.
+async function streamRound(ws, provider, messages, opts) {
+  let text = '';
+  let final = null;
+  let started = false;
+  try {
+    for await (const chunk of provider.chatStream(messages, opts)) {
+      if (opts.signal?.aborted) break;
+      if (chunk.content) {
+        if (!started) {
+          ws.send(JSON.stringify({ type: 'stream_start' }));
+          started = true;
+        }
+        text += chunk.content;
+        ws.send(JSON.stringify({ type: 'stream_token', content: chunk.content }));
+      }
+      if (chunk.done) final = chunk;
+    }
+  } catch (err) {
+    if (!opts.signal?.aborted) throw err;
+  }
+  const stopped = !!opts.signal?.aborted;
+  return { text, final, started, stopped, toolCalls: stopped ? [] : final?.tool_calls || [] };
+}
+
+// Command result as fed back to the model
+function toolResultText(cmdResult) {
+  const text = String(cmdResult.result ?? '').slice(0, 4000);
+  return cmdResult.success ? text : `FAILED: ${text}`;
+}
+
+// Name a session after its first exchange; the opening message stands in
+// when the model can't produce a title
+async function autoTitle(ws, sessionId) {
+  if (!memory.needsTitle(sessionId)) return;
+  const history = memory.getConversationHistory(sessionId, 4);
+  let title = '';
+  try {
+    const reply = await completeText([
+      { role: 'system', content: 'Write a 3-6 word title for this conversation. Reply with the title only: no quotes, no trailing punctuation.' },
+      { role: 'user', content: history.map(m => `${m.role}: ${m.content.slice(0, 500)}`).join('\n\n') },
+    ], { temperature: 0.3, timeoutMs: 30000 });
+    title = reply.replace(/<think>[\s\S]*?<\/think>/g, '').split('\n').find(l => l.trim())?.replace(/^["'#*\s]+|["'*.\s]+$/g, '') || '';
+  } catch {}
+  if (!title) title = history.find(m => m.role === 'user')?.content.slice(0, 60) || 'Untitled';
+  title = title.slice(0, 80);
+  memory.setSessionTitle(sessionId, title, 'auto');
+  ws.send(JSON.stringify({ type: 'session_title', session_id: sessionId, title }));
+}
+
+// userMessageId: reply to an existing user message (regenerate) instead of saving a new one.
+// model / provider override the personality's; interactive=false denies "ask" actions
+// instead of waiting on a confirmation nobody can give.
+async function handleChat(ws, sessionId, personalityId, userMessage, {
+  agent = false, signal, userMessageId = null, model: modelOverride, provider: providerOverride, interactive = true,
+} = {}) {
   const personality = personalities[personalityId] || personalities.default;
 
   // Build context from memory
-  const context = memory.buildContext(sessionId, userMessage);
+  const context = await memory.buildContext(sessionId, userMessage);
 
   // Construct memory section for system prompt
   let memorySection = '';
@@ -1603,44 +3404,6 @@ async function handleChat(ws, sessionId, personalityId, userMessage) {
       context.memories.map(m => `- [${m.category}] ${m.content}`).join('\n');
   }
 
-  // Build command instructions
-  const commandSection = `\n\n## Available Commands:
-If the user asks you to perform an action on their system, respond with a JSON block containing the action.
-Available actions: ${commander.getAvailableCommands().join(', ')}
-
-Examples:
-{"action": "open_browser", "url": "https://google.com"}
-{"action": "open_app", "app": "powershell"}
-{"action": "run_shell", "command": "Get-Process | Select -First 10"}
-{"action": "set_reminder", "message": "Check email", "time": "in 10 minutes"}
-{"action": "stock_quote", "ticker": "NVDA"}
-{"action": "stock_analyze", "ticker": "AAPL"}
-{"action": "market_snapshot"}
-{"action": "momentum_scan", "n": "10"}
-{"action": "sentiment", "ticker": "TSLA"}
-{"action": "backtest", "ticker": "AMD"}
-{"action": "moonshot_scan"}
-{"action": "stock_ideas"}
-{"action": "add_todo", "content": "Buy groceries", "priority": 1, "project": "personal"}
-{"action": "complete_todo", "id": 5}
-{"action": "add_habit", "name": "Exercise"}
-{"action": "check_habit", "id": 1}
-{"action": "add_goal", "title": "Learn Rust"}
-{"action": "save_bookmark", "content": "important info", "tags": "work,reference"}
-{"action": "save_knowledge", "title": "API Key", "content": "sk-abc123", "type": "snippet"}
-
-IMPORTANT for run_shell:
-- This system runs Windows with PowerShell. Use PowerShell/Windows commands, NOT bash/Linux.
-- If the user says "run shell" or "run a command" without specifying what, ASK them what command they want to run. Do NOT guess.
-- Valid examples: dir, ipconfig, Get-Process, Get-Date, systeminfo, hostname, tasklist, whoami
-- NEVER use: rm, del, format, shutdown, restart, kill, Remove-Item, or any destructive commands.
-
-IMPORTANT for set_reminder:
-- Always include "message" and "time" fields.
-- Time formats: "in 5 minutes", "in 1 hour", "at 3:00pm", "tomorrow"
-
-For productivity features (todos, habits, goals, bookmarks, knowledge base), prefer using the slash command system (user types /todo, /habit, etc.) but you CAN also trigger them via JSON actions.`;
-
   // If this is Kabuneko personality or user mentions stocks, enrich with market context
   let quantContext = '';
   const isFinanceQuery = /\b(stock|market|trade|crypto|bull|bear|portfolio|ticker|price|chart|analysis|momentum|rsi|backtest|earnings|sentiment)\b/i.test(userMessage);
@@ -1676,12 +3439,22 @@ Use this data in your response. If the user wants deeper analysis, suggest they
     }
   }
 
+  // Commands go to the model as native tools when the provider/model supports
+  // them; otherwise as a prompt section parsed back out of the reply text
+  const target = { ...personality };
+  if (providerOverride) { target.provider = providerOverride; target.model = undefined; }
+  if (modelOverride) target.model = modelOverride;
+  const { provider, model } = await chatTarget(target);
+  const toolKey = `${provider.name}:${model}`;
+  const nativeTools = !textToolModels.has(toolKey);
+
   // Build messages array
   const personalityReminder = personality.reminder || '';
   const messages = [
     {
       role: 'system',
-      content: personality.system_prompt + memorySection + advancedContext + quantContext + commandSection
+      content: personality.system_prompt + memorySection + advancedContext + quantContext +
+        (nativeTools ? '' : commander.getToolPrompt())
     },
     ...context.history,
   ];
@@ -1692,123 +3465,164 @@ Use this data in your response. If the user wants deeper analysis, suggest they
   }
   messages.push({ role: 'user', content: userMessage });
 
-  // Save user message
-  memory.saveMessage(sessionId, 'user', userMessage, personalityId);
-
-  // Stream from Ollama
-  try {
-    const response = await fetch(`${CONFIG.ollamaUrl}/api/chat`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        model: CONFIG.model,
-        messages,
-        stream: true,
-        options: {
-          temperature: personality.temperature,
-        }
-      })
-    });
+  // Save user message — unless regenerating, where it already exists
+  if (userMessageId) {
+    memory.setActiveLeaf(sessionId, userMessageId);
+  } else {
+    const saved = memory.saveMessage(sessionId, 'user', userMessage, personalityId);
+    ws.send(JSON.stringify({ type: 'message_saved', role: 'user', id: saved.lastInsertRowid }));
+  }
 
-    if (!response.ok) {
-      const err = await response.text();
-      ws.send(JSON.stringify({
-        type: 'error',
-        content: `Ollama error (${response.status}): ${err}`
-      }));
-      return;
+  // Stream from the selected provider. Each step is one model turn; when it
+  // calls tools, their results go back into `messages` and the model goes
+  // again. Plain chat allows one tool step, agent mode up to agentMaxSteps.
+  const opts = { model, temperature: personality.temperature, signal };
+  const maxSteps = agent ? CONFIG.agentMaxSteps : 1;
+  const sendStep = (step, status, extra = {}) => {
+    if (agent) ws.send(JSON.stringify({ type: 'agent_step', step, max_steps: maxSteps, status, ...extra }));
+  };
+
+  const runRound = async (withTools) => {
+    if (withTools && !textToolModels.has(toolKey)) {
+      try {
+        return await streamRound(ws, provider, messages, { ...opts, tools: commander.getToolDefinitions() });
+      } catch (err) {
+        if (err.code !== 'tools_unsupported') throw err;
+        console.log(`[Tools] ${toolKey} has no native tool support, using text mode`);
+        textToolModels.add(toolKey);
+        messages[0].content += commander.getToolPrompt();
+      }
     }
+    return streamRound(ws, provider, messages, opts);
+  };
 
-    ws.send(JSON.stringify({ type: 'stream_start' }));
-
-    let fullResponse = '';
-    const reader = response.body.getReader();
-    const decoder = new TextDecoder();
-
+  try {
+    let round;
+    let visible = '';
+    let messageId = null;
+    let stopped = false;
+    let step = 0;
     while (true) {
-      const { done, value } = await reader.read();
-      if (done) break;
-
-      const chunk = decoder.decode(value, { stream: true });
-      const lines = chunk.split('\n').filter(l => l.trim());
+      step++;
+      const toolsAllowed = step <= maxSteps;
+      sendStep(step, 'thinking');
+      round = await runRound(toolsAllowed);
+      stopped = round.stopped;
+
+      const calls = !toolsAllowed || stopped ? []
+        : round.toolCalls.length
+          ? round.toolCalls.map(c => ({ id: c.id, action: c.name, params: c.arguments }))
+          : commander.extractCommands(round.text).map((c, i) => ({ id: `call_${step}_${i + 1}`, action: c.action, params: c }));
+      const textMode = !round.toolCalls.length;
+      visible = textMode ? commander.stripCommands(round.text) : round.text;
+      messageId = visible ? memory.saveMessage(sessionId, 'assistant', visible, personalityId).lastInsertRowid : null;
+      if (!calls.length) break;
+
+      // Run commands and feed the results back for the next step
+      if (round.started) ws.send(JSON.stringify({ type: 'stream_end', full_content: visible, message_id: messageId, partial: true }));
+      sendStep(step, 'running', { tools: calls.map(c => c.action) });
+
+      const results = [];
+      for (const call of calls) {
+        if (signal?.aborted) break;
+        const cmdResult = await commander.execute(call.action, call.params, {
+          confirm: interactive ? req => requestConfirmation(ws, req) : undefined,
+        });
+        ws.send(JSON.stringify({
+          type: 'command_result',
+          action: call.action,
+          ...cmdResult
+        }));
+        // If it's a chart command, also push chart data to render
+        if (call.action === 'stock_chart' && cmdResult.data && !cmdResult.data.error) {
+          ws.send(JSON.stringify({ type: 'chart_data', data: cmdResult.data }));
+        } else if (cmdResult.chart_data) {
+          ws.send(JSON.stringify({ type: 'chart_data', data: cmdResult.chart_data }));
+        }
+        results.push({ call, success: cmdResult.success, text: toolResultText(cmdResult) });
+      }
+      sendStep(step, 'observed', { results: results.map(r => ({ action: r.call.action, success: r.success })) });
+      if (signal?.aborted) {
+        // This step's text was already finalized above
+        stopped = true;
+        visible = '';
+        messageId = null;
+        break;
+      }
 
-      for (const line of lines) {
-        try {
-          const data = JSON.parse(line);
-          if (data.message?.content) {
-            fullResponse += data.message.content;
-            ws.send(JSON.stringify({
-              type: 'stream_token',
-              content: data.message.content
-            }));
-          }
-          if (data.done) {
-            // Save assistant response
-            memory.saveMessage(sessionId, 'assistant', fullResponse, personalityId);
-
-            // Check for commands in response
-            const commands = commander.extractCommands(fullResponse);
-            for (const cmd of commands) {
-              const cmdResult = await commander.execute(cmd.action, cmd);
-              ws.send(JSON.stringify({
-                type: 'command_result',
-                action: cmd.action,
-                ...cmdResult
-              }));
-              // If it's a chart command, also push chart data to render
-              if (cmd.action === 'stock_chart' && cmdResult.data && !cmdResult.data.error) {
-                ws.send(JSON.stringify({ type: 'chart_data', data: cmdResult.data }));
-              }
-            }
+      const lastStep = step >= maxSteps;
+      if (textMode) {
+        messages.push({ role: 'assistant', content: round.text });
+        messages.push({
+          role: 'system',
+          content: 'Command results:\n' + results.map(r => `[${r.call.action}] ${r.text}`).join('\n\n') +
+            (lastStep
+              ? '\n\nUse these results to answer the user. Do not emit the commands again.'
+              : '\n\nContinue: run further commands if the task needs them, otherwise answer the user.')
+        });
+      } else {
+        messages.push({ role: 'assistant', content: round.text, tool_calls: round.toolCalls });
+        for (const r of results) {
+          messages.push({ role: 'tool', tool_call_id: r.call.id, name: r.call.action, content: r.text });
+        }
+      }
+      if (agent && lastStep) {
+        sendStep(step, 'budget');
+        messages.push({ role: 'system', content: `Step budget (${maxSteps}) reached — no more commands. Answer with what you have.` });
+      }
+    }
+    sendStep(step, stopped ? 'stopped' : 'done');
+    if (!round.started) ws.send(JSON.stringify({ type: 'stream_start' }));
 
-            // Check for "remember" patterns in user message
-            await autoExtractMemories(userMessage, fullResponse, ws, sessionId);
-
-            // Check achievements
-            try {
-              const hour = new Date().getHours();
-              const stats = {
-                messages: memory.getStats().conversations,
-                memories: memory.getStats().memories,
-                journal_entries: journal.getStreak().total_entries,
-                journal_streak: journal.getStreak().current,
-                todos_done: todos.getStats().done,
-                habits: habits.getAllHabits().length,
-                max_habit_streak: Math.max(0, ...habits.getAllHabits().map(h => habits.getStreak(h.id))),
-                pomodoros: pomodoro.getWeekStats().sessions,
-                goals: goals.getAll('active').length + goals.getAll('completed').length,
-                goals_done: goals.getAll('completed').length,
-                kb_items: kb.getStats().total,
-                bookmarks: bookmarks.getAll().length,
-                night_messages: hour >= 0 && hour < 5 ? 1 : 0,
-                early_messages: hour >= 5 && hour < 6 ? 1 : 0,
-              };
-              const newAch = achievements.checkAndUnlock(stats);
-              for (const a of newAch) {
-                ws.send(JSON.stringify({
-                  type: 'achievement_unlocked',
-                  icon: a.icon,
-                  name: a.name,
-                  desc: a.desc,
-                }));
-              }
-            } catch (e) { console.warn('[Achievements] Check error:', e.message); }
+    // Check for "remember" patterns in user message
+    await autoExtractMemories(userMessage, visible, ws, sessionId);
 
-            ws.send(JSON.stringify({
-              type: 'stream_end',
-              full_content: fullResponse,
-              model: data.model,
-              eval_duration: data.eval_duration,
-              total_duration: data.total_duration
-            }));
-          }
-        } catch { /* skip parse errors on partial chunks */ }
+    // Check achievements
+    try {
+      const hour = new Date().getHours();
+      const stats = {
+        messages: memory.getStats().conversations,
+        memories: memory.getStats().memories,
+        journal_entries: journal.getStreak().total_entries,
+        journal_streak: journal.getStreak().current,
+        todos_done: todos.getStats().done,
+        habits: habits.getAllHabits().length,
+        max_habit_streak: Math.max(0, ...habits.getAllHabits().map(h => habits.getStreak(h.id))),
+        pomodoros: pomodoro.getWeekStats().sessions,
+        goals: goals.getAll('active').length + goals.getAll('completed').length,
+        goals_done: goals.getAll('completed').length,
+        kb_items: kb.getStats().total,
+        bookmarks: bookmarks.getAll().length,
+        night_messages: hour >= 0 && hour < 5 ? 1 : 0,
+        early_messages: hour >= 5 && hour < 6 ? 1 : 0,
+      };
+      const newAch = achievements.checkAndUnlock(stats);
+      for (const a of newAch) {
+        ws.send(JSON.stringify({
+          type: 'achievement_unlocked',
+          icon: a.icon,
+          name: a.name,
+          desc: a.desc,
+        }));
       }
-    }
+    } catch (e) { console.warn('[Achievements] Check error:', e.message); }
+
+    ws.send(JSON.stringify({
+      type: 'stream_end',
+      full_content: visible,
+      message_id: messageId,
+      stopped: stopped || undefined,
+      model: round.final?.model || model,
+      provider: provider.name,
+      eval_duration: round.final?.stats?.eval_duration,
+      total_duration: round.final?.stats?.total_duration
+    }));
   } catch (err) {
     ws.send(JSON.stringify({
       type: 'error',
-      content: `Connection error: ${err.message}. Is Ollama running at ${CONFIG.ollamaUrl}?`
+      content: err.name === 'ProviderError'
+        ? err.message
+        : `Connection error: ${err.message}. Is ${provider.name} reachable?`
     }));
   }
 }
@@ -1819,7 +3633,7 @@ async function autoExtractMemories(userMessage, assistantResponse, ws, sessionId
   const lower = userMessage.toLowerCase();
 
   // ── Mood tracking (every user message) ──
-  const moodResult = mood.track(userMessage, sessionId);
+  const moodResult = await mood.track(userMessage, sessionId);
 
   // Explicit "remember" triggers
   const rememberPatterns = [
@@ -1900,30 +3714,53 @@ async function autoExtractMemories(userMessage, assistantResponse, ws, sessionId
 
 // ── Start ──
 
-server.listen(CONFIG.port, () => {
+// Without accounts only this machine may connect, unless HOST says otherwise
+CONFIG.host ||= auth.enabled ? '0.0.0.0' : '127.0.0.1';
+
+// Token mode has no setup screen: the admin's first token is printed once
+if (CONFIG.authMode === 'token' && auth.userCount() === 0) {
+  const admin = await auth.createUser({ username: 'admin', role: 'admin' });
+  console.log(`[Auth] Created account "admin" — API token (shown once): ${auth.createToken(admin.id, 'initial').token}`);
+}
+
+server.listen(CONFIG.port, CONFIG.host, () => {
   console.log(`
   ╔══════════════════════════════════════════╗
   ║         ⚡ VELLE.AI — ONLINE            ║
   ╠══════════════════════════════════════════╣
   ║  Server:  http://localhost:${CONFIG.port}          ║
-  ║  Ollama:  ${CONFIG.ollamaUrl.padEnd(28)}║
+  ║  LLM:     ${CONFIG.provider.padEnd(28)}║
   ║  Model:   ${CONFIG.model.padEnd(28)}║
   ║  DB:      companion.db                  ║
+  ║  Auth:    ${CONFIG.authMode.padEnd(28)}║
   ╚══════════════════════════════════════════╝
   `);
+  if (!auth.enabled && CONFIG.host !== '127.0.0.1') {
+    console.warn(`[Auth] AUTH_MODE=none on ${CONFIG.host} — anyone who can reach port ${CONFIG.port} can run shell commands. Set AUTH_MODE=accounts.`);
+  }
+  if (auth.needsSetup()) {
+    console.log(`[Auth] No accounts yet — open the app and create the admin with setup code ${auth.setupCode}`);
+  }
 });
 
 // ── Graceful Shutdown (for Electron and Ctrl+C) ──
 
 function shutdown() {
   console.log('[VELLE.AI] Shutting down...');
+  stop();
+  console.log('[VELLE.AI] Goodbye.');
+  process.exit(0);
+}
 
+// Release timers, sockets and databases without exiting (tests load the server in-process)
+function stop() {
   // Clear ALL timers (intervals + timeouts keeping process alive)
   const maxId = setTimeout(() => {}, 0);
   for (let i = 0; i < maxId; i++) {
     clearTimeout(i);
     clearInterval(i);
   }
+  clearInterval(backfillTimer);
 
   // Close all WebSocket connections
   wss.clients.forEach(ws => {
@@ -1932,15 +3769,16 @@ function shutdown() {
 
   try { wss.close(); } catch {}
   try { server.close(); } catch {}
-  try { memory.db.close(); } catch {}
-
-  console.log('[VELLE.AI] Goodbye.');
-  process.exit(0);
+  for (const w of [ownerWorkspace, ...workspaces.values()]) {
+    w.reminders.stopAll();
+    w.alerts.stop();
+    try { w.memory.db.close(); } catch {}
+  }
 }
 
 process.on('SIGTERM', shutdown);
 process.on('SIGINT', shutdown);
 process.on('SIGHUP', shutdown);
 
-// Export for Electron to call on quit
-export { server, wss, shutdown };
+// Export for Electron to call on quit, and for the tests
+export { server, wss, shutdown, stop, providers, handleChat };
@@ -0,0 +1,889 @@
+// ═══════════════════════════════════════════════════════════════
+//  VELLE.AI — Market Data Layer
+//  • Yahoo Finance (quotes, charts, fundamentals) + Finviz headlines
+//  • CSV / Parquet bars on disk (Yahoo "Download" columns), fully offline
+//  • Recorded fixtures: replay captured responses, or record live ones
+//  • SQLite bar cache (price_bars) in front of live sources
+//
+//  Every source exposes the same surface:
+//    quotes(symbols)                 → { SYM: { price, pct, prev, change, state, name, ... } }
+//    chart(symbol, range, interval, { start, end })
+//                                    → [{ date, open, high, low, close, volume }] | null
+//                                      (start/end, when given, bound the bars instead of range)
+//    fundamentals(ticker)            → { revenueGrowth, grossMargins, ... } | null
+//    news(ticker)                    → [headline]
+//    options(symbol, expiration)     → { symbol, spot, asof, expirations, expiration,
+//                                        calls: [contract], puts: [contract] } | null
+//                                      (expiration 'YYYY-MM-DD', or the nearest one)
+//
+//  quant.js takes a source by injection; setMarketData() swaps the default.
+// ═══════════════════════════════════════════════════════════════
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { parquetReadObjects } from 'hyparquet';
+
+const FINVIZ_URL = 'https://finviz.com/quote.ashx';
+const UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+
+export const MARKET_DATA_SOURCES = ['yahoo', 'csv', 'fixture'];
+
+// Parallel upstream requests for a watchlist scan
+const DEFAULT_CONCURRENCY = 4;
+
+function emptyQuote() {
+  return { price: null, pct: null, prev: null, change: null, state: null };
+}
+
+// ── Yahoo Finance API (with crumb auth) ──
+
+let _yahooCrumb = null;
+let _yahooCookie = null;
+let _crumbExpiry = 0;
+let _crumbPending = null;
+
+// Parallel scans share one crumb request instead of each starting their own
+function getYahooCrumb() {
+  // Cache crumb for 1 hour
+  if (_yahooCrumb && _yahooCookie && Date.now() < _crumbExpiry) {
+    return Promise.resolve({ crumb: _yahooCrumb, cookie: _yahooCookie });
+  }
+  if (!_crumbPending) _crumbPending = fetchYahooCrumb().finally(() => { _crumbPending = null; });
+  return _crumbPending;
+}
+
+async function fetchYahooCrumb() {
+  try {
+    // Step 1: Get consent cookie
+    const initResp = await fetch('https://fc.yahoo.com', {
+      headers: { 'User-Agent': UA },
+      redirect: 'manual',
+      signal: AbortSignal.timeout(8000),
+    });
+    const setCookie = initResp.headers.get('set-cookie') || '';
+
+    // Step 2: Get crumb using cookie
+    const crumbResp = await fetch('https://query2.finance.yahoo.com/v1/test/getcrumb', {
+      headers: {
+        'User-Agent': UA,
+        'Cookie': setCookie.split(';')[0],
+      },
+      signal: AbortSignal.timeout(8000),
+    });
+
+    if (crumbResp.ok) {
+      _yahooCrumb = await crumbResp.text();
+      _yahooCookie = setCookie.split(';')[0];
+      _crumbExpiry = Date.now() + 3600000; // 1 hour
+      return { crumb: _yahooCrumb, cookie: _yahooCookie };
+    }
+  } catch (e) {
+    console.error('[Yahoo Crumb Error]', e.message);
+  }
+  return { crumb: null, cookie: null };
+}
+
+export async function yahooQuoteBatch(symbols) {
+  if (typeof symbols === 'string') symbols = [symbols];
+  const out = {};
+  for (const s of symbols) out[s] = emptyQuote();
+
+  try {
+    // Try v7 with crumb auth first
+    const { crumb, cookie } = await getYahooCrumb();
+    const headers = { 'User-Agent': UA };
+    if (cookie) headers['Cookie'] = cookie;
+
+    // Try both query hosts
+    for (const host of ['query2', 'query1']) {
+      let url = `https://${host}.finance.yahoo.com/v7/finance/quote?symbols=${symbols.join(',')}`;
+      if (crumb) url += `&crumb=${encodeURIComponent(crumb)}`;
+
+      try {
+        const resp = await fetch(url, { headers, signal: AbortSignal.timeout(10000) });
+        if (!resp.ok) continue;
+
+        const data = await resp.json();
+        for (const item of (data?.quoteResponse?.result || [])) {
+          const s = item.symbol;
+          if (out[s]) {
+            out[s].price = item.regularMarketPrice ?? null;
+            out[s].pct = item.regularMarketChangePercent ?? null;
+            out[s].prev = item.regularMarketPreviousClose ?? null;
+            out[s].change = item.regularMarketChange ?? null;
+            out[s].state = item.marketState ?? null;
+            out[s].name = item.shortName ?? item.longName ?? s;
+            out[s].volume = item.regularMarketVolume ?? null;
+            out[s].marketCap = item.marketCap ?? null;
+            out[s].fiftyTwoWeekHigh = item.fiftyTwoWeekHigh ?? null;
+            out[s].fiftyTwoWeekLow = item.fiftyTwoWeekLow ?? null;
+            out[s].forwardPE = item.forwardPE ?? null;
+            out[s].trailingPE = item.trailingPE ?? null;
+            out[s].dividendYield = item.dividendYield ?? null;
+            out[s].epsTrailingTwelveMonths = item.epsTrailingTwelveMonths ?? null;
+          }
+        }
+
+        const hasData = symbols.some(s => out[s].price != null);
+        if (hasData) return out;
+      } catch { continue; }
+    }
+
+    // Fallback: use v8 chart endpoint per-symbol
+    console.log('[Yahoo] v7 failed on both hosts, falling back to v8 chart...');
+    for (const sym of symbols) {
+      try {
+        let chartUrl = `https://query2.finance.yahoo.com/v8/finance/chart/${sym}?range=5d&interval=1d&includePrePost=false`;
+        if (crumb) chartUrl += `&crumb=${encodeURIComponent(crumb)}`;
+
+        const chartResp = await fetch(chartUrl, { headers, signal: AbortSignal.timeout(8000) });
+        if (!chartResp.ok) continue;
+        const chartData = await chartResp.json();
+        const meta = chartData?.chart?.result?.[0]?.meta;
+        if (!meta) continue;
+
+        out[sym].price = meta.regularMarketPrice ?? null;
+        out[sym].prev = meta.previousClose ?? meta.chartPreviousClose ?? null;
+        out[sym].state = meta.marketState ?? null;
+        out[sym].name = meta.shortName ?? meta.longName ?? sym;
+
+        if (out[sym].price != null && out[sym].prev != null && out[sym].prev > 0) {
+          out[sym].change = out[sym].price - out[sym].prev;
+          out[sym].pct = (out[sym].change / out[sym].prev) * 100;
+        }
+
+        // v8 meta has some extra fields
+        out[sym].fiftyTwoWeekHigh = meta.fiftyTwoWeekHigh ?? null;
+        out[sym].fiftyTwoWeekLow = meta.fiftyTwoWeekLow ?? null;
+        out[sym].volume = meta.regularMarketVolume ?? null;
+      } catch { continue; }
+    }
+  } catch (e) {
+    console.error('[Yahoo Quote Error]', e.message);
+  }
+  return out;
+}
+
+export async function yahooChart(symbol, range = '6mo', interval = '1d', { start = null, end = null } = {}) {
+  try {
+    const { crumb, cookie } = await getYahooCrumb();
+    const headers = { 'User-Agent': UA };
+    if (cookie) headers['Cookie'] = cookie;
+    const span = start
+      ? `period1=${Math.floor(start / 1000)}&period2=${Math.ceil((end || Date.now()) / 1000)}`
+      : `range=${range}`;
+
+    // Try query1 first, then query2
+    for (const host of ['query1', 'query2']) {
+      try {
+        let url = `https://${host}.finance.yahoo.com/v8/finance/chart/${symbol}?${span}&interval=${interval}&includePrePost=false`;
+        if (crumb) url += `&crumb=${encodeURIComponent(crumb)}`;
+
+        const resp = await fetch(url, { headers, signal: AbortSignal.timeout(15000) });
+        if (!resp.ok) continue;
+
+        const data = await resp.json();
+        const result = data?.chart?.result?.[0];
+        if (!result) continue;
+
+        const timestamps = result.timestamp || [];
+        const ohlcv = result.indicators?.quote?.[0] || {};
+        const rows = [];
+        for (let i = 0; i < timestamps.length; i++) {
+          const o = ohlcv.open?.[i], h = ohlcv.high?.[i], l = ohlcv.low?.[i], c = ohlcv.close?.[i], v = ohlcv.volume?.[i];
+          if (c != null) {
+            rows.push({
+              date: new Date(timestamps[i] * 1000),
+              open: o, high: h, low: l, close: c, volume: v || 0
+            });
+          }
+        }
+        // An explicit window can legitimately hold no bars (before a listing)
+        if (rows.length > 0 || start) return rows;
+      } catch { continue; }
+    }
+    return null;
+  } catch (e) {
+    console.error(`[Yahoo Chart Error] ${symbol}:`, e.message);
+    return null;
+  }
+}
+
+// ── Yahoo Finance v10 Fundamentals (matches yf.Ticker().info) ──
+
+export async function yahooFundamentals(ticker) {
+  try {
+    const { crumb, cookie } = await getYahooCrumb();
+    const headers = { 'User-Agent': UA };
+    if (cookie) headers['Cookie'] = cookie;
+
+    let url = `https://query2.finance.yahoo.com/v10/finance/quoteSummary/${ticker}?modules=defaultKeyStatistics,financialData,summaryDetail,assetProfile`;
+    if (crumb) url += `&crumb=${encodeURIComponent(crumb)}`;
+
+    const resp = await fetch(url, { headers, signal: AbortSignal.timeout(8000) });
+    if (!resp.ok) return null;
+
+    const data = await resp.json();
+    const ks = data?.quoteSummary?.result?.[0]?.defaultKeyStatistics || {};
+    const fd = data?.quoteSummary?.result?.[0]?.financialData || {};
+    const sd = data?.quoteSummary?.result?.[0]?.summaryDetail || {};
+    const ap = data?.quoteSummary?.result?.[0]?.assetProfile || {};
+
+    const raw = (obj) => obj?.raw ?? obj?.rawValue ?? obj ?? null;
+
+    return {
+      revenueGrowth: raw(fd.revenueGrowth),
+      grossMargins: raw(fd.grossMargins),
+      returnOnEquity: raw(fd.returnOnEquity),
+      debtToEquity: raw(fd.debtToEquity),
+      payoutRatio: raw(sd.payoutRatio),
+      dividendYield: raw(sd.dividendYield),
+      marketCap: raw(sd.marketCap),
+      forwardPE: raw(sd.forwardPE) || raw(ks.forwardPE),
+      trailingPE: raw(sd.trailingPE),
+      shortName: raw(sd.shortName),
+      sector: ap.sector || null,
+      industry: ap.industry || null,
+    };
+  } catch {
+    return null;
+  }
+}
+
+// ── Yahoo Finance v7 Options ──
+
+const dayOf = (epochSeconds) => new Date(epochSeconds * 1000).toISOString().slice(0, 10);
+
+function yahooContract(c) {
+  return {
+    contract: c.contractSymbol,
+    strike: c.strike,
+    bid: c.bid ?? null,
+    ask: c.ask ?? null,
+    last: c.lastPrice ?? null,
+    volume: c.volume ?? 0,
+    open_interest: c.openInterest ?? 0,
+    iv: c.impliedVolatility || null,
+  };
+}
+
+export async function yahooOptions(symbol, expiration = null) {
+  try {
+    const { crumb, cookie } = await getYahooCrumb();
+    const headers = { 'User-Agent': UA };
+    if (cookie) headers['Cookie'] = cookie;
+    const params = new URLSearchParams();
+    if (expiration) params.set('date', Math.floor(Date.parse(`${expiration}T00:00:00Z`) / 1000));
+    if (crumb) params.set('crumb', crumb);
+
+    for (const host of ['query2', 'query1']) {
+      try {
+        const url = `https://${host}.finance.yahoo.com/v7/finance/options/${symbol}?${params}`;
+        const resp = await fetch(url, { headers, signal: AbortSignal.timeout(10000) });
+        if (!resp.ok) continue;
+
+        const result = (await resp.json())?.optionChain?.result?.[0];
+        if (!result) continue;
+        const chain = result.options?.[0] || {};
+        return {
+          symbol: symbol.toUpperCase(),
+          spot: result.quote?.regularMarketPrice ?? null,
+          asof: new Date(),
+          expirations: (result.expirationDates || []).map(dayOf),
+          expiration: chain.expirationDate ? dayOf(chain.expirationDate) : null,
+          calls: (chain.calls || []).map(yahooContract),
+          puts: (chain.puts || []).map(yahooContract),
+        };
+      } catch { continue; }
+    }
+    return null;
+  } catch (e) {
+    console.error(`[Yahoo Options Error] ${symbol}:`, e.message);
+    return null;
+  }
+}
+
+// ── Finviz Headlines ──
+
+export async function finvizNews(ticker) {
+  try {
+    const url = `${FINVIZ_URL}?t=${ticker}`;
+    const resp = await fetch(url, { headers: { 'User-Agent': UA }, signal: AbortSignal.timeout(10000) });
+    const html = await resp.text();
+
+    // Parse headlines from Finviz
+    const headlines = [];
+    const matches = html.matchAll(/<a[^>]+class="tab-link-news"[^>]*>([^<]+)<\/a>/g);
+    for (const m of matches) {
+      headlines.push(m[1].trim());
+      if (headlines.length >= 10) break;
+    }
+
+    // Fallback: broader pattern
+    if (headlines.length === 0) {
+      const fallback = html.matchAll(/news-link-left[^"]*"[^>]*>([^<]+)<\/a>/g);
+      for (const m of fallback) {
+        headlines.push(m[1].trim());
+        if (headlines.length >= 10) break;
+      }
+    }
+
+    // Even broader fallback
+    if (headlines.length === 0) {
+      const tableMatch = html.match(/fullview-news-outer[\s\S]*?<\/table>/);
+      if (tableMatch) {
+        const linkMatches = tableMatch[0].matchAll(/<a[^>]*>([^<]{15,})<\/a>/g);
+        for (const m of linkMatches) {
+          headlines.push(m[1].trim());
+          if (headlines.length >= 10) break;
+        }
+      }
+    }
+
+    return headlines;
+  } catch (e) {
+    console.error(`[News Error] ${ticker}:`, e.message);
+    return [];
+  }
+}
+
+export class YahooMarketData {
+  constructor({ concurrency = DEFAULT_CONCURRENCY } = {}) {
+    this.name = 'yahoo';
+    this.concurrency = concurrency;
+  }
+
+  quotes(symbols) { return yahooQuoteBatch(symbols); }
+  chart(symbol, range = '6mo', interval = '1d', span = {}) { return yahooChart(symbol, range, interval, span); }
+  fundamentals(ticker) { return yahooFundamentals(ticker); }
+  news(ticker) { return finvizNews(ticker); }
+  options(symbol, expiration = null) { return yahooOptions(symbol, expiration); }
+}
+
+// ── Offline helpers ──
+
+// Symbols like ^GSPC or ES=F aren't safe file names
+function fileKey(symbol) {
+  return symbol.toUpperCase().replace(/[^A-Z0-9.-]/g, '_');
+}
+
+// First date a Yahoo-style range covers, counting back from `end`
+function rangeStart(range, end) {
+  const m = /^(\d+)(d|wk|mo|y)$/.exec(range || '');
+  const start = new Date(end);
+  if (range === 'ytd') return new Date(Date.UTC(end.getUTCFullYear(), 0, 1));
+  if (!m) return new Date(0);   // 'max' and anything unknown
+  const n = parseInt(m[1]);
+  if (m[2] === 'd') start.setUTCDate(start.getUTCDate() - n);
+  else if (m[2] === 'wk') start.setUTCDate(start.getUTCDate() - n * 7);
+  else if (m[2] === 'mo') start.setUTCMonth(start.getUTCMonth() - n);
+  else start.setUTCFullYear(start.getUTCFullYear() - n);
+  return start;
+}
+
+function sliceRange(rows, range, { start = null, end = null } = {}) {
+  if (!rows?.length) return null;
+  if (start) return rows.filter(r => r.date >= start && (!end || r.date <= end));
+  const from = rangeStart(range, rows[rows.length - 1].date);
+  const out = rows.filter(r => r.date >= from);
+  return out.length ? out : null;
+}
+
+// Option chain CSV: one row per contract, header required.
+//   expiration,type,strike,bid,ask,last,volume,open_interest,iv
+// type is call/put (or C/P); iv is a fraction (0.25) or a percent (25%).
+export function parseOptionsCsv(text) {
+  const lines = String(text).split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  if (lines.length < 2) return [];
+  const header = lines[0].split(',').map(h => h.trim().toLowerCase().replace(/\s+/g, '_'));
+  const col = (...names) => header.findIndex(h => names.includes(h));
+  const idx = {
+    expiration: col('expiration', 'expiry', 'exp'),
+    type: col('type', 'option_type', 'right'),
+    strike: col('strike'),
+    bid: col('bid'),
+    ask: col('ask'),
+    last: col('last', 'last_price', 'lastprice'),
+    volume: col('volume'),
+    open_interest: col('open_interest', 'openinterest', 'oi'),
+    iv: col('iv', 'implied_volatility', 'impliedvolatility'),
+    contract: col('contract', 'contract_symbol', 'contractsymbol'),
+  };
+  if (idx.expiration < 0 || idx.type < 0 || idx.strike < 0) throw new Error('Options CSV needs expiration, type and strike columns');
+
+  const num = (v) => {
+    if (v == null || v === '') return null;
+    const n = parseFloat(String(v).replace('%', ''));
+    return Number.isFinite(n) ? n : null;
+  };
+  return lines.slice(1).map(line => {
+    const c = line.split(',').map(v => v.trim());
+    const iv = num(c[idx.iv]);
+    return {
+      expiration: new Date(c[idx.expiration]).toISOString().slice(0, 10),
+      type: /^c/i.test(c[idx.type]) ? 'call' : 'put',
+      contract: idx.contract >= 0 ? c[idx.contract] : null,
+      strike: num(c[idx.strike]),
+      bid: num(c[idx.bid]),
+      ask: num(c[idx.ask]),
+      last: num(c[idx.last]),
+      volume: num(c[idx.volume]) ?? 0,
+      open_interest: num(c[idx.open_interest]) ?? 0,
+      iv: iv == null ? null : (String(c[idx.iv]).includes('%') || iv > 5 ? iv / 100 : iv),
+    };
+  }).filter(r => r.strike != null);
+}
+
+// Pick one expiration out of a flat list of contracts
+function chainFromRows(symbol, rows, expiration, spot, asof) {
+  const expirations = [...new Set(rows.map(r => r.expiration))].sort();
+  const exp = expiration && expirations.includes(expiration)
+    ? expiration
+    : expirations.find(e => !expiration || e >= expiration) || null;
+  const pick = (type) => rows.filter(r => r.expiration === exp && r.type === type)
+    .sort((a, b) => a.strike - b.strike)
+    .map(({ expiration: _e, type: _t, ...c }) => ({ ...c, contract: c.contract || `${symbol}${exp?.replace(/-/g, '').slice(2)}${type[0].toUpperCase()}${c.strike}` }));
+  return { symbol, spot, asof, expirations, expiration: exp, calls: pick('call'), puts: pick('put') };
+}
+
+// Derive a quote from the last two bars, the way Yahoo's v8 fallback does
+function quoteFromBars(symbol, rows, fundamentals = null) {
+  const q = { ...emptyQuote(), name: fundamentals?.shortName || symbol };
+  if (!rows?.length) return q;
+  const last = rows[rows.length - 1];
+  const prev = rows.length > 1 ? rows[rows.length - 2].close : null;
+  const year = rows.slice(-252);
+  Object.assign(q, {
+    price: last.close,
+    prev,
+    change: prev != null ? last.close - prev : null,
+    pct: prev ? (last.close - prev) / prev * 100 : null,
+    state: 'CLOSED',
+    volume: last.volume,
+    fiftyTwoWeekHigh: Math.max(...year.map(r => r.high ?? r.close)),
+    fiftyTwoWeekLow: Math.min(...year.map(r => r.low ?? r.close)),
+  });
+  if (fundamentals) {
+    for (const k of ['marketCap', 'forwardPE', 'trailingPE', 'dividendYield']) q[k] = fundamentals[k] ?? null;
+  }
+  return q;
+}
+
+function readJson(path, fallback = null) {
+  if (!existsSync(path)) return fallback;
+  try { return JSON.parse(readFileSync(path, 'utf-8')); } catch { return fallback; }
+}
+
+// Bars from records keyed by lower-case column name (Date, Open, High, Low,
+// Close, Adj Close, Volume — order and extras don't matter). Rows without a
+// close or a readable date are dropped.
+function barsFromRecords(records, columns) {
+  const dateCol = ['date', 'datetime', 'timestamp'].find(c => columns.includes(c));
+  if (!dateCol || !columns.includes('close')) throw new Error('Bars need at least Date and Close columns');
+
+  const num = v => {
+    const n = parseFloat(v);   // also takes Parquet's BigInt volumes
+    return Number.isFinite(n) ? n : null;
+  };
+  const rows = [];
+  for (const r of records) {
+    const close = num(r.close);
+    const date = new Date(typeof r[dateCol] === 'bigint' ? Number(r[dateCol]) : r[dateCol]);
+    if (close == null || isNaN(date)) continue;
+    rows.push({
+      date,
+      open: num(r.open) ?? close,
+      high: num(r.high) ?? close,
+      low: num(r.low) ?? close,
+      close,
+      volume: num(r.volume) || 0,
+    });
+  }
+  return rows.sort((a, b) => a.date - b.date);
+}
+
+// Parse a Yahoo "Download" CSV (Date,Open,High,Low,Close,Adj Close,Volume)
+export function parseBarsCsv(text) {
+  const lines = text.trim().split(/\r?\n/);
+  const header = lines.shift().split(',').map(h => h.trim().toLowerCase());
+  const records = lines.map(line => {
+    const cells = line.split(',');
+    return Object.fromEntries(header.map((h, i) => [h, cells[i]]));
+  });
+  return barsFromRecords(records, header);
+}
+
+// Parse a Parquet file of bars, e.g. pandas df.to_parquet() (a DatetimeIndex
+// named Date is written as a column). Uncompressed or snappy; timestamp and
+// date columns arrive as Dates.
+export async function parseBarsParquet(buffer) {
+  const file = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+  const records = (await parquetReadObjects({ file })).map(r =>
+    Object.fromEntries(Object.entries(r).map(([k, v]) => [k.trim().toLowerCase(), v])));
+  return records.length ? barsFromRecords(records, Object.keys(records[0])) : [];
+}
+
+// ── CSV on disk ──
+//
+//  <dir>/AAPL.csv            daily bars (or AAPL_1wk.csv for other intervals);
+//  <dir>/AAPL.parquet        AAPL.parquet / AAPL_1wk.parquet work the same way
+//  <dir>/fundamentals.json   { "AAPL": { forwardPE, marketCap, shortName, ... } }
+//  <dir>/news.json           { "AAPL": ["headline", ...] }
+//
+//  <dir>/options/AAPL.csv    option chain, see parseOptionsCsv
+//
+//  Quotes are derived from the latest bars. When both exist, the CSV wins.
+
+export class CsvMarketData {
+  constructor({ dir }) {
+    this.name = 'csv';
+    this.dir = dir;
+    this._bars = new Map();
+  }
+
+  // Resolves to the bars, or null; concurrent callers share one read
+  _load(symbol, interval = '1d') {
+    const key = `${fileKey(symbol)}_${interval}`;
+    if (!this._bars.has(key)) this._bars.set(key, this._read(key, interval === '1d' ? fileKey(symbol) : null));
+    return this._bars.get(key);
+  }
+
+  async _read(key, plainKey) {
+    const names = [key, plainKey].filter(Boolean).flatMap(k => [`${k}.csv`, `${k}.parquet`]);
+    const path = names.map(n => join(this.dir, n)).find(p => existsSync(p));
+    if (!path) return null;
+    try {
+      return path.endsWith('.parquet')
+        ? await parseBarsParquet(readFileSync(path))
+        : parseBarsCsv(readFileSync(path, 'utf-8'));
+    } catch (e) {
+      console.error(`[MarketData] ${path}: ${e.message}`);
+      return null;
+    }
+  }
+
+  async quotes(symbols) {
+    if (typeof symbols === 'string') symbols = [symbols];
+    const fundamentals = readJson(join(this.dir, 'fundamentals.json'), {});
+    const out = {};
+    for (const s of symbols) out[s] = quoteFromBars(s, await this._load(s), fundamentals[s.toUpperCase()]);
+    return out;
+  }
+
+  async chart(symbol, range = '6mo', interval = '1d', span = {}) {
+    return sliceRange(await this._load(symbol, interval), range, span);
+  }
+
+  async fundamentals(ticker) {
+    return readJson(join(this.dir, 'fundamentals.json'), {})[ticker.toUpperCase()] || null;
+  }
+
+  async news(ticker) {
+    return readJson(join(this.dir, 'news.json'), {})[ticker.toUpperCase()] || [];
+  }
+
+  // <dir>/options/AAPL.csv, priced as of the last daily bar
+  async options(symbol, expiration = null) {
+    const path = join(this.dir, 'options', `${fileKey(symbol)}.csv`);
+    if (!existsSync(path)) return null;
+    let rows;
+    try { rows = parseOptionsCsv(readFileSync(path, 'utf-8')); } catch (e) {
+      console.error(`[MarketData] ${path}: ${e.message}`);
+      return null;
+    }
+    const bars = await this._load(symbol);
+    const last = bars?.[bars.length - 1];
+    return chainFromRows(symbol.toUpperCase(), rows, expiration, last?.close ?? null, last?.date ?? new Date());
+  }
+}
+
+// ── Recorded fixtures ──
+//
+//  One JSON file per response: <dir>/quote/AAPL.json,
+//  <dir>/chart/AAPL_6mo_1d.json, <dir>/fundamentals/AAPL.json,
+//  <dir>/news/AAPL.json. With `record`, every call goes to `upstream` and
+//  its result is written over the fixture; without, fixtures are replayed
+//  and anything missing comes back empty. Charts are keyed by range; a
+//  start/end window is applied to the recorded bars.
+
+export class FixtureMarketData {
+  constructor({ dir, record = false, upstream = null }) {
+    if (record && !upstream) throw new Error('Record mode needs an upstream market data source');
+    this.name = record ? `fixture (recording ${upstream.name})` : 'fixture';
+    this.dir = dir;
+    this.record = record;
+    this.upstream = upstream;
+  }
+
+  _path(kind, key) {
+    return join(this.dir, kind, `${key}.json`);
+  }
+
+  _write(kind, key, value) {
+    mkdirSync(join(this.dir, kind), { recursive: true });
+    writeFileSync(this._path(kind, key), JSON.stringify(value, null, 1));
+  }
+
+  async quotes(symbols) {
+    if (typeof symbols === 'string') symbols = [symbols];
+    if (this.record) {
+      const out = await this.upstream.quotes(symbols);
+      for (const s of symbols) if (out[s]?.price != null) this._write('quote', fileKey(s), out[s]);
+      return out;
+    }
+    const out = {};
+    for (const s of symbols) out[s] = readJson(this._path('quote', fileKey(s)), emptyQuote());
+    return out;
+  }
+
+  async chart(symbol, range = '6mo', interval = '1d', span = {}) {
+    const key = `${fileKey(symbol)}_${range}_${interval}`;
+    if (this.record) {
+      const rows = await this.upstream.chart(symbol, range, interval, span);
+      if (rows) this._write('chart', key, rows);
+      return rows;
+    }
+    const rows = readJson(this._path('chart', key));
+    return rows ? sliceRange(rows.map(r => ({ ...r, date: new Date(r.date) })), range, span) : null;
+  }
+
+  async fundamentals(ticker) {
+    const key = fileKey(ticker);
+    if (this.record) {
+      const info = await this.upstream.fundamentals(ticker);
+      if (info) this._write('fundamentals', key, info);
+      return info;
+    }
+    return readJson(this._path('fundamentals', key));
+  }
+
+  async news(ticker) {
+    const key = fileKey(ticker);
+    if (this.record) {
+      const headlines = await this.upstream.news(ticker);
+      if (headlines.length) this._write('news', key, headlines);
+      return headlines;
+    }
+    return readJson(this._path('news', key), []);
+  }
+
+  // Keyed by the expiration asked for; "next" when none was
+  async options(symbol, expiration = null) {
+    const key = `${fileKey(symbol)}_${expiration || 'next'}`;
+    if (this.record) {
+      const chain = await this.upstream.options(symbol, expiration);
+      if (chain) this._write('options', key, chain);
+      return chain;
+    }
+    const chain = readJson(this._path('options', key));
+    return chain ? { ...chain, asof: new Date(chain.asof) } : null;
+  }
+}
+
+// ── SQLite bar cache ──
+//
+//  Bars live in price_bars keyed by (symbol, interval, date); daily and
+//  longer bars use the trading day as their date, so a bar that was still
+//  forming is replaced rather than duplicated. price_bar_ranges remembers
+//  which window has been fetched, so a wider range only fetches the older
+//  part and a stale cache only fetches from its last bar onwards. When the
+//  upstream can't be reached, whatever is cached is served.
+
+const INTRADAY = /^\d+[mh]$/;
+
+export const BAR_TTL = {
+  intraday: 2 * 60 * 1000,     // bars still moving every minute
+  daily: 60 * 60 * 1000,       // today's bar changes until the close
+};
+
+// After a failed fetch, serve the cache without asking upstream for a while
+const RETRY_AFTER = 60 * 1000;
+
+function isIntraday(interval) {
+  return INTRADAY.test(interval);
+}
+
+function barKey(date, interval) {
+  const iso = date.toISOString();
+  return isIntraday(interval) ? iso : iso.slice(0, 10);
+}
+
+export class CachedMarketData {
+  constructor({ db, upstream, ttl = BAR_TTL }) {
+    this.name = `${upstream.name} (cached)`;
+    this.db = db;
+    this.upstream = upstream;
+    this.ttl = ttl;
+    this.concurrency = upstream.concurrency;
+    this._failed = new Map();   // "SYM|interval" → when the upstream last failed
+  }
+
+  fundamentals(ticker) { return this.upstream.fundamentals(ticker); }
+  news(ticker) { return this.upstream.news(ticker); }
+  options(symbol, expiration) { return this.upstream.options(symbol, expiration); }
+
+  // Live quotes, with symbols the upstream couldn't price filled in from
+  // the latest cached daily bars
+  async quotes(symbols) {
+    if (typeof symbols === 'string') symbols = [symbols];
+    const out = await this.upstream.quotes(symbols);
+    for (const s of symbols) {
+      if (out[s]?.price != null) continue;
+      const rows = this._read(s, '1d', 0);
+      if (rows.length) out[s] = { ...quoteFromBars(s, rows), state: 'CACHED' };
+    }
+    return out;
+  }
+
+  async chart(symbol, range = '6mo', interval = '1d', span = {}) {
+    symbol = symbol.toUpperCase();
+    const now = Date.now();
+    const want = span.start ? +span.start : +rangeStart(range, new Date(now));
+    const ttl = isIntraday(interval) ? this.ttl.intraday : this.ttl.daily;
+    const key = `${symbol}|${interval}`;
+    const cover = this.db.prepare(
+      'SELECT * FROM price_bar_ranges WHERE symbol = ? AND interval = ?'
+    ).get(symbol, interval);
+    const backingOff = now - (this._failed.get(key) || 0) < RETRY_AFTER;
+
+    if (!backingOff) {
+      if (!cover) {
+        await this._fetch(symbol, interval, want, now, { checked: now });
+      } else {
+        // Older history than we hold
+        if (want < cover.start_ts) await this._fetch(symbol, interval, want, cover.start_ts);
+        // New bars since the last check, starting from the last (maybe partial) bar
+        if (now - cover.checked_at >= ttl) {
+          const last = this.db.prepare(
+            'SELECT MAX(ts) as ts FROM price_bars WHERE symbol = ? AND interval = ?'
+          ).get(symbol, interval).ts;
+          await this._fetch(symbol, interval, last ?? cover.end_ts, now, { checked: now });
+        }
+      }
+    }
+
+    const rows = this._read(symbol, interval, span.start ? want : null, span.end ? +span.end : null, range);
+    return rows.length ? rows : null;
+  }
+
+  // Pull [start, end] from upstream and merge it into the cache. `checked`
+  // marks a fetch that reached the present, restarting the TTL.
+  async _fetch(symbol, interval, start, end, { checked = 0 } = {}) {
+    const key = `${symbol}|${interval}`;
+    let rows = null;
+    try {
+      rows = await this.upstream.chart(symbol, null, interval, { start: new Date(start), end: new Date(end) });
+    } catch (e) {
+      console.error(`[PriceCache] ${symbol}: ${e.message}`);
+    }
+    if (!rows) {
+      this._failed.set(key, Date.now());
+      return false;
+    }
+    this._failed.delete(key);
+
+    const upsert = this.db.prepare(`
+      INSERT OR REPLACE INTO price_bars (symbol, interval, date, ts, open, high, low, close, volume)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    this.db.transaction(() => {
+      for (const r of rows) {
+        upsert.run(symbol, interval, barKey(r.date, interval), +r.date, r.open, r.high, r.low, r.close, r.volume || 0);
+      }
+      this.db.prepare(`
+        INSERT INTO price_bar_ranges (symbol, interval, start_ts, end_ts, checked_at)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(symbol, interval) DO UPDATE SET
+          start_ts = MIN(start_ts, excluded.start_ts),
+          end_ts = MAX(end_ts, excluded.end_ts),
+          checked_at = MAX(checked_at, excluded.checked_at)
+      `).run(symbol, interval, start, end, checked);
+    })();
+    return true;
+  }
+
+  // Cached bars from `start` (or `range` back from the newest bar) to `end`
+  _read(symbol, interval, start = null, end = null, range = 'max') {
+    const rows = this.db.prepare(`
+      SELECT ts, open, high, low, close, volume FROM price_bars
+      WHERE symbol = ? AND interval = ? AND ts >= ? AND ts <= ?
+      ORDER BY ts
+    `).all(symbol.toUpperCase(), interval, start ?? 0, end ?? Number.MAX_SAFE_INTEGER)
+      .map(({ ts, ...r }) => ({ date: new Date(ts), ...r }));
+    return start == null ? (sliceRange(rows, range) || []) : rows;
+  }
+
+  stats() {
+    return this.db.prepare(`
+      SELECT r.symbol, r.interval, COUNT(b.date) as bars,
+             MIN(b.ts) as first_ts, MAX(b.ts) as last_ts, r.checked_at
+      FROM price_bar_ranges r
+      LEFT JOIN price_bars b ON b.symbol = r.symbol AND b.interval = r.interval
+      GROUP BY r.symbol, r.interval
+      ORDER BY r.symbol, r.interval
+    `).all();
+  }
+
+  // Drop cached bars for one symbol, or everything
+  clear(symbol = null) {
+    const where = symbol ? 'WHERE symbol = ?' : '';
+    const args = symbol ? [symbol.toUpperCase()] : [];
+    return this.db.transaction(() => {
+      this.db.prepare(`DELETE FROM price_bar_ranges ${where}`).run(...args);
+      return this.db.prepare(`DELETE FROM price_bars ${where}`).run(...args).changes;
+    })();
+  }
+}
+
+export function formatPriceCache(rows) {
+  if (!rows.length) return '🗄️ Price cache is empty — bars are stored as scans fetch them.';
+  const day = ts => ts ? new Date(ts).toISOString().slice(0, 10) : '—';
+  const total = rows.reduce((n, r) => n + r.bars, 0);
+  let out = `## 🗄️ Price Cache — ${total.toLocaleString()} bars, ${rows.length} series\n\n`;
+  for (const r of rows.slice(0, 40)) {
+    out += `• **${r.symbol}** ${r.interval} — ${r.bars} bars, ${day(r.first_ts)} → ${day(r.last_ts)}\n`;
+  }
+  if (rows.length > 40) out += `…and ${rows.length - 40} more\n`;
+  return out;
+}
+
+// ── Bounded-concurrency fetching ──
+
+// Run fn over items with at most `limit` in flight; results keep item order
+export async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return results;
+}
+
+// Charts for a whole watchlist → Map(symbol → rows | null)
+export async function fetchCharts(source, symbols, range, interval = '1d') {
+  const rows = await mapLimit(symbols, source.concurrency || DEFAULT_CONCURRENCY, sym =>
+    source.chart(sym, range, interval).catch(() => null));
+  return new Map(symbols.map((s, i) => [s, rows[i]]));
+}
+
+// Fundamentals for a whole watchlist → Map(symbol → info | null)
+export async function fetchFundamentals(source, symbols) {
+  const infos = await mapLimit(symbols, source.concurrency || DEFAULT_CONCURRENCY, sym =>
+    source.fundamentals(sym).catch(() => null));
+  return new Map(symbols.map((s, i) => [s, infos[i]]));
+}
+
+// Build the configured source. `record` wraps live Yahoo in a fixture
+// recorder, whatever `source` says. With a `db`, live Yahoo data goes
+// through the price_bars cache.
+export function createMarketData({ source = 'yahoo', dir, record = false, db = null, concurrency } = {}) {
+  const yahoo = new YahooMarketData({ concurrency });
+  if (record) return new FixtureMarketData({ dir, record: true, upstream: yahoo });
+  if (source === 'csv') return new CsvMarketData({ dir });
+  if (source === 'fixture') return new FixtureMarketData({ dir });
+  return db ? new CachedMarketData({ db, upstream: yahoo }) : yahoo;
+}
@@ -2,74 +2,120 @@ import Database from 'better-sqlite3';
 import { existsSync, mkdirSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { ftsQuery, ftsSearch } from './search.js';
+import { migrate } from './migrations.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
+// How semantic hits are ranked: cosine similarity dominates, importance and
+// recency (half-life in days) break ties between similarly-relevant memories.
+const RANK_WEIGHTS = { similarity: 0.75, importance: 0.15, recency: 0.10 };
+const RECENCY_HALF_LIFE_DAYS = 30;
+const MIN_SIMILARITY = 0.35;
+const EMBED_RETRY_MS = 5 * 60 * 1000;
+
 export class MemoryManager {
-  constructor(dbPath) {
+  constructor(dbPath, options = {}) {
     const dir = dirname(dbPath);
     if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
 
     this.db = new Database(dbPath);
     this.db.pragma('journal_mode = WAL');
-    this._initTables();
-  }
-
-  _initTables() {
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS conversations (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        session_id TEXT NOT NULL,
-        role TEXT NOT NULL CHECK(role IN ('user', 'assistant', 'system')),
-        content TEXT NOT NULL,
-        personality TEXT DEFAULT 'default',
-        timestamp DATETIME DEFAULT (datetime('now','localtime'))
-      );
-
-      CREATE TABLE IF NOT EXISTS memories (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        category TEXT NOT NULL DEFAULT 'general',
-        content TEXT NOT NULL,
-        source TEXT DEFAULT 'explicit',
-        importance INTEGER DEFAULT 5 CHECK(importance BETWEEN 1 AND 10),
-        created_at DATETIME DEFAULT (datetime('now','localtime')),
-        last_accessed DATETIME DEFAULT (datetime('now','localtime'))
-      );
-
-      CREATE TABLE IF NOT EXISTS commands (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        action TEXT NOT NULL,
-        params TEXT,
-        status TEXT DEFAULT 'pending',
-        result TEXT,
-        timestamp DATETIME DEFAULT (datetime('now','localtime'))
-      );
-
-      CREATE INDEX IF NOT EXISTS idx_conv_session ON conversations(session_id);
-      CREATE INDEX IF NOT EXISTS idx_conv_timestamp ON conversations(timestamp);
-      CREATE INDEX IF NOT EXISTS idx_mem_category ON memories(category);
-      CREATE INDEX IF NOT EXISTS idx_mem_importance ON memories(importance DESC);
-    `);
+    this.migration = migrate(this.db, { dbPath });   // throws SchemaVersionError on a newer DB
+
+    // Optional embedder: async (text) => number[] — see setEmbedder()
+    this.embed = null;
+    this.embedModel = null;
+    this._embedDownUntil = 0;
+    this._backfilling = false;
+    if (options.embed) this.setEmbedder(options.embed, options.embedModel);
   }
 
   // ── Conversations ──
+  // Messages form a tree per session. `sessions.active_leaf_id` marks the
+  // tip of the branch being viewed; history is the path from root to it.
 
-  saveMessage(sessionId, role, content, personality = 'default') {
+  // parentId defaults to the active leaf; pass null to start a new root
+  saveMessage(sessionId, role, content, personality = 'default', parentId) {
+    const parent = parentId === undefined ? this.getActiveLeaf(sessionId) : parentId;
     const stmt = this.db.prepare(`
-      INSERT INTO conversations (session_id, role, content, personality)
-      VALUES (?, ?, ?, ?)
+      INSERT INTO conversations (session_id, role, content, personality, parent_id)
+      VALUES (?, ?, ?, ?, ?)
     `);
-    return stmt.run(sessionId, role, content, personality);
+    const result = stmt.run(sessionId, role, content, personality, parent);
+    this.setActiveLeaf(sessionId, result.lastInsertRowid);
+    return result;
+  }
+
+  getMessage(id) {
+    return this.db.prepare('SELECT * FROM conversations WHERE id = ?').get(id);
+  }
+
+  getActiveLeaf(sessionId) {
+    const row = this.db.prepare('SELECT active_leaf_id FROM sessions WHERE session_id = ?').get(sessionId);
+    if (row) return row.active_leaf_id;
+    // Sessions saved before branching: the newest message is the tip
+    return this.db.prepare('SELECT MAX(id) AS id FROM conversations WHERE session_id = ?').get(sessionId)?.id ?? null;
+  }
+
+  setActiveLeaf(sessionId, messageId) {
+    this.db.prepare(`
+      INSERT INTO sessions (session_id, active_leaf_id) VALUES (?, ?)
+      ON CONFLICT(session_id) DO UPDATE SET
+        active_leaf_id = excluded.active_leaf_id,
+        updated_at = datetime('now','localtime')
+    `).run(sessionId, messageId);
+  }
+
+  // Root-to-leaf path ending at leafId (default: the active leaf)
+  getBranch(sessionId, leafId = this.getActiveLeaf(sessionId)) {
+    if (leafId == null) return [];
+    return this.db.prepare(`
+      WITH RECURSIVE branch(id, parent_id, depth) AS (
+        SELECT id, parent_id, 0 FROM conversations WHERE id = ? AND session_id = ?
+        UNION ALL
+        SELECT c.id, c.parent_id, b.depth + 1
+        FROM conversations c JOIN branch b ON c.id = b.parent_id
+      )
+      SELECT c.id, c.parent_id, c.role, c.content, c.personality, c.timestamp
+      FROM branch b JOIN conversations c ON c.id = b.id
+      ORDER BY b.depth DESC
+    `).all(leafId, sessionId);
+  }
+
+  // Alternatives to a message: everything sharing its parent, oldest first
+  getSiblings(messageId) {
+    const msg = this.getMessage(messageId);
+    if (!msg) return [];
+    return this.db.prepare(`
+      SELECT id, role, timestamp FROM conversations
+      WHERE session_id = ? AND parent_id IS ?
+      ORDER BY id ASC
+    `).all(msg.session_id, msg.parent_id);
+  }
+
+  // Make the branch through messageId active, following the newest reply
+  // at each fork down to a leaf. Returns the new leaf id.
+  switchBranch(sessionId, messageId) {
+    const msg = this.getMessage(messageId);
+    if (!msg || msg.session_id !== sessionId) return null;
+    const newestChild = this.db.prepare('SELECT MAX(id) AS id FROM conversations WHERE parent_id = ?');
+    let leaf = msg.id;
+    for (let child = newestChild.get(leaf).id; child != null; child = newestChild.get(leaf).id) leaf = child;
+    this.setActiveLeaf(sessionId, leaf);
+    return leaf;
+  }
+
+  // Active branch with fork info, for the UI
+  getBranchView(sessionId) {
+    return this.getBranch(sessionId).map(m => {
+      const siblings = this.getSiblings(m.id).filter(s => s.role === m.role).map(s => s.id);
+      return { ...m, siblings, sibling_index: siblings.indexOf(m.id) };
+    });
   }
 
   getConversationHistory(sessionId, limit = 20) {
-    const stmt = this.db.prepare(`
-      SELECT role, content, timestamp FROM conversations
-      WHERE session_id = ?
-      ORDER BY timestamp DESC
-      LIMIT ?
-    `);
-    return stmt.all(sessionId, limit).reverse();
+    return this.getBranch(sessionId).slice(-limit);
   }
 
   getRecentHistory(limit = 50) {
@@ -81,18 +127,99 @@ export class MemoryManager {
     return stmt.all(limit).reverse();
   }
 
-  getAllSessions() {
+  // ── Sessions ──
+
+  // Pinned first, then most recent. Archived sessions only when asked for.
+  getAllSessions({ archived = false } = {}) {
     const stmt = this.db.prepare(`
-      SELECT session_id,
-             MIN(timestamp) as started,
-             MAX(timestamp) as last_message,
+      SELECT s.session_id, s.title, s.pinned, s.archived,
+             MIN(c.timestamp) as started,
+             MAX(c.timestamp) as last_message,
              COUNT(*) as message_count,
-             personality
-      FROM conversations
-      GROUP BY session_id
-      ORDER BY last_message DESC
+             c.personality,
+             (SELECT content FROM conversations WHERE session_id = s.session_id AND role = 'user' ORDER BY id LIMIT 1) as first_message
+      FROM sessions s
+      JOIN conversations c ON c.session_id = s.session_id
+      WHERE s.archived = ?
+      GROUP BY s.session_id
+      ORDER BY s.pinned DESC, last_message DESC
     `);
-    return stmt.all();
+    return stmt.all(archived ? 1 : 0).map(row => ({
+      ...row,
+      title: row.title || (row.first_message ? row.first_message.slice(0, 60) : 'Untitled'),
+      untitled: !row.title,
+      pinned: !!row.pinned,
+      archived: !!row.archived,
+      first_message: undefined,
+    }));
+  }
+
+  getSession(sessionId) {
+    return this.db.prepare('SELECT * FROM sessions WHERE session_id = ?').get(sessionId);
+  }
+
+  // Patch title / pinned / archived. A title set here is never replaced by
+  // an auto-generated one.
+  updateSession(sessionId, { title, pinned, archived } = {}) {
+    if (!this.getSession(sessionId)) return null;
+    if (title !== undefined) this.setSessionTitle(sessionId, title?.trim() || null, 'user');
+    if (pinned !== undefined) this.db.prepare('UPDATE sessions SET pinned = ? WHERE session_id = ?').run(pinned ? 1 : 0, sessionId);
+    if (archived !== undefined) this.db.prepare('UPDATE sessions SET archived = ? WHERE session_id = ?').run(archived ? 1 : 0, sessionId);
+    return this.getSession(sessionId);
+  }
+
+  setSessionTitle(sessionId, title, source = 'auto') {
+    this.db.prepare('UPDATE sessions SET title = ?, title_source = ? WHERE session_id = ?').run(title, source, sessionId);
+  }
+
+  // True once a session has an exchange to title and nobody has named it yet
+  needsTitle(sessionId) {
+    const s = this.getSession(sessionId);
+    if (!s || s.title || s.title_source === 'user') return false;
+    return this.db.prepare(
+      "SELECT COUNT(*) as c FROM conversations WHERE session_id = ? AND role = 'assistant'"
+    ).get(sessionId).c > 0;
+  }
+
+  deleteSession(sessionId) {
+    const removed = this.db.transaction(() => {
+      const n = this.db.prepare('DELETE FROM conversations WHERE session_id = ?').run(sessionId).changes;
+      return n + this.db.prepare('DELETE FROM sessions WHERE session_id = ?').run(sessionId).changes;
+    })();
+    return removed > 0;
+  }
+
+  // BM25-ranked message hits, grouped by session (best session first).
+  // Snippets mark matches with **bold**.
+  searchSessions(query, { limit = 50, archived = true } = {}) {
+    const match = ftsQuery(query);
+    if (!match) return [];
+    const hits = this.db.prepare(`
+      SELECT c.id as message_id, c.session_id, c.role, c.timestamp,
+             snippet(conversations_fts, 0, '**', '**', '…', 12) as snippet,
+             bm25(conversations_fts) as rank,
+             s.title, s.pinned, s.archived
+      FROM conversations_fts
+      JOIN conversations c ON c.id = conversations_fts.rowid
+      LEFT JOIN sessions s ON s.session_id = c.session_id
+      WHERE conversations_fts MATCH ? ${archived ? '' : 'AND COALESCE(s.archived, 0) = 0'}
+      ORDER BY rank
+      LIMIT ?
+    `).all(match, limit);
+
+    const sessions = new Map();
+    for (const h of hits) {
+      if (!sessions.has(h.session_id)) {
+        sessions.set(h.session_id, {
+          session_id: h.session_id, title: h.title || 'Untitled',
+          pinned: !!h.pinned, archived: !!h.archived, matches: [],
+        });
+      }
+      sessions.get(h.session_id).matches.push({
+        message_id: h.message_id, role: h.role, snippet: h.snippet, timestamp: h.timestamp,
+      });
+    }
+    return [...sessions.values()];
   }
 
   // ── Memories (facts, preferences, knowledge) ──
@@ -115,6 +242,7 @@ export class MemoryManager {
       VALUES (?, ?, ?, ?)
     `);
     const result = stmt.run(content, category, importance, source);
+    this._queueEmbed(result.lastInsertRowid);
     return { created: true, id: result.lastInsertRowid };
   }
 
@@ -133,36 +261,12 @@ export class MemoryManager {
     return stmt.all(limit);
   }
 
-  searchMemories(query) {
-    // Simple keyword search — upgrade to vector search later
-    const keywords = query.toLowerCase().split(/\s+/).filter(w => w.length > 2);
-    if (keywords.length === 0) return [];
-
-    const conditions = keywords.map(() => `LOWER(content) LIKE ?`).join(' OR ');
-    const params = keywords.map(k => `%${k}%`);
-
-    const stmt = this.db.prepare(`
-      SELECT *, 
-        (SELECT COUNT(*) FROM (${keywords.map(() => 
-          `SELECT 1 WHERE LOWER(content) LIKE ?`
-        ).join(' UNION ALL ')}) ) as match_count
-      FROM memories
-      WHERE ${conditions}
-      ORDER BY importance DESC
-      LIMIT 10
-    `);
-
-    // Fallback to simpler query
-    const simple = this.db.prepare(`
-      SELECT * FROM memories WHERE ${conditions}
-      ORDER BY importance DESC LIMIT 10
-    `);
-    
-    try {
-      return simple.all(...params);
-    } catch {
-      return [];
-    }
+  searchMemories(query, limit = 10) {
+    // Full-text search (BM25, any word) — used directly for dedup, and as the
+    // fallback for semanticSearch() when no embedding model is available.
+    // Words under three letters would match nearly everything.
+    const words = (query.match(/[\p{L}\p{N}_]+/gu) || []).filter(w => w.length > 2);
+    return ftsSearch(this.db, 'memories', words.join(' '), { limit, any: true });
   }
 
   updateMemory(id, content, importance) {
@@ -170,22 +274,148 @@ export class MemoryManager {
       UPDATE memories SET content = ?, importance = ?, last_accessed = datetime('now','localtime')
       WHERE id = ?
     `);
-    return stmt.run(content, importance, id);
+    const result = stmt.run(content, importance, id);
+    this.db.prepare('DELETE FROM memory_embeddings WHERE memory_id = ?').run(id);
+    this._queueEmbed(id);
+    return result;
   }
 
   deleteMemory(id) {
+    this.db.prepare('DELETE FROM memory_embeddings WHERE memory_id = ?').run(id);
     const stmt = this.db.prepare(`DELETE FROM memories WHERE id = ?`);
     return stmt.run(id);
   }
 
+  // ── Semantic Search (embeddings) ──
+
+  setEmbedder(embed, model = 'default') {
+    this.embed = embed;
+    this.embedModel = model;
+    this._embedDownUntil = 0;
+  }
+
+  embeddingsAvailable() {
+    return !!this.embed && Date.now() >= this._embedDownUntil;
+  }
+
+  // Embed a piece of text, normalized to unit length so cosine == dot product.
+  // Returns null (and backs off for a while) if the embedder is unavailable.
+  async _embedText(text) {
+    if (!this.embeddingsAvailable()) return null;
+    try {
+      const vec = await this.embed(text);
+      if (!vec || !vec.length) throw new Error('empty embedding');
+      return normalize(vec);
+    } catch (err) {
+      this._embedDownUntil = Date.now() + EMBED_RETRY_MS;
+      console.warn(`[Memory] Embeddings unavailable (${err.message}) — using keyword search`);
+      return null;
+    }
+  }
+
+  async embedMemory(id) {
+    const mem = this.db.prepare('SELECT id, content FROM memories WHERE id = ?').get(id);
+    if (!mem) return false;
+    const vec = await this._embedText(mem.content);
+    if (!vec) return false;
+    this.db.prepare(`
+      INSERT OR REPLACE INTO memory_embeddings (memory_id, model, dims, vector)
+      VALUES (?, ?, ?, ?)
+    `).run(id, this.embedModel, vec.length, Buffer.from(vec.buffer));
+    return true;
+  }
+
+  _queueEmbed(id) {
+    if (!this.embeddingsAvailable()) return;
+    this.embedMemory(id).catch(() => {});
+  }
+
+  // Embed every memory that has no vector for the current model (new rows,
+  // rows written while the embedder was down, or after switching models)
+  async backfillEmbeddings(batchSize = 100) {
+    if (this._backfilling) return { running: true };
+    if (!this.embeddingsAvailable()) return { embedded: 0, remaining: this._countUnembedded(), available: false };
+
+    this._backfilling = true;
+    let embedded = 0, failed = 0;
+    try {
+      const rows = this.db.prepare(`
+        SELECT m.id FROM memories m
+        LEFT JOIN memory_embeddings e ON e.memory_id = m.id AND e.model = ?
+        WHERE e.memory_id IS NULL
+        ORDER BY m.importance DESC, m.id ASC
+        LIMIT ?
+      `).all(this.embedModel, batchSize);
+
+      for (const row of rows) {
+        if (await this.embedMemory(row.id)) embedded++;
+        else { failed++; if (!this.embeddingsAvailable()) break; }
+      }
+    } finally {
+      this._backfilling = false;
+    }
+    return { embedded, failed, remaining: this._countUnembedded(), available: this.embeddingsAvailable() };
+  }
+
+  _countUnembedded() {
+    return this.db.prepare(`
+      SELECT COUNT(*) as c FROM memories m
+      LEFT JOIN memory_embeddings e ON e.memory_id = m.id AND e.model = ?
+      WHERE e.memory_id IS NULL
+    `).get(this.embedModel).c;
+  }
+
+  // Rank memories by cosine similarity to the query, blended with importance
+  // and recency. Falls back to keyword search when embeddings are unavailable.
+  async semanticSearch(query, limit = 10) {
+    const qvec = query?.trim() ? await this._embedText(query) : null;
+    if (!qvec) {
+      return this.searchMemories(query || '', limit).map(m => ({ ...m, match: 'keyword' }));
+    }
+
+    const rows = this.db.prepare(`
+      SELECT m.*, e.vector FROM memories m
+      JOIN memory_embeddings e ON e.memory_id = m.id
+      WHERE e.model = ? AND e.dims = ?
+    `).all(this.embedModel, qvec.length);
+
+    const now = Date.now();
+    const scored = [];
+    for (const row of rows) {
+      const vec = new Float32Array(row.vector.buffer, row.vector.byteOffset, row.vector.byteLength / 4);
+      let sim = 0;
+      for (let i = 0; i < vec.length; i++) sim += vec[i] * qvec[i];
+      if (sim < MIN_SIMILARITY) continue;
+
+      const ageDays = Math.max(0, (now - new Date(row.last_accessed).getTime()) / 86400000) || 0;
+      const recency = Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+      const score = sim * RANK_WEIGHTS.similarity
+        + (row.importance / 10) * RANK_WEIGHTS.importance
+        + recency * RANK_WEIGHTS.recency;
+
+      const { vector, ...mem } = row;
+      scored.push({ ...mem, similarity: +sim.toFixed(4), score: +score.toFixed(4), match: 'semantic' });
+    }
+
+    // Rows that haven't been embedded yet can still surface via keywords
+    if (scored.length < limit) {
+      for (const mem of this.searchMemories(query)) {
+        if (!scored.find(s => s.id === mem.id)) scored.push({ ...mem, match: 'keyword', score: 0 });
+      }
+    }
+
+    scored.sort((a, b) => b.score - a.score);
+    return scored.slice(0, limit);
+  }
+
   // ── Context Building ──
 
-  buildContext(sessionId, userMessage) {
+  async buildContext(sessionId, userMessage) {
     // Get recent conversation
     const history = this.getConversationHistory(sessionId, 10);
 
     // Search for relevant memories
-    const relevantMemories = this.searchMemories(userMessage);
+    const relevantMemories = await this.semanticSearch(userMessage, 10);
     const topMemories = this.getMemories(null, 5);
 
     // Merge and deduplicate
@@ -211,12 +441,13 @@ export class MemoryManager {
 
   // ── Commands ──
 
-  logCommand(action, params, status = 'pending', result = null) {
+  // permission: { risk, decision } from the policy engine, when one ran
+  logCommand(action, params, status = 'pending', result = null, permission = {}) {
     const stmt = this.db.prepare(`
-      INSERT INTO commands (action, params, status, result)
-      VALUES (?, ?, ?, ?)
+      INSERT INTO commands (action, params, status, result, risk, decision)
+      VALUES (?, ?, ?, ?, ?, ?)
     `);
-    return stmt.run(action, JSON.stringify(params), status, result);
+    return stmt.run(action, JSON.stringify(params), status, result, permission.risk ?? null, permission.decision ?? null);
   }
 
   // ── Utilities ──
@@ -233,10 +464,41 @@ export class MemoryManager {
     const convCount = this.db.prepare('SELECT COUNT(*) as c FROM conversations').get().c;
     const memCount = this.db.prepare('SELECT COUNT(*) as c FROM memories').get().c;
     const sessionCount = this.db.prepare('SELECT COUNT(DISTINCT session_id) as c FROM conversations').get().c;
-    return { conversations: convCount, memories: memCount, sessions: sessionCount };
+    const embeddedCount = this.db.prepare('SELECT COUNT(*) as c FROM memory_embeddings WHERE model = ?').get(this.embedModel).c;
+    return { conversations: convCount, memories: memCount, sessions: sessionCount, embedded_memories: embeddedCount };
   }
 
   close() {
     this.db.close();
   }
 }
+
+function normalize(vec) {
+  const out = Float32Array.from(vec);
+  let norm = 0;
+  for (let i = 0; i < out.length; i++) norm += out[i] * out[i];
+  norm = Math.sqrt(norm);
+  if (norm > 0) for (let i = 0; i < out.length; i++) out[i] /= norm;
+  return out;
+}
+
+export function formatSessionList(sessions, currentId = null) {
+  if (!sessions.length) return '🗂️ No sessions yet.';
+  let out = '## 🗂️ Sessions\n\n';
+  for (const s of sessions) {
+    const mark = s.session_id === currentId ? ' ← current' : '';
+    out += `${s.pinned ? '📌 ' : ''}**${s.title}** — ${s.message_count} msgs, ${s.last_message}${mark}\n`;
+  }
+  return out;
+}
+
+export function formatSessionSearch(results, query) {
+  if (!results.length) return `🔍 No messages match "${query}".`;
+  let out = `## 🔍 "${query}" in ${results.length} session(s)\n\n`;
+  for (const s of results) {
+    out += `**${s.title}**${s.archived ? ' (archived)' : ''}\n`;
+    for (const m of s.matches.slice(0, 3)) out += `• #${m.message_id} ${m.role === 'user' ? 'you' : 'ai'}: ${m.snippet.replace(/\n+/g, ' ')}\n`;
+    out += '\n';
+  }
+  return out;
+}
@@ -0,0 +1,616 @@
+// ═══════════════════════════════════════════════════════════════
+//  VELLE.AI — Schema Migrations
+//  • Ordered up-migrations for every module's tables
+//  • PRAGMA user_version records how far a DB has been migrated
+//  • The DB file is backed up before anything is applied
+//  • Refuses to open a DB written by a newer version
+// ═══════════════════════════════════════════════════════════════
+
+import { existsSync, mkdirSync, readdirSync, unlinkSync } from 'fs';
+import { join, dirname, basename } from 'path';
+import { ensureFtsIndex } from './search.js';
+import { DEFAULT_WATCHLIST } from './watchlists.js';
+
+const MAX_BACKUPS = 5;
+
+export class SchemaVersionError extends Error {
+  constructor(dbVersion, codeVersion) {
+    super(`Database schema is v${dbVersion} but this VELLE.AI only knows up to v${codeVersion}. Update VELLE.AI, or restore a backup from memory/backups.`);
+    this.name = 'SchemaVersionError';
+    this.dbVersion = dbVersion;
+    this.codeVersion = codeVersion;
+  }
+}
+
+// ALTER TABLE ADD COLUMN, skipped when the column already exists.
+// Returns true when the column was added.
+export function addColumn(db, table, column, definition) {
+  const cols = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (cols.some(c => c.name === column)) return false;
+  db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+}
+
+// Append-only: never edit or reorder a migration that has shipped, add a
+// new one. The first few are CREATE IF NOT EXISTS so installs from before
+// migrations existed (user_version 0, tables already there) pass through.
+export const MIGRATIONS = [
+  {
+    version: 1, module: 'memory', name: 'conversations, memories, commands',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS conversations (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          session_id TEXT NOT NULL,
+          role TEXT NOT NULL CHECK(role IN ('user', 'assistant', 'system')),
+          content TEXT NOT NULL,
+          personality TEXT DEFAULT 'default',
+          timestamp DATETIME DEFAULT (datetime('now','localtime'))
+        );
+
+        CREATE TABLE IF NOT EXISTS memories (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          category TEXT NOT NULL DEFAULT 'general',
+          content TEXT NOT NULL,
+          source TEXT DEFAULT 'explicit',
+          importance INTEGER DEFAULT 5 CHECK(importance BETWEEN 1 AND 10),
+          created_at DATETIME DEFAULT (datetime('now','localtime')),
+          last_accessed DATETIME DEFAULT (datetime('now','localtime'))
+        );
+
+        CREATE TABLE IF NOT EXISTS commands (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          action TEXT NOT NULL,
+          params TEXT,
+          status TEXT DEFAULT 'pending',
+          result TEXT,
+          timestamp DATETIME DEFAULT (datetime('now','localtime'))
+        );
+
+        CREATE TABLE IF NOT EXISTS memory_embeddings (
+          memory_id INTEGER PRIMARY KEY,
+          model TEXT NOT NULL,
+          dims INTEGER NOT NULL,
+          vector BLOB NOT NULL,
+          created_at DATETIME DEFAULT (datetime('now','localtime'))
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_conv_session ON conversations(session_id);
+        CREATE INDEX IF NOT EXISTS idx_conv_timestamp ON conversations(timestamp);
+        CREATE INDEX IF NOT EXISTS idx_mem_category ON memories(category);
+        CREATE INDEX IF NOT EXISTS idx_mem_importance ON memories(importance DESC);
+      `);
+    },
+  },
+  {
+    version: 2, module: 'permissions', name: 'permission rules',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS permission_rules (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          action TEXT NOT NULL,
+          pattern TEXT,
+          decision TEXT NOT NULL CHECK(decision IN ('allow', 'deny', 'ask')),
+          note TEXT,
+          created_at DATETIME DEFAULT (datetime('now','localtime'))
+        );
+        CREATE INDEX IF NOT EXISTS idx_perm_action ON permission_rules(action);
+      `);
+      // Outcome of the policy for each logged command
+      addColumn(db, 'commands', 'risk', 'TEXT');
+      addColumn(db, 'commands', 'decision', 'TEXT');
+    },
+  },
+  {
+    version: 3, module: 'advanced', name: 'reminders, mood, summaries, journal',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS reminders (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          content TEXT NOT NULL,
+          due_at DATETIME NOT NULL,
+          repeat TEXT DEFAULT NULL,
+          fired INTEGER DEFAULT 0,
+          created_at DATETIME DEFAULT (datetime('now','localtime'))
+        );
+        CREATE INDEX IF NOT EXISTS idx_rem_due ON reminders(due_at);
+
+        CREATE TABLE IF NOT EXISTS mood_log (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          score REAL NOT NULL,
+          label TEXT NOT NULL,
+          triggers TEXT,
+          session_id TEXT,
+          timestamp DATETIME DEFAULT (datetime('now','localtime'))
+        );
+        CREATE INDEX IF NOT EXISTS idx_mood_ts ON mood_log(timestamp);
+
+        CREATE TABLE IF NOT EXISTS daily_summaries (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          date TEXT NOT NULL UNIQUE,
+          summary TEXT NOT NULL,
+          topics TEXT,
+          message_count INTEGER DEFAULT 0,
+          created_at DATETIME DEFAULT (datetime('now','localtime'))
+        );
+
+        CREATE TABLE IF NOT EXISTS journal (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          content TEXT NOT NULL,
+          prompt TEXT,
+          mood_score REAL,
+          mood_label TEXT,
+          tags TEXT,
+          pinned INTEGER DEFAULT 0,
+          created_at DATETIME DEFAULT (datetime('now','localtime'))
+        );
+        CREATE INDEX IF NOT EXISTS idx_journal_date ON journal(created_at);
+        CREATE INDEX IF NOT EXISTS idx_journal_pinned ON journal(pinned);
+      `);
+    },
+  },
+  {
+    version: 4, module: 'productivity', name: 'todos, habits, pomodoro, goals, bookmarks, KB, achievements',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS todos (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          content TEXT NOT NULL,
+          project TEXT DEFAULT 'inbox',
+          priority INTEGER DEFAULT 2 CHECK(priority BETWEEN 1 AND 4),
+          status TEXT DEFAULT 'todo' CHECK(status IN ('todo','doing','done','cancelled')),
+          due_date TEXT,
+          tags TEXT,
+          created_at DATETIME DEFAULT (datetime('now','localtime')),
+          completed_at DATETIME
+        );
+        CREATE INDEX IF NOT EXISTS idx_todo_status ON todos(status);
+        CREATE INDEX IF NOT EXISTS idx_todo_project ON todos(project);
+        CREATE INDEX IF NOT EXISTS idx_todo_priority ON todos(priority);
+
+        CREATE TABLE IF NOT EXISTS habits (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          icon TEXT DEFAULT '✅',
+          frequency TEXT DEFAULT 'daily',
+          target INTEGER DEFAULT 1,
+          created_at DATETIME DEFAULT (datetime('now','localtime'))
+        );
+        CREATE TABLE IF NOT EXISTS habit_logs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          habit_id INTEGER NOT NULL,
+          value INTEGER DEFAULT 1,
+          date TEXT DEFAULT (date('now','localtime')),
+          FOREIGN KEY (habit_id) REFERENCES habits(id),
+          UNIQUE(habit_id, date)
+        );
+        CREATE INDEX IF NOT EXISTS idx_hlog_date ON habit_logs(date);
+        CREATE INDEX IF NOT EXISTS idx_hlog_habit ON habit_logs(habit_id);
+
+        CREATE TABLE IF NOT EXISTS pomodoro_sessions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          task TEXT,
+          duration INTEGER DEFAULT 25,
+          type TEXT DEFAULT 'focus' CHECK(type IN ('focus','short_break','long_break')),
+          completed INTEGER DEFAULT 0,
+          started_at DATETIME DEFAULT (datetime('now','localtime')),
+          ended_at DATETIME
+        );
+
+        CREATE TABLE IF NOT EXISTS goals (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          title TEXT NOT NULL,
+          description TEXT,
+          target_date TEXT,
+          progress INTEGER DEFAULT 0 CHECK(progress BETWEEN 0 AND 100),
+          status TEXT DEFAULT 'active' CHECK(status IN ('active','completed','abandoned')),
+          category TEXT DEFAULT 'general',
+          created_at DATETIME DEFAULT (datetime('now','localtime'))
+        );
+        CREATE TABLE IF NOT EXISTS milestones (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          goal_id INTEGER NOT NULL,
+          title TEXT NOT NULL,
+          completed INTEGER DEFAULT 0,
+          completed_at DATETIME,
+          FOREIGN KEY (goal_id) REFERENCES goals(id)
+        );
+
+        CREATE TABLE IF NOT EXISTS bookmarks (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          content TEXT NOT NULL,
+          note TEXT,
+          tags TEXT,
+          session_id TEXT,
+          source TEXT DEFAULT 'chat',
+          created_at DATETIME DEFAULT (datetime('now','localtime'))
+        );
+        CREATE INDEX IF NOT EXISTS idx_bm_tags ON bookmarks(tags);
+
+        CREATE TABLE IF NOT EXISTS knowledge (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          title TEXT NOT NULL,
+          content TEXT NOT NULL,
+          type TEXT DEFAULT 'note' CHECK(type IN ('note','snippet','link','reference')),
+          language TEXT,
+          tags TEXT,
+          pinned INTEGER DEFAULT 0,
+          created_at DATETIME DEFAULT (datetime('now','localtime')),
+          updated_at DATETIME DEFAULT (datetime('now','localtime'))
+        );
+        CREATE INDEX IF NOT EXISTS idx_kb_type ON knowledge(type);
+        CREATE INDEX IF NOT EXISTS idx_kb_tags ON knowledge(tags);
+
+        CREATE TABLE IF NOT EXISTS achievements (
+          id TEXT PRIMARY KEY,
+          unlocked_at DATETIME DEFAULT (datetime('now','localtime'))
+        );
+      `);
+    },
+  },
+  {
+    version: 5, module: 'coding', name: 'snippets',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS snippets (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          code TEXT NOT NULL,
+          language TEXT DEFAULT 'javascript',
+          tags TEXT,
+          created_at DATETIME DEFAULT (datetime('now','localtime')),
+          updated_at DATETIME DEFAULT (datetime('now','localtime'))
+        )
+      `);
+    },
+  },
+  {
+    version: 6, module: 'memory', name: 'conversation branching',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS sessions (
+          session_id TEXT PRIMARY KEY,
+          active_leaf_id INTEGER,
+          created_at DATETIME DEFAULT (datetime('now','localtime')),
+          updated_at DATETIME DEFAULT (datetime('now','localtime'))
+        );
+      `);
+      // Each message points at the one it replies to; logs from before
+      // branching become a single chain per session
+      if (addColumn(db, 'conversations', 'parent_id', 'INTEGER')) {
+        db.exec(`
+          UPDATE conversations SET parent_id = (
+            SELECT MAX(prev.id) FROM conversations prev
+            WHERE prev.session_id = conversations.session_id AND prev.id < conversations.id
+          );
+        `);
+      }
+      db.exec('CREATE INDEX IF NOT EXISTS idx_conv_parent ON conversations(parent_id)');
+    },
+  },
+  {
+    version: 7, module: 'memory', name: 'session titles, pin, archive',
+    up(db) {
+      addColumn(db, 'sessions', 'title', 'TEXT');
+      addColumn(db, 'sessions', 'title_source', "TEXT DEFAULT 'auto'");
+      addColumn(db, 'sessions', 'pinned', 'INTEGER DEFAULT 0');
+      addColumn(db, 'sessions', 'archived', 'INTEGER DEFAULT 0');
+      // Sessions that only exist in `conversations` get a row
+      db.exec(`
+        INSERT OR IGNORE INTO sessions (session_id, active_leaf_id, created_at, updated_at)
+        SELECT session_id, MAX(id), MIN(timestamp), MAX(timestamp) FROM conversations GROUP BY session_id;
+      `);
+    },
+  },
+  {
+    version: 8, module: 'search', name: 'full-text indexes',
+    up(db) {
+      for (const table of ['conversations', 'memories', 'journal', 'knowledge', 'bookmarks', 'snippets', 'todos']) {
+        ensureFtsIndex(db, table);
+      }
+    },
+  },
+  {
+    version: 9, module: 'marketdata', name: 'price bar cache',
+    up(db) {
+      db.exec(`
+        CREATE TABLE price_bars (
+          symbol TEXT NOT NULL,
+          interval TEXT NOT NULL,
+          date TEXT NOT NULL,
+          ts INTEGER NOT NULL,
+          open REAL,
+          high REAL,
+          low REAL,
+          close REAL NOT NULL,
+          volume REAL DEFAULT 0,
+          PRIMARY KEY (symbol, interval, date)
+        ) WITHOUT ROWID;
+        CREATE INDEX idx_price_bars_ts ON price_bars(symbol, interval, ts);
+
+        CREATE TABLE price_bar_ranges (
+          symbol TEXT NOT NULL,
+          interval TEXT NOT NULL,
+          start_ts INTEGER NOT NULL,
+          end_ts INTEGER NOT NULL,
+          checked_at INTEGER NOT NULL DEFAULT 0,
+          PRIMARY KEY (symbol, interval)
+        );
+      `);
+    },
+  },
+  {
+    version: 10, module: 'portfolio', name: 'accounts, transactions and lots',
+    up(db) {
+      db.exec(`
+        CREATE TABLE portfolio_accounts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+          cost_method TEXT NOT NULL DEFAULT 'fifo' CHECK(cost_method IN ('fifo', 'lifo', 'average')),
+          currency TEXT NOT NULL DEFAULT 'USD',
+          created_at DATETIME DEFAULT (datetime('now','localtime'))
+        );
+        INSERT INTO portfolio_accounts (name) VALUES ('main');
+
+        CREATE TABLE portfolio_transactions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          account_id INTEGER NOT NULL,
+          type TEXT NOT NULL CHECK(type IN ('buy', 'sell', 'dividend', 'deposit', 'withdraw', 'fee')),
+          symbol TEXT,
+          quantity REAL,
+          price REAL,
+          amount REAL,
+          fees REAL NOT NULL DEFAULT 0,
+          date TEXT NOT NULL,
+          note TEXT,
+          created_at DATETIME DEFAULT (datetime('now','localtime')),
+          FOREIGN KEY (account_id) REFERENCES portfolio_accounts(id)
+        );
+        CREATE INDEX idx_portfolio_tx_account ON portfolio_transactions(account_id, date);
+
+        -- Lots and realized gains are derived from the transactions and
+        -- rebuilt whenever an account's history changes
+        CREATE TABLE portfolio_lots (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          account_id INTEGER NOT NULL,
+          symbol TEXT NOT NULL,
+          tx_id INTEGER NOT NULL,
+          date TEXT NOT NULL,
+          quantity REAL NOT NULL,
+          remaining REAL NOT NULL,
+          cost REAL NOT NULL
+        );
+        CREATE INDEX idx_portfolio_lots ON portfolio_lots(account_id, symbol);
+
+        CREATE TABLE portfolio_realized (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          account_id INTEGER NOT NULL,
+          symbol TEXT NOT NULL,
+          tx_id INTEGER NOT NULL,
+          lot_id INTEGER,
+          date TEXT NOT NULL,
+          quantity REAL NOT NULL,
+          proceeds REAL NOT NULL,
+          cost REAL NOT NULL,
+          gain REAL NOT NULL,
+          holding_days INTEGER
+        );
+        CREATE INDEX idx_portfolio_realized ON portfolio_realized(account_id, date);
+
+        CREATE TABLE portfolio_securities (
+          symbol TEXT PRIMARY KEY,
+          name TEXT,
+          sector TEXT,
+          industry TEXT,
+          updated_at DATETIME DEFAULT (datetime('now','localtime'))
+        );
+      `);
+    },
+  },
+  {
+    version: 11, module: 'watchlists', name: 'named watchlists',
+    up(db) {
+      db.exec(`
+        CREATE TABLE watchlists (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+          description TEXT,
+          is_default INTEGER NOT NULL DEFAULT 0,
+          created_at DATETIME DEFAULT (datetime('now','localtime')),
+          updated_at DATETIME DEFAULT (datetime('now','localtime'))
+        );
+
+        CREATE TABLE watchlist_symbols (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          watchlist_id INTEGER NOT NULL,
+          symbol TEXT NOT NULL,
+          added_at DATETIME DEFAULT (datetime('now','localtime')),
+          UNIQUE (watchlist_id, symbol),
+          FOREIGN KEY (watchlist_id) REFERENCES watchlists(id)
+        );
+      `);
+      const { lastInsertRowid: id } = db.prepare(
+        "INSERT INTO watchlists (name, description, is_default) VALUES ('default', 'Large caps, momentum names and ETFs', 1)"
+      ).run();
+      const add = db.prepare('INSERT INTO watchlist_symbols (watchlist_id, symbol) VALUES (?, ?)');
+      for (const symbol of DEFAULT_WATCHLIST) add.run(id, symbol);
+    },
+  },
+  {
+    version: 12, module: 'alerts', name: 'price and indicator alerts',
+    up(db) {
+      db.exec(`
+        CREATE TABLE alerts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          symbol TEXT NOT NULL,
+          condition TEXT NOT NULL,
+          rule TEXT NOT NULL,
+          label TEXT,
+          status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active','paused','triggered')),
+          once INTEGER NOT NULL DEFAULT 0,
+          cooldown_minutes INTEGER NOT NULL DEFAULT 60,
+          armed INTEGER NOT NULL DEFAULT 1,
+          fire_count INTEGER NOT NULL DEFAULT 0,
+          last_fired_at DATETIME,
+          last_checked_at DATETIME,
+          created_at DATETIME DEFAULT (datetime('now','localtime'))
+        );
+        CREATE INDEX idx_alerts_status ON alerts(status);
+
+        CREATE TABLE alert_events (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          alert_id INTEGER NOT NULL,
+          symbol TEXT NOT NULL,
+          price REAL,
+          pct REAL,
+          message TEXT NOT NULL,
+          fired_at DATETIME DEFAULT (datetime('now','localtime')),
+          FOREIGN KEY (alert_id) REFERENCES alerts(id)
+        );
+        CREATE INDEX idx_alert_events_alert ON alert_events(alert_id);
+      `);
+    },
+  },
+  {
+    version: 13, module: 'options', name: 'at-the-money IV history for IV rank',
+    up(db) {
+      db.exec(`
+        CREATE TABLE option_iv_history (
+          symbol TEXT NOT NULL,
+          date TEXT NOT NULL,
+          atm_iv REAL NOT NULL,
+          PRIMARY KEY (symbol, date)
+        );
+      `);
+    },
+  },
+  {
+    version: 14, module: 'sentiment', name: 'sentiment score cache',
+    up(db) {
+      db.exec(`
+        CREATE TABLE sentiment_cache (
+          hash TEXT PRIMARY KEY,
+          model TEXT NOT NULL,
+          score REAL NOT NULL,
+          label TEXT NOT NULL,
+          created_at DATETIME DEFAULT (datetime('now','localtime'))
+        );
+      `);
+    },
+  },
+  {
+    // Only the main database's tables are used; per-user databases get
+    // them too but leave them empty
+    version: 15, module: 'auth', name: 'user accounts, sessions and API tokens',
+    up(db) {
+      db.exec(`
+        CREATE TABLE users (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+          password_hash TEXT,
+          role TEXT NOT NULL DEFAULT 'member' CHECK (role IN ('admin', 'member')),
+          db_file TEXT,
+          disabled INTEGER NOT NULL DEFAULT 0,
+          created_at DATETIME DEFAULT (datetime('now','localtime')),
+          last_login_at DATETIME
+        );
+        CREATE TABLE auth_sessions (
+          token_hash TEXT PRIMARY KEY,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          created_at DATETIME DEFAULT (datetime('now','localtime')),
+          expires_at DATETIME NOT NULL,
+          last_seen_at DATETIME,
+          user_agent TEXT
+        );
+        CREATE INDEX idx_auth_sessions_user ON auth_sessions(user_id);
+        CREATE TABLE api_tokens (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+          name TEXT NOT NULL,
+          token_hash TEXT NOT NULL UNIQUE,
+          prefix TEXT NOT NULL,
+          created_at DATETIME DEFAULT (datetime('now','localtime')),
+          last_used_at DATETIME
+        );
+      `);
+    },
+  },
+  {
+    // Existing items start with one revision holding their current text
+    version: 16, module: 'revisions', name: 'snippet, knowledge and journal revisions',
+    up(db) {
+      db.exec(`
+        CREATE TABLE revisions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          item_type TEXT NOT NULL CHECK (item_type IN ('snippet', 'knowledge', 'journal')),
+          item_id INTEGER NOT NULL,
+          rev INTEGER NOT NULL,
+          title TEXT,
+          content TEXT NOT NULL,
+          author TEXT NOT NULL DEFAULT 'user' CHECK (author IN ('user', 'llm')),
+          note TEXT,
+          created_at DATETIME DEFAULT (datetime('now','localtime')),
+          UNIQUE (item_type, item_id, rev)
+        );
+        INSERT INTO revisions (item_type, item_id, rev, title, content, created_at)
+          SELECT 'snippet', id, 1, name, code, COALESCE(updated_at, created_at) FROM snippets;
+        INSERT INTO revisions (item_type, item_id, rev, title, content, created_at)
+          SELECT 'knowledge', id, 1, title, content, COALESCE(updated_at, created_at) FROM knowledge;
+        INSERT INTO revisions (item_type, item_id, rev, title, content, created_at)
+          SELECT 'journal', id, 1, NULL, content, created_at FROM journal;
+      `);
+    },
+  },
+  {
+    // Deleting an item used to delete its history too
+    version: 17, module: 'revisions', name: 'keep the history of deleted items',
+    up(db) {
+      addColumn(db, 'revisions', 'deleted_at', 'DATETIME');
+    },
+  },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+export function getSchemaVersion(db) {
+  return db.pragma('user_version', { simple: true });
+}
+
+// Consistent copy of the DB next to it in backups/, keeping the newest few
+export function backupDatabase(db, dbPath, label) {
+  const dir = join(dirname(dbPath), 'backups');
+  if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+  const stem = basename(dbPath).replace(/\.db$/, '');
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+  const file = join(dir, `${stem}-${label}-${stamp}.db`);
+  db.exec(`VACUUM INTO '${file.replace(/'/g, "''")}'`);
+
+  const old = readdirSync(dir).filter(f => f.startsWith(`${stem}-`) && f.endsWith('.db')).sort();
+  for (const f of old.slice(0, Math.max(0, old.length - MAX_BACKUPS))) unlinkSync(join(dir, f));
+  return file;
+}
+
+// Bring the DB up to SCHEMA_VERSION. Each migration runs in its own
+// transaction together with the user_version bump, so a failure leaves the
+// DB at the last good version.
+export function migrate(db, { dbPath = null, log = console.log } = {}) {
+  const from = getSchemaVersion(db);
+  if (from > SCHEMA_VERSION) throw new SchemaVersionError(from, SCHEMA_VERSION);
+
+  const pending = MIGRATIONS.filter(m => m.version > from);
+  if (!pending.length) return { from, to: from, applied: [], backup: null };
+
+  // Nothing to lose on a brand-new DB
+  const hasData = db.prepare("SELECT COUNT(*) as c FROM sqlite_master WHERE type = 'table'").get().c > 0;
+  const backup = hasData && dbPath && dbPath !== ':memory:' ? backupDatabase(db, dbPath, `v${from}`) : null;
+
+  for (const m of pending) {
+    db.transaction(() => {
+      m.up(db);
+      db.pragma(`user_version = ${m.version}`);
+    })();
+    if (hasData) log(`[DB] Migration ${m.version} (${m.module}): ${m.name}`);
+  }
+  if (backup) log(`[DB] Schema v${from} → v${SCHEMA_VERSION} (backup: ${backup})`);
+  return { from, to: SCHEMA_VERSION, applied: pending.map(m => m.version), backup };
+}
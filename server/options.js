@@ -0,0 +1,530 @@
+// ═══════════════════════════════════════════════════════════════
+//  VELLE.AI — Options
+//  • Chains from the market data source (Yahoo, or options/SYM.csv)
+//  • Black-Scholes prices, Greeks and implied vol for every contract
+//  • Multi-leg strategies — covered call, spreads, straddles,
+//    condors — or custom legs, with payoff at expiry and today
+//  • IV rank from recorded at-the-money IV, and the expected move
+// ═══════════════════════════════════════════════════════════════
+
+import { getMarketData } from './quant.js';
+
+export const DEFAULT_RISK_FREE_RATE = 0.045;
+export const CONTRACT_SIZE = 100;
+
+// IV rank needs this many daily snapshots before it stops using the
+// realized-vol proxy
+const MIN_IV_HISTORY = 20;
+const TARGET_DAYS = 30;
+const YEAR_MS = 365 * 24 * 3600 * 1000;
+const SYMBOL_PATTERN = /^\^?[A-Z0-9][A-Z0-9.=-]{0,14}$/;
+
+export class OptionsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'OptionsError';
+  }
+}
+
+// ── Black-Scholes ──
+
+// Abramowitz & Stegun 7.1.26, good to ~1e-7
+function erf(x) {
+  const sign = x < 0 ? -1 : 1;
+  const t = 1 / (1 + 0.3275911 * Math.abs(x));
+  const y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return sign * y;
+}
+
+export const normCdf = (x) => 0.5 * (1 + erf(x / Math.SQRT2));
+export const normPdf = (x) => Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI);
+
+function d1d2(S, K, T, r, sigma) {
+  const d1 = (Math.log(S / K) + (r + sigma * sigma / 2) * T) / (sigma * Math.sqrt(T));
+  return [d1, d1 - sigma * Math.sqrt(T)];
+}
+
+// Price of a European call or put. At or past expiry it's the intrinsic value.
+export function bsPrice(type, S, K, T, r, sigma) {
+  if (T <= 0 || sigma <= 0) return Math.max(0, type === 'call' ? S - K : K - S);
+  const [d1, d2] = d1d2(S, K, T, r, sigma);
+  return type === 'call'
+    ? S * normCdf(d1) - K * Math.exp(-r * T) * normCdf(d2)
+    : K * Math.exp(-r * T) * normCdf(-d2) - S * normCdf(-d1);
+}
+
+// Per share: theta per calendar day, vega per vol point, rho per 1% rate
+export function bsGreeks(type, S, K, T, r, sigma) {
+  if (T <= 0 || sigma <= 0) {
+    const itm = type === 'call' ? S > K : S < K;
+    return { delta: itm ? (type === 'call' ? 1 : -1) : 0, gamma: 0, theta: 0, vega: 0, rho: 0 };
+  }
+  const [d1, d2] = d1d2(S, K, T, r, sigma);
+  const sqrtT = Math.sqrt(T);
+  const disc = K * Math.exp(-r * T);
+  const decay = -S * normPdf(d1) * sigma / (2 * sqrtT);
+  const call = type === 'call';
+  return {
+    delta: call ? normCdf(d1) : normCdf(d1) - 1,
+    gamma: normPdf(d1) / (S * sigma * sqrtT),
+    theta: (call ? decay - r * disc * normCdf(d2) : decay + r * disc * normCdf(-d2)) / 365,
+    vega: S * normPdf(d1) * sqrtT / 100,
+    rho: (call ? disc * T * normCdf(d2) : -disc * T * normCdf(-d2)) / 100,
+  };
+}
+
+// Volatility that reproduces `price`: Newton's method, falling back to
+// bisection when vega is too flat. null when the price is below intrinsic
+// value or above the underlying.
+export function impliedVol(type, price, S, K, T, r) {
+  if (!(price > 0) || !(T > 0)) return null;
+  const floor = Math.max(0, type === 'call' ? S - K * Math.exp(-r * T) : K * Math.exp(-r * T) - S);
+  if (price < floor - 1e-6 || price >= (type === 'call' ? S : K)) return null;
+
+  let sigma = 0.3;
+  for (let i = 0; i < 50; i++) {
+    const diff = bsPrice(type, S, K, T, r, sigma) - price;
+    if (Math.abs(diff) < 1e-6) return sigma;
+    const vega = bsGreeks(type, S, K, T, r, sigma).vega * 100;
+    if (vega < 1e-8) break;
+    sigma -= diff / vega;
+    if (!(sigma > 1e-4 && sigma < 5)) break;
+  }
+
+  let lo = 1e-4, hi = 5;
+  for (let i = 0; i < 100; i++) {
+    sigma = (lo + hi) / 2;
+    if (bsPrice(type, S, K, T, r, sigma) > price) hi = sigma; else lo = sigma;
+    if (hi - lo < 1e-7) break;
+  }
+  return sigma;
+}
+
+// Years from `asof` to 4pm New York (20:00 UTC) on the expiration day
+export function yearsToExpiry(expiration, asof = new Date()) {
+  return Math.max(0, (Date.parse(`${expiration}T20:00:00Z`) - new Date(asof).getTime()) / YEAR_MS);
+}
+
+// ── Chains ──
+
+const midOf = (c) => (c.bid > 0 && c.ask > 0 ? (c.bid + c.ask) / 2 : c.last > 0 ? c.last : null);
+
+// Adds mid, IV (solved from the mid when the source has none) and Greeks
+function enrichContract(c, type, S, T, r) {
+  const mid = midOf(c);
+  // Yahoo reports 0.00001-ish IVs for contracts that haven't traded
+  let iv = c.iv > 0.01 ? c.iv : null;
+  if (iv == null && mid != null) iv = impliedVol(type, mid, S, c.strike, T, r);
+  return {
+    ...c,
+    type,
+    mid,
+    iv,
+    ...(iv ? bsGreeks(type, S, c.strike, T, r, iv) : { delta: null, gamma: null, theta: null, vega: null, rho: null }),
+  };
+}
+
+const nearest = (values, target) => values.reduce((a, b) => (Math.abs(b - target) < Math.abs(a - target) ? b : a));
+
+// Average of the call and put IV at the strike closest to spot
+function atmOf(calls, puts, spot) {
+  const strikes = [...new Set([...calls, ...puts].filter(c => c.iv).map(c => c.strike))];
+  if (!strikes.length) return { strike: null, iv: null, straddle: null };
+  const strike = nearest(strikes, spot);
+  const call = calls.find(c => c.strike === strike);
+  const put = puts.find(c => c.strike === strike);
+  const ivs = [call?.iv, put?.iv].filter(Boolean);
+  return {
+    strike,
+    iv: ivs.reduce((a, b) => a + b, 0) / ivs.length,
+    straddle: call?.mid != null && put?.mid != null ? call.mid + put.mid : null,
+  };
+}
+
+// The expiration closest to a month out, which IV rank is tracked on
+function pickExpiration(expirations, asof) {
+  const target = new Date(asof).getTime() + TARGET_DAYS * 24 * 3600 * 1000;
+  return expirations.reduce((best, e) =>
+    (!best || Math.abs(Date.parse(e) - target) < Math.abs(Date.parse(best) - target) ? e : best), null);
+}
+
+// ── Strategies ──
+
+// Legs are listed low strike to high, which is the order strikes given
+// by the user fill them in. `at` is the target strike as an offset from
+// spot; legs sharing an `at` share a strike.
+export const STRATEGIES = {
+  covered_call:   { label: 'Covered Call',   legs: [{ kind: 'stock', qty: 100 }, { kind: 'call', qty: -1, at: 0.05 }] },
+  protective_put: { label: 'Protective Put', legs: [{ kind: 'stock', qty: 100 }, { kind: 'put', qty: 1, at: -0.05 }] },
+  bull_call:      { label: 'Bull Call Spread', legs: [{ kind: 'call', qty: 1, at: 0 }, { kind: 'call', qty: -1, at: 0.05 }] },
+  bear_put:       { label: 'Bear Put Spread',  legs: [{ kind: 'put', qty: -1, at: -0.05 }, { kind: 'put', qty: 1, at: 0 }] },
+  bull_put:       { label: 'Bull Put Spread',  legs: [{ kind: 'put', qty: 1, at: -0.05 }, { kind: 'put', qty: -1, at: 0 }] },
+  bear_call:      { label: 'Bear Call Spread', legs: [{ kind: 'call', qty: -1, at: 0 }, { kind: 'call', qty: 1, at: 0.05 }] },
+  straddle:       { label: 'Long Straddle',  legs: [{ kind: 'call', qty: 1, at: 0 }, { kind: 'put', qty: 1, at: 0 }] },
+  strangle:       { label: 'Long Strangle',  legs: [{ kind: 'put', qty: 1, at: -0.05 }, { kind: 'call', qty: 1, at: 0.05 }] },
+  iron_condor:    { label: 'Iron Condor', legs: [
+    { kind: 'put', qty: 1, at: -0.10 }, { kind: 'put', qty: -1, at: -0.05 },
+    { kind: 'call', qty: -1, at: 0.05 }, { kind: 'call', qty: 1, at: 0.10 },
+  ] },
+  butterfly:      { label: 'Call Butterfly', legs: [
+    { kind: 'call', qty: 1, at: -0.05 }, { kind: 'call', qty: -2, at: 0 }, { kind: 'call', qty: 1, at: 0.05 },
+  ] },
+};
+
+const STRATEGY_ALIASES = {
+  cc: 'covered_call', covered: 'covered_call', married_put: 'protective_put',
+  call_spread: 'bull_call', put_spread: 'bear_put', condor: 'iron_condor', fly: 'butterfly',
+};
+
+export function strategyName(text) {
+  const key = String(text || '').toLowerCase().replace(/[\s-]+/g, '_');
+  return STRATEGIES[key] ? key : STRATEGY_ALIASES[key] || null;
+}
+
+// "+1c180 -1c190 +100s -2p170@3.10" → legs. Options are in contracts,
+// stock in shares; @ sets the entry price instead of the chain's mid.
+export function parseLegs(text) {
+  const tokens = String(text || '').trim().split(/[\s,]+/).filter(Boolean);
+  if (!tokens.length) throw new OptionsError('No legs — use e.g. "+1c180 -1c190" or "+100s -1c200"');
+  return tokens.map(tok => {
+    const m = /^([+-])(\d+)?([cps])(\d+(?:\.\d+)?)?(?:@(\d+(?:\.\d+)?))?$/i.exec(tok);
+    if (!m) throw new OptionsError(`Can't read leg "${tok}" — use +1c180, -2p175, +100s or -1c190@2.45`);
+    const kind = { c: 'call', p: 'put', s: 'stock' }[m[3].toLowerCase()];
+    if (kind !== 'stock' && m[4] == null) throw new OptionsError(`Leg "${tok}" needs a strike`);
+    const qty = parseInt(m[2] || (kind === 'stock' ? CONTRACT_SIZE : 1)) * (m[1] === '-' ? -1 : 1);
+    return {
+      kind,
+      qty,
+      strike: kind === 'stock' ? null : parseFloat(m[4]),
+      price: m[5] != null ? parseFloat(m[5]) : null,
+    };
+  });
+}
+
+// Option value per share at expiry (T = 0) or before it
+function legValue(leg, S, T, r) {
+  if (leg.kind === 'stock') return S;
+  return bsPrice(leg.kind, S, leg.strike, T, r, leg.iv);
+}
+
+const legMultiplier = (leg) => (leg.kind === 'stock' ? 1 : CONTRACT_SIZE);
+
+function profitAt(legs, S, T, r) {
+  return legs.reduce((sum, l) => sum + l.qty * legMultiplier(l) * (legValue(l, S, T, r) - l.price), 0);
+}
+
+// P(lo < S_T < hi) for a lognormal underlying with drift r and vol sigma
+function probBetween(spot, lo, hi, T, r, sigma) {
+  const z = (x) => (x <= 0 ? -Infinity : x === Infinity ? Infinity
+    : (Math.log(x / spot) - (r - sigma * sigma / 2) * T) / (sigma * Math.sqrt(T)));
+  return normCdf(z(hi)) - normCdf(z(lo));
+}
+
+// Expiry payoff, today's theoretical curve and the numbers that
+// summarize it. Legs need kind, qty, strike, price and (for options) iv.
+export function payoff(legs, { spot, T, rate = DEFAULT_RISK_FREE_RATE, iv = null, points = 121 }) {
+  const strikes = [...new Set(legs.filter(l => l.kind !== 'stock').map(l => l.strike))].sort((a, b) => a - b);
+  const lo = Math.max(0, Math.min(spot * 0.7, (strikes[0] ?? spot) * 0.9));
+  const hi = Math.max(spot * 1.3, (strikes[strikes.length - 1] ?? spot) * 1.1);
+  const prices = Array.from({ length: points }, (_, i) => lo + (hi - lo) * i / (points - 1));
+  const round = (v) => Math.round(v * 100) / 100;
+
+  // The expiry payoff is piecewise linear with kinks at the strikes, so
+  // its extremes sit at a kink, at zero, or run off to infinity
+  const slopeUp = legs.reduce((s, l) => s + (l.kind === 'put' ? 0 : l.qty * legMultiplier(l)), 0);
+  const kinks = [0, ...strikes];
+  const atKinks = kinks.map(S => profitAt(legs, S, 0, rate));
+  const maxProfit = slopeUp > 1e-9 ? null : Math.max(...atKinks);
+  const maxLoss = slopeUp < -1e-9 ? null : Math.min(...atKinks);
+
+  // Roots of the expiry payoff, segment by segment, then out past the last strike
+  const breakevens = [];
+  for (let i = 1; i < kinks.length; i++) {
+    const [a, b, pa, pb] = [kinks[i - 1], kinks[i], atKinks[i - 1], atKinks[i]];
+    if (pa === 0 && i === 1) breakevens.push(a);
+    if (pb === 0) breakevens.push(b);
+    else if (pa * pb < 0) breakevens.push(a + (b - a) * (pa / (pa - pb)));
+  }
+  const last = atKinks[atKinks.length - 1];
+  if (Math.abs(slopeUp) > 1e-9 && last * slopeUp < 0) breakevens.push(kinks[kinks.length - 1] - last / slopeUp);
+
+  // Probability of profit: lognormal mass over the profitable stretches
+  let pop = null;
+  if (iv && T > 0) {
+    const edges = [0, ...breakevens, Infinity];
+    pop = 0;
+    for (let i = 1; i < edges.length; i++) {
+      const mid = edges[i] === Infinity ? edges[i - 1] * 1.5 + 1 : (edges[i - 1] + edges[i]) / 2;
+      if (profitAt(legs, mid, 0, rate) > 0) pop += probBetween(spot, edges[i - 1], edges[i], T, rate, iv);
+    }
+  }
+
+  const net = legs.reduce((sum, l) => sum + l.qty * legMultiplier(l) * l.price, 0);
+  return {
+    prices: prices.map(round),
+    expiry: prices.map(S => round(profitAt(legs, S, 0, rate))),
+    today: prices.map(S => round(profitAt(legs, S, T, rate))),
+    max_profit: maxProfit == null ? null : round(maxProfit),
+    max_loss: maxLoss == null ? null : round(maxLoss),
+    breakevens: breakevens.map(round),
+    net_debit: round(net),      // negative = credit received
+    pop,
+    greeks: ['delta', 'gamma', 'theta', 'vega'].reduce((g, k) => {
+      g[k] = round(legs.reduce((s, l) => s + (l.kind === 'stock'
+        ? (k === 'delta' ? l.qty : 0)
+        : l.qty * CONTRACT_SIZE * bsGreeks(l.kind, spot, l.strike, T, rate, l.iv)[k]), 0));
+      return g;
+    }, {}),
+  };
+}
+
+export class OptionsEngine {
+  // Tables are created by migrations.js
+  constructor(db, { rate = DEFAULT_RISK_FREE_RATE } = {}) {
+    this.db = db;
+    this.rate = rate;
+  }
+
+  // Chain for one expiration, every contract priced and its Greeks
+  // filled in. Without an expiration, the one nearest a month out.
+  async chain(symbol, expiration = null, market = getMarketData()) {
+    const sym = String(symbol || '').replace(/^\$/, '').toUpperCase();
+    if (!SYMBOL_PATTERN.test(sym)) throw new OptionsError(`Not a ticker: ${symbol || '(none)'}`);
+    if (expiration && !/^\d{4}-\d{2}-\d{2}$/.test(expiration)) throw new OptionsError(`Expiration "${expiration}" — use YYYY-MM-DD`);
+    if (typeof market.options !== 'function') throw new OptionsError('This market data source has no option chains');
+
+    let raw = await market.options(sym, expiration);
+    if (!raw) throw new OptionsError(`No option chain for ${sym}`);
+    const asof = raw.asof ? new Date(raw.asof) : new Date();
+    const expirations = raw.expirations.filter(e => yearsToExpiry(e, asof) > 0);
+    if (!expirations.length) throw new OptionsError(`No unexpired options for ${sym}`);
+
+    const monthly = pickExpiration(expirations, asof);
+    const wanted = expiration || monthly;
+    if (expiration && !expirations.includes(expiration)) {
+      throw new OptionsError(`${sym} has no ${expiration} expiration — try ${expirations.slice(0, 6).join(', ')}`);
+    }
+    if (raw.expiration !== wanted) raw = await market.options(sym, wanted);
+    if (!raw) throw new OptionsError(`No option chain for ${sym} ${wanted}`);
+
+    let spot = raw.spot;
+    if (spot == null) spot = (await Promise.resolve(market.quotes([sym])).catch(() => ({})))?.[sym]?.price ?? null;
+    if (!(spot > 0)) throw new OptionsError(`No price for ${sym}`);
+
+    const T = yearsToExpiry(wanted, asof);
+    const calls = raw.calls.map(c => enrichContract(c, 'call', spot, T, this.rate));
+    const puts = raw.puts.map(c => enrichContract(c, 'put', spot, T, this.rate));
+    const atm = atmOf(calls, puts, spot);
+
+    if (atm.iv && wanted === monthly) this._record(sym, asof, atm.iv);
+    const ivRank = atm.iv ? await this.ivRank(sym, atm.iv, market) : null;
+
+    return {
+      symbol: sym,
+      spot,
+      asof,
+      expiration: wanted,
+      expirations,
+      days: Math.round(T * 365 * 10) / 10,
+      T,
+      rate: this.rate,
+      atm_strike: atm.strike,
+      atm_iv: atm.iv,
+      expected_move: atm.iv ? spot * atm.iv * Math.sqrt(T) : null,
+      straddle: atm.straddle,
+      iv_rank: ivRank,
+      calls,
+      puts,
+    };
+  }
+
+  _record(symbol, asof, iv) {
+    this.db.prepare('INSERT OR REPLACE INTO option_iv_history (symbol, date, atm_iv) VALUES (?, ?, ?)')
+      .run(symbol, asof.toISOString().slice(0, 10), iv);
+  }
+
+  // Where today's ATM IV sits in the past year's range, 0–100. Until
+  // enough snapshots have been recorded, the range is that of 20-day
+  // realized vol instead.
+  async ivRank(symbol, iv, market = getMarketData()) {
+    const history = this.db.prepare(
+      "SELECT atm_iv FROM option_iv_history WHERE symbol = ? AND date >= date('now', '-1 year')"
+    ).all(symbol).map(r => r.atm_iv);
+    let range = history;
+    let basis = 'iv';
+    if (history.length < MIN_IV_HISTORY) {
+      const rows = await market.chart(symbol, '1y', '1d').catch(() => null);
+      range = rollingVol(rows?.map(r => r.close) || [], 20);
+      basis = 'realized';
+      if (range.length < 2) return null;
+    }
+    const lo = Math.min(...range, iv);
+    const hi = Math.max(...range, iv);
+    return {
+      rank: hi > lo ? (iv - lo) / (hi - lo) * 100 : 50,
+      percentile: range.filter(v => v < iv).length / range.length * 100,
+      low: lo,
+      high: hi,
+      basis,
+      snapshots: history.length,
+    };
+  }
+
+  // A preset over this chain, or custom legs. `strikes` overrides the
+  // preset's strikes, lowest first.
+  async strategy(symbol, { strategy = null, legs = null, expiration = null, strikes = [], quantity = 1 } = {}, market = getMarketData()) {
+    const chain = await this.chain(symbol, expiration, market);
+    let label, spec;
+    if (legs) {
+      spec = typeof legs === 'string' ? parseLegs(legs) : legs;
+      label = 'Custom';
+    } else {
+      const name = strategyName(strategy);
+      if (!name) {
+        throw new OptionsError(strategy
+          ? `Unknown strategy "${strategy}" — try ${Object.keys(STRATEGIES).join(', ')}`
+          : `Pick a strategy (${Object.keys(STRATEGIES).join(', ')}) or give custom legs`);
+      }
+      label = STRATEGIES[name].label;
+      spec = presetLegs(chain, STRATEGIES[name].legs, strikes);
+    }
+    const q = Number(quantity) || 1;
+    const priced = spec.map(l => this._priceLeg(chain, { ...l, qty: l.qty * q }));
+    return {
+      symbol: chain.symbol,
+      strategy: label,
+      expiration: chain.expiration,
+      days: chain.days,
+      spot: chain.spot,
+      atm_iv: chain.atm_iv,
+      legs: priced,
+      ...payoff(priced, { spot: chain.spot, T: chain.T, rate: this.rate, iv: chain.atm_iv }),
+    };
+  }
+
+  // Entry price and IV from the chain; a strike that isn't listed is
+  // priced off the ATM IV and flagged as theoretical
+  _priceLeg(chain, leg) {
+    if (leg.kind === 'stock') return { ...leg, price: leg.price ?? chain.spot, iv: null };
+    const listed = (leg.kind === 'call' ? chain.calls : chain.puts).find(c => c.strike === leg.strike);
+    const iv = listed?.iv || chain.atm_iv;
+    if (!iv) throw new OptionsError(`No implied vol for the ${leg.strike} ${leg.kind}`);
+    const price = leg.price ?? listed?.mid ?? bsPrice(leg.kind, chain.spot, leg.strike, chain.T, this.rate, iv);
+    return { ...leg, price, iv, contract: listed?.contract || null, theoretical: !listed };
+  }
+}
+
+// Annualized stdev of daily log returns over each `window`-day stretch
+function rollingVol(closes, window) {
+  const rets = [];
+  for (let i = 1; i < closes.length; i++) rets.push(Math.log(closes[i] / closes[i - 1]));
+  const out = [];
+  for (let i = window; i <= rets.length; i++) {
+    const slice = rets.slice(i - window, i);
+    const mean = slice.reduce((a, b) => a + b, 0) / window;
+    out.push(Math.sqrt(slice.reduce((a, b) => a + (b - mean) ** 2, 0) / (window - 1) * 252));
+  }
+  return out;
+}
+
+// Resolve a preset's `at` offsets to listed strikes. Distinct offsets get
+// distinct strikes, stepping outward when two would land on the same one.
+function presetLegs(chain, legs, overrides = []) {
+  const offsets = [...new Set(legs.filter(l => l.kind !== 'stock').map(l => l.at))];
+  if (overrides.length && overrides.length !== offsets.length) {
+    throw new OptionsError(`This strategy takes ${offsets.length} strike(s), lowest first`);
+  }
+  if (overrides.some(k => !(Number(k) > 0))) throw new OptionsError(`Strikes must be prices, got ${overrides.join(', ')}`);
+  const listed = [...new Set([...chain.calls, ...chain.puts].filter(c => c.mid != null).map(c => c.strike))].sort((a, b) => a - b);
+  if (!listed.length) throw new OptionsError(`No priced contracts for ${chain.symbol} ${chain.expiration}`);
+
+  const chosen = new Map();
+  for (const [i, at] of offsets.entries()) {
+    if (overrides.length) { chosen.set(at, Number(overrides[i])); continue; }
+    let idx = listed.indexOf(nearest(listed, chain.spot * (1 + at)));
+    const taken = [...chosen.values()];
+    const step = at < 0 ? -1 : 1;
+    while (taken.includes(listed[idx]) && listed[idx + step] != null) idx += step;
+    if (taken.includes(listed[idx])) throw new OptionsError(`Not enough strikes in the ${chain.expiration} chain for this strategy`);
+    chosen.set(at, listed[idx]);
+  }
+  return legs.map(l => (l.kind === 'stock'
+    ? { kind: 'stock', qty: l.qty, strike: null, price: null }
+    : { kind: l.kind, qty: l.qty, strike: chosen.get(l.at), price: null }));
+}
+
+// ── Formatting ──
+
+const pct = (v, digits = 1) => (v == null ? '—' : `${(v * 100).toFixed(digits)}%`);
+const money = (v) => (v == null ? '—' : `$${Math.abs(v).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`);
+const num = (v, digits = 2) => (v == null ? '—' : v.toFixed(digits));
+
+export function formatIvRank(r) {
+  if (!r) return 'IV rank: —';
+  const basis = r.basis === 'iv'
+    ? `${r.snapshots} daily IV snapshots`
+    : `vs 1y 20-day realized vol — ${r.snapshots}/${MIN_IV_HISTORY} IV snapshots recorded`;
+  return `IV rank **${r.rank.toFixed(0)}** · percentile ${r.percentile.toFixed(0)} (${pct(r.low)}–${pct(r.high)}, ${basis})`;
+}
+
+// `width` strikes either side of the money
+export function formatOptionChain(c, width = 8) {
+  let out = `## 🧾 ${c.symbol} Options — ${c.expiration} (${c.days}d)\n\n`;
+  out += `Spot **$${c.spot.toFixed(2)}** · ATM IV **${pct(c.atm_iv)}** · ${formatIvRank(c.iv_rank)}\n`;
+  if (c.expected_move != null) {
+    out += `Expected move ±**$${c.expected_move.toFixed(2)}** (${pct(c.expected_move / c.spot)}) → $${(c.spot - c.expected_move).toFixed(2)}–$${(c.spot + c.expected_move).toFixed(2)}`;
+    out += c.straddle != null ? ` · ATM straddle $${c.straddle.toFixed(2)}\n\n` : '\n\n';
+  }
+
+  const strikes = [...new Set([...c.calls, ...c.puts].map(x => x.strike))].sort((a, b) => a - b);
+  const center = strikes.indexOf(c.atm_strike ?? strikes[0]);
+  const shown = strikes.slice(Math.max(0, center - width), center + width + 1);
+  out += '| Call bid/ask | IV | Δ | Θ | **Strike** | Put bid/ask | IV | Δ | Θ |\n|---|---|---|---|---|---|---|---|---|\n';
+  for (const k of shown) {
+    const call = c.calls.find(x => x.strike === k);
+    const put = c.puts.find(x => x.strike === k);
+    const side = (x) => (x
+      ? `${num(x.bid)}/${num(x.ask)} | ${pct(x.iv)} | ${num(x.delta)} | ${num(x.theta, 3)}`
+      : '— | — | — | —');
+    const mark = k === c.atm_strike ? ' ◀' : '';
+    out += `| ${side(call)} | **${k}**${mark} | ${side(put)} |\n`;
+  }
+  out += `\n_${strikes.length} strikes · other expirations: ${c.expirations.filter(e => e !== c.expiration).slice(0, 6).join(', ') || 'none'}_`;
+  return out;
+}
+
+export function formatExpirations(c) {
+  return `## 🧾 ${c.symbol} Expirations\n\n` + c.expirations.map(e =>
+    `• ${e} (${Math.round(yearsToExpiry(e, c.asof) * 365)}d)${e === c.expiration ? ' ◀ shown by default' : ''}`
+  ).join('\n');
+}
+
+export function formatStrategy(s) {
+  let out = `## 📐 ${s.symbol} ${s.strategy} — ${s.expiration} (${s.days}d)\n\n`;
+  for (const l of s.legs) {
+    const side = l.qty > 0 ? 'Buy' : 'Sell';
+    out += l.kind === 'stock'
+      ? `• ${side} ${Math.abs(l.qty)} shares @ $${l.price.toFixed(2)}\n`
+      : `• ${side} ${Math.abs(l.qty)} × ${l.strike} ${l.kind} @ $${l.price.toFixed(2)} (IV ${pct(l.iv)})${l.theoretical ? ' _theoretical_' : ''}\n`;
+  }
+  out += `\n**${s.net_debit >= 0 ? 'Net debit' : 'Net credit'}:** ${money(s.net_debit)}\n`;
+  out += `**Max profit:** ${s.max_profit == null ? 'unlimited' : money(s.max_profit)} · `;
+  out += `**Max loss:** ${s.max_loss == null ? 'unlimited' : `-${money(s.max_loss)}`}\n`;
+  out += `**Breakeven${s.breakevens.length === 1 ? '' : 's'}:** ${s.breakevens.map(b => `$${b.toFixed(2)}`).join(', ') || '—'}\n`;
+  if (s.pop != null) out += `**Probability of profit:** ${pct(s.pop, 0)} _(lognormal, ATM IV)_\n`;
+  out += `**Position Greeks:** Δ ${s.greeks.delta} · Γ ${s.greeks.gamma} · Θ ${s.greeks.theta}/day · Vega ${s.greeks.vega}`;
+  return out;
+}
+
+export function payoffChartData(s) {
+  return {
+    kind: 'payoff',
+    ticker: s.symbol,
+    title: `${s.symbol} ${s.strategy} ${s.expiration}`,
+    prices: s.prices,
+    expiry: s.expiry,
+    today: s.today,
+    spot: s.spot,
+    breakevens: s.breakevens,
+  };
+}
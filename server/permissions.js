@@ -0,0 +1,222 @@
+// ═══════════════════════════════════════════════════════════════
+//  VELLE.AI — Command Permissions
+//  • Risk level per action (low / medium / high)
+//  • Allow / deny / ask rules, optionally scoped by a regex on the
+//    command's subject (shell command, URL, app name)
+//  • Read-only shell commands pass without asking
+// ═══════════════════════════════════════════════════════════════
+
+export const DECISIONS = ['allow', 'deny', 'ask'];
+
+// Anything not listed is treated as medium
+export const ACTION_RISK = {
+  // Read-only lookups
+  market_snapshot: 'low',
+  stock_quote: 'low',
+  stock_analyze: 'low',
+  stock_chart: 'low',
+  stock_compare: 'low',
+  options_chain: 'low',
+  options_strategy: 'low',
+  momentum_scan: 'low',
+  dislocation_scan: 'low',
+  backtest: 'low',
+  strategy_backtest: 'low',
+  sentiment: 'low',
+  moonshot_scan: 'low',
+  stock_ideas: 'low',
+  watchlists: 'low',
+  list_alerts: 'low',
+  system_info: 'low',
+  search_files: 'low',
+  list_todos: 'low',
+  portfolio_summary: 'low',
+  portfolio_allocation: 'low',
+  portfolio_pnl: 'low',
+  portfolio_history: 'low',
+
+  // Writes to the user's own VELLE.AI data
+  set_reminder: 'low',
+  set_alert: 'low',
+  add_todo: 'low',
+  complete_todo: 'low',
+  add_habit: 'low',
+  check_habit: 'low',
+  add_goal: 'low',
+  save_bookmark: 'low',
+  save_knowledge: 'low',
+  update_knowledge: 'low',   // the previous text stays in its revision history
+  watchlist_add: 'low',
+  watchlist_remove: 'low',
+  portfolio_buy: 'low',
+  portfolio_sell: 'low',
+  portfolio_dividend: 'low',
+  portfolio_cash: 'low',
+
+  // Touch the desktop
+  open_browser: 'medium',
+  open_app: 'medium',
+  play_music: 'medium',
+
+  // Arbitrary code on the host (admins only when accounts are on)
+  run_shell: 'high',
+};
+
+// What happens when no rule matches
+export const DEFAULT_DECISIONS = { low: 'allow', medium: 'ask', high: 'ask' };
+
+// Shell commands (and pipe stages) that only read state
+const READONLY_SHELL = [
+  /^(ls|dir|pwd|whoami|hostname|date|uptime|df|du|free|uname|id|which|where|echo|cat|head|tail|wc|sort|uniq|grep|findstr|select|ps|ipconfig|ifconfig|ip (a|addr|route)|netstat|ss|ping -c \d+|systeminfo|tasklist|ver|nvidia-smi|node -v|npm -v|python3? --version|git (status|log|diff|branch))(\s|$)/i,
+  /^(Get|Test|Measure|Select|Sort|Where|Group)-\w+(\s|$)/i,
+  /^(Format-(Table|List|Wide)|Out-String)(\s|$)/i,
+];
+
+// Redirection, chaining or substitution can turn any read into a write.
+// A newline starts another command; PowerShell runs (subexpressions) and
+// {script blocks} passed to Where-Object, Select-Object, Measure-Command…
+const SHELL_UNSAFE = /[;&><`\r\n(){}]|\$\(|\|\|/;
+
+// GNU tools take any unambiguous prefix of a long option (--out for --output)
+const hasLong = (args, name) => args.some(a => {
+  const flag = a.split('=')[0];
+  return flag.length > 2 && flag.startsWith('--') && name.startsWith(flag);
+});
+const positional = args => args.filter(a => !a.startsWith('-'));
+
+// Allowed commands that change something given the right arguments
+const WRITING_ARGS = {
+  sort: args => args.some(a => /^-[^-]*o/.test(a)) || hasLong(args, '--output') || hasLong(args, '--compress-program'),
+  uniq: args => positional(args).length > 1,   // uniq IN OUT
+  git: ([sub, ...args]) => hasLong(args, '--output') || hasLong(args, '--ext-diff') ||
+    (sub.toLowerCase() === 'branch' && args.some(a => !/^(-[arv]+|--(list|all|remotes|verbose|show-current))$/.test(a))),
+  date: args => args.some(a => /^-[^-]*s/.test(a) || /^[^-+]/.test(a)) || hasLong(args, '--set'),
+  hostname: args => positional(args).length > 0 || args.some(a => /^-[^-]*[Fb]/.test(a)) || hasLong(args, '--file') || hasLong(args, '--boot'),
+  ip: args => positional(args).length > 1 && !/^(show|list|ls|get)$/i.test(positional(args)[1]),
+  ifconfig: args => positional(args).length > 1,   // ifconfig eth0 down
+};
+
+function writesFromArgs(stage) {
+  // Quotes and escapes don't hide an option: sort "-o" f is sort -o f
+  const [name, ...args] = stage.split(/\s+/).map(word => word.replace(/["'\\]/g, ''));
+  const check = WRITING_ARGS[name.toLowerCase()];
+  return !!check && check(args);
+}
+
+export function isReadOnlyShell(command = '') {
+  const cmd = command.trim();
+  if (!cmd || SHELL_UNSAFE.test(cmd)) return false;
+  return cmd.split('|').every(stage => {
+    stage = stage.trim();
+    return READONLY_SHELL.some(p => p.test(stage)) && !writesFromArgs(stage);
+  });
+}
+
+// The part of the params a rule pattern is matched against
+function subjectOf(action, params = {}) {
+  switch (action) {
+    case 'run_shell': return params.command || '';
+    case 'open_browser': return params.url || '';
+    case 'open_app': return params.app || '';
+    case 'play_music': return params.query || '';
+    default: return JSON.stringify(params);
+  }
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export class PolicyEngine {
+  // allowHighRisk: false for non-admin accounts — high-risk actions run on
+  // the host, so no rule can allow them
+  constructor(db, { allowHighRisk = true } = {}) {
+    this.db = db;
+    this.allowHighRisk = allowHighRisk;
+  }
+
+  riskOf(action) {
+    return ACTION_RISK[action] || 'medium';
+  }
+
+  // Decide what to do with an action. Deny rules always win; otherwise a
+  // pattern rule beats an action-wide rule, which beats a '*' rule, which
+  // beats the risk-level default.
+  evaluate(action, params = {}) {
+    const risk = this.riskOf(action);
+    if (risk === 'high' && !this.allowHighRisk) {
+      return { decision: 'deny', risk, rule_id: null, reason: 'High-risk actions are limited to admins' };
+    }
+    const subject = subjectOf(action, params);
+    const matching = this.db.prepare(
+      "SELECT * FROM permission_rules WHERE action = ? OR action = '*' ORDER BY id DESC"
+    ).all(action).filter(r => {
+      if (!r.pattern) return true;
+      try { return new RegExp(r.pattern, 'i').test(subject); } catch { return false; }
+    });
+
+    const deny = matching.find(r => r.decision === 'deny');
+    if (deny) return { decision: 'deny', risk, rule_id: deny.id, reason: deny.note || `Denied by rule #${deny.id}` };
+
+    const specificity = r => (r.pattern ? 2 : 0) + (r.action === '*' ? 0 : 1);
+    const best = matching.sort((a, b) => specificity(b) - specificity(a))[0];
+    if (best) return { decision: best.decision, risk, rule_id: best.id, reason: best.note || `Rule #${best.id}` };
+
+    if (action === 'run_shell' && isReadOnlyShell(subject)) {
+      return { decision: 'allow', risk, rule_id: null, reason: 'Read-only shell command' };
+    }
+    return { decision: DEFAULT_DECISIONS[risk], risk, rule_id: null, reason: `Default for ${risk}-risk actions` };
+  }
+
+  addRule(action, decision, pattern = null, note = null) {
+    if (!DECISIONS.includes(decision)) throw new Error(`Decision must be one of: ${DECISIONS.join(', ')}`);
+    if (pattern) new RegExp(pattern);   // throws on a bad pattern before it's stored
+    const r = this.db.prepare(
+      'INSERT INTO permission_rules (action, pattern, decision, note) VALUES (?, ?, ?, ?)'
+    ).run(action, pattern, decision, note);
+    return this.db.prepare('SELECT * FROM permission_rules WHERE id = ?').get(r.lastInsertRowid);
+  }
+
+  // "Always allow" from a confirmation: scoped to this exact subject for
+  // actions that have one, action-wide otherwise
+  rememberApproval(action, params = {}) {
+    const subject = ['run_shell', 'open_browser', 'open_app', 'play_music'].includes(action)
+      ? subjectOf(action, params)
+      : null;
+    return this.addRule(action, 'allow', subject ? `^${escapeRegex(subject)}$` : null, 'Remembered from confirmation');
+  }
+
+  listRules() {
+    return this.db.prepare('SELECT * FROM permission_rules ORDER BY action, id').all();
+  }
+
+  deleteRule(id) {
+    return this.db.prepare('DELETE FROM permission_rules WHERE id = ?').run(id).changes > 0;
+  }
+
+  // Risk level and no-rule default for every known action
+  getOverview(actions = Object.keys(ACTION_RISK)) {
+    return actions.map(action => {
+      const risk = this.riskOf(action);
+      return { action, risk, default: DEFAULT_DECISIONS[risk] };
+    });
+  }
+
+  getRecentDecisions(limit = 50) {
+    return this.db.prepare(`
+      SELECT id, action, params, status, risk, decision, timestamp FROM commands
+      WHERE decision IS NOT NULL
+      ORDER BY id DESC LIMIT ?
+    `).all(limit);
+  }
+}
+
+export function formatRules(rules) {
+  if (!rules.length) return '🛡️ No permission rules — defaults apply (low = allow, medium/high = ask).';
+  let out = '## 🛡️ Permission Rules\n\n';
+  for (const r of rules) {
+    const icon = r.decision === 'allow' ? '✅' : r.decision === 'deny' ? '🚫' : '❓';
+    out += `${icon} #${r.id} **${r.action}** → ${r.decision}${r.pattern ? ` when \`${r.pattern}\`` : ''}${r.note ? ` — ${r.note}` : ''}\n`;
+  }
+  return out;
+}
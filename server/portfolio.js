@@ -0,0 +1,690 @@
+// ═══════════════════════════════════════════════════════════════
+//  VELLE.AI — Portfolio
+//  • Accounts, each with its own cash and cost-basis method
+//  • Buys, sells, dividends, deposits, withdrawals and fees
+//  • Tax lots matched FIFO, LIFO or at average cost
+//  • Realized / unrealized P&L and sector allocation
+//  • Daily value history replayed from transactions over cached bars
+// ═══════════════════════════════════════════════════════════════
+
+import { getMarketData } from './quant.js';
+import { fetchCharts, fetchFundamentals } from './marketdata.js';
+
+export const TX_TYPES = ['buy', 'sell', 'dividend', 'deposit', 'withdraw', 'fee'];
+export const COST_METHODS = ['fifo', 'lifo', 'average'];
+
+const EPSILON = 1e-9;
+const LONG_TERM_DAYS = 365;
+
+export class PortfolioError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PortfolioError';
+  }
+}
+
+// Cash effect of a transaction, in SQL and in JS
+const CASH_SQL = `CASE t.type
+  WHEN 'buy' THEN -(t.quantity * t.price + t.fees)
+  WHEN 'sell' THEN t.quantity * t.price - t.fees
+  WHEN 'dividend' THEN t.amount - t.fees
+  WHEN 'deposit' THEN t.amount
+  ELSE -t.amount END`;
+
+export function cashEffect(tx) {
+  switch (tx.type) {
+    case 'buy': return -(tx.quantity * tx.price + tx.fees);
+    case 'sell': return tx.quantity * tx.price - tx.fees;
+    case 'dividend': return tx.amount - tx.fees;
+    case 'deposit': return tx.amount;
+    default: return -tx.amount;
+  }
+}
+
+// Same-day sells replay after same-day buys, so a day trade entered in
+// either order works
+const REPLAY_ORDER = "date, CASE type WHEN 'sell' THEN 1 ELSE 0 END, id";
+
+function today() {
+  return new Date().toLocaleDateString('en-CA');
+}
+
+function checkDate(date) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date))) {
+    throw new PortfolioError(`Dates are YYYY-MM-DD, got "${date}"`);
+  }
+  return date;
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / 86400000);
+}
+
+function positive(value, label) {
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) throw new PortfolioError(`${label} must be a positive number`);
+  return n;
+}
+
+// Take `quantity` out of a symbol's open lots. FIFO and LIFO consume whole
+// lots in date order; average cost takes the same fraction of every lot at
+// the pooled cost, which leaves the average of what remains unchanged.
+export function matchLots(lots, quantity, method) {
+  const open = lots.filter(l => l.remaining > EPSILON);
+  const held = open.reduce((n, l) => n + l.remaining, 0);
+  if (quantity > held + EPSILON) return null;
+
+  if (method === 'average') {
+    const avg = open.reduce((n, l) => n + l.remaining * l.cost, 0) / held;
+    return open.map(lot => {
+      const take = lot.remaining * quantity / held;
+      lot.remaining -= take;
+      return { lot, quantity: take, cost: avg };
+    });
+  }
+
+  const matches = [];
+  let left = quantity;
+  for (const lot of method === 'lifo' ? [...open].reverse() : open) {
+    if (left <= EPSILON) break;
+    const take = Math.min(lot.remaining, left);
+    lot.remaining -= take;
+    left -= take;
+    matches.push({ lot, quantity: take, cost: lot.cost });
+  }
+  return matches;
+}
+
+export class PortfolioManager {
+  // Tables are created by migrations.js
+  constructor(db) {
+    this.db = db;
+  }
+
+  // ── Accounts ──
+
+  listAccounts() {
+    return this.db.prepare(`
+      SELECT a.*,
+        COALESCE((SELECT SUM(${CASH_SQL}) FROM portfolio_transactions t WHERE t.account_id = a.id), 0) as cash,
+        (SELECT COUNT(*) FROM portfolio_transactions t WHERE t.account_id = a.id AND t.type IN ('deposit', 'withdraw')) > 0 as tracks_cash,
+        (SELECT COUNT(*) FROM portfolio_transactions t WHERE t.account_id = a.id) as transactions
+      FROM portfolio_accounts a ORDER BY a.id
+    `).all().map(a => ({ ...a, tracks_cash: !!a.tracks_cash }));
+  }
+
+  // By id or name; no ref means the first (default) account
+  getAccount(ref) {
+    const accounts = this.listAccounts();
+    if (ref == null || ref === '') {
+      if (!accounts.length) throw new PortfolioError('No portfolio accounts — create one with /portfolio account add NAME');
+      return accounts[0];
+    }
+    const account = accounts.find(a => String(a.id) === String(ref) || a.name.toLowerCase() === String(ref).toLowerCase());
+    if (!account) throw new PortfolioError(`No portfolio account "${ref}" — create it with /portfolio account add ${ref}`);
+    return account;
+  }
+
+  createAccount(name, { cost_method = 'fifo', currency = 'USD' } = {}) {
+    if (!/^[\w.-]{1,40}$/.test(name || '')) throw new PortfolioError('Account names are letters, digits, "_", "-" or "."');
+    if (!COST_METHODS.includes(cost_method)) throw new PortfolioError(`Cost method must be one of: ${COST_METHODS.join(', ')}`);
+    if (this.listAccounts().some(a => a.name.toLowerCase() === name.toLowerCase())) {
+      throw new PortfolioError(`Account "${name}" already exists`);
+    }
+    const r = this.db.prepare('INSERT INTO portfolio_accounts (name, cost_method, currency) VALUES (?, ?, ?)')
+      .run(name, cost_method, currency.toUpperCase());
+    return this.getAccount(r.lastInsertRowid);
+  }
+
+  // Rename or switch cost method. A new method re-matches every past sale.
+  updateAccount(ref, { name, cost_method } = {}) {
+    const account = this.getAccount(ref);
+    if (cost_method && !COST_METHODS.includes(cost_method)) {
+      throw new PortfolioError(`Cost method must be one of: ${COST_METHODS.join(', ')}`);
+    }
+    if (name && !/^[\w.-]{1,40}$/.test(name)) throw new PortfolioError('Account names are letters, digits, "_", "-" or "."');
+    this.db.transaction(() => {
+      this.db.prepare('UPDATE portfolio_accounts SET name = COALESCE(?, name), cost_method = COALESCE(?, cost_method) WHERE id = ?')
+        .run(name || null, cost_method || null, account.id);
+      if (cost_method && cost_method !== account.cost_method) this.rebuild(account.id);
+    })();
+    return this.getAccount(account.id);
+  }
+
+  deleteAccount(ref) {
+    const account = this.getAccount(ref);
+    if (account.transactions) throw new PortfolioError(`Account "${account.name}" has ${account.transactions} transaction(s) — delete them first`);
+    if (this.listAccounts().length === 1) throw new PortfolioError("Can't delete the only account");
+    this.db.prepare('DELETE FROM portfolio_accounts WHERE id = ?').run(account.id);
+    return true;
+  }
+
+  // ── Transactions ──
+
+  addTransaction({ account, type, symbol = null, quantity = null, price = null, amount = null, fees = 0, date = today(), note = null } = {}) {
+    if (!TX_TYPES.includes(type)) throw new PortfolioError(`Transaction type must be one of: ${TX_TYPES.join(', ')}`);
+    const acct = this.getAccount(account);
+    symbol = symbol ? String(symbol).toUpperCase() : null;
+    fees = Number(fees) || 0;
+    if (fees < 0) throw new PortfolioError('Fees can\'t be negative');
+    checkDate(date);
+
+    if (type === 'buy' || type === 'sell') {
+      if (!symbol) throw new PortfolioError(`A ${type} needs a symbol`);
+      quantity = positive(quantity, 'Quantity');
+      price = Number(price);
+      if (!Number.isFinite(price) || price < 0) throw new PortfolioError('Price must be zero or more');
+      amount = null;
+    } else {
+      if (type === 'dividend' && !symbol) throw new PortfolioError('A dividend needs a symbol');
+      amount = positive(amount, 'Amount');
+      quantity = price = null;
+    }
+
+    const id = this.db.transaction(() => {
+      const r = this.db.prepare(`
+        INSERT INTO portfolio_transactions (account_id, type, symbol, quantity, price, amount, fees, date, note)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(acct.id, type, symbol, quantity, price, amount, fees, date, note);
+      if (type === 'buy') this.db.prepare('INSERT OR IGNORE INTO portfolio_securities (symbol) VALUES (?)').run(symbol);
+      this.rebuild(acct.id);
+      return r.lastInsertRowid;
+    })();
+    return this.getTransaction(id);
+  }
+
+  buy(symbol, quantity, price, opts = {}) {
+    return this.addTransaction({ ...opts, type: 'buy', symbol, quantity, price });
+  }
+
+  sell(symbol, quantity, price, opts = {}) {
+    return this.addTransaction({ ...opts, type: 'sell', symbol, quantity, price });
+  }
+
+  dividend(symbol, amount, opts = {}) {
+    return this.addTransaction({ ...opts, type: 'dividend', symbol, amount });
+  }
+
+  getTransaction(id) {
+    return this.db.prepare(`
+      SELECT t.*, a.name as account, ${CASH_SQL} as cash_effect
+      FROM portfolio_transactions t JOIN portfolio_accounts a ON a.id = t.account_id
+      WHERE t.id = ?
+    `).get(id) || null;
+  }
+
+  listTransactions({ account = null, symbol = null, type = null, limit = 50 } = {}) {
+    const where = [], params = [];
+    if (account != null) { where.push('t.account_id = ?'); params.push(this.getAccount(account).id); }
+    if (symbol) { where.push('t.symbol = ?'); params.push(symbol.toUpperCase()); }
+    if (type) { where.push('t.type = ?'); params.push(type); }
+    return this.db.prepare(`
+      SELECT t.*, a.name as account, ${CASH_SQL} as cash_effect
+      FROM portfolio_transactions t JOIN portfolio_accounts a ON a.id = t.account_id
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY t.date DESC, t.id DESC LIMIT ?
+    `).all(...params, limit);
+  }
+
+  // Fails (and keeps the transaction) when a later sell depends on it
+  deleteTransaction(id) {
+    const tx = this.getTransaction(id);
+    if (!tx) return false;
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM portfolio_transactions WHERE id = ?').run(id);
+      this.rebuild(tx.account_id);
+    })();
+    return true;
+  }
+
+  // ── Lots ──
+
+  // Replay an account's transactions into lots and realized gains. Throws
+  // on a sell of more than was held at the time; callers run it inside the
+  // transaction that made the change so that rolls back too.
+  rebuild(accountId) {
+    const account = this.db.prepare('SELECT * FROM portfolio_accounts WHERE id = ?').get(accountId);
+    this.db.prepare('DELETE FROM portfolio_lots WHERE account_id = ?').run(accountId);
+    this.db.prepare('DELETE FROM portfolio_realized WHERE account_id = ?').run(accountId);
+
+    const insertLot = this.db.prepare(`
+      INSERT INTO portfolio_lots (account_id, symbol, tx_id, date, quantity, remaining, cost)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    const insertGain = this.db.prepare(`
+      INSERT INTO portfolio_realized (account_id, symbol, tx_id, lot_id, date, quantity, proceeds, cost, gain, holding_days)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const books = new Map();
+    const txs = this.db.prepare(`
+      SELECT * FROM portfolio_transactions WHERE account_id = ? AND type IN ('buy', 'sell') ORDER BY ${REPLAY_ORDER}
+    `).all(accountId);
+
+    for (const tx of txs) {
+      if (!books.has(tx.symbol)) books.set(tx.symbol, []);
+      const lots = books.get(tx.symbol);
+
+      if (tx.type === 'buy') {
+        const cost = (tx.quantity * tx.price + tx.fees) / tx.quantity;
+        const r = insertLot.run(accountId, tx.symbol, tx.id, tx.date, tx.quantity, tx.quantity, cost);
+        lots.push({ id: r.lastInsertRowid, date: tx.date, remaining: tx.quantity, cost });
+        continue;
+      }
+
+      const matches = matchLots(lots, tx.quantity, account.cost_method);
+      if (!matches) {
+        const held = lots.reduce((n, l) => n + l.remaining, 0);
+        throw new PortfolioError(`Can't sell ${tx.quantity} ${tx.symbol} on ${tx.date} — only ${+held.toFixed(6)} held in ${account.name}`);
+      }
+      const net = (tx.quantity * tx.price - tx.fees) / tx.quantity;
+      for (const m of matches) {
+        insertGain.run(accountId, tx.symbol, tx.id, m.lot.id, tx.date, m.quantity,
+          m.quantity * net, m.quantity * m.cost, m.quantity * (net - m.cost), daysBetween(m.lot.date, tx.date));
+      }
+    }
+
+    const update = this.db.prepare('UPDATE portfolio_lots SET remaining = ? WHERE id = ?');
+    for (const lots of books.values()) {
+      for (const lot of lots) update.run(lot.remaining > EPSILON ? lot.remaining : 0, lot.id);
+    }
+  }
+
+  // After an import, when lots may be out of step with transactions
+  rebuildAll() {
+    this.db.transaction(() => {
+      for (const a of this.listAccounts()) this.rebuild(a.id);
+    })();
+  }
+
+  listLots({ account = null, symbol = null, open = true } = {}) {
+    const where = [], params = [];
+    if (account != null) { where.push('l.account_id = ?'); params.push(this.getAccount(account).id); }
+    if (symbol) { where.push('l.symbol = ?'); params.push(symbol.toUpperCase()); }
+    if (open) where.push(`l.remaining > ${EPSILON}`);
+    return this.db.prepare(`
+      SELECT l.*, a.name as account FROM portfolio_lots l JOIN portfolio_accounts a ON a.id = l.account_id
+      ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY l.symbol, l.date, l.id
+    `).all(...params);
+  }
+
+  // ── Valuation ──
+
+  _accounts(account) {
+    return account != null ? [this.getAccount(account)] : this.listAccounts();
+  }
+
+  // Holdings, P&L and cash for one account, or all of them combined.
+  // Symbols without a quote are valued at cost and listed in `stale`.
+  async summary({ account = null } = {}, market = getMarketData()) {
+    const accounts = this._accounts(account);
+    const ids = accounts.map(a => a.id);
+    const marks = ids.map(() => '?').join(', ');
+
+    const positions = this.db.prepare(`
+      SELECT l.symbol, SUM(l.remaining) as quantity, SUM(l.remaining * l.cost) as cost_basis, MIN(l.date) as since,
+             s.name, s.sector
+      FROM portfolio_lots l LEFT JOIN portfolio_securities s ON s.symbol = l.symbol
+      WHERE l.account_id IN (${marks}) AND l.remaining > ${EPSILON}
+      GROUP BY l.symbol
+    `).all(...ids);
+
+    const quotes = positions.length
+      ? await market.quotes(positions.map(p => p.symbol)).catch(() => ({}))
+      : {};
+
+    const stale = [];
+    const holdings = positions.map(p => {
+      const q = quotes[p.symbol] || {};
+      if (q.price == null) stale.push(p.symbol);
+      const price = q.price ?? p.cost_basis / p.quantity;
+      const value = p.quantity * price;
+      return {
+        symbol: p.symbol,
+        name: p.name || (q.name && q.name !== p.symbol ? q.name : null),
+        sector: p.sector || null,
+        quantity: p.quantity,
+        avg_cost: p.cost_basis / p.quantity,
+        cost_basis: p.cost_basis,
+        price,
+        value,
+        day_change: q.change != null ? q.change * p.quantity : null,
+        unrealized: value - p.cost_basis,
+        unrealized_pct: p.cost_basis ? (value - p.cost_basis) / p.cost_basis : null,
+        since: p.since,
+      };
+    }).sort((a, b) => b.value - a.value);
+
+    const cash = accounts.filter(a => a.tracks_cash).reduce((n, a) => n + a.cash, 0);
+    const marketValue = holdings.reduce((n, h) => n + h.value, 0);
+    const costBasis = holdings.reduce((n, h) => n + h.cost_basis, 0);
+    const total = marketValue + cash;
+    for (const h of holdings) h.weight = total > 0 ? h.value / total : null;
+
+    const realized = this.db.prepare(`SELECT COALESCE(SUM(gain), 0) as v FROM portfolio_realized WHERE account_id IN (${marks})`).get(...ids).v;
+    const dividends = this.db.prepare(`
+      SELECT COALESCE(SUM(amount - fees), 0) as v FROM portfolio_transactions WHERE type = 'dividend' AND account_id IN (${marks})
+    `).get(...ids).v;
+
+    return {
+      account: account != null ? accounts[0].name : null,
+      accounts,
+      holdings,
+      totals: {
+        value: total,
+        market_value: marketValue,
+        cost_basis: costBasis,
+        cash,
+        unrealized: marketValue - costBasis,
+        unrealized_pct: costBasis ? (marketValue - costBasis) / costBasis : null,
+        day_change: holdings.reduce((n, h) => n + (h.day_change ?? 0), 0),
+        realized,
+        dividends,
+      },
+      stale,
+    };
+  }
+
+  // Manual sector wins over anything looked up later
+  setSector(symbol, sector, industry = null) {
+    this.db.prepare(`
+      INSERT INTO portfolio_securities (symbol, sector, industry) VALUES (?, ?, ?)
+      ON CONFLICT(symbol) DO UPDATE SET sector = excluded.sector, industry = COALESCE(excluded.industry, industry),
+        updated_at = datetime('now','localtime')
+    `).run(symbol.toUpperCase(), sector, industry);
+  }
+
+  // Sectors not known yet are looked up once from fundamentals. Funds and
+  // anything without a sector land in "Other"; failed lookups retry next time.
+  async _fillSectors(symbols, market) {
+    if (!symbols.length) return;
+    const infos = await fetchFundamentals(market, symbols);
+    const save = this.db.prepare(`
+      INSERT INTO portfolio_securities (symbol, name, sector, industry) VALUES (?, ?, ?, ?)
+      ON CONFLICT(symbol) DO UPDATE SET name = COALESCE(name, excluded.name), sector = excluded.sector,
+        industry = excluded.industry, updated_at = datetime('now','localtime')
+    `);
+    for (const [symbol, info] of infos) {
+      if (info) save.run(symbol, info.shortName || null, info.sector || 'Other', info.industry || null);
+    }
+  }
+
+  async allocation({ account = null } = {}, market = getMarketData()) {
+    let summary = await this.summary({ account }, market);
+    const missing = summary.holdings.filter(h => !h.sector).map(h => h.symbol);
+    if (missing.length) {
+      await this._fillSectors(missing, market);
+      const sectors = new Map(this.db.prepare('SELECT symbol, sector FROM portfolio_securities').all().map(s => [s.symbol, s.sector]));
+      for (const h of summary.holdings) h.sector = sectors.get(h.symbol) || null;
+    }
+
+    const groups = new Map();
+    for (const h of summary.holdings) {
+      const sector = h.sector || 'Unknown';
+      if (!groups.has(sector)) groups.set(sector, { sector, value: 0, symbols: [] });
+      const g = groups.get(sector);
+      g.value += h.value;
+      g.symbols.push(h.symbol);
+    }
+    if (summary.totals.cash > 0) groups.set('Cash', { sector: 'Cash', value: summary.totals.cash, symbols: [] });
+
+    const total = [...groups.values()].reduce((n, g) => n + g.value, 0);
+    const sectors = [...groups.values()]
+      .map(g => ({ ...g, weight: total ? g.value / total : null }))
+      .sort((a, b) => b.value - a.value);
+    return { account: summary.account, total, sectors, holdings: summary.holdings };
+  }
+
+  // Realized gains (split short / long term) and dividend income, per
+  // symbol. `year` narrows it to one tax year.
+  pnl({ account = null, year = null } = {}) {
+    const ids = this._accounts(account).map(a => a.id);
+    const marks = ids.map(() => '?').join(', ');
+    const period = year ? `AND date LIKE '${parseInt(year)}-%'` : '';
+
+    const realized = this.db.prepare(`
+      SELECT symbol, SUM(quantity) as quantity, SUM(proceeds) as proceeds, SUM(cost) as cost, SUM(gain) as gain,
+             SUM(CASE WHEN holding_days > ${LONG_TERM_DAYS} THEN 0 ELSE gain END) as short_term,
+             SUM(CASE WHEN holding_days > ${LONG_TERM_DAYS} THEN gain ELSE 0 END) as long_term,
+             MAX(date) as last_sale
+      FROM portfolio_realized WHERE account_id IN (${marks}) ${period}
+      GROUP BY symbol ORDER BY gain DESC
+    `).all(...ids);
+    const dividends = this.db.prepare(`
+      SELECT symbol, SUM(amount - fees) as amount, COUNT(*) as payments
+      FROM portfolio_transactions WHERE type = 'dividend' AND account_id IN (${marks}) ${period}
+      GROUP BY symbol ORDER BY amount DESC
+    `).all(...ids);
+    const fees = this.db.prepare(`
+      SELECT COALESCE(SUM(CASE WHEN type = 'fee' THEN amount ELSE fees END), 0) as v
+      FROM portfolio_transactions WHERE account_id IN (${marks}) ${period}
+    `).get(...ids).v;
+
+    const sum = key => realized.reduce((n, r) => n + r[key], 0);
+    return {
+      account: account != null ? this.getAccount(account).name : null,
+      year: year ? parseInt(year) : null,
+      realized,
+      dividends,
+      totals: {
+        proceeds: sum('proceeds'),
+        cost: sum('cost'),
+        gain: sum('gain'),
+        short_term: sum('short_term'),
+        long_term: sum('long_term'),
+        dividends: dividends.reduce((n, d) => n + d.amount, 0),
+        fees,
+      },
+    };
+  }
+
+  // Value at every daily close in `range`, replaying transactions over
+  // (cached) daily bars. "Invested" is net money put in: deposits minus
+  // withdrawals for accounts that track cash; for those that don't, every
+  // buy counts as money in and every sale or dividend as money out.
+  async history({ account = null, range = '1y' } = {}, market = getMarketData()) {
+    const accounts = this._accounts(account);
+    const tracks = new Map(accounts.map(a => [a.id, a.tracks_cash]));
+    const ids = accounts.map(a => a.id);
+    const txs = this.db.prepare(`
+      SELECT * FROM portfolio_transactions WHERE account_id IN (${ids.map(() => '?').join(', ')}) ORDER BY ${REPLAY_ORDER}
+    `).all(...ids);
+    const result = { account: account != null ? accounts[0].name : null, range, dates: [], value: [], invested: [] };
+    if (!txs.length) return result;
+
+    const symbols = [...new Set(txs.filter(t => t.type === 'buy' || t.type === 'sell').map(t => t.symbol))];
+    const charts = await fetchCharts(market, symbols, range === 'all' ? 'max' : range, '1d');
+    const bars = new Map(symbols.map(s => [s, (charts.get(s) || []).map(r => ({ day: new Date(r.date).toISOString().slice(0, 10), close: r.close }))]));
+
+    const first = txs[0].date;
+    // Every bar date, ending today even when the latest bar is older
+    let days = [...bars.values()].flatMap(rows => rows.map(r => r.day));
+    if (!days.length) days = txs.map(t => t.date);
+    days = [...new Set([...days, today()])].filter(d => d >= first).sort();
+
+    const qty = new Map(), lastPrice = new Map(), cursor = new Map();
+    let cash = 0, invested = 0, next = 0;
+    const priceOn = (symbol, day) => {
+      const rows = bars.get(symbol);
+      let i = cursor.get(symbol) ?? -1;
+      while (i + 1 < rows.length && rows[i + 1].day <= day) i++;
+      cursor.set(symbol, i);
+      if (i >= 0 && rows[i].day >= (lastPrice.get(symbol)?.day ?? '')) return rows[i].close;
+      return lastPrice.get(symbol)?.price ?? 0;
+    };
+
+    for (const day of days) {
+      for (; next < txs.length && txs[next].date <= day; next++) {
+        const tx = txs[next];
+        const effect = cashEffect(tx);
+        if (tracks.get(tx.account_id)) {
+          cash += effect;
+          if (tx.type === 'deposit' || tx.type === 'withdraw') invested += effect;
+        } else {
+          invested -= effect;
+        }
+        if (tx.type === 'buy' || tx.type === 'sell') {
+          qty.set(tx.symbol, (qty.get(tx.symbol) || 0) + (tx.type === 'buy' ? tx.quantity : -tx.quantity));
+          lastPrice.set(tx.symbol, { day: tx.date, price: tx.price });
+        }
+      }
+      let value = cash;
+      for (const [symbol, q] of qty) if (q > EPSILON) value += q * priceOn(symbol, day);
+      result.dates.push(day);
+      result.value.push(+value.toFixed(2));
+      result.invested.push(+invested.toFixed(2));
+    }
+
+    const last = result.value.length - 1;
+    result.gain = last >= 0 ? result.value[last] - result.invested[last] : 0;
+    result.gain_pct = last >= 0 && result.invested[last] > 0 ? result.gain / result.invested[last] : null;
+    return result;
+  }
+}
+
+// The given price, or the current quote when a trade is logged without one
+export async function tradePrice(symbol, price, market = getMarketData()) {
+  if (price != null && price !== '') return Number(price);
+  const q = (await market.quotes([symbol.toUpperCase()]).catch(() => ({})))[symbol.toUpperCase()];
+  if (q?.price == null) throw new PortfolioError(`No quote for ${symbol.toUpperCase()} — give the price explicitly`);
+  return q.price;
+}
+
+// Value history in the shape the chart renderer takes (see equityChartData)
+export function portfolioChartData(h) {
+  return {
+    kind: 'equity',
+    ticker: `Portfolio · ${h.account || 'all accounts'}`,
+    range: h.range,
+    dates: h.dates,
+    close: h.value,
+    sma50: h.invested,
+    sma200: null,
+    volume: null,
+    rsi: null,
+    legend: ['Value', 'Net invested'],
+    metrics: { gain: h.gain, gain_pct: h.gain_pct },
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  SLASH OPTIONS
+// ═══════════════════════════════════════════════════════════════
+
+// Pull "#account", "fee=1.50", "date=2024-03-01" and "note=..." out of a
+// /portfolio command; whatever is left comes back as `rest`. A price may be
+// written "@123.45".
+export function parsePortfolioArgs(words) {
+  const opts = {}, rest = [];
+  for (const w of words) {
+    let m;
+    if ((m = /^#([\w.-]+)$/.exec(w))) opts.account = m[1];
+    else if ((m = /^fees?=\$?(\d+(?:\.\d+)?)$/i.exec(w))) opts.fees = parseFloat(m[1]);
+    else if ((m = /^date=(\S+)$/i.exec(w))) opts.date = checkDate(m[1]);
+    else if ((m = /^note=(.+)$/i.exec(w))) opts.note = m[1].replace(/_/g, ' ');
+    else rest.push(w.replace(/^@|^\$/g, ''));
+  }
+  return { opts, rest };
+}
+
+// ═══════════════════════════════════════════════════════════════
+//  FORMATTERS
+// ═══════════════════════════════════════════════════════════════
+
+const money = v => `${v < 0 ? '-' : ''}$${Math.abs(v).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const signed = v => `${v >= 0 ? '+' : '-'}${money(Math.abs(v))}`;
+const pct = v => v == null ? 'n/a' : `${v >= 0 ? '+' : ''}${(v * 100).toFixed(2)}%`;
+const qty = v => +v.toFixed(6);
+
+export function formatPortfolio(s) {
+  const t = s.totals;
+  const scope = s.account || (s.accounts.length > 1 ? 'all accounts' : s.accounts[0]?.name);
+  let text = `## 💼 Portfolio — ${scope}\n\n`;
+  text += `**Value:** ${money(t.value)}`;
+  if (s.accounts.some(a => a.tracks_cash)) text += ` · **Cash:** ${money(t.cash)}`;
+  text += ` · **Today:** ${signed(t.day_change)}\n`;
+  text += `**Unrealized:** ${signed(t.unrealized)} (${pct(t.unrealized_pct)}) · **Realized:** ${signed(t.realized)} · **Dividends:** ${money(t.dividends)}\n\n`;
+
+  if (!s.holdings.length) {
+    text += '_No open positions._ Record one with `/portfolio buy TICKER QTY @PRICE`.';
+    return text;
+  }
+
+  text += '| Symbol | Qty | Avg cost | Price | Value | P&L | Weight |\n|---|---|---|---|---|---|---|\n';
+  for (const h of s.holdings) {
+    text += `| ${h.symbol} | ${qty(h.quantity)} | ${money(h.avg_cost)} | ${money(h.price)} | ${money(h.value)} | `;
+    text += `${h.unrealized >= 0 ? '🟢' : '🔴'} ${signed(h.unrealized)} (${pct(h.unrealized_pct)}) | ${h.weight != null ? `${(h.weight * 100).toFixed(1)}%` : 'n/a'} |\n`;
+  }
+  if (s.stale.length) text += `\n_No quote for ${s.stale.join(', ')} — valued at cost._\n`;
+  return text;
+}
+
+export function formatAccounts(accounts) {
+  if (!accounts.length) return '💼 No portfolio accounts.';
+  let text = '## 💼 Portfolio Accounts\n\n';
+  for (const a of accounts) {
+    text += `• **${a.name}** (#${a.id}) — ${a.cost_method.toUpperCase()} · ${a.transactions} transaction(s)`;
+    text += a.tracks_cash ? ` · cash ${money(a.cash)}\n` : ' · cash not tracked\n';
+  }
+  return text;
+}
+
+export function formatTransaction(t) {
+  const what = t.type === 'buy' || t.type === 'sell'
+    ? `${t.type.toUpperCase()} ${qty(t.quantity)} ${t.symbol} @ ${money(t.price)}`
+    : `${t.type.toUpperCase()}${t.symbol ? ` ${t.symbol}` : ''} ${money(t.amount)}`;
+  return `#${t.id} ${t.date} · ${what}${t.fees ? ` (fees ${money(t.fees)})` : ''} · ${t.account}${t.note ? ` — ${t.note}` : ''}`;
+}
+
+export function formatTransactions(txs) {
+  if (!txs.length) return '💼 No transactions yet.';
+  return `## 💼 Transactions (${txs.length})\n\n${txs.map(t => `• ${formatTransaction(t)}`).join('\n')}`;
+}
+
+export function formatLots(lots) {
+  if (!lots.length) return '💼 No open lots.';
+  let text = '## 💼 Open Lots\n\n';
+  for (const l of lots) {
+    text += `• ${l.symbol} — ${qty(l.remaining)}${l.remaining < l.quantity - EPSILON ? ` of ${qty(l.quantity)}` : ''} @ ${money(l.cost)} · ${l.date} · ${l.account}\n`;
+  }
+  return text;
+}
+
+export function formatAllocation(a) {
+  if (!a.sectors.length) return '💼 Nothing to allocate — no positions or cash.';
+  let text = `## 🥧 Allocation — ${a.account || 'all accounts'}\n\n`;
+  for (const g of a.sectors) {
+    const bar = '█'.repeat(Math.max(1, Math.round(g.weight * 20)));
+    text += `${bar} **${g.sector}** ${(g.weight * 100).toFixed(1)}% · ${money(g.value)}${g.symbols.length ? ` (${g.symbols.join(', ')})` : ''}\n`;
+  }
+  return text;
+}
+
+export function formatPnl(p) {
+  const t = p.totals;
+  let text = `## 💵 Realized P&L — ${p.account || 'all accounts'}${p.year ? ` · ${p.year}` : ''}\n\n`;
+  text += `**Gains:** ${signed(t.gain)} (short term ${signed(t.short_term)} · long term ${signed(t.long_term)})\n`;
+  text += `**Dividends:** ${money(t.dividends)} · **Fees paid:** ${money(t.fees)}\n\n`;
+  if (p.realized.length) {
+    text += '| Symbol | Sold | Proceeds | Cost | Gain |\n|---|---|---|---|---|\n';
+    for (const r of p.realized) {
+      text += `| ${r.symbol} | ${qty(r.quantity)} | ${money(r.proceeds)} | ${money(r.cost)} | ${r.gain >= 0 ? '🟢' : '🔴'} ${signed(r.gain)} |\n`;
+    }
+  } else {
+    text += '_No sales yet._\n';
+  }
+  if (p.dividends.length) {
+    text += `\n**Dividend income:** ${p.dividends.map(d => `${d.symbol} ${money(d.amount)}`).join(' · ')}\n`;
+  }
+  return text;
+}
+
+export function formatHistory(h) {
+  if (!h.dates.length) return '💼 No portfolio history yet — record a transaction first.';
+  const last = h.dates.length - 1;
+  let text = `📈 **Portfolio value — ${h.account || 'all accounts'}** (${h.range})\n`;
+  text += `${h.dates[0]} → ${h.dates[last]} · ${money(h.value[0])} → ${money(h.value[last])}\n`;
+  text += `Net invested ${money(h.invested[last])} · Gain ${signed(h.gain)} (${pct(h.gain_pct)})\n`;
+  return text;
+}
@@ -11,6 +11,9 @@
 //  • Daily Briefing Generator
 // ═══════════════════════════════════════════════════════════════
 
+import { ftsSearch } from './search.js';
+import { RevisionLog } from './revisions.js';
+
 
 // ═══════════════════════════════════
 //  1. TODO / TASK MANAGER
@@ -19,26 +22,6 @@
 export class TodoManager {
   constructor(db) {
     this.db = db;
-    this._init();
-  }
-
-  _init() {
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS todos (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        content TEXT NOT NULL,
-        project TEXT DEFAULT 'inbox',
-        priority INTEGER DEFAULT 2 CHECK(priority BETWEEN 1 AND 4),
-        status TEXT DEFAULT 'todo' CHECK(status IN ('todo','doing','done','cancelled')),
-        due_date TEXT,
-        tags TEXT,
-        created_at DATETIME DEFAULT (datetime('now','localtime')),
-        completed_at DATETIME
-      );
-      CREATE INDEX IF NOT EXISTS idx_todo_status ON todos(status);
-      CREATE INDEX IF NOT EXISTS idx_todo_project ON todos(project);
-      CREATE INDEX IF NOT EXISTS idx_todo_priority ON todos(priority);
-    `);
   }
 
   add(content, project = 'inbox', priority = 2, dueDate = null, tags = null) {
@@ -145,30 +128,6 @@ export function formatTodoList(todos, title = 'Tasks') {
 export class HabitTracker {
   constructor(db) {
     this.db = db;
-    this._init();
-  }
-
-  _init() {
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS habits (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT NOT NULL,
-        icon TEXT DEFAULT '✅',
-        frequency TEXT DEFAULT 'daily',
-        target INTEGER DEFAULT 1,
-        created_at DATETIME DEFAULT (datetime('now','localtime'))
-      );
-      CREATE TABLE IF NOT EXISTS habit_logs (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        habit_id INTEGER NOT NULL,
-        value INTEGER DEFAULT 1,
-        date TEXT DEFAULT (date('now','localtime')),
-        FOREIGN KEY (habit_id) REFERENCES habits(id),
-        UNIQUE(habit_id, date)
-      );
-      CREATE INDEX IF NOT EXISTS idx_hlog_date ON habit_logs(date);
-      CREATE INDEX IF NOT EXISTS idx_hlog_habit ON habit_logs(habit_id);
-    `);
   }
 
   addHabit(name, icon = '✅', frequency = 'daily', target = 1) {
@@ -273,21 +232,6 @@ export class PomodoroEngine {
   constructor(db) {
     this.db = db;
     this.active = new Map(); // sessionId -> timer state
-    this._init();
-  }
-
-  _init() {
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS pomodoro_sessions (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        task TEXT,
-        duration INTEGER DEFAULT 25,
-        type TEXT DEFAULT 'focus' CHECK(type IN ('focus','short_break','long_break')),
-        completed INTEGER DEFAULT 0,
-        started_at DATETIME DEFAULT (datetime('now','localtime')),
-        ended_at DATETIME
-      );
-    `);
   }
 
   start(wsId, task = null, duration = 25) {
@@ -355,30 +299,6 @@ export class PomodoroEngine {
 export class GoalTracker {
   constructor(db) {
     this.db = db;
-    this._init();
-  }
-
-  _init() {
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS goals (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        title TEXT NOT NULL,
-        description TEXT,
-        target_date TEXT,
-        progress INTEGER DEFAULT 0 CHECK(progress BETWEEN 0 AND 100),
-        status TEXT DEFAULT 'active' CHECK(status IN ('active','completed','abandoned')),
-        category TEXT DEFAULT 'general',
-        created_at DATETIME DEFAULT (datetime('now','localtime'))
-      );
-      CREATE TABLE IF NOT EXISTS milestones (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        goal_id INTEGER NOT NULL,
-        title TEXT NOT NULL,
-        completed INTEGER DEFAULT 0,
-        completed_at DATETIME,
-        FOREIGN KEY (goal_id) REFERENCES goals(id)
-      );
-    `);
   }
 
   addGoal(title, description = null, targetDate = null, category = 'general') {
@@ -468,22 +388,6 @@ function progressBar(pct, len = 10) {
 export class BookmarkManager {
   constructor(db) {
     this.db = db;
-    this._init();
-  }
-
-  _init() {
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS bookmarks (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        content TEXT NOT NULL,
-        note TEXT,
-        tags TEXT,
-        session_id TEXT,
-        source TEXT DEFAULT 'chat',
-        created_at DATETIME DEFAULT (datetime('now','localtime'))
-      );
-      CREATE INDEX IF NOT EXISTS idx_bm_tags ON bookmarks(tags);
-    `);
   }
 
   save(content, note = null, tags = null, sessionId = null, source = 'chat') {
@@ -498,11 +402,7 @@ export class BookmarkManager {
   }
 
   search(query) {
-    const kw = query.toLowerCase().split(/\s+/).filter(w => w.length > 1);
-    if (!kw.length) return [];
-    const conds = kw.map(() => '(LOWER(content) LIKE ? OR LOWER(note) LIKE ? OR LOWER(tags) LIKE ?)').join(' OR ');
-    const params = kw.flatMap(k => [`%${k}%`, `%${k}%`, `%${k}%`]);
-    return this.db.prepare(`SELECT * FROM bookmarks WHERE ${conds} ORDER BY created_at DESC LIMIT 20`).all(...params);
+    return ftsSearch(this.db, 'bookmarks', query, { any: true });
   }
 
   getByTag(tag) {
@@ -535,30 +435,16 @@ export function formatBookmarkList(bms) {
 export class KnowledgeBase {
   constructor(db) {
     this.db = db;
-    this._init();
-  }
-
-  _init() {
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS knowledge (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        title TEXT NOT NULL,
-        content TEXT NOT NULL,
-        type TEXT DEFAULT 'note' CHECK(type IN ('note','snippet','link','reference')),
-        language TEXT,
-        tags TEXT,
-        pinned INTEGER DEFAULT 0,
-        created_at DATETIME DEFAULT (datetime('now','localtime')),
-        updated_at DATETIME DEFAULT (datetime('now','localtime'))
-      );
-      CREATE INDEX IF NOT EXISTS idx_kb_type ON knowledge(type);
-      CREATE INDEX IF NOT EXISTS idx_kb_tags ON knowledge(tags);
-    `);
-  }
-
-  add(title, content, type = 'note', language = null, tags = null) {
-    const r = this.db.prepare('INSERT INTO knowledge (title, content, type, language, tags) VALUES (?,?,?,?,?)').run(title, content, type, language, tags);
-    return this.get(r.lastInsertRowid);
+    this.revisions = new RevisionLog(db);
+  }
+
+  // author: 'user' or 'llm', recorded on the revision
+  add(title, content, type = 'note', language = null, tags = null, { author = 'user' } = {}) {
+    return this.db.transaction(() => {
+      const r = this.db.prepare('INSERT INTO knowledge (title, content, type, language, tags) VALUES (?,?,?,?,?)').run(title, content, type, language, tags);
+      this.revisions.record('knowledge', r.lastInsertRowid, { content, title, author });
+      return this.get(r.lastInsertRowid);
+    })();
   }
 
   get(id) { return this.db.prepare('SELECT * FROM knowledge WHERE id = ?').get(id); }
@@ -569,16 +455,29 @@ export class KnowledgeBase {
   }
 
   search(query) {
-    const kw = query.toLowerCase().split(/\s+/).filter(w => w.length > 1);
-    if (!kw.length) return [];
-    const conds = kw.map(() => '(LOWER(title) LIKE ? OR LOWER(content) LIKE ? OR LOWER(tags) LIKE ?)').join(' OR ');
-    const params = kw.flatMap(k => [`%${k}%`, `%${k}%`, `%${k}%`]);
-    return this.db.prepare(`SELECT * FROM knowledge WHERE ${conds} ORDER BY updated_at DESC LIMIT 20`).all(...params);
+    return ftsSearch(this.db, 'knowledge', query, { any: true });
   }
 
-  update(id, content) {
-    this.db.prepare("UPDATE knowledge SET content = ?, updated_at = datetime('now','localtime') WHERE id = ?").run(content, id);
-    return this.get(id);
+  // Unchanged content adds no revision
+  update(id, content, { author = 'user', note = null } = {}) {
+    const before = this.get(id);
+    if (!before) return null;
+    if (before.content === content) return before;
+    return this.db.transaction(() => {
+      this.revisions.seed('knowledge', id, { content: before.content, title: before.title });
+      this.db.prepare("UPDATE knowledge SET content = ?, updated_at = datetime('now','localtime') WHERE id = ?").run(content, id);
+      this.revisions.record('knowledge', id, { content, title: before.title, author, note });
+      return this.get(id);
+    })();
+  }
+
+  history(id) {
+    return this.revisions.list('knowledge', id);
+  }
+
+  restore(id, rev) {
+    const r = this.revisions.get('knowledge', id, rev);
+    return r && this.update(id, r.content, { note: `restored r${rev}` });
   }
 
   togglePin(id) {
@@ -589,7 +488,10 @@ export class KnowledgeBase {
   }
 
   delete(id) {
-    this.db.prepare('DELETE FROM knowledge WHERE id = ?').run(id);
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM knowledge WHERE id = ?').run(id);
+      this.revisions.markDeleted('knowledge', id);
+    })();
     return { deleted: true, id };
   }
 
@@ -654,16 +556,6 @@ const ACHIEVEMENTS = [
 export class AchievementEngine {
   constructor(db) {
     this.db = db;
-    this._init();
-  }
-
-  _init() {
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS achievements (
-        id TEXT PRIMARY KEY,
-        unlocked_at DATETIME DEFAULT (datetime('now','localtime'))
-      );
-    `);
   }
 
   getUnlocked() {
@@ -0,0 +1,401 @@
+// ═══════════════════════════════════════════════════════════════
+//  VELLE.AI — LLM Provider Layer
+//  • Ollama (native /api/chat, /api/tags, /api/embed)
+//  • OpenAI-compatible servers (llama.cpp server, LM Studio, vLLM)
+//  • Mock provider (deterministic, for tests and offline dev)
+//
+//  Every provider exposes the same surface:
+//    chatStream(messages, opts)  → async iterator of { content } deltas,
+//                                  ending with { done: true, model, stats, tool_calls }
+//    complete(messages, opts)    → full reply text
+//    listModels()                → [{ name, size, modified }]
+//    embed(text, opts)           → number[]
+//    health()                    → { ok, detail }
+//
+//  Messages use one neutral shape; providers translate to their wire format:
+//    { role: 'assistant', content, tool_calls: [{ id, name, arguments }] }
+//    { role: 'tool', tool_call_id, name, content }
+//  Pass opts.tools (OpenAI function format) for native tool calling. Models
+//  that reject tools raise ProviderError with code 'tools_unsupported'.
+// ═══════════════════════════════════════════════════════════════
+
+export class ProviderError extends Error {
+  constructor(message, status = null, code = null) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Split a streamed response body into complete lines (chunks can end mid-line)
+async function* readLines(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    let idx;
+    while ((idx = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, idx).trim();
+      buffer = buffer.slice(idx + 1);
+      if (line) yield line;
+    }
+  }
+  if (buffer.trim()) yield buffer.trim();
+}
+
+async function expectOk(resp, label, { tools = false } = {}) {
+  if (resp.ok) return resp;
+  const body = await resp.text().catch(() => '');
+  const code = tools && /tool|function|jinja/i.test(body) ? 'tools_unsupported' : null;
+  throw new ProviderError(`${label} error (${resp.status}): ${body.slice(0, 300)}`, resp.status, code);
+}
+
+function parseArguments(args) {
+  if (args && typeof args === 'object') return args;
+  try { return JSON.parse(args || '{}'); } catch { return {}; }
+}
+
+
+// ═══════════════════════════════════
+//  1. OLLAMA
+// ═══════════════════════════════════
+
+export class OllamaProvider {
+  constructor({ name = 'ollama', url = 'http://localhost:11434' } = {}) {
+    this.name = name;
+    this.type = 'ollama';
+    this.url = url.replace(/\/+$/, '');
+  }
+
+  _wireMessages(messages) {
+    return messages.map(m => {
+      if (m.role === 'assistant' && m.tool_calls?.length) {
+        return {
+          role: 'assistant',
+          content: m.content || '',
+          tool_calls: m.tool_calls.map(c => ({ function: { name: c.name, arguments: c.arguments } })),
+        };
+      }
+      if (m.role === 'tool') return { role: 'tool', content: m.content, tool_name: m.name };
+      return m;
+    });
+  }
+
+  async *chatStream(messages, { model, temperature, tools, signal } = {}) {
+    const resp = await fetch(`${this.url}/api/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        model,
+        messages: this._wireMessages(messages),
+        tools: tools?.length ? tools : undefined,
+        stream: true,
+        options: temperature != null ? { temperature } : undefined,
+      }),
+      signal,
+    });
+    await expectOk(resp, 'Ollama', { tools: !!tools?.length });
+
+    const toolCalls = [];
+    for await (const line of readLines(resp.body)) {
+      let data;
+      try { data = JSON.parse(line); } catch { continue; }
+      if (data.error) throw new ProviderError(`Ollama error: ${data.error}`);
+      if (data.message?.content) yield { content: data.message.content };
+      for (const call of data.message?.tool_calls || []) {
+        toolCalls.push({
+          id: `call_${toolCalls.length + 1}`,
+          name: call.function?.name,
+          arguments: parseArguments(call.function?.arguments),
+        });
+      }
+      if (data.done) {
+        yield {
+          done: true,
+          model: data.model,
+          tool_calls: toolCalls,
+          stats: { eval_duration: data.eval_duration, total_duration: data.total_duration },
+        };
+        return;
+      }
+    }
+  }
+
+  async complete(messages, { model, temperature, timeoutMs = 60000 } = {}) {
+    const resp = await fetch(`${this.url}/api/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        model,
+        messages: this._wireMessages(messages),
+        stream: false,
+        options: temperature != null ? { temperature } : undefined,
+      }),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    await expectOk(resp, 'Ollama');
+    const data = await resp.json();
+    return data.message?.content?.trim() || '';
+  }
+
+  async listModels() {
+    const resp = await fetch(`${this.url}/api/tags`, { signal: AbortSignal.timeout(3000) });
+    await expectOk(resp, 'Ollama');
+    const data = await resp.json();
+    return (data.models || []).map(m => ({
+      name: m.name,
+      size: m.size ? `${(m.size / 1e9).toFixed(1)}GB` : null,
+      modified: m.modified_at,
+    }));
+  }
+
+  // /api/embed on current builds, /api/embeddings on older ones
+  async embed(text, { model } = {}) {
+    const resp = await fetch(`${this.url}/api/embed`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ model, input: text }),
+      signal: AbortSignal.timeout(15000),
+    });
+    if (resp.status === 404) {
+      const legacy = await fetch(`${this.url}/api/embeddings`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ model, prompt: text }),
+        signal: AbortSignal.timeout(15000),
+      });
+      await expectOk(legacy, 'Ollama embeddings');
+      return (await legacy.json()).embedding;
+    }
+    await expectOk(resp, 'Ollama embed');
+    return (await resp.json()).embeddings?.[0];
+  }
+
+  async health() {
+    try {
+      const models = await this.listModels();
+      return { ok: true, detail: `connected (${models.length} models)` };
+    } catch (e) {
+      return { ok: false, detail: `unreachable: ${e.message}` };
+    }
+  }
+}
+
+
+// ═══════════════════════════════════
+//  2. OPENAI-COMPATIBLE (llama.cpp, LM Studio, vLLM)
+// ═══════════════════════════════════
+
+export class OpenAICompatProvider {
+  constructor({ name = 'openai', baseUrl = 'http://localhost:8080/v1', apiKey = null } = {}) {
+    this.name = name;
+    this.type = 'openai';
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+  }
+
+  _headers() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers['Authorization'] = `Bearer ${this.apiKey}`;
+    return headers;
+  }
+
+  _wireMessages(messages) {
+    return messages.map(m => {
+      if (m.role === 'assistant' && m.tool_calls?.length) {
+        return {
+          role: 'assistant',
+          content: m.content || null,
+          tool_calls: m.tool_calls.map(c => ({
+            id: c.id,
+            type: 'function',
+            function: { name: c.name, arguments: JSON.stringify(c.arguments || {}) },
+          })),
+        };
+      }
+      if (m.role === 'tool') return { role: 'tool', tool_call_id: m.tool_call_id, content: m.content };
+      return m;
+    });
+  }
+
+  async *chatStream(messages, { model, temperature, tools, signal } = {}) {
+    const resp = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: this._headers(),
+      body: JSON.stringify({
+        model,
+        messages: this._wireMessages(messages),
+        temperature,
+        tools: tools?.length ? tools : undefined,
+        stream: true,
+      }),
+      signal,
+    });
+    await expectOk(resp, this.name, { tools: !!tools?.length });
+
+    let lastModel = model;
+    const partial = [];   // tool calls arrive as fragments keyed by index
+    for await (const line of readLines(resp.body)) {
+      if (!line.startsWith('data:')) continue;
+      const payload = line.slice(5).trim();
+      if (payload === '[DONE]') break;
+      let data;
+      try { data = JSON.parse(payload); } catch { continue; }
+      lastModel = data.model || lastModel;
+      const delta = data.choices?.[0]?.delta || {};
+      if (delta.content) yield { content: delta.content };
+      for (const frag of delta.tool_calls || []) {
+        const slot = partial[frag.index ?? partial.length] ||= { id: null, name: '', args: '' };
+        if (frag.id) slot.id = frag.id;
+        if (frag.function?.name) slot.name += frag.function.name;
+        if (frag.function?.arguments) slot.args += frag.function.arguments;
+      }
+    }
+    const toolCalls = partial.filter(Boolean).map((c, i) => ({
+      id: c.id || `call_${i + 1}`,
+      name: c.name,
+      arguments: parseArguments(c.args),
+    }));
+    yield { done: true, model: lastModel, tool_calls: toolCalls, stats: {} };
+  }
+
+  async complete(messages, { model, temperature, timeoutMs = 60000 } = {}) {
+    const resp = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: this._headers(),
+      body: JSON.stringify({ model, messages: this._wireMessages(messages), temperature, stream: false }),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    await expectOk(resp, this.name);
+    const data = await resp.json();
+    return data.choices?.[0]?.message?.content?.trim() || '';
+  }
+
+  async listModels() {
+    const resp = await fetch(`${this.baseUrl}/models`, { headers: this._headers(), signal: AbortSignal.timeout(3000) });
+    await expectOk(resp, this.name);
+    const data = await resp.json();
+    return (data.data || []).map(m => ({ name: m.id, size: null, modified: m.created ? new Date(m.created * 1000).toISOString() : null }));
+  }
+
+  async embed(text, { model } = {}) {
+    const resp = await fetch(`${this.baseUrl}/embeddings`, {
+      method: 'POST',
+      headers: this._headers(),
+      body: JSON.stringify({ model, input: text }),
+      signal: AbortSignal.timeout(15000),
+    });
+    await expectOk(resp, `${this.name} embeddings`);
+    return (await resp.json()).data?.[0]?.embedding;
+  }
+
+  async health() {
+    try {
+      const models = await this.listModels();
+      return { ok: true, detail: `connected (${models.length} models)` };
+    } catch (e) {
+      return { ok: false, detail: `unreachable: ${e.message}` };
+    }
+  }
+}
+
+
+// ═══════════════════════════════════
+//  3. MOCK (deterministic)
+// ═══════════════════════════════════
+
+// Replies are a pure function of the conversation, so tests and offline dev
+// get the same tokens every run. Pass `replies` to script exact answers —
+// a string, or { content, tool_calls } to simulate a tool-calling turn.
+// tools: false stands in for a model that rejects native tool definitions.
+export class MockProvider {
+  constructor({ name = 'mock', replies = null, dims = 64, tools = true } = {}) {
+    this.name = name;
+    this.type = 'mock';
+    this.replies = replies;   // array (consumed in order) or fn(messages) => string
+    this.dims = dims;
+    this.tools = tools;
+  }
+
+  _reply(messages) {
+    let reply;
+    if (typeof this.replies === 'function') reply = this.replies(messages);
+    else if (Array.isArray(this.replies) && this.replies.length) reply = this.replies.shift();
+    else {
+      const last = messages[messages.length - 1];
+      reply = last?.role === 'tool'
+        ? `Mock summary of ${messages.filter(m => m.role === 'tool').length} tool result(s)`
+        : `Mock reply to: ${[...messages].reverse().find(m => m.role === 'user')?.content ?? ''}`;
+    }
+    return typeof reply === 'string' ? { content: reply, tool_calls: [] } : { content: '', tool_calls: [], ...reply };
+  }
+
+  async *chatStream(messages, { model = 'mock-chat', tools } = {}) {
+    if (tools && !this.tools) throw new ProviderError(`${this.name} error (400): ${model} does not support tools`, 400, 'tools_unsupported');
+    const { content, tool_calls } = this._reply(messages);
+    for (const piece of content.match(/\S+\s*|\s+/g) || []) yield { content: piece };
+    yield {
+      done: true,
+      model,
+      tool_calls: tool_calls.map((c, i) => ({ id: c.id || `call_${i + 1}`, name: c.name, arguments: c.arguments || {} })),
+      stats: { eval_duration: 0, total_duration: 0 },
+    };
+  }
+
+  async complete(messages) {
+    return this._reply(messages).content;
+  }
+
+  async listModels() {
+    return [
+      { name: 'mock-chat', size: null, modified: null },
+      { name: 'mock-embed', size: null, modified: null },
+    ];
+  }
+
+  // Hashed bag-of-words — texts sharing words land close together
+  async embed(text) {
+    const vec = new Array(this.dims).fill(0);
+    for (const word of String(text).toLowerCase().match(/[a-z0-9']+/g) || []) {
+      let h = 2166136261;
+      for (let i = 0; i < word.length; i++) h = Math.imul(h ^ word.charCodeAt(i), 16777619);
+      vec[(h >>> 0) % this.dims] += 1;
+    }
+    return vec;
+  }
+
+  async health() {
+    return { ok: true, detail: 'mock provider' };
+  }
+}
+
+
+// ═══════════════════════════════════
+//  4. REGISTRY
+// ═══════════════════════════════════
+
+const PROVIDER_TYPES = {
+  ollama: OllamaProvider,
+  openai: OpenAICompatProvider,
+  mock: MockProvider,
+};
+
+// Build the provider registry from config. Ollama is always registered;
+// OpenAI-compatible servers when a base URL is set; mock when selected.
+export function createProviders(config = {}) {
+  const providers = new Map();
+  providers.set('ollama', new OllamaProvider({ url: config.ollamaUrl }));
+  if (config.openaiBaseUrl) {
+    providers.set('openai', new OpenAICompatProvider({ baseUrl: config.openaiBaseUrl, apiKey: config.openaiApiKey }));
+  }
+  if (config.mock) providers.set('mock', new MockProvider());
+  for (const extra of config.extra || []) {
+    const Type = PROVIDER_TYPES[extra.type];
+    if (Type) providers.set(extra.name, new Type(extra));
+  }
+  return providers;
+}
@@ -1,197 +1,39 @@
 // ═══════════════════════════════════════════════════════════════
 //  KABUNEKO QUANT ENGINE — Node.js port of the Discord bot brain
 //  Provides: market data, quant stats, momentum, dislocations,
-//  backtesting, sentiment, charts, moonshot radar
+//  backtesting, sentiment, charts, moonshot radar, comparisons
+//  Data comes from a pluggable source — see marketdata.js
 // ═══════════════════════════════════════════════════════════════
 
-import { existsSync, mkdirSync, writeFileSync, unlinkSync } from 'fs';
-import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
+import { createMarketData, fetchCharts, fetchFundamentals, yahooQuoteBatch, yahooChart } from './marketdata.js';
+import { DEFAULT_WATCHLIST } from './watchlists.js';
+import { SentimentService } from './sentiment.js';
 
-const __dirname = dirname(fileURLToPath(import.meta.url));
+// ── Market Data Source ──
+// Every data-fetching function takes a source as its last argument
+// (see marketdata.js); this is the one used when it's left out.
 
-// ── Config ──
-
-const YAHOO_QUOTE_URL = 'https://query1.finance.yahoo.com/v7/finance/quote';
-const YAHOO_CHART_URL = 'https://query1.finance.yahoo.com/v8/finance/chart';
-const COINGECKO_URL = 'https://api.coingecko.com/api/v3/simple/price';
-const FINVIZ_URL = 'https://finviz.com/quote.ashx';
-const UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
-
-const WATCHLIST = [
-  'AAPL','MSFT','NVDA','GOOGL','AMZN','META','TSLA','AVGO','AMD','INTC',
-  'PLTR','RKLB','HIMS','SOFI','HOOD','COIN','MSTR','APP','SMCI','CRWD',
-  'CRM','ORCL','NFLX','DIS','PYPL','SQ','UBER','SHOP','SNOW','NET',
-  'DDOG','MDB','OKLO','CELH','OSCR','NBIS','RBRK','ABCL','OXY','ASTS',
-  'JPM','GS','BAC','V','MA','BRK.B','WMT','COST','HD','NKE',
-  'XOM','CVX','GLD','SLV','SCHD','SPY','QQQ','TEM','BIIB',
-];
-
-const EMOJI_BANK = ['🚀','📈','📉','💸','🦍','💎','🔥','🧠','🤡','🤑','📊','🔮','👀','💀','⚡','🐻','🐂','🤖'];
-
-// ── Yahoo Finance API (with crumb auth) ──
-
-let _yahooCrumb = null;
-let _yahooCookie = null;
-let _crumbExpiry = 0;
-
-async function getYahooCrumb() {
-  // Cache crumb for 1 hour
-  if (_yahooCrumb && _yahooCookie && Date.now() < _crumbExpiry) {
-    return { crumb: _yahooCrumb, cookie: _yahooCookie };
-  }
-
-  try {
-    // Step 1: Get consent cookie
-    const initResp = await fetch('https://fc.yahoo.com', {
-      headers: { 'User-Agent': UA },
-      redirect: 'manual',
-      signal: AbortSignal.timeout(8000),
-    });
-    const setCookie = initResp.headers.get('set-cookie') || '';
-
-    // Step 2: Get crumb using cookie
-    const crumbResp = await fetch('https://query2.finance.yahoo.com/v1/test/getcrumb', {
-      headers: {
-        'User-Agent': UA,
-        'Cookie': setCookie.split(';')[0],
-      },
-      signal: AbortSignal.timeout(8000),
-    });
+let marketData = createMarketData();
 
-    if (crumbResp.ok) {
-      _yahooCrumb = await crumbResp.text();
-      _yahooCookie = setCookie.split(';')[0];
-      _crumbExpiry = Date.now() + 3600000; // 1 hour
-      return { crumb: _yahooCrumb, cookie: _yahooCookie };
-    }
-  } catch (e) {
-    console.error('[Yahoo Crumb Error]', e.message);
-  }
-  return { crumb: null, cookie: null };
+function setMarketData(source) {
+  marketData = source;
 }
 
-async function yahooQuoteBatch(symbols) {
-  if (typeof symbols === 'string') symbols = [symbols];
-  const out = {};
-  for (const s of symbols) out[s] = { price: null, pct: null, prev: null, change: null, state: null };
+function getMarketData() {
+  return marketData;
+}
 
-  try {
-    // Try v7 with crumb auth first
-    const { crumb, cookie } = await getYahooCrumb();
-    const headers = { 'User-Agent': UA };
-    if (cookie) headers['Cookie'] = cookie;
-
-    // Try both query hosts
-    for (const host of ['query2', 'query1']) {
-      let url = `https://${host}.finance.yahoo.com/v7/finance/quote?symbols=${symbols.join(',')}`;
-      if (crumb) url += `&crumb=${encodeURIComponent(crumb)}`;
-
-      try {
-        const resp = await fetch(url, { headers, signal: AbortSignal.timeout(10000) });
-        if (!resp.ok) continue;
-
-        const data = await resp.json();
-        for (const item of (data?.quoteResponse?.result || [])) {
-          const s = item.symbol;
-          if (out[s]) {
-            out[s].price = item.regularMarketPrice ?? null;
-            out[s].pct = item.regularMarketChangePercent ?? null;
-            out[s].prev = item.regularMarketPreviousClose ?? null;
-            out[s].change = item.regularMarketChange ?? null;
-            out[s].state = item.marketState ?? null;
-            out[s].name = item.shortName ?? item.longName ?? s;
-            out[s].volume = item.regularMarketVolume ?? null;
-            out[s].marketCap = item.marketCap ?? null;
-            out[s].fiftyTwoWeekHigh = item.fiftyTwoWeekHigh ?? null;
-            out[s].fiftyTwoWeekLow = item.fiftyTwoWeekLow ?? null;
-            out[s].forwardPE = item.forwardPE ?? null;
-            out[s].trailingPE = item.trailingPE ?? null;
-            out[s].dividendYield = item.dividendYield ?? null;
-            out[s].epsTrailingTwelveMonths = item.epsTrailingTwelveMonths ?? null;
-          }
-        }
-
-        const hasData = symbols.some(s => out[s].price != null);
-        if (hasData) return out;
-      } catch { continue; }
-    }
+// Headline scoring goes through the shared sentiment service; the server
+// swaps in its cached, configured one
+let sentiment = new SentimentService();
 
-    // Fallback: use v8 chart endpoint per-symbol
-    console.log('[Yahoo] v7 failed on both hosts, falling back to v8 chart...');
-    for (const sym of symbols) {
-      try {
-        let chartUrl = `https://query2.finance.yahoo.com/v8/finance/chart/${sym}?range=5d&interval=1d&includePrePost=false`;
-        if (crumb) chartUrl += `&crumb=${encodeURIComponent(crumb)}`;
-
-        const chartResp = await fetch(chartUrl, { headers, signal: AbortSignal.timeout(8000) });
-        if (!chartResp.ok) continue;
-        const chartData = await chartResp.json();
-        const meta = chartData?.chart?.result?.[0]?.meta;
-        if (!meta) continue;
-
-        out[sym].price = meta.regularMarketPrice ?? null;
-        out[sym].prev = meta.previousClose ?? meta.chartPreviousClose ?? null;
-        out[sym].state = meta.marketState ?? null;
-        out[sym].name = meta.shortName ?? meta.longName ?? sym;
-
-        if (out[sym].price != null && out[sym].prev != null && out[sym].prev > 0) {
-          out[sym].change = out[sym].price - out[sym].prev;
-          out[sym].pct = (out[sym].change / out[sym].prev) * 100;
-        }
-
-        // v8 meta has some extra fields
-        out[sym].fiftyTwoWeekHigh = meta.fiftyTwoWeekHigh ?? null;
-        out[sym].fiftyTwoWeekLow = meta.fiftyTwoWeekLow ?? null;
-        out[sym].volume = meta.regularMarketVolume ?? null;
-      } catch { continue; }
-    }
-  } catch (e) {
-    console.error('[Yahoo Quote Error]', e.message);
-  }
-  return out;
+function setSentimentService(service) {
+  sentiment = service;
 }
 
-async function yahooChart(symbol, range = '6mo', interval = '1d') {
-  try {
-    const { crumb, cookie } = await getYahooCrumb();
-    const headers = { 'User-Agent': UA };
-    if (cookie) headers['Cookie'] = cookie;
-
-    // Try query1 first, then query2
-    for (const host of ['query1', 'query2']) {
-      try {
-        let url = `https://${host}.finance.yahoo.com/v8/finance/chart/${symbol}?range=${range}&interval=${interval}&includePrePost=false`;
-        if (crumb) url += `&crumb=${encodeURIComponent(crumb)}`;
-
-        const resp = await fetch(url, { headers, signal: AbortSignal.timeout(15000) });
-        if (!resp.ok) continue;
-
-        const data = await resp.json();
-        const result = data?.chart?.result?.[0];
-        if (!result) continue;
-
-        const timestamps = result.timestamp || [];
-        const ohlcv = result.indicators?.quote?.[0] || {};
-        const rows = [];
-        for (let i = 0; i < timestamps.length; i++) {
-          const o = ohlcv.open?.[i], h = ohlcv.high?.[i], l = ohlcv.low?.[i], c = ohlcv.close?.[i], v = ohlcv.volume?.[i];
-          if (c != null) {
-            rows.push({
-              date: new Date(timestamps[i] * 1000),
-              open: o, high: h, low: l, close: c, volume: v || 0
-            });
-          }
-        }
-        if (rows.length > 0) return rows;
-      } catch { continue; }
-    }
-    return null;
-  } catch (e) {
-    console.error(`[Yahoo Chart Error] ${symbol}:`, e.message);
-    return null;
-  }
-}
+// ── Config ──
+
+const EMOJI_BANK = ['🚀','📈','📉','💸','🦍','💎','🔥','🧠','🤡','🤑','📊','🔮','👀','💀','⚡','🐻','🐂','🤖'];
 
 // ── Technical Indicators ──
 
@@ -309,6 +151,256 @@ function calcBollingerBands(closes, period = 20, stdDev = 2) {
   return { upper, middle: sma, lower };
 }
 
+// Run an indicator over the non-null tail of a series (e.g. the SMA of
+// %K) and pad the front back to the original length
+function onValid(data, fn) {
+  const start = data.findIndex(v => v != null);
+  if (start < 0) return new Array(data.length).fill(null);
+  return new Array(start).fill(null).concat(fn(data.slice(start)));
+}
+
+// Highest high / lowest low of the last `period` bars
+function rollingExtremes(highs, lows, period) {
+  const hh = new Array(highs.length).fill(null);
+  const ll = new Array(lows.length).fill(null);
+  for (let i = period - 1; i < highs.length; i++) {
+    let hi = -Infinity, lo = Infinity;
+    for (let j = i - period + 1; j <= i; j++) {
+      if (highs[j] > hi) hi = highs[j];
+      if (lows[j] < lo) lo = lows[j];
+    }
+    hh[i] = hi;
+    ll[i] = lo;
+  }
+  return { hh, ll };
+}
+
+// Volume-weighted typical price. With a period it's a rolling VWAP,
+// without one it's anchored at the first bar.
+function calcVWAP(highs, lows, closes, volumes, period = null) {
+  const result = new Array(closes.length).fill(null);
+  let pv = 0, vol = 0;
+  for (let i = 0; i < closes.length; i++) {
+    const tp = (highs[i] + lows[i] + closes[i]) / 3;
+    pv += tp * (volumes[i] || 0);
+    vol += volumes[i] || 0;
+    if (period && i >= period) {
+      const k = i - period;
+      pv -= (highs[k] + lows[k] + closes[k]) / 3 * (volumes[k] || 0);
+      vol -= volumes[k] || 0;
+    }
+    if (period && i < period - 1) continue;
+    result[i] = vol > 0 ? pv / vol : null;
+  }
+  return result;
+}
+
+// Full stochastic: raw %K over `period`, smoothed by `smooth`, %D its SMA
+function calcStochastic(highs, lows, closes, period = 14, dPeriod = 3, smooth = 1) {
+  const { hh, ll } = rollingExtremes(highs, lows, period);
+  const raw = closes.map((c, i) => (hh[i] == null ? null : hh[i] === ll[i] ? 50 : (c - ll[i]) / (hh[i] - ll[i]) * 100));
+  const k = smooth > 1 ? onValid(raw, d => calcSMA(d, smooth)) : raw;
+  const d = onValid(k, v => calcSMA(v, dPeriod));
+  return { k, d };
+}
+
+// 0 at the period high, -100 at the period low
+function calcWilliamsR(highs, lows, closes, period = 14) {
+  const { hh, ll } = rollingExtremes(highs, lows, period);
+  return closes.map((c, i) => (hh[i] == null ? null : hh[i] === ll[i] ? -50 : (hh[i] - c) / (hh[i] - ll[i]) * -100));
+}
+
+function calcOBV(closes, volumes) {
+  const obv = new Array(closes.length).fill(null);
+  if (!closes.length) return obv;
+  obv[0] = 0;
+  for (let i = 1; i < closes.length; i++) {
+    const v = volumes[i] || 0;
+    obv[i] = obv[i - 1] + (closes[i] > closes[i - 1] ? v : closes[i] < closes[i - 1] ? -v : 0);
+  }
+  return obv;
+}
+
+// Typical price's distance from its SMA in units of 0.015 × mean deviation
+function calcCCI(highs, lows, closes, period = 20) {
+  const tp = closes.map((c, i) => (highs[i] + lows[i] + c) / 3);
+  const sma = calcSMA(tp, period);
+  return tp.map((t, i) => {
+    if (sma[i] == null) return null;
+    let dev = 0;
+    for (let j = i - period + 1; j <= i; j++) dev += Math.abs(tp[j] - sma[i]);
+    dev /= period;
+    return dev === 0 ? 0 : (t - sma[i]) / (0.015 * dev);
+  });
+}
+
+// Every line is indexed by the bar it's drawn at: the spans are the values
+// from `displacement` bars earlier, and the lagging line is the close from
+// `displacement` bars later (so it looks ahead — chart it, don't trade it).
+function calcIchimoku(highs, lows, closes, conversion = 9, base = 26, spanB = 52, displacement = 26) {
+  const mid = (period) => {
+    const { hh, ll } = rollingExtremes(highs, lows, period);
+    return hh.map((h, i) => (h == null ? null : (h + ll[i]) / 2));
+  };
+  const conv = mid(conversion);
+  const baseLine = mid(base);
+  const b = mid(spanB);
+  const shift = (arr, by) => arr.map((_, i) => arr[i - by] ?? null);
+  const a = conv.map((c, i) => (c != null && baseLine[i] != null ? (c + baseLine[i]) / 2 : null));
+  return {
+    conversion: conv,
+    base: baseLine,
+    span_a: shift(a, displacement),
+    span_b: shift(b, displacement),
+    lagging: closes.map((_, i) => closes[i + displacement] ?? null),
+  };
+}
+
+// EMA midline with ATR bands
+function calcKeltner(highs, lows, closes, period = 20, multiplier = 2, atrPeriod = 10) {
+  const middle = calcEMA(closes, period);
+  const atr = calcATR(highs, lows, closes, atrPeriod);
+  const band = (sign) => middle.map((m, i) => (m != null && atr[i] != null ? m + sign * multiplier * atr[i] : null));
+  return { upper: band(1), middle, lower: band(-1) };
+}
+
+// ATR trailing stop that flips sides when the close breaks through it.
+// `direction` is 1 while it sits below price (uptrend), -1 above.
+function calcSupertrend(highs, lows, closes, period = 10, multiplier = 3) {
+  const atr = calcATR(highs, lows, closes, period);
+  const value = new Array(closes.length).fill(null);
+  const direction = new Array(closes.length).fill(null);
+  let upper = null, lower = null, dir = 1;
+  for (let i = 0; i < closes.length; i++) {
+    if (atr[i] == null) continue;
+    const hl2 = (highs[i] + lows[i]) / 2;
+    const basicUpper = hl2 + multiplier * atr[i];
+    const basicLower = hl2 - multiplier * atr[i];
+    const prevClose = closes[i - 1];
+    // The bands only tighten, unless the previous close broke through them
+    upper = upper == null || basicUpper < upper || prevClose > upper ? basicUpper : upper;
+    lower = lower == null || basicLower > lower || prevClose < lower ? basicLower : lower;
+    if (value[i - 1] == null) dir = closes[i] >= hl2 ? 1 : -1;
+    else if (dir === 1 && closes[i] < lower) dir = -1;
+    else if (dir === -1 && closes[i] > upper) dir = 1;
+    value[i] = dir === 1 ? lower : upper;
+    direction[i] = dir;
+  }
+  return { value, direction };
+}
+
+function calcDonchian(highs, lows, period = 20) {
+  const { hh, ll } = rollingExtremes(highs, lows, period);
+  return { upper: hh, middle: hh.map((h, i) => (h == null ? null : (h + ll[i]) / 2)), lower: ll };
+}
+
+// Wilder's parabolic SAR. Starts long from the first bar's low; the
+// acceleration factor grows by `step` on every new extreme, up to `max`.
+// On a reversal the SAR jumps to the old extreme point, or past the
+// reversal bar itself when that bar set a new extreme on the way.
+function calcParabolicSAR(highs, lows, step = 0.02, max = 0.2) {
+  const sar = new Array(highs.length).fill(null);
+  if (highs.length < 2) return sar;
+  let up = true, value = lows[0], ep = highs[0], af = step;
+  for (let i = 1; i < highs.length; i++) {
+    value += af * (ep - value);
+    if (up) {
+      // Never above the last two lows
+      value = Math.min(value, lows[i - 1], lows[Math.max(0, i - 2)]);
+      if (lows[i] < value) {
+        up = false; value = Math.max(ep, highs[i]); ep = lows[i]; af = step;
+      } else if (highs[i] > ep) {
+        ep = highs[i]; af = Math.min(af + step, max);
+      }
+    } else {
+      value = Math.max(value, highs[i - 1], highs[Math.max(0, i - 2)]);
+      if (highs[i] > value) {
+        up = true; value = Math.min(ep, lows[i]); ep = highs[i]; af = step;
+      } else if (lows[i] < ep) {
+        ep = lows[i]; af = Math.min(af + step, max);
+      }
+    }
+    sar[i] = value;
+  }
+  return sar;
+}
+
+// ── Candlestick Patterns ──
+
+const CANDLE_PATTERNS = {
+  bullish_engulfing: '🟢 Bullish Engulfing: buyers swallowed yesterday\'s red candle',
+  bearish_engulfing: '🔴 Bearish Engulfing: sellers swallowed yesterday\'s green candle',
+  doji: '➕ Doji: open ≈ close — indecision',
+  hammer: '🔨 Hammer: long lower wick after a decline — dip got bought',
+};
+
+// Pattern names per bar, e.g. [[], ['doji'], ['hammer', ...]]
+function calcCandlePatterns(opens, highs, lows, closes) {
+  return closes.map((c, i) => {
+    const o = opens[i], h = highs[i], l = lows[i];
+    const range = h - l;
+    if ([o, h, l, c].some(v => v == null) || range <= 0) return [];
+    const body = Math.abs(c - o);
+    const found = [];
+
+    const doji = body <= range * 0.1;
+    if (doji) found.push('doji');
+
+    if (i > 0 && opens[i - 1] != null) {
+      const po = opens[i - 1], pc = closes[i - 1];
+      if (pc < po && c > o && o <= pc && c >= po && body > po - pc) found.push('bullish_engulfing');
+      if (pc > po && c < o && o >= pc && c <= po && body > pc - po) found.push('bearish_engulfing');
+    }
+
+    // Small body near the top, lower wick at least twice the body, after
+    // five bars of decline
+    const lowerWick = Math.min(o, c) - l;
+    const upperWick = h - Math.max(o, c);
+    if (!doji && i >= 5 && closes[i - 1] < closes[i - 5] && lowerWick >= 2 * body && upperWick <= body) {
+      found.push('hammer');
+    }
+    return found;
+  });
+}
+
+// ── Chart Overlays ──
+//
+//  name → { panel, calc(bars, ...args) → { line: series } }. 'price'
+//  overlays are drawn over the price line, 'lower' ones get their own
+//  panel under it (with reference `levels`).
+
+const CHART_OVERLAYS = {
+  sma: { panel: 'price', calc: (b, period = 20) => ({ sma: calcSMA(b.close, period) }) },
+  ema: { panel: 'price', calc: (b, period = 20) => ({ ema: calcEMA(b.close, period) }) },
+  bb: { panel: 'price', calc: (b, period = 20, stdDev = 2) => calcBollingerBands(b.close, period, stdDev) },
+  vwap: { panel: 'price', calc: (b, period = null) => ({ vwap: calcVWAP(b.high, b.low, b.close, b.volume, period) }) },
+  keltner: { panel: 'price', calc: (b, ...args) => calcKeltner(b.high, b.low, b.close, ...args) },
+  donchian: { panel: 'price', calc: (b, period) => calcDonchian(b.high, b.low, period) },
+  ichimoku: { panel: 'price', calc: (b, ...args) => calcIchimoku(b.high, b.low, b.close, ...args) },
+  supertrend: { panel: 'price', calc: (b, ...args) => ({ supertrend: calcSupertrend(b.high, b.low, b.close, ...args).value }) },
+  psar: { panel: 'price', dots: true, calc: (b, ...args) => ({ psar: calcParabolicSAR(b.high, b.low, ...args) }) },
+  rsi: { panel: 'lower', levels: [30, 70], calc: (b, period) => ({ rsi: calcRSI(b.close, period) }) },
+  macd: { panel: 'lower', levels: [0], calc: (b, ...args) => calcMACD(b.close, ...args) },
+  stoch: { panel: 'lower', levels: [20, 80], calc: (b, ...args) => calcStochastic(b.high, b.low, b.close, ...args) },
+  willr: { panel: 'lower', levels: [-80, -20], calc: (b, period) => ({ willr: calcWilliamsR(b.high, b.low, b.close, period) }) },
+  cci: { panel: 'lower', levels: [-100, 100], calc: (b, period) => ({ cci: calcCCI(b.high, b.low, b.close, period) }) },
+  obv: { panel: 'lower', levels: [], calc: (b) => ({ obv: calcOBV(b.close, b.volume) }) },
+};
+
+// "vwap, keltner(20,2) stoch" → [{ name: 'vwap', args: [] }, ...]
+function parseOverlays(input) {
+  const specs = Array.isArray(input) ? input : String(input || '').match(/[a-z]+(?:\([^)]*\))?/gi) || [];
+  return specs.map(spec => {
+    const m = /^([a-z]+)(?:\(([^)]*)\))?$/i.exec(String(spec).trim());
+    const name = m?.[1].toLowerCase();
+    if (!name || !CHART_OVERLAYS[name]) {
+      throw new Error(`Unknown overlay "${spec}" — try ${Object.keys(CHART_OVERLAYS).join(', ')}`);
+    }
+    const args = m[2] ? m[2].split(',').map(a => parseFloat(a)).filter(Number.isFinite) : [];
+    return { name, args };
+  });
+}
+
 // ── Quant Stats (mirrors Python quant_stats) ──
 
 function quantStats(rows) {
@@ -351,14 +443,14 @@ function quantStats(rows) {
 
 // ── Market Snapshot ──
 
-async function getMarketSnapshot() {
+async function getMarketSnapshot(market = marketData) {
   const indexSyms = ['^GSPC', '^NDX', '^DJI'];
   const futureSyms = ['ES=F', 'NQ=F', 'YM=F'];
   const macroSyms = ['CL=F', 'GC=F', '^TNX', 'DX-Y.NYB'];
   const cryptoSyms = ['BTC-USD', 'ETH-USD', 'SOL-USD'];
 
   const allSyms = [...indexSyms, ...futureSyms, ...macroSyms, ...cryptoSyms];
-  const quotes = await yahooQuoteBatch(allSyms);
+  const quotes = await market.quotes(allSyms);
 
   const marketState = quotes['^GSPC']?.state || 'CLOSED';
   const isCashSession = marketState === 'REGULAR';
@@ -427,9 +519,9 @@ function formatMarketSnapshot(snap) {
 
 // ── Stock Quote ──
 
-async function getQuote(ticker) {
+async function getQuote(ticker, market = marketData) {
   ticker = ticker.toUpperCase();
-  const q = (await yahooQuoteBatch(ticker))[ticker];
+  const q = (await market.quotes(ticker))[ticker];
   if (!q || q.price == null) return { error: `No data for ${ticker}` };
   return {
     ticker,
@@ -468,9 +560,9 @@ function formatQuote(q) {
 
 // ── Full Quant Analysis ──
 
-async function analyzeStock(ticker) {
+async function analyzeStock(ticker, market = marketData) {
   ticker = ticker.toUpperCase();
-  const rows = await yahooChart(ticker, '2y', '1d');
+  const rows = await market.chart(ticker, '2y', '1d');
   if (!rows || rows.length < 50) return { error: `Not enough data for ${ticker}` };
 
   const closes = rows.map(r => r.close);
@@ -521,6 +613,12 @@ async function analyzeStock(ticker) {
     patterns.push('🔴 MACD bearish crossover');
   }
 
+  // Candlesticks on the last bar
+  const opens = rows.map(r => r.open);
+  for (const name of calcCandlePatterns(opens.slice(-6), highs.slice(-6), lows.slice(-6), closes.slice(-6)).pop()) {
+    patterns.push(CANDLE_PATTERNS[name]);
+  }
+
   // 20-day high/low
   const recent20 = closes.slice(-20);
   if (latestPrice >= Math.max(...recent20)) patterns.push('🚀 20-day High — momentum chasers circling');
@@ -583,14 +681,15 @@ function formatAnalysis(a) {
 
 // ── Momentum Scanner ──
 
-async function momentumScan(n = 10) {
+async function momentumScan(n = 10, symbols = DEFAULT_WATCHLIST, market = marketData) {
   const results = [];
   // Batch quote for all watchlist
-  const quotes = await yahooQuoteBatch(WATCHLIST);
+  const quotes = await market.quotes(symbols);
+  const charts = await fetchCharts(market, symbols, '1y', '1d');
 
-  for (const sym of WATCHLIST) {
+  for (const sym of symbols) {
     try {
-      const rows = await yahooChart(sym, '1y', '1d');
+      const rows = charts.get(sym);
       if (!rows || rows.length < 60) continue;
 
       const closes = rows.map(r => r.close);
@@ -678,11 +777,11 @@ function formatMomentum(picks) {
 
 // ── Dislocation Detector ──
 
-async function dislocations(n = 10) {
+async function dislocations(n = 10, symbols = DEFAULT_WATCHLIST, market = marketData) {
   const results = [];
-  const quotes = await yahooQuoteBatch(WATCHLIST);
+  const quotes = await market.quotes(symbols);
 
-  for (const sym of WATCHLIST) {
+  for (const sym of symbols) {
     const q = quotes[sym];
     if (!q || !q.price) continue;
 
@@ -725,9 +824,9 @@ function formatDislocations(picks) {
 
 // ── RSI Backtest ──
 
-async function backtestRSI(ticker, buyThreshold = 30, sellThreshold = 70) {
+async function backtestRSI(ticker, buyThreshold = 30, sellThreshold = 70, market = marketData) {
   ticker = ticker.toUpperCase();
-  const rows = await yahooChart(ticker, '5y', '1d');
+  const rows = await market.chart(ticker, '5y', '1d');
   if (!rows || rows.length < 50) return { error: `Not enough data for ${ticker} backtest` };
 
   const closes = rows.map(r => r.close);
@@ -761,6 +860,8 @@ async function backtestRSI(ticker, buyThreshold = 30, sellThreshold = 70) {
 
   return {
     ticker,
+    buy_threshold: buyThreshold,
+    sell_threshold: sellThreshold,
     total_return: totalReturn,
     buy_hold_return: buyHold,
     trades,
@@ -777,7 +878,7 @@ function formatBacktest(bt) {
     ? 'RSI strategy beat buy & hold. Even a blind cat finds a mouse sometimes. 😼'
     : 'Buy & hold won. RSI strategy lost to doing literally nothing. Classic. 💀';
 
-  let text = `📊 **RSI Backtest: ${bt.ticker}** (RSI<${30} buy, RSI>${70} sell)\n\n`;
+  let text = `📊 **RSI Backtest: ${bt.ticker}** (RSI<${bt.buy_threshold} buy, RSI>${bt.sell_threshold} sell)\n\n`;
   text += `Strategy Return: ${(bt.total_return * 100).toFixed(2)}%\n`;
   text += `Buy & Hold Return: ${(bt.buy_hold_return * 100).toFixed(2)}%\n`;
   text += `Trades: ${bt.trades}\n`;
@@ -797,82 +898,38 @@ function formatBacktest(bt) {
 
 // ── News & Sentiment ──
 
-async function getTickerNews(ticker) {
-  ticker = ticker.toUpperCase();
-  try {
-    const url = `${FINVIZ_URL}?t=${ticker}`;
-    const resp = await fetch(url, { headers: { 'User-Agent': UA }, signal: AbortSignal.timeout(10000) });
-    const html = await resp.text();
-
-    // Parse headlines from Finviz
-    const headlines = [];
-    const matches = html.matchAll(/<a[^>]+class="tab-link-news"[^>]*>([^<]+)<\/a>/g);
-    for (const m of matches) {
-      headlines.push(m[1].trim());
-      if (headlines.length >= 10) break;
-    }
-
-    // Fallback: broader pattern
-    if (headlines.length === 0) {
-      const fallback = html.matchAll(/news-link-left[^"]*"[^>]*>([^<]+)<\/a>/g);
-      for (const m of fallback) {
-        headlines.push(m[1].trim());
-        if (headlines.length >= 10) break;
-      }
-    }
-
-    // Even broader fallback
-    if (headlines.length === 0) {
-      const tableMatch = html.match(/fullview-news-outer[\s\S]*?<\/table>/);
-      if (tableMatch) {
-        const linkMatches = tableMatch[0].matchAll(/<a[^>]*>([^<]{15,})<\/a>/g);
-        for (const m of linkMatches) {
-          headlines.push(m[1].trim());
-          if (headlines.length >= 10) break;
-        }
-      }
-    }
-
-    return headlines;
-  } catch (e) {
-    console.error(`[News Error] ${ticker}:`, e.message);
-    return [];
-  }
+async function getTickerNews(ticker, market = marketData) {
+  return market.news(ticker.toUpperCase());
 }
 
-function analyzeSentiment(headlines) {
-  const posWords = ['beat','surge','rally','win','profit','outperform','soars','growth','record','raise','strong','bull','gain','jump','rise','boost','climb','beats','outlook','upgrade'];
-  const negWords = ['miss','drop','loss','plunge','warn','weak','lawsuit','down','cut','investigation','probe','sell','bear','falls','crash','tumble','slump','dip','slide','disappoint','downgrade'];
-
-  let score = 0;
-  for (const h of headlines) {
-    const hl = h.toLowerCase();
-    for (const w of posWords) if (hl.includes(w)) score++;
-    for (const w of negWords) if (hl.includes(w)) score--;
-  }
-  return score;
+// Mean headline score, -1 … +1, with each headline's own score
+async function analyzeSentiment(headlines, service = sentiment) {
+  const scored = await service.scoreMany(headlines);
+  const score = scored.length ? scored.reduce((s, r) => s + r.score, 0) / scored.length : 0;
+  return { score: Math.round(score * 100) / 100, scores: scored.map(r => r.score), model: scored[0]?.model || service.model };
 }
 
-async function getSentiment(ticker) {
-  const headlines = await getTickerNews(ticker);
+async function getSentiment(ticker, market = marketData) {
+  const headlines = await getTickerNews(ticker, market);
   if (!headlines.length) return { ticker, headlines: [], score: 0, mood: 'No data' };
 
-  const score = analyzeSentiment(headlines);
+  const { score, scores, model } = await analyzeSentiment(headlines);
   let mood;
-  if (score > 2) mood = '🔥 Very positive — bulls throwing confetti';
-  else if (score > 0) mood = '🙂 Slightly positive — cautious optimism';
-  else if (score === 0) mood = '😐 Neutral — Kabuneko yawns';
-  else if (score > -2) mood = '🙁 Slightly negative — bears sniffing around';
+  if (score > 0.35) mood = '🔥 Very positive — bulls throwing confetti';
+  else if (score >= 0.05) mood = '🙂 Slightly positive — cautious optimism';
+  else if (score > -0.05) mood = '😐 Neutral — Kabuneko yawns';
+  else if (score > -0.35) mood = '🙁 Slightly negative — bears sniffing around';
   else mood = '💀 Very negative — hide your portfolio';
 
-  return { ticker: ticker.toUpperCase(), headlines: headlines.slice(0, 5), score, mood };
+  const top = headlines.slice(0, 5).map((text, i) => ({ text, score: scores[i] }));
+  return { ticker: ticker.toUpperCase(), headlines: top, score, mood, model, count: headlines.length };
 }
 
 function formatSentiment(s) {
-  let text = `**Sentiment: ${s.ticker}** — ${s.mood} (score: ${s.score})\n\n`;
+  let text = `**Sentiment: ${s.ticker}** — ${s.mood} (score: ${s.score >= 0 ? '+' : ''}${s.score.toFixed(2)}${s.count ? ` over ${s.count} headline${s.count === 1 ? '' : 's'}, ${s.model}` : ''})\n\n`;
   if (s.headlines.length) {
     text += '**Headlines:**\n';
-    for (const h of s.headlines) text += `• ${h}\n`;
+    for (const h of s.headlines) text += `• ${h.score >= 0.05 ? '🟢' : h.score <= -0.05 ? '🔴' : '⚪'} ${h.text}\n`;
   } else {
     text += 'No headlines found. Even the rumor mill is asleep. 😼';
   }
@@ -881,13 +938,14 @@ function formatSentiment(s) {
 
 // ── Moonshot Radar ──
 
-async function findMoonshots(limit = 5) {
+async function findMoonshots(limit = 5, symbols = DEFAULT_WATCHLIST, market = marketData) {
   const results = [];
-  const quotes = await yahooQuoteBatch(WATCHLIST);
+  const quotes = await market.quotes(symbols);
+  const charts = await fetchCharts(market, symbols, '1mo', '1d');
 
-  for (const sym of WATCHLIST) {
+  for (const sym of symbols) {
     try {
-      const rows = await yahooChart(sym, '1mo', '1d');
+      const rows = charts.get(sym);
       if (!rows || rows.length < 10) continue;
 
       const closes = rows.map(r => r.close);
@@ -941,55 +999,15 @@ function formatMoonshots(picks) {
   return text;
 }
 
-// ── Chart Data (for frontend rendering) ──
-
-// ── Yahoo Finance v10 Fundamentals (matches yf.Ticker().info) ──
-
-async function yahooFundamentals(ticker) {
-  try {
-    const { crumb, cookie } = await getYahooCrumb();
-    const headers = { 'User-Agent': UA };
-    if (cookie) headers['Cookie'] = cookie;
-
-    let url = `https://query2.finance.yahoo.com/v10/finance/quoteSummary/${ticker}?modules=defaultKeyStatistics,financialData,summaryDetail`;
-    if (crumb) url += `&crumb=${encodeURIComponent(crumb)}`;
-
-    const resp = await fetch(url, { headers, signal: AbortSignal.timeout(8000) });
-    if (!resp.ok) return null;
-
-    const data = await resp.json();
-    const ks = data?.quoteSummary?.result?.[0]?.defaultKeyStatistics || {};
-    const fd = data?.quoteSummary?.result?.[0]?.financialData || {};
-    const sd = data?.quoteSummary?.result?.[0]?.summaryDetail || {};
-
-    const raw = (obj) => obj?.raw ?? obj?.rawValue ?? obj ?? null;
-
-    return {
-      revenueGrowth: raw(fd.revenueGrowth),
-      grossMargins: raw(fd.grossMargins),
-      returnOnEquity: raw(fd.returnOnEquity),
-      debtToEquity: raw(fd.debtToEquity),
-      payoutRatio: raw(sd.payoutRatio),
-      dividendYield: raw(sd.dividendYield),
-      marketCap: raw(sd.marketCap),
-      forwardPE: raw(sd.forwardPE) || raw(ks.forwardPE),
-      trailingPE: raw(sd.trailingPE),
-      shortName: raw(sd.shortName),
-    };
-  } catch {
-    return null;
-  }
-}
-
 // ── Stock Ideas Generator (4 buckets — mirrors Discord bot) ──
 
-async function generateIdeas(perBucket = 5) {
+async function generateIdeas(perBucket = 5, symbols = DEFAULT_WATCHLIST, market = marketData) {
   // Batch fetch all quotes for price data
-  const quotes = await yahooQuoteBatch(WATCHLIST);
+  const quotes = await market.quotes(symbols);
 
   // ── 1. Value / Dislocation ── (same as existing dislocations but formatted for ideas)
   const valResults = [];
-  for (const sym of WATCHLIST) {
+  for (const sym of symbols) {
     const q = quotes[sym];
     if (!q || !q.price) continue;
     const pe = q.forwardPE || q.trailingPE;
@@ -1015,10 +1033,11 @@ async function generateIdeas(perBucket = 5) {
   const valTop = valResults.slice(0, perBucket);
 
   // ── 2. Momentum Leaders ──
+  const charts = await fetchCharts(market, symbols, '1y', '1d');
   const momoResults = [];
-  for (const sym of WATCHLIST) {
+  for (const sym of symbols) {
     try {
-      const rows = await yahooChart(sym, '1y', '1d');
+      const rows = charts.get(sym);
       if (!rows || rows.length < 60) continue;
       const closes = rows.map(r => r.close);
       const volumes = rows.map(r => r.volume);
@@ -1065,11 +1084,14 @@ async function generateIdeas(perBucket = 5) {
   momoResults.sort((a, b) => b.score - a.score);
   const momoTop = momoResults.slice(0, perBucket);
 
+  // Fundamentals feed both the quality and income buckets
+  const fundamentals = await fetchFundamentals(market, symbols);
+
   // ── 3. Quality Growth ── (matches your bot: revenueGrowth>=0.15, grossMargins>=0.40, ROE>=0.15, D/E<=2.0)
   const qualResults = [];
-  for (const sym of WATCHLIST) {
+  for (const sym of symbols) {
     try {
-      const info = await yahooFundamentals(sym);
+      const info = fundamentals.get(sym);
       if (!info) continue;
 
       const rg = info.revenueGrowth || 0;
@@ -1098,9 +1120,9 @@ async function generateIdeas(perBucket = 5) {
 
   // ── 4. Income ── (matches your bot: dividendYield>=0.03, payoutRatio 0-0.8)
   const incResults = [];
-  for (const sym of WATCHLIST) {
+  for (const sym of symbols) {
     try {
-      const info = await yahooFundamentals(sym);
+      const info = fundamentals.get(sym);
       if (!info) continue;
 
       const dy = info.dividendYield || 0;
@@ -1167,9 +1189,180 @@ function formatIdeas(ideas) {
   return text;
 }
 
-async function getChartData(ticker, range = '6mo') {
+// ── Comparison & Correlation ──
+
+const MAX_COMPARE = 8;
+
+// Daily simple returns; returns[i] is the move into bar i + 1
+function dailyReturns(closes) {
+  const out = [];
+  for (let i = 1; i < closes.length; i++) out.push(closes[i - 1] ? (closes[i] - closes[i - 1]) / closes[i - 1] : 0);
+  return out;
+}
+
+function mean(xs) {
+  return xs.reduce((a, b) => a + b, 0) / xs.length;
+}
+
+// Pearson correlation of two equal-length series
+function calcCorrelation(a, b) {
+  if (a.length < 2 || a.length !== b.length) return null;
+  const ma = mean(a), mb = mean(b);
+  let cov = 0, va = 0, vb = 0;
+  for (let i = 0; i < a.length; i++) {
+    cov += (a[i] - ma) * (b[i] - mb);
+    va += (a[i] - ma) ** 2;
+    vb += (b[i] - mb) ** 2;
+  }
+  return va && vb ? cov / Math.sqrt(va * vb) : null;
+}
+
+// cov(asset, benchmark) / var(benchmark) over the same returns
+function calcBeta(returns, benchReturns) {
+  if (returns.length < 2 || returns.length !== benchReturns.length) return null;
+  const ma = mean(returns), mb = mean(benchReturns);
+  let cov = 0, vb = 0;
+  for (let i = 0; i < returns.length; i++) {
+    cov += (returns[i] - ma) * (benchReturns[i] - mb);
+    vb += (benchReturns[i] - mb) ** 2;
+  }
+  return vb ? cov / vb : null;
+}
+
+// Correlation over the trailing `window` returns at every point
+function calcRollingCorrelation(a, b, window = 60) {
+  return a.map((_, i) => (i < window - 1 ? null : calcCorrelation(a.slice(i - window + 1, i + 1), b.slice(i - window + 1, i + 1))));
+}
+
+// Side-by-side performance of a few tickers over the dates they all
+// traded: normalized prices (100 = start), quantStats each, a return
+// correlation matrix, beta against `benchmark` and rolling correlations.
+async function compareStocks(symbols, range = '1y', { benchmark = 'SPY', window = 60 } = {}, market = marketData) {
+  symbols = [...new Set(symbols.map(s => s.toUpperCase()))];
+  benchmark = benchmark ? benchmark.toUpperCase() : null;
+  if (symbols.length < 2) return { error: 'Compare needs at least two tickers' };
+  if (symbols.length > MAX_COMPARE) return { error: `Compare takes at most ${MAX_COMPARE} tickers` };
+
+  const fetchList = benchmark && !symbols.includes(benchmark) ? [...symbols, benchmark] : symbols;
+  const charts = await fetchCharts(market, fetchList, range, '1d');
+  const missing = symbols.filter(s => !charts.get(s)?.length);
+  if (missing.length) return { error: `No price data for ${missing.join(', ')}` };
+  const benchRows = benchmark ? charts.get(benchmark) : null;
+
+  // Only the days every symbol has a bar for, so returns line up
+  const day = (r) => r.date.toISOString().slice(0, 10);
+  const byDay = new Map(symbols.map(s => [s, new Map(charts.get(s).map(r => [day(r), r]))]));
+  const benchByDay = benchRows?.length ? new Map(benchRows.map(r => [day(r), r])) : null;
+  const days = [...byDay.get(symbols[0]).keys()]
+    .filter(d => symbols.every(s => byDay.get(s).has(d)))
+    .sort();
+  if (days.length < 3) return { error: 'Not enough overlapping trading days to compare' };
+
+  const rows = Object.fromEntries(symbols.map(s => [s, days.map(d => byDay.get(s).get(d))]));
+  const closes = Object.fromEntries(symbols.map(s => [s, rows[s].map(r => r.close)]));
+  const returns = Object.fromEntries(symbols.map(s => [s, dailyReturns(closes[s])]));
+
+  const normalized = Object.fromEntries(symbols.map(s => [s, closes[s].map(c => c / closes[s][0] * 100)]));
+  const stats = Object.fromEntries(symbols.map(s => [s, quantStats(rows[s])]));
+
+  const correlation = symbols.map(a => symbols.map(b => (a === b ? 1 : calcCorrelation(returns[a], returns[b]))));
+
+  // Beta over the days the benchmark also has a bar for
+  const beta = {};
+  if (benchByDay) {
+    const shared = days.filter(d => benchByDay.has(d));
+    const benchReturns = dailyReturns(shared.map(d => benchByDay.get(d).close));
+    for (const s of symbols) {
+      beta[s] = calcBeta(dailyReturns(shared.map(d => byDay.get(s).get(d).close)), benchReturns);
+    }
+  }
+
+  // Short ranges get a window that still leaves a few points to plot
+  const win = Math.max(5, Math.min(window, Math.floor(days.length / 3)));
+  const rolling = [];
+  for (let i = 0; i < symbols.length; i++) {
+    for (let j = i + 1; j < symbols.length; j++) {
+      const series = [null].concat(calcRollingCorrelation(returns[symbols[i]], returns[symbols[j]], win));
+      const valid = series.filter(v => v != null);
+      rolling.push({
+        pair: [symbols[i], symbols[j]],
+        series,
+        latest: valid[valid.length - 1] ?? null,
+        min: valid.length ? Math.min(...valid) : null,
+        max: valid.length ? Math.max(...valid) : null,
+      });
+    }
+  }
+
+  return {
+    symbols,
+    range,
+    benchmark: benchByDay ? benchmark : null,
+    window: win,
+    dates: days.map(d => `${d}T00:00:00.000Z`),
+    normalized,
+    stats,
+    correlation,
+    beta,
+    rolling,
+  };
+}
+
+function formatComparison(c) {
+  if (c.error) return `⚠ ${c.error}`;
+  const pct = (v) => (v != null ? `${(v * 100).toFixed(1)}%` : '—');
+  const num = (v, d = 2) => (v != null ? v.toFixed(d) : '—');
+
+  let text = `📊 **Kabuneko Cage Match: ${c.symbols.join(' vs ')}** (${c.range})\n\n`;
+  text += `| | Return | Annual | Vol | Sharpe | Max DD${c.benchmark ? ` | β ${c.benchmark}` : ''} |\n`;
+  text += `|---|---|---|---|---|---${c.benchmark ? '|---' : ''}|\n`;
+  const ranked = [...c.symbols].sort((a, b) => c.stats[b].total_return - c.stats[a].total_return);
+  for (const s of ranked) {
+    const st = c.stats[s];
+    text += `| **${s}** | ${pct(st.total_return)} | ${pct(st.annual_return)} | ${pct(st.annual_vol)} | ${num(st.sharpe)} | ${pct(st.max_drawdown)}${c.benchmark ? ` | ${num(c.beta[s])}` : ''} |\n`;
+  }
+
+  text += `\n**Return correlation:**\n\n| | ${c.symbols.join(' | ')} |\n|---|${c.symbols.map(() => '---').join('|')}|\n`;
+  c.symbols.forEach((s, i) => {
+    text += `| **${s}** | ${c.correlation[i].map(v => num(v)).join(' | ')} |\n`;
+  });
+
+  text += `\n**Rolling ${c.window}-day correlation:**\n`;
+  for (const r of c.rolling) {
+    text += `• ${r.pair.join('/')}: now ${num(r.latest)} (range ${num(r.min)} to ${num(r.max)})\n`;
+  }
+  if (!c.benchmark) text += '\n_No benchmark data, so no beta._\n';
+
+  const [best] = ranked;
+  text += `\nKabuneko's pick of the litter: **${best}**. Past performance, future pain, etc. 😼`;
+  return text;
+}
+
+// Normalized lines over each other, rolling correlations underneath
+function comparisonChartData(c) {
+  return {
+    kind: 'compare',
+    ticker: c.symbols.join(' vs '),
+    range: c.range,
+    dates: c.dates,
+    series: c.normalized,
+    rolling: c.rolling.map(r => ({ label: r.pair.join('/'), series: r.series })),
+    window: c.window,
+  };
+}
+
+// ── Chart Data (for frontend rendering) ──
+
+// `overlays` picks extra indicators (see CHART_OVERLAYS), e.g. 'vwap stoch'
+async function getChartData(ticker, range = '6mo', overlays = [], market = marketData) {
   ticker = ticker.toUpperCase();
-  const rows = await yahooChart(ticker, range, '1d');
+  let specs;
+  try {
+    specs = parseOverlays(overlays);
+  } catch (e) {
+    return { error: e.message };
+  }
+  const rows = await market.chart(ticker, range, '1d');
   if (!rows || rows.length < 5) return { error: `No chart data for ${ticker}` };
 
   const closes = rows.map(r => r.close);
@@ -1191,6 +1384,17 @@ async function getChartData(ticker, range = '6mo') {
     rsi: calcRSI(closes),
     bb: calcBollingerBands(closes),
     macd: calcMACD(closes),
+    overlays: specs.map(({ name, args }) => {
+      const o = CHART_OVERLAYS[name];
+      const bars = { open: rows.map(r => r.open), high: highs, low: lows, close: closes, volume: volumes };
+      return {
+        id: `${name}${args.length ? `(${args.join(',')})` : ''}`,
+        panel: o.panel,
+        dots: !!o.dots,
+        levels: o.levels || [],
+        lines: o.calc(bars, ...args),
+      };
+    }),
   };
 }
 
@@ -1198,11 +1402,18 @@ async function getChartData(ticker, range = '6mo') {
 
 export {
   // Data fetching
+  setMarketData, getMarketData,
+  setSentimentService,
   yahooQuoteBatch,
   yahooChart,
 
   // Indicators
   calcSMA, calcEMA, calcRSI, calcATR, calcADX, calcMACD, calcBollingerBands,
+  calcVWAP, calcStochastic, calcWilliamsR, calcOBV, calcCCI, calcIchimoku,
+  calcKeltner, calcSupertrend, calcDonchian, calcParabolicSAR,
+  calcCandlePatterns, CANDLE_PATTERNS,
+  CHART_OVERLAYS, parseOverlays,
+  calcCorrelation, calcBeta, calcRollingCorrelation,
 
   // Analysis functions
   quantStats,
@@ -1216,9 +1427,9 @@ export {
   getSentiment,       formatSentiment,
   findMoonshots,      formatMoonshots,
   generateIdeas,      formatIdeas,
+  compareStocks,      formatComparison,   comparisonChartData,
   getChartData,
 
   // Constants
-  WATCHLIST,
   EMOJI_BANK,
 };
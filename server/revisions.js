@@ -0,0 +1,106 @@
+// ═══════════════════════════════════════════════════════════════
+//  VELLE.AI — Revisions
+//  • Append-only history for snippets, knowledge base items and
+//    journal entries: every save is a numbered revision
+//  • Who wrote it (you or the LLM), when, and why ("restored r2")
+//  • History views diff each revision against the one before it
+//  • Deleting an item keeps its history, marked with when it went
+// ═══════════════════════════════════════════════════════════════
+
+import { diffLines, diffStats, diffBlock, describeChanges } from './diff.js';
+
+// Revision type → the table its items live in
+export const REVISION_TYPES = { snippet: 'snippets', knowledge: 'knowledge', journal: 'journal' };
+export const REVISION_AUTHORS = ['user', 'llm'];
+
+// Revisions with a diff in the /… history view; older ones are listed only
+const HISTORY_DIFFS = 5;
+
+export class RevisionLog {
+  // Tables are created by migrations.js
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Append the next revision of an item
+  record(type, itemId, { content, title = null, author = 'user', note = null }) {
+    if (!REVISION_TYPES[type]) throw new Error(`Unknown revision type: ${type}`);
+    if (!REVISION_AUTHORS.includes(author)) throw new Error(`Author must be one of: ${REVISION_AUTHORS.join(', ')}`);
+    const { next } = this.db.prepare(
+      'SELECT COALESCE(MAX(rev), 0) + 1 AS next FROM revisions WHERE item_type = ? AND item_id = ?'
+    ).get(type, itemId);
+    this.db.prepare(`
+      INSERT INTO revisions (item_type, item_id, rev, title, content, author, note)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(type, itemId, next, title, content, author, note);
+    return this.get(type, itemId, next);
+  }
+
+  // Items from before revisions existed (or imported without them) get
+  // their current text as r1 before the first change is recorded
+  seed(type, itemId, { content, title = null }) {
+    const has = this.db.prepare('SELECT 1 FROM revisions WHERE item_type = ? AND item_id = ? LIMIT 1').get(type, itemId);
+    if (!has) this.record(type, itemId, { content, title });
+  }
+
+  get(type, itemId, rev) {
+    return this.db.prepare('SELECT * FROM revisions WHERE item_type = ? AND item_id = ? AND rev = ?').get(type, itemId, rev);
+  }
+
+  // Newest first, with full content (items rarely have more than a few dozen)
+  list(type, itemId) {
+    return this.db.prepare('SELECT * FROM revisions WHERE item_type = ? AND item_id = ? ORDER BY rev DESC').all(type, itemId);
+  }
+
+  // A revision plus what it changed relative to the one before it
+  view(type, itemId, rev) {
+    const r = this.get(type, itemId, rev);
+    if (!r) return null;
+    const prev = rev > 1 ? this.get(type, itemId, rev - 1) : null;
+    return { ...r, changes: describeChanges(prev?.content ?? '', r.content, { from: `r${rev - 1}`, to: `r${rev}` }) };
+  }
+
+  // The item is gone but its history stays, readable by id. Ids aren't
+  // reused (AUTOINCREMENT), so it can't mix with a later item's.
+  markDeleted(type, itemId) {
+    this.db.prepare(`
+      UPDATE revisions SET deleted_at = datetime('now','localtime')
+      WHERE item_type = ? AND item_id = ? AND deleted_at IS NULL
+    `).run(type, itemId);
+  }
+}
+
+// ═══════════════════════════════════
+//  FORMATTERS
+// ═══════════════════════════════════
+
+const AUTHOR_ICONS = { user: '👤', llm: '🤖' };
+
+function revisionLine(r, prev) {
+  const stats = prev ? diffStats(diffLines(prev.content, r.content)) : null;
+  const parts = [`**r${r.rev}**`, r.created_at, `${AUTHOR_ICONS[r.author] || ''} ${r.author}`];
+  if (r.note) parts.push(r.note);
+  parts.push(stats ? `+${stats.added} −${stats.removed}` : 'created');
+  return parts.join(' · ');
+}
+
+// revisions: newest first, as RevisionLog.list returns them
+export function formatRevisionHistory(label, revisions, { command } = {}) {
+  if (!revisions.length) return `🕘 No history for ${label}.`;
+  const deleted = revisions[0].deleted_at;
+  let text = `🕘 **History — ${label}** (${revisions.length} revision${revisions.length === 1 ? '' : 's'})`;
+  text += deleted ? ` · 🗑️ deleted ${deleted}\n\n` : '\n\n';
+  revisions.forEach((r, i) => {
+    const prev = revisions[i + 1];
+    text += revisionLine(r, prev) + '\n';
+    if (prev && i < HISTORY_DIFFS) text += diffBlock(prev.content, r.content) + '\n';
+  });
+  if (command && deleted) text += `\nView one with \`${command} rev ID REV\`.`;
+  else if (command) text += `\nView one with \`${command} rev ID REV\`, bring it back with \`${command} restore ID REV\`.`;
+  return text.trimEnd();
+}
+
+export function formatRevision(label, r) {
+  const head = `🕘 **${label} — r${r.rev}** · ${r.created_at} · ${AUTHOR_ICONS[r.author] || ''} ${r.author}${r.note ? ` · ${r.note}` : ''}`;
+  return `${head}\n\n${r.content}`;
+}
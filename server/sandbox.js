@@ -0,0 +1,446 @@
+// ═══════════════════════════════════════════════════════════════
+//  VELLE.AI — Code Sandbox
+//  • Untrusted code runs in a throwaway scratch directory with a
+//    minimal environment (no API keys from the server's env)
+//  • rlimits on CPU, memory, file size and process count; a
+//    wall-clock timeout and output cap on top
+//  • bubblewrap or nsjail when installed: read-only root, private
+//    /tmp, VELLE's data hidden, no network unless asked for
+//  • Without them: rlimits via prlimit, the child dropped to
+//    "nobody" when the server is root, network cut with unshare
+//  • Results: exit code, signal, CPU time, peak memory, which
+//    limit was hit and how the run was isolated
+// ═══════════════════════════════════════════════════════════════
+
+import { spawn, execFileSync } from 'child_process';
+import {
+  mkdtempSync, writeFileSync, rmSync, chownSync, existsSync, readFileSync, readdirSync, statSync,
+} from 'fs';
+import { join, delimiter } from 'path';
+import { tmpdir, constants as osConstants } from 'os';
+
+export const SANDBOX_MODES = ['auto', 'bwrap', 'nsjail', 'rlimit', 'off'];
+
+export const DEFAULT_LIMITS = {
+  cpuSeconds: 10,
+  memoryMb: 512,        // RLIMIT_DATA: heap + private mappings, not address space
+  fileSizeMb: 16,
+  processes: 64,
+  timeoutMs: 30000,
+  outputBytes: 1024 * 1024,
+};
+
+// Compilers get more room than the program they build
+export const COMPILE_LIMITS = { cpuSeconds: 60, memoryMb: 2048, timeoutMs: 120000 };
+
+const NOBODY = { uid: 65534, gid: 65534 };
+const WORKDIR = '/sandbox';   // where the scratch dir appears inside bwrap / nsjail
+const SAMPLE_MS = 10;
+const CLOCK_TICKS = 100;      // USER_HZ on every Linux build that matters
+
+const SIGNAL_LIMITS = { SIGXCPU: 'cpu', SIGXFSZ: 'file_size' };
+
+export class SandboxError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SandboxError';
+  }
+}
+
+// ── Detection ──
+
+function findBinary(name) {
+  for (const dir of (process.env.PATH || '').split(delimiter)) {
+    const file = join(dir, name);
+    try { if (statSync(file).isFile()) return file; } catch {}
+  }
+  return null;
+}
+
+function nobodyUser() {
+  try {
+    const line = readFileSync('/etc/passwd', 'utf8').split('\n').find(l => l.startsWith('nobody:'));
+    const [, , uid, gid] = line.split(':');
+    return { uid: +uid, gid: +gid };
+  } catch {
+    return NOBODY;
+  }
+}
+
+let detected = null;
+
+// What this host offers; probed once (two short exec calls on Linux)
+export function detectSandbox({ refresh = false } = {}) {
+  if (detected && !refresh) return detected;
+  const linux = process.platform === 'linux';
+  const root = typeof process.getuid === 'function' && process.getuid() === 0;
+  const info = {
+    platform: process.platform,
+    root,
+    user: root ? nobodyUser() : null,   // who the child runs as under plain rlimits
+    bwrap: linux ? findBinary('bwrap') : null,
+    nsjail: linux ? findBinary('nsjail') : null,
+    prlimit: linux ? findBinary('prlimit') : null,
+    unshare: linux ? findBinary('unshare') : null,
+    netns: false,
+  };
+  // Cutting the network without a jail needs a user namespace the child's uid may create
+  if (info.unshare) {
+    try {
+      execFileSync(info.unshare, ['-rn', 'true'], { timeout: 2000, stdio: 'ignore', ...(info.user || {}) });
+      info.netns = true;
+    } catch {}
+  }
+  if (info.bwrap) {
+    try { execFileSync(info.bwrap, ['--ro-bind', '/', '/', 'true'], { timeout: 2000, stdio: 'ignore' }); }
+    catch { info.bwrap = null; }   // installed but unusable (no user namespaces)
+  }
+  detected = info;
+  return info;
+}
+
+// The backend a mode resolves to on this host
+export function resolveBackend(mode = 'auto') {
+  if (!SANDBOX_MODES.includes(mode)) throw new SandboxError(`Sandbox mode must be one of: ${SANDBOX_MODES.join(', ')}`);
+  const info = detectSandbox();
+  if (mode === 'off') return 'off';
+  if (mode === 'auto') {
+    if (info.bwrap) return 'bwrap';
+    if (info.nsjail) return 'nsjail';
+    return info.prlimit ? 'rlimit' : 'off';
+  }
+  if (mode === 'rlimit' && !info.prlimit) throw new SandboxError('prlimit (util-linux) is not installed');
+  if ((mode === 'bwrap' || mode === 'nsjail') && !info[mode]) throw new SandboxError(`${mode} is not installed or not usable here`);
+  return mode;
+}
+
+// ── Config ──
+
+let config = { mode: 'auto', network: false, limits: { ...DEFAULT_LIMITS }, hide: [] };
+
+// hide: directories bwrap / nsjail cover with an empty tmpfs (VELLE's data)
+export function configureSandbox({ mode, network, limits, hide } = {}) {
+  if (mode !== undefined) resolveBackend(mode);   // throws on an unknown or missing backend
+  config = {
+    mode: mode ?? config.mode,
+    network: network ?? config.network,
+    limits: { ...config.limits, ...limits },
+    hide: hide ?? config.hide,
+  };
+  return getSandboxConfig();
+}
+
+export function getSandboxConfig() {
+  return { ...config, limits: { ...config.limits }, backend: resolveBackend(config.mode) };
+}
+
+// ── Process accounting (Linux /proc) ──
+
+function procStat(pid) {
+  try {
+    const raw = readFileSync(`/proc/${pid}/stat`, 'utf8');
+    const f = raw.slice(raw.lastIndexOf(')') + 2).split(' ');
+    // utime, stime, cutime, cstime are fields 14-17 (1-based); f starts at field 3
+    return +f[11] + +f[12] + +f[13] + +f[14];
+  } catch {
+    return 0;
+  }
+}
+
+function procPeakKb(pid) {
+  try {
+    return +(/VmHWM:\s+(\d+)/.exec(readFileSync(`/proc/${pid}/status`, 'utf8'))?.[1] || 0);
+  } catch {
+    return 0;
+  }
+}
+
+function procChildren(pid) {
+  try {
+    return readdirSync(`/proc/${pid}/task`).flatMap(tid =>
+      readFileSync(`/proc/${pid}/task/${tid}/children`, 'utf8').trim().split(/\s+/).filter(Boolean).map(Number));
+  } catch {
+    return [];
+  }
+}
+
+// Samples the process tree while it runs. Reaped children fold into their
+// parent's cutime, so CPU only undercounts the last few ms; peak memory is
+// the largest single process's high-water mark. Both are null for runs
+// too short to sample (the first sample only sees the launcher).
+function trackUsage(rootPid) {
+  if (process.platform !== 'linux') return { stop: () => ({ cpu_ms: null, peak_memory_kb: null }) };
+  let cpuTicks = 0;
+  let peakKb = 0;
+  let samples = 0;
+  const sample = () => {
+    samples++;
+    let ticks = 0;
+    const queue = [rootPid];
+    while (queue.length) {
+      const pid = queue.shift();
+      ticks += procStat(pid);
+      peakKb = Math.max(peakKb, procPeakKb(pid));
+      queue.push(...procChildren(pid));
+    }
+    cpuTicks = Math.max(cpuTicks, ticks);
+  };
+  sample();
+  const timer = setInterval(sample, SAMPLE_MS);
+  return {
+    stop() {
+      clearInterval(timer);
+      if (samples < 2) return { cpu_ms: null, peak_memory_kb: null };
+      return { cpu_ms: Math.round(cpuTicks * 1000 / CLOCK_TICKS), peak_memory_kb: peakKb || null };
+    },
+  };
+}
+
+// Processes the uid already runs count against RLIMIT_NPROC, so the budget
+// sits on top of them
+function processCount(uid) {
+  if (process.platform !== 'linux') return 0;
+  let n = 0;
+  for (const pid of readdirSync('/proc').filter(p => /^\d+$/.test(p))) {
+    try { if (statSync(`/proc/${pid}`).uid === uid) n++; } catch {}
+  }
+  return n;
+}
+
+// ── Command lines ──
+
+function prlimitArgs(info, limits, uid) {
+  const mb = 1024 * 1024;
+  return [
+    info.prlimit,
+    `--cpu=${limits.cpuSeconds}:${limits.cpuSeconds + 1}`,   // SIGXCPU first, SIGKILL a second later
+    `--data=${limits.memoryMb * mb}`,
+    `--fsize=${limits.fileSizeMb * mb}`,
+    `--nproc=${processCount(uid) + limits.processes}`,
+    '--core=0',
+    '--',
+  ];
+}
+
+function wrap(backend, argv, { dir, limits, network, hide }) {
+  const info = detectSandbox();
+  const uid = process.getuid?.() ?? 0;
+  const isolation = { backend, network: network ? 'host' : 'none', user: 'server', rlimits: !!info.prlimit, warnings: [] };
+
+  if (backend === 'off') {
+    isolation.network = 'host';
+    isolation.rlimits = false;
+    isolation.warnings.push('No sandbox: the code runs with the server\'s own privileges (timeout and output cap only)');
+    return { argv, cwd: dir, workdir: dir, isolation, spawnAs: {} };
+  }
+
+  const limited = info.prlimit ? prlimitArgs(info, limits, backend === 'rlimit' && info.root ? info.user.uid : uid) : [];
+  if (!info.prlimit) isolation.warnings.push('prlimit not found — CPU, memory and file-size limits are not applied');
+
+  if (backend === 'bwrap') {
+    isolation.user = 'nobody';
+    const args = [
+      info.bwrap, '--die-with-parent', '--new-session', '--unshare-all',
+      ...(network ? ['--share-net'] : []),
+      '--uid', String(NOBODY.uid), '--gid', String(NOBODY.gid),
+      '--ro-bind', '/', '/', '--dev', '/dev', '--proc', '/proc', '--tmpfs', '/tmp',
+      ...hide.filter(existsSync).flatMap(p => ['--tmpfs', p]),
+      '--bind', dir, WORKDIR, '--chdir', WORKDIR,
+      '--',
+    ];
+    return { argv: [...args, ...limited, ...argv], cwd: dir, workdir: WORKDIR, isolation, spawnAs: {} };
+  }
+
+  if (backend === 'nsjail') {
+    isolation.user = 'nobody';
+    const args = [
+      info.nsjail, '-Mo', '--quiet', '--chroot', '/',
+      '--user', String(NOBODY.uid), '--group', String(NOBODY.gid),
+      '--bindmount', `${dir}:${WORKDIR}`, '--cwd', WORKDIR, '--tmpfsmount', '/tmp',
+      ...hide.filter(existsSync).flatMap(p => ['--tmpfsmount', p]),
+      '--time_limit', '0',
+      // nsjail's own defaults (1 MB files, 4 GB address space) would override ours
+      '--rlimit_as', 'hard', '--rlimit_cpu', String(limits.cpuSeconds),
+      '--rlimit_fsize', String(limits.fileSizeMb), '--rlimit_nproc', String(limits.processes),
+      ...(network ? ['--disable_clone_newnet'] : []),
+      '--keep_env',
+      '--',
+    ];
+    return { argv: [...args, ...limited, ...argv], cwd: dir, workdir: WORKDIR, isolation, spawnAs: {} };
+  }
+
+  // rlimit: prlimit, then unshare for the network, as nobody when we're root
+  const spawnAs = info.root ? info.user : {};
+  if (info.root) {
+    isolation.user = 'nobody';
+    chownSync(dir, info.user.uid, info.user.gid);
+  } else {
+    isolation.warnings.push('Runs as the server\'s user — install bubblewrap to isolate the filesystem');
+  }
+  let net = [];
+  if (!network) {
+    if (info.netns) net = [info.unshare, '-rn', '--'];
+    else {
+      isolation.network = 'host';
+      isolation.warnings.push('Network not isolated — unshare / user namespaces unavailable');
+    }
+  }
+  return { argv: [...limited, ...net, ...argv], cwd: dir, workdir: dir, isolation, spawnAs };
+}
+
+// ── Running ──
+
+// Running out of memory looks like any other crash (MemoryError, ENOMEM,
+// SIGSEGV / SIGABRT from the allocator), so a failed run that peaked near
+// the limit is blamed on it; likewise a SIGKILL at the CPU limit
+function overLimit(code, signal, stats, limits) {
+  if (code === 0) return null;
+  if (signal === 'SIGKILL' && stats.cpu_ms >= limits.cpuSeconds * 1000 * 0.9) return 'cpu';
+  if (stats.peak_memory_kb >= limits.memoryMb * 1024 * 0.9) return 'memory';
+  return null;
+}
+
+function signalName(signal) {
+  if (!signal) return null;
+  return typeof signal === 'string' ? signal : Object.keys(osConstants.signals).find(k => osConstants.signals[k] === signal) || String(signal);
+}
+
+function runStep(argv, { dir, limits, network, hide, backend, stdin }) {
+  const w = wrap(backend, argv, { dir, limits, network, hide });
+  const env = {
+    PATH: process.env.PATH,
+    HOME: w.workdir,
+    TMPDIR: w.workdir,
+    LANG: process.env.LANG || 'C.UTF-8',
+    // Toolchains that want a writable cache
+    GOCACHE: join(w.workdir, '.cache', 'go-build'),
+    GOPATH: join(w.workdir, 'go'),
+    npm_config_cache: join(w.workdir, '.npm'),
+    ...(process.platform === 'win32' ? { SystemRoot: process.env.SystemRoot, TEMP: w.workdir, TMP: w.workdir } : {}),
+  };
+
+  return new Promise((resolve) => {
+    const started = Date.now();
+    const child = spawn(w.argv[0], w.argv.slice(1), {
+      cwd: w.cwd,
+      env,
+      ...w.spawnAs,
+      detached: process.platform !== 'win32',   // own process group, killed as a whole
+      shell: process.platform === 'win32',      // npx.cmd and friends
+      windowsHide: true,
+    });
+    const usage = child.pid ? trackUsage(child.pid) : null;
+    const out = { stdout: [], stderr: [], bytes: 0 };
+    let limit = null;
+
+    const kill = (reason) => {
+      if (limit) return;
+      limit = reason;
+      try {
+        if (process.platform === 'win32') child.kill('SIGKILL');
+        else process.kill(-child.pid, 'SIGKILL');
+      } catch {}
+    };
+    const collect = (stream) => (chunk) => {
+      out.bytes += chunk.length;
+      if (out.bytes > limits.outputBytes) return kill('output');
+      out[stream].push(chunk);
+    };
+    child.stdout.on('data', collect('stdout'));
+    child.stderr.on('data', collect('stderr'));
+    child.stdin.on('error', () => {});
+    child.stdin.end(stdin ?? '');
+    const timer = setTimeout(() => kill('timeout'), limits.timeoutMs);
+
+    const finish = (code, signal, spawnError = null) => {
+      clearTimeout(timer);
+      const stats = usage ? usage.stop() : { cpu_ms: null, peak_memory_kb: null };
+      const sig = signalName(signal);
+      resolve({
+        exit_code: code ?? null,
+        signal: sig,
+        limit: limit || SIGNAL_LIMITS[sig] || overLimit(code, sig, stats, limits),
+        timed_out: limit === 'timeout',
+        stdout: Buffer.concat(out.stdout).toString('utf8'),
+        stderr: spawnError ? spawnError.message : Buffer.concat(out.stderr).toString('utf8'),
+        wall_ms: Date.now() - started,
+        ...stats,
+        sandbox: w.isolation,
+      });
+    };
+    child.on('error', (e) => finish(null, null, e));
+    child.on('close', (code, signal) => finish(code, signal));
+  });
+}
+
+// Run steps (e.g. compile, then run) in one fresh scratch directory holding
+// `files`; stops at the first step that fails. Returns the last step's
+// result, with the earlier ones under `steps`.
+export async function runSandboxed(steps, { files = {}, limits = {}, network, mode, stdin } = {}) {
+  const backend = resolveBackend(mode ?? config.mode);
+  const dir = mkdtempSync(join(tmpdir(), 'velle-run-'));
+  try {
+    for (const [name, content] of Object.entries(files)) writeFileSync(join(dir, name), content);
+    const done = [];
+    for (const step of steps) {
+      const r = await runStep(step.argv, {
+        dir,
+        backend,
+        limits: { ...config.limits, ...limits, ...step.limits },
+        network: network ?? config.network,
+        hide: config.hide,
+        stdin: step.stdin ?? stdin,
+      });
+      done.push({ name: step.name, ...r });
+      if (r.exit_code !== 0) break;
+    }
+    const last = done[done.length - 1];
+    return { ...last, step: last.name, steps: done.slice(0, -1).map(({ stdout, stderr, sandbox, ...s }) => s) };
+  } finally {
+    try { rmSync(dir, { recursive: true, force: true }); } catch {}
+  }
+}
+
+// ── Formatting ──
+
+export function formatUsage(r) {
+  const parts = [];
+  parts.push(r.signal ? `killed by ${r.signal}` : `exit ${r.exit_code ?? '?'}`);
+  if (r.cpu_ms !== null && r.cpu_ms !== undefined) parts.push(`${r.cpu_ms} ms CPU`);
+  if (r.peak_memory_kb) parts.push(r.peak_memory_kb < 1024 ? `${r.peak_memory_kb} KB peak` : `${(r.peak_memory_kb / 1024).toFixed(1)} MB peak`);
+  parts.push(`${r.wall_ms} ms wall`);
+  if (r.sandbox) parts.push(`${r.sandbox.backend}${r.sandbox.network === 'none' ? ', no network' : ''}`);
+  return parts.join(' · ');
+}
+
+const LIMIT_TEXT = {
+  cpu: 'CPU time limit reached',
+  memory: 'memory limit reached',
+  file_size: 'file size limit reached',
+  timeout: 'wall-clock timeout',
+  output: 'output limit reached',
+};
+
+export function limitMessage(r, limits = config.limits) {
+  if (!r.limit) return null;
+  const detail = {
+    cpu: `${limits.cpuSeconds}s`,
+    memory: `${limits.memoryMb} MB`,
+    file_size: `${limits.fileSizeMb} MB`,
+    timeout: `${Math.round(limits.timeoutMs / 1000)}s`,
+    output: `${Math.round(limits.outputBytes / 1024)} KB`,
+  }[r.limit];
+  return `${LIMIT_TEXT[r.limit]} (${detail})`;
+}
+
+export function formatSandboxStatus(cfg = getSandboxConfig(), info = detectSandbox()) {
+  const l = cfg.limits;
+  let out = '## 🧪 Code Sandbox\n\n';
+  out += `**Backend:** ${cfg.backend}${cfg.mode === 'auto' ? ' (auto)' : ''} · **Network:** ${cfg.network ? 'allowed' : 'blocked'}\n`;
+  out += `**Limits:** ${l.cpuSeconds}s CPU · ${l.memoryMb} MB memory · ${l.fileSizeMb} MB files · ${l.processes} processes · ${Math.round(l.timeoutMs / 1000)}s wall\n`;
+  const tools = ['bwrap', 'nsjail', 'prlimit', 'unshare'].map(t => `${info[t] ? '✅' : '—'} ${t}`).join(' · ');
+  out += `**Available:** ${tools}\n`;
+  if (cfg.backend === 'rlimit' && !info.root) out += '\n⚠ Runs as the server\'s user — install bubblewrap (`bwrap`) to isolate the filesystem.\n';
+  if (cfg.backend === 'off') out += '\n⚠ No isolation: code runs with the server\'s privileges.\n';
+  return out;
+}
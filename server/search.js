@@ -0,0 +1,158 @@
+// ═══════════════════════════════════════════════════════════════
+//  VELLE.AI — Full-Text Search
+//  • One FTS5 index per data store, kept in sync by triggers
+//  • BM25 ranking with per-column weights (titles count more)
+//  • Unified search across every store, grouped by type
+// ═══════════════════════════════════════════════════════════════
+
+// Indexed stores. `columns` are the text columns in the index, `weights`
+// their BM25 weights, `title` picks a display title for a row.
+export const SEARCH_SOURCES = {
+  conversation: {
+    table: 'conversations', label: 'Conversations', icon: '💬',
+    columns: ['content'], weights: [1],
+    title: r => `${r.role === 'user' ? 'You' : 'AI'} · ${r.timestamp}`,
+  },
+  memory: {
+    table: 'memories', label: 'Memories', icon: '🧠',
+    columns: ['content', 'category'], weights: [1, 0.5],
+    title: r => r.category,
+  },
+  journal: {
+    table: 'journal', label: 'Journal', icon: '📓',
+    columns: ['content', 'tags'], weights: [1, 0.5],
+    title: r => `Entry · ${r.created_at?.slice(0, 10)}`,
+  },
+  knowledge: {
+    table: 'knowledge', label: 'Knowledge', icon: '📚',
+    columns: ['title', 'content', 'tags'], weights: [3, 1, 0.5],
+    title: r => r.title,
+  },
+  bookmark: {
+    table: 'bookmarks', label: 'Bookmarks', icon: '🔖',
+    columns: ['content', 'note', 'tags'], weights: [1, 2, 0.5],
+    title: r => r.note || r.content.slice(0, 60),
+  },
+  snippet: {
+    table: 'snippets', label: 'Snippets', icon: '📎',
+    columns: ['name', 'code', 'tags'], weights: [3, 1, 0.5],
+    title: r => r.language ? `${r.name} (${r.language})` : r.name,
+  },
+  todo: {
+    table: 'todos', label: 'Tasks', icon: '📋',
+    columns: ['content', 'project', 'tags'], weights: [1, 0.5, 0.5],
+    title: r => `${r.status === 'done' ? '✅' : '⬜'} ${r.project}`,
+  },
+};
+
+function sourceFor(table) {
+  const source = Object.values(SEARCH_SOURCES).find(s => s.table === table);
+  if (!source) throw new Error(`No search index defined for ${table}`);
+  return source;
+}
+
+// Create `<table>_fts` and its sync triggers. Rows that existed before the
+// index are indexed once, when it's first created.
+export function ensureFtsIndex(db, table) {
+  const { columns } = sourceFor(table);
+  const fts = `${table}_fts`;
+  const exists = db.prepare('SELECT 1 FROM sqlite_master WHERE name = ?').get(fts);
+  const cols = columns.join(', ');
+  const newVals = columns.map(c => `new.${c}`).join(', ');
+  const oldVals = columns.map(c => `old.${c}`).join(', ');
+
+  db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS ${fts} USING fts5(
+      ${cols}, content='${table}', content_rowid='id', tokenize='porter unicode61'
+    );
+    CREATE TRIGGER IF NOT EXISTS ${fts}_ai AFTER INSERT ON ${table} BEGIN
+      INSERT INTO ${fts}(rowid, ${cols}) VALUES (new.id, ${newVals});
+    END;
+    CREATE TRIGGER IF NOT EXISTS ${fts}_ad AFTER DELETE ON ${table} BEGIN
+      INSERT INTO ${fts}(${fts}, rowid, ${cols}) VALUES ('delete', old.id, ${oldVals});
+    END;
+    CREATE TRIGGER IF NOT EXISTS ${fts}_au AFTER UPDATE OF ${cols} ON ${table} BEGIN
+      INSERT INTO ${fts}(${fts}, rowid, ${cols}) VALUES ('delete', old.id, ${oldVals});
+      INSERT INTO ${fts}(rowid, ${cols}) VALUES (new.id, ${newVals});
+    END;
+  `);
+  if (!exists) db.exec(`INSERT INTO ${fts}(${fts}) VALUES ('rebuild')`);
+}
+
+// Free text → FTS5 query. Every word must match (any: true for at least
+// one), the last as a prefix. Quoting each term keeps punctuation and FTS
+// operators in user input inert.
+export function ftsQuery(text = '', { any = false } = {}) {
+  const words = text.match(/[\p{L}\p{N}_]+/gu) || [];
+  if (!words.length) return null;
+  return words.map((w, i) => `"${w}"${i === words.length - 1 ? '*' : ''}`).join(any ? ' OR ' : ' ');
+}
+
+// Rows of `table` matching `query`, best first. Each row gets `rank`
+// (BM25, lower is better) and `snippet` with matches in **bold**.
+export function ftsSearch(db, table, query, { limit = 20, any = false } = {}) {
+  const match = ftsQuery(query, { any });
+  if (!match) return [];
+  const { weights } = sourceFor(table);
+  const fts = `${table}_fts`;
+  return db.prepare(`
+    SELECT t.*, bm25(${fts}, ${weights.join(', ')}) as rank,
+           snippet(${fts}, -1, '**', '**', '…', 12) as snippet
+    FROM ${fts} JOIN ${table} t ON t.id = ${fts}.rowid
+    WHERE ${fts} MATCH ?
+    ORDER BY rank
+    LIMIT ?
+  `).all(match, limit);
+}
+
+export class SearchEngine {
+  // Indexes are created by migrations.js
+  constructor(db) {
+    this.db = db;
+  }
+
+  // Search every store (or just `types`). Groups come back ordered by their
+  // best hit; results inside a group by rank.
+  search(query, { types = Object.keys(SEARCH_SOURCES), limit = 10 } = {}) {
+    const groups = [];
+    for (const type of types) {
+      const source = SEARCH_SOURCES[type];
+      if (!source) continue;
+      const rows = ftsSearch(this.db, source.table, query, { limit });
+      if (!rows.length) continue;
+      groups.push({
+        type, label: source.label, icon: source.icon,
+        results: rows.map(r => ({
+          id: r.id,
+          title: source.title(r),
+          snippet: r.snippet,
+          rank: r.rank,
+          ...(r.session_id ? { session_id: r.session_id } : {}),
+        })),
+      });
+    }
+    groups.sort((a, b) => a.results[0].rank - b.results[0].rank);
+    return { query, total: groups.reduce((n, g) => n + g.results.length, 0), groups };
+  }
+
+  // Rebuild every index from its table, e.g. after a bulk import
+  rebuild() {
+    for (const { table } of Object.values(SEARCH_SOURCES)) {
+      const hasIndex = this.db.prepare('SELECT 1 FROM sqlite_master WHERE name = ?').get(`${table}_fts`);
+      if (hasIndex) this.db.exec(`INSERT INTO ${table}_fts(${table}_fts) VALUES ('rebuild')`);
+    }
+  }
+}
+
+export function formatSearchResults(res) {
+  if (!res.total) return `🔍 Nothing matches "${res.query}".`;
+  let out = `## 🔍 "${res.query}" — ${res.total} result(s)\n\n`;
+  for (const g of res.groups) {
+    out += `**${g.icon} ${g.label}**\n`;
+    for (const r of g.results.slice(0, 5)) {
+      out += `• #${r.id} ${r.title} — ${r.snippet.replace(/\n+/g, ' ')}\n`;
+    }
+    out += '\n';
+  }
+  return out;
+}
@@ -0,0 +1,302 @@
+// ═══════════════════════════════════════════════════════════════
+//  VELLE.AI — Sentiment
+//  • One scorer for chat mood and market headlines, -1 … +1
+//  • "lexicon": bundled VADER-style word valences with negation,
+//    intensifiers, "but" contrast, caps and exclamation emphasis
+//  • "llm": the local model with a JSON-only prompt, falling back
+//    to the lexicon when the reply can't be used
+//  • Scores cached in SQLite by a hash of model + text
+//  • evaluate() measures accuracy on the labelled set in
+//    test/fixtures/sentiment-eval.json
+// ═══════════════════════════════════════════════════════════════
+
+import { createHash } from 'crypto';
+import { existsSync, readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+
+export const SENTIMENT_MODELS = ['lexicon', 'llm'];
+// Bump when the lexicon or its rules change so cached scores are redone
+export const LEXICON_VERSION = 1;
+
+// Compound score at or past these is positive / negative (VADER's cut-offs)
+const POSITIVE_AT = 0.05;
+const NEGATIVE_AT = -0.05;
+const MAX_TEXT = 2000;
+
+// Hand-labelled chat messages and headlines, weighted toward what keyword
+// counting gets wrong. It lives with the tests, which hold the lexicon to
+// an accuracy floor on it.
+export const SENTIMENT_EVAL_PATH = fileURLToPath(new URL('../test/fixtures/sentiment-eval.json', import.meta.url));
+
+export class SentimentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SentimentError';
+  }
+}
+
+// ── Lexicon ──
+
+// Valence from -4 (worst) to +4 (best). Whole words only, so "unhappy"
+// is its own entry rather than a match on "happy".
+const LEXICON = {
+  // General
+  love: 3.2, loved: 2.9, loving: 2.9, lovely: 2.8, adore: 3, happy: 2.7, happier: 2.6, happiest: 3.2, glad: 2, joy: 2.8,
+  great: 3.1, awesome: 3.1, amazing: 2.8, excellent: 3.2, wonderful: 2.7, fantastic: 2.6, brilliant: 2.8, perfect: 2.7,
+  good: 1.9, nice: 1.8, fine: 0.8, ok: 0.9, okay: 0.9, cool: 1.3, sweet: 2, fun: 2.3, enjoy: 2.2, enjoyed: 2.3, beautiful: 2.9,
+  thanks: 1.9, thank: 1.5, appreciate: 1.9, helpful: 1.8, impressive: 2.3, excited: 2.2, exciting: 2.2, yay: 2.4, haha: 1.6,
+  lol: 1.8, yes: 1.2, win: 2.8, won: 2.7, winning: 2.4, success: 2.7, successful: 2.8, proud: 2.1, relieved: 1.8, calm: 1.3,
+  best: 3.2, better: 1.9, easy: 1.9, solved: 1.9, works: 1.2, working: 0.8, finally: 0.9, hope: 1.9, hopeful: 2.3,
+  unhappy: -1.8, sad: -2.1, sadly: -1.8, angry: -2.3, mad: -2.2, frustrated: -2, frustrating: -2.2, hate: -2.7, hated: -3.2,
+  terrible: -2.1, awful: -2, horrible: -2.5, bad: -2.5, worse: -2.1, worst: -3.1, annoyed: -1.6, annoying: -1.7, upset: -1.6,
+  disappointed: -1.9, disappointing: -2.2, depressed: -2.3, anxious: -1, worried: -1.2, worry: -1.9, stressed: -1.4, stress: -1.8,
+  tired: -1.9, exhausted: -1.5, sick: -2.3, boring: -1.3, bored: -1.1, stupid: -2.4, ugh: -1.8, damn: -1.7, crap: -1.6,
+  fail: -2.5, failed: -2.3, failing: -2.3, failure: -2.3, sucks: -1.5, broken: -2.1, lost: -1.3, confused: -1.3, confusing: -0.9,
+  hurt: -2.4, pain: -2.3, painful: -2.4, lonely: -1.5, miserable: -2.2, scared: -1.9, afraid: -2, fear: -2.2, nervous: -1.1,
+  problem: -1.7, problems: -1.7, wrong: -2.1, useless: -1.8, hopeless: -2, cry: -2.1, crying: -2.1, sorry: -0.3, no: -1.2,
+  // Markets
+  beat: 1.5, beats: 1.5, surge: 2, surges: 2, surged: 2, rally: 1.8, rallies: 1.8, soar: 2.4, soars: 2.4, soared: 2.4,
+  jump: 1.4, jumps: 1.4, jumped: 1.4, gain: 1.8, gains: 1.8, rise: 1.3, rises: 1.3, rose: 1.3, climb: 1.2, climbs: 1.2,
+  boost: 1.7, boosts: 1.7, profit: 1.8, profits: 1.8, profitable: 1.9, growth: 1.6, record: 1, strong: 1.9, stronger: 1.9,
+  outperform: 1.8, outperforms: 1.8, upgrade: 1.9, upgrades: 1.9, upgraded: 1.9, bullish: 2, raise: 0.8, raises: 0.9, raised: 0.9,
+  tops: 1.3, exceed: 1.4, exceeds: 1.4, robust: 1.7, approval: 1.6, approved: 1.7, breakthrough: 2.2, recovery: 1.4, rebound: 1.4,
+  miss: -1.5, misses: -1.6, missed: -1.6, drop: -1.3, drops: -1.3, dropped: -1.3, plunge: -2.4, plunges: -2.4, plunged: -2.4,
+  crash: -2.8, crashes: -2.8, tumble: -2, tumbles: -2, slump: -1.9, slumps: -1.9, slide: -1.3, slides: -1.3, sink: -1.6, sinks: -1.6,
+  fall: -1.3, falls: -1.3, fell: -1.3, decline: -1.5, declines: -1.5, loss: -1.8, losses: -1.9, weak: -1.9, weaker: -1.9,
+  downgrade: -1.9, downgrades: -1.9, downgraded: -1.9, bearish: -2, warn: -1.6, warns: -1.6, warning: -1.4, cut: -1.1, cuts: -1.1,
+  lawsuit: -1.8, sued: -1.9, probe: -1.4, investigation: -1.3, fraud: -3, bankruptcy: -3, bankrupt: -3, default: -1.8,
+  layoffs: -2, recall: -1.5, selloff: -2, 'sell-off': -2, underperform: -1.8, concern: -1.2, concerns: -1.2, risk: -0.8, volatile: -0.6,
+};
+
+// Words that strengthen (or soften) the next sentiment word
+const BOOSTERS = {
+  absolutely: 0.293, very: 0.293, really: 0.293, so: 0.293, extremely: 0.293, incredibly: 0.293, totally: 0.293,
+  super: 0.293, truly: 0.293, highly: 0.293, hugely: 0.293, most: 0.293, sharply: 0.293, deeply: 0.293, completely: 0.293,
+  slightly: -0.293, somewhat: -0.293, barely: -0.293, marginally: -0.293, kinda: -0.293, little: -0.293, mildly: -0.293,
+};
+
+const NEGATIONS = new Set([
+  'not', 'no', 'never', 'nothing', 'nobody', 'none', 'neither', 'nor', 'nowhere', 'without', 'hardly', 'rarely',
+  'cannot', 'cant', 'dont', 'doesnt', 'didnt', 'isnt', 'arent', 'wasnt', 'werent', 'wont', 'wouldnt', 'shouldnt',
+  'couldnt', 'aint', 'hasnt', 'havent', 'hadnt', 'fails', 'lacks',
+]);
+
+const EMOJI = {
+  '😀': 2, '😁': 2, '😂': 1.6, '🤣': 1.6, '😃': 2, '😄': 2, '😅': 0.8, '😆': 1.6, '😊': 2.2, '😍': 2.8, '🥰': 2.8, '😘': 2,
+  '🤗': 2, '🎉': 2.2, '🎊': 2, '🚀': 1.8, '💪': 1.6, '✅': 1.2, '👍': 1.8, '❤': 2.8, '🔥': 1.4, '⭐': 1.4,
+  '😢': -2.2, '😭': -2.4, '😤': -1.8, '😡': -2.8, '🤬': -3, '😰': -2, '😥': -1.8, '😞': -2, '😔': -1.8, '💀': -1.2,
+  '☠️': -1.5, '👎': -1.8, '😵': -1.4, '😖': -1.8, '😫': -2, '😩': -2,
+};
+
+const NEGATION_SCALAR = -0.74;
+const CAPS_BOOST = 0.733;
+const EMPHASIS_PER_BANG = 0.292;
+
+const clamp = (x) => Math.max(-1, Math.min(1, x));
+const normalize = (sum) => clamp(sum / Math.sqrt(sum * sum + 15));
+
+export function labelOf(score) {
+  return score >= POSITIVE_AT ? 'positive' : score <= NEGATIVE_AT ? 'negative' : 'neutral';
+}
+
+function tokenize(text) {
+  return String(text).split(/\s+/)
+    .map(word => ({ raw: word.replace(/^[^\w']+|[^\w']+$/g, '') }))
+    .filter(t => t.raw);
+}
+
+// "doesn't" → "doesnt", "can't" → "cant"
+const plain = (word) => word.toLowerCase().replace(/'/g, '');
+
+// VADER's rules, trimmed to the ones that pay off on short chat messages
+// and headlines. Returns the compound score and the words that moved it.
+export function scoreLexicon(text) {
+  const str = String(text || '').slice(0, MAX_TEXT);
+  const tokens = tokenize(str);
+  const words = tokens.map(t => plain(t.raw));
+  const shouting = tokens.some(t => /[a-z]/.test(t.raw)) && tokens.some(t => t.raw.length > 1 && t.raw === t.raw.toUpperCase() && /[A-Z]/.test(t.raw));
+  const butAt = words.lastIndexOf('but');
+
+  const hits = [];
+  let sum = 0;
+  for (let i = 0; i < words.length; i++) {
+    const base = LEXICON[words[i]] ?? LEXICON[words[i].replace(/s$/, '')];
+    if (base == null || BOOSTERS[words[i]] != null) continue;
+    let v = base;
+
+    if (shouting && tokens[i].raw === tokens[i].raw.toUpperCase()) v += Math.sign(v) * CAPS_BOOST;
+
+    // The three words before: intensifiers (fading with distance) and negation
+    let negated = false;
+    for (let back = 1; back <= 3 && i - back >= 0; back++) {
+      const w = words[i - back];
+      if (BOOSTERS[w] != null) v += Math.sign(v) * BOOSTERS[w] * (1 - 0.05 * (back - 1));
+      if (NEGATIONS.has(w)) negated = true;
+    }
+    if (negated) v *= NEGATION_SCALAR;
+
+    // "It was good but the ending was awful" is mostly about the ending
+    if (butAt >= 0) v *= i < butAt ? 0.5 : i > butAt ? 1.5 : 1;
+
+    hits.push({ word: tokens[i].raw, valence: Math.round(v * 100) / 100 });
+    sum += v;
+  }
+
+  for (const [emoji, v] of Object.entries(EMOJI)) {
+    const n = str.split(emoji).length - 1;
+    if (n) { hits.push({ word: emoji, valence: v * n }); sum += v * n; }
+  }
+
+  if (sum !== 0) {
+    const bangs = Math.min(4, (str.match(/!/g) || []).length);
+    sum += Math.sign(sum) * bangs * EMPHASIS_PER_BANG;
+  }
+
+  const score = Math.round(normalize(sum) * 1000) / 1000;
+  return { score, label: labelOf(score), hits };
+}
+
+// ── LLM ──
+
+const LLM_PROMPT = `Rate the sentiment of the text the user sends. Reply with JSON only, no prose:
+{"score": <number from -1 (very negative) to 1 (very positive), 0 if neutral>, "label": "positive" | "negative" | "neutral"}
+Read negation and sarcasm carefully. For market headlines, rate what the news means for the company's stock.`;
+
+// The first {...} in the reply, so a model that wraps its JSON in a
+// sentence or a code fence still counts
+export function parseLlmScore(reply) {
+  const m = /\{[\s\S]*?\}/.exec(String(reply || ''));
+  if (!m) throw new SentimentError('No JSON in the model reply');
+  let parsed;
+  try { parsed = JSON.parse(m[0]); } catch { throw new SentimentError('Model reply is not valid JSON'); }
+  const score = Number(parsed.score);
+  if (!Number.isFinite(score)) throw new SentimentError('Model reply has no numeric score');
+  return { score: Math.round(clamp(score) * 1000) / 1000, label: labelOf(clamp(score)) };
+}
+
+export class SentimentService {
+  // `complete(messages, opts)` is the LLM call the "llm" model uses. The
+  // cache table is created by migrations.js; without a db nothing is cached.
+  constructor(db = null, { model = 'lexicon', complete = null } = {}) {
+    this.db = db;
+    this.complete = complete;
+    this.setModel(model);
+  }
+
+  setModel(model) {
+    if (!SENTIMENT_MODELS.includes(model)) throw new SentimentError(`Sentiment model must be one of: ${SENTIMENT_MODELS.join(', ')}`);
+    if (model === 'llm' && !this.complete) throw new SentimentError('The llm sentiment model needs an LLM provider');
+    this.model = model;
+  }
+
+  // Cache key part that changes whenever a model would score differently
+  _modelId(model) {
+    return model === 'lexicon' ? `lexicon-v${LEXICON_VERSION}` : 'llm';
+  }
+
+  _hash(modelId, text) {
+    return createHash('sha256').update(`${modelId}\n${text}`).digest('hex');
+  }
+
+  // { score: -1…1, label, model, cached }. A failed LLM call is scored
+  // by the lexicon instead and isn't cached.
+  async score(text, { model = this.model } = {}) {
+    const str = String(text || '').trim().slice(0, MAX_TEXT);
+    if (!str) return { score: 0, label: 'neutral', model, cached: false };
+    const modelId = this._modelId(model);
+    const hash = this._hash(modelId, str);
+
+    const hit = this.db?.prepare('SELECT score, label FROM sentiment_cache WHERE hash = ?').get(hash);
+    if (hit) return { ...hit, model, cached: true };
+
+    let result;
+    if (model === 'llm') {
+      try {
+        const reply = await this.complete([
+          { role: 'system', content: LLM_PROMPT },
+          { role: 'user', content: str },
+        ], { temperature: 0, timeoutMs: 20000 });
+        result = parseLlmScore(reply);
+      } catch (e) {
+        const { score, label } = scoreLexicon(str);
+        return { score, label, model: 'lexicon', cached: false, fallback: e.message };
+      }
+    } else {
+      const { score, label } = scoreLexicon(str);
+      result = { score, label };
+    }
+
+    this.db?.prepare('INSERT OR REPLACE INTO sentiment_cache (hash, model, score, label) VALUES (?, ?, ?, ?)')
+      .run(hash, modelId, result.score, result.label);
+    return { ...result, model, cached: false };
+  }
+
+  // One at a time — a local model serves a single request anyway
+  async scoreMany(texts, opts = {}) {
+    const out = [];
+    for (const t of texts) out.push(await this.score(t, opts));
+    return out;
+  }
+
+  // Accuracy on a labelled set ({ text, label, domain }), by label and domain
+  async evaluate({ model = this.model, cases = loadEvalSet() } = {}) {
+    const results = [];
+    for (const c of cases) {
+      const r = await this.score(c.text, { model });
+      results.push({ ...c, predicted: r.label, score: r.score, fallback: !!r.fallback });
+    }
+    const tally = (rows) => ({ total: rows.length, correct: rows.filter(r => r.predicted === r.label).length });
+    const group = (key) => Object.fromEntries([...new Set(results.map(r => r[key]))].map(v => [v, tally(results.filter(r => r[key] === v))]));
+    const { total, correct } = tally(results);
+    return {
+      model,
+      total,
+      correct,
+      accuracy: total ? correct / total : null,
+      by_label: group('label'),
+      by_domain: group('domain'),
+      fallbacks: results.filter(r => r.fallback).length,
+      misses: results.filter(r => r.predicted !== r.label),
+    };
+  }
+
+  cacheStats() {
+    if (!this.db) return { entries: 0, by_model: [] };
+    const by_model = this.db.prepare('SELECT model, COUNT(*) as entries FROM sentiment_cache GROUP BY model ORDER BY model').all();
+    return { entries: by_model.reduce((s, m) => s + m.entries, 0), by_model };
+  }
+
+  clearCache() {
+    return this.db ? this.db.prepare('DELETE FROM sentiment_cache').run().changes : 0;
+  }
+}
+
+// [{ domain, label, text }], label positive / negative / neutral
+export function loadEvalSet(path = SENTIMENT_EVAL_PATH) {
+  if (!existsSync(path)) throw new SentimentError(`No evaluation set at ${path}`);
+  return JSON.parse(readFileSync(path, 'utf-8'));
+}
+
+// ── Formatting ──
+
+export function formatSentimentScore(text, r) {
+  const icon = r.label === 'positive' ? '🙂' : r.label === 'negative' ? '🙁' : '😐';
+  let out = `${icon} **${r.label}** (${r.score >= 0 ? '+' : ''}${r.score.toFixed(2)}) — ${r.model}${r.cached ? ', cached' : ''}\n> ${text}`;
+  if (r.fallback) out += `\n_LLM unavailable (${r.fallback}), scored by the lexicon_`;
+  return out;
+}
+
+export function formatEvaluation(e) {
+  const pct = (t) => (t.total ? `${(t.correct / t.total * 100).toFixed(0)}%` : '—');
+  let out = `## 🎯 Sentiment Evaluation — ${e.model}\n\n`;
+  out += `**Accuracy:** ${pct(e)} (${e.correct}/${e.total})\n`;
+  out += `**By label:** ${Object.entries(e.by_label).map(([k, t]) => `${k} ${pct(t)}`).join(' · ')}\n`;
+  out += `**By domain:** ${Object.entries(e.by_domain).map(([k, t]) => `${k} ${pct(t)}`).join(' · ')}\n`;
+  if (e.fallbacks) out += `_${e.fallbacks} case(s) fell back to the lexicon_\n`;
+  if (e.misses.length) {
+    out += '\n**Misses:**\n';
+    for (const m of e.misses.slice(0, 10)) out += `• "${m.text}" — expected ${m.label}, got ${m.predicted} (${m.score.toFixed(2)})\n`;
+    if (e.misses.length > 10) out += `_…and ${e.misses.length - 10} more_\n`;
+  }
+  return out;
+}
@@ -0,0 +1,208 @@
+// ═══════════════════════════════════════════════════════════════
+//  VELLE.AI — Watchlists
+//  • Named ticker lists stored in SQLite, one of them the default
+//  • Add / remove / replace, CSV import and export
+//  • Every watchlist scan (/momentum, /dislocate, /moonshot, /ideas)
+//    runs over a list picked with --list NAME
+// ═══════════════════════════════════════════════════════════════
+
+// Seeds the "default" list on first run; edit the list, not this
+export const DEFAULT_WATCHLIST = [
+  'AAPL','MSFT','NVDA','GOOGL','AMZN','META','TSLA','AVGO','AMD','INTC',
+  'PLTR','RKLB','HIMS','SOFI','HOOD','COIN','MSTR','APP','SMCI','CRWD',
+  'CRM','ORCL','NFLX','DIS','PYPL','SQ','UBER','SHOP','SNOW','NET',
+  'DDOG','MDB','OKLO','CELH','OSCR','NBIS','RBRK','ABCL','OXY','ASTS',
+  'JPM','GS','BAC','V','MA','BRK.B','WMT','COST','HD','NKE',
+  'XOM','CVX','GLD','SLV','SCHD','SPY','QQQ','TEM','BIIB',
+];
+
+const MAX_SYMBOLS = 500;
+const NAME_PATTERN = /^[\w.-]{1,40}$/;
+// Tickers, share classes, indices and futures/crypto pairs: BRK.B ^GSPC ES=F BTC-USD
+const SYMBOL_PATTERN = /^\^?[A-Z0-9][A-Z0-9.=-]{0,14}$/;
+
+export class WatchlistError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WatchlistError';
+  }
+}
+
+// "aapl, msft nvda" or ['aapl', 'MSFT'] → ['AAPL', 'MSFT', 'NVDA'], deduplicated
+export function parseSymbols(input) {
+  const words = Array.isArray(input) ? input : String(input || '').split(/[\s,;]+/);
+  const symbols = [...new Set(words.map(w => String(w).trim().toUpperCase()).filter(Boolean))];
+  const bad = symbols.filter(s => !SYMBOL_PATTERN.test(s));
+  if (bad.length) throw new WatchlistError(`Not a ticker: ${bad.join(', ')}`);
+  return symbols;
+}
+
+// Symbols from a CSV: the "symbol" or "ticker" column when there's a
+// header, the first column otherwise. Blank lines and # comments are skipped.
+export function parseWatchlistCsv(text) {
+  const lines = String(text || '').split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith('#'));
+  if (!lines.length) return [];
+  const split = line => line.split(',').map(c => c.trim().replace(/^"|"$/g, ''));
+
+  const header = split(lines[0]).map(h => h.toLowerCase());
+  let col = header.findIndex(h => h === 'symbol' || h === 'ticker');
+  const hasHeader = col >= 0 || !SYMBOL_PATTERN.test(split(lines[0])[0].toUpperCase());
+  if (col < 0) col = 0;
+
+  return parseSymbols((hasHeader ? lines.slice(1) : lines).map(l => split(l)[col]).filter(Boolean));
+}
+
+// Pull "--list NAME" / "--list=NAME" out of slash command args
+export function parseListArg(text = '') {
+  const m = /(?:^|\s)--list(?:=|\s+)([\w.-]+)/.exec(text);
+  return { list: m ? m[1] : null, rest: m ? text.replace(m[0], ' ').trim() : text.trim() };
+}
+
+export class WatchlistManager {
+  // Tables are created by migrations.js
+  constructor(db) {
+    this.db = db;
+  }
+
+  list() {
+    return this.db.prepare(`
+      SELECT w.*, (SELECT COUNT(*) FROM watchlist_symbols s WHERE s.watchlist_id = w.id) as count
+      FROM watchlists w ORDER BY w.is_default DESC, w.name
+    `).all();
+  }
+
+  // By name; no name means the default list. Comes with its symbols.
+  get(name = null) {
+    const w = name
+      ? this.db.prepare('SELECT * FROM watchlists WHERE name = ?').get(name)
+      : this.db.prepare('SELECT * FROM watchlists ORDER BY is_default DESC, id LIMIT 1').get();
+    if (!w) throw new WatchlistError(name ? `No watchlist "${name}" — /watchlist to see them` : 'No watchlists — create one with /watchlist create NAME');
+    w.symbols = this.db.prepare('SELECT symbol FROM watchlist_symbols WHERE watchlist_id = ? ORDER BY id').all(w.id).map(r => r.symbol);
+    return w;
+  }
+
+  // What a scan should run over
+  symbols(name = null) {
+    return this.get(name).symbols;
+  }
+
+  create(name, { description = null, symbols = [] } = {}) {
+    if (!NAME_PATTERN.test(name || '')) throw new WatchlistError('Watchlist names are letters, digits, "_", "-" or "."');
+    if (this.db.prepare('SELECT 1 FROM watchlists WHERE name = ?').get(name)) throw new WatchlistError(`Watchlist "${name}" already exists`);
+    const syms = parseSymbols(symbols);
+    this.db.transaction(() => {
+      const first = !this.db.prepare('SELECT 1 FROM watchlists').get();
+      this.db.prepare('INSERT INTO watchlists (name, description, is_default) VALUES (?, ?, ?)').run(name, description, first ? 1 : 0);
+      this._insert(name, syms);
+    })();
+    return this.get(name);
+  }
+
+  // Rename, re-describe, or make it the default
+  update(name, { name: newName, description, is_default } = {}) {
+    const w = this.get(name);
+    if (newName && newName !== w.name) {
+      if (!NAME_PATTERN.test(newName)) throw new WatchlistError('Watchlist names are letters, digits, "_", "-" or "."');
+      if (this.db.prepare('SELECT 1 FROM watchlists WHERE name = ? AND id != ?').get(newName, w.id)) {
+        throw new WatchlistError(`Watchlist "${newName}" already exists`);
+      }
+    }
+    this.db.transaction(() => {
+      this.db.prepare(`
+        UPDATE watchlists SET name = COALESCE(?, name), description = COALESCE(?, description),
+          updated_at = datetime('now','localtime') WHERE id = ?
+      `).run(newName || null, description ?? null, w.id);
+      if (is_default) {
+        this.db.prepare('UPDATE watchlists SET is_default = (id = ?)').run(w.id);
+      }
+    })();
+    return this.get(newName || w.name);
+  }
+
+  // The default list can't go; make another one the default first
+  delete(name) {
+    const w = this.get(name);
+    if (w.is_default) throw new WatchlistError(`"${w.name}" is the default watchlist — make another one the default first`);
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM watchlist_symbols WHERE watchlist_id = ?').run(w.id);
+      this.db.prepare('DELETE FROM watchlists WHERE id = ?').run(w.id);
+    })();
+    return true;
+  }
+
+  // Returns { added, skipped } — skipped were already on the list
+  add(name, symbols) {
+    const w = this.get(name);
+    const syms = parseSymbols(symbols);
+    const added = syms.filter(s => !w.symbols.includes(s));
+    if (w.symbols.length + added.length > MAX_SYMBOLS) throw new WatchlistError(`Watchlists hold at most ${MAX_SYMBOLS} symbols`);
+    this.db.transaction(() => this._insert(w.name, added))();
+    return { added, skipped: syms.filter(s => w.symbols.includes(s)) };
+  }
+
+  // Returns { removed, missing }
+  remove(name, symbols) {
+    const w = this.get(name);
+    const syms = parseSymbols(symbols);
+    const del = this.db.prepare('DELETE FROM watchlist_symbols WHERE watchlist_id = ? AND symbol = ?');
+    const removed = syms.filter(s => del.run(w.id, s).changes > 0);
+    this._touch(w.id);
+    return { removed, missing: syms.filter(s => !removed.includes(s)) };
+  }
+
+  // Swap the whole contents
+  replace(name, symbols) {
+    const w = this.get(name);
+    const syms = parseSymbols(symbols);
+    if (syms.length > MAX_SYMBOLS) throw new WatchlistError(`Watchlists hold at most ${MAX_SYMBOLS} symbols`);
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM watchlist_symbols WHERE watchlist_id = ?').run(w.id);
+      this._insert(w.name, syms);
+    })();
+    return this.get(w.name);
+  }
+
+  // Add (or with replace: swap in) the symbols of a CSV. The list is
+  // created if it doesn't exist yet.
+  importCsv(name, text, { replace = false } = {}) {
+    const symbols = parseWatchlistCsv(text);
+    if (!symbols.length) throw new WatchlistError('No symbols found in the CSV');
+    const exists = !!this.db.prepare('SELECT 1 FROM watchlists WHERE name = ?').get(name);
+    if (!exists) return { ...this.create(name, { symbols }), added: symbols, skipped: [] };
+    if (replace) return { ...this.replace(name, symbols), added: symbols, skipped: [] };
+    const r = this.add(name, symbols);
+    return { ...this.get(name), ...r };
+  }
+
+  exportCsv(name) {
+    return ['symbol', ...this.get(name).symbols].join('\n') + '\n';
+  }
+
+  _insert(name, symbols) {
+    const { id } = this.db.prepare('SELECT id FROM watchlists WHERE name = ?').get(name);
+    const ins = this.db.prepare('INSERT OR IGNORE INTO watchlist_symbols (watchlist_id, symbol) VALUES (?, ?)');
+    for (const s of symbols) ins.run(id, s);
+    this._touch(id);
+  }
+
+  _touch(id) {
+    this.db.prepare("UPDATE watchlists SET updated_at = datetime('now','localtime') WHERE id = ?").run(id);
+  }
+}
+
+export function formatWatchlists(lists) {
+  if (!lists.length) return '👀 No watchlists. Create one with `/watchlist create NAME TICKERS`.';
+  let text = '## 👀 Watchlists\n\n';
+  for (const w of lists) {
+    text += `• **${w.name}**${w.is_default ? ' ⭐' : ''} — ${w.count} symbol(s)${w.description ? ` · ${w.description}` : ''}\n`;
+  }
+  text += '\nScan one with `--list NAME`, e.g. `/momentum 10 --list tech`.';
+  return text;
+}
+
+export function formatWatchlist(w) {
+  let text = `## 👀 ${w.name}${w.is_default ? ' ⭐' : ''} (${w.symbols.length})\n`;
+  if (w.description) text += `_${w.description}_\n`;
+  text += '\n' + (w.symbols.length ? w.symbols.join(' · ') : '_Empty — add tickers with `/watchlist add ' + w.name + ' TICKERS`._');
+  return text;
+}
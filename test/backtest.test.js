@@ -0,0 +1,142 @@
+// The backtest engine on test/fixtures/backtest/SWING.csv: 30 daily bars
+// (2024-01-02 to 2024-02-12) that sit flat at 100, rally to 120 on bars
+// 3-4, drop through 110 intrabar on bar 9, and slide from 115 to 100 on
+// bars 15-16. A scripted strategy trades it so every fill, fee and
+// metric below can be worked out by hand.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'url';
+import { CsvMarketData } from '../server/marketdata.js';
+import { runBacktest, parseRule, seriesFor, StrategyError } from '../server/backtest.js';
+
+const market = new CsvMarketData({ dir: fileURLToPath(new URL('fixtures/backtest', import.meta.url)) });
+
+// Signal on the close of bar i → filled at bar i + 1's open
+function scripted(schedule) {
+  return { name: 'scripted', signal: ({ i }) => schedule[i] ?? null };
+}
+
+const near = (actual, expected, label, eps = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) <= eps * Math.max(1, Math.abs(expected)), `${label}: ${actual} ≠ ${expected}`);
+
+// Annualized (×√252) mean over population standard deviation, and over
+// downside deviation, of the daily returns
+function ratios(equity) {
+  const r = equity.slice(1).map((v, i) => v / equity[i] - 1);
+  const mean = r.reduce((a, b) => a + b, 0) / r.length;
+  const std = Math.sqrt(r.reduce((a, x) => a + (x - mean) ** 2, 0) / r.length);
+  const down = Math.sqrt(r.reduce((a, x) => a + Math.min(x, 0) ** 2, 0) / r.length);
+  return { sharpe: mean / std * Math.sqrt(252), sortino: mean / down * Math.sqrt(252) };
+}
+
+test('fills pay slippage and commission; stops and shorts book the right P&L', async () => {
+  const bt = await runBacktest('SWING', scripted({ 1: 'long', 4: 'flat', 7: 'long', 14: 'short', 17: 'flat' }), {
+    range: 'max', capital: 10000, commission: 0.001, slippage: 0.01, stop_loss: 0.05, short: true,
+  }, market);
+  assert.equal(bt.error, undefined);
+  assert.equal(bt.start_date, '2024-01-02');
+  assert.equal(bt.end_date, '2024-02-12');
+
+  // 1. Long at bar 2's open: 100 + 1% slippage = 101, and the whole
+  //    10,000 buys 10,000 / (101 × 1.001) shares with the 0.1% fee on top.
+  //    Out at bar 5's open: 120 − 1% = 118.8, less 0.1%.
+  const q1 = 10000 / (101 * 1.001);
+  const cash1 = q1 * 118.8 * 0.999;
+  const pnl1 = (118.8 - 101) * q1 - q1 * 118.8 * 0.001 - q1 * 101 * 0.001;
+
+  // 2. Long at bar 8's open (121.2); bar 9 trades down to 110, through the
+  //    5% stop at 121.2 × 0.95 = 115.14, which fills at 115.14 − 1%
+  const q2 = cash1 / (121.2 * 1.001);
+  const stopFill = 121.2 * 0.95 * 0.99;
+  const cash2 = q2 * stopFill * 0.999;
+  const pnl2 = (stopFill - 121.2) * q2 - q2 * stopFill * 0.001 - q2 * 121.2 * 0.001;
+
+  // 3. Short at bar 15's open: sold at 115 − 1% = 113.85 (its stop, 5%
+  //    above, is never reached), covered at bar 18's open for 100 + 1%
+  const q3 = cash2 / (113.85 * 1.001);
+  const shortCash = cash2 + q3 * 113.85 * 0.999;
+  const cash3 = shortCash - q3 * 101 * 1.001;
+  const pnl3 = (113.85 - 101) * q3 - q3 * 101 * 0.001 - q3 * 113.85 * 0.001;
+
+  const { trades } = bt;
+  assert.deepEqual(trades.map(t => [t.side, t.entry_date.toISOString().slice(0, 10), t.exit_date.toISOString().slice(0, 10), t.reason, t.bars]), [
+    ['long', '2024-01-04', '2024-01-09', 'signal', 3],
+    ['long', '2024-01-12', '2024-01-15', 'stop', 2],
+    ['short', '2024-01-23', '2024-01-26', 'signal', 3],
+  ]);
+  near(trades[0].entry_price, 101, 'entry 1');
+  near(trades[0].exit_price, 118.8, 'exit 1');
+  near(trades[0].qty, q1, 'qty 1');
+  near(trades[0].pnl, pnl1, 'pnl 1');
+  near(trades[0].return, pnl1 / (101 * q1), 'return 1');
+  near(trades[1].exit_price, stopFill, 'stop fill');
+  near(trades[1].pnl, pnl2, 'pnl 2');
+  assert.ok(trades[1].pnl < 0);
+  near(trades[2].entry_price, 113.85, 'short entry');
+  near(trades[2].exit_price, 101, 'short cover');
+  near(trades[2].qty, q3, 'short qty');
+  near(trades[2].pnl, pnl3, 'short pnl');
+  near(cash3, 10000 + pnl1 + pnl2 + pnl3, 'cash adds up');
+
+  // Equity marked at each close: cash plus (or, short, minus) the shares
+  const equity = [
+    10000, 10000,
+    q1 * 100, q1 * 110, q1 * 120,
+    cash1, cash1, cash1,
+    q2 * 120,
+    cash2, cash2, cash2, cash2, cash2, cash2,
+    shortCash - q3 * 110, shortCash - q3 * 100, shortCash - q3 * 100,
+    ...new Array(12).fill(cash3),
+  ].map(v => +v.toFixed(2));
+  assert.equal(bt.curve.dates.length, 30);
+  bt.curve.equity.forEach((v, i) => near(v, equity[i], `equity[${i}]`, 0.01 / equity[i]));
+  assert.deepEqual(bt.curve.benchmark.slice(0, 5), [10000, 10000, 10000, 11000, 12000]);
+
+  const m = bt.metrics;
+  const total = equity[29] / 10000 - 1;
+  near(m.total_return, total, 'total_return', 1e-6);
+  near(m.cagr, (1 + total) ** (365.25 / 41) - 1, 'cagr', 1e-6);   // Jan 2 → Feb 12
+  // Worst fall: from the bar 4 high-water mark to the stopped-out cash
+  near(m.max_drawdown, equity[9] / equity[4] - 1, 'max_drawdown', 1e-6);
+  const { sharpe, sortino } = ratios(equity);
+  near(m.sharpe, sharpe, 'sharpe', 1e-6);
+  near(m.sortino, sortino, 'sortino', 1e-6);
+  assert.equal(m.trades, 3);
+  near(m.win_rate, 2 / 3, 'win_rate');
+  near(m.avg_win, (pnl1 + pnl3) / 2, 'avg_win', 1e-8);
+  near(m.avg_loss, pnl2, 'avg_loss', 1e-8);
+  near(m.profit_factor, (pnl1 + pnl3) / -pnl2, 'profit_factor', 1e-8);
+  near(m.exposure, 7 / 30, 'exposure');   // bars 2-4, 8 and 15-17
+
+  // Buy and hold ends where it started
+  assert.equal(bt.benchmark.total_return, 0);
+  near(bt.benchmark.max_drawdown, 100 / 120 - 1, 'benchmark drawdown');
+});
+
+test('a take-profit fills at the target, and shorts need the short option', async () => {
+  const long = await runBacktest('SWING', scripted({ 1: 'long' }), {
+    range: 'max', slippage: 0.01, take_profit: 0.05,
+  }, market);
+  // Entry 101; bar 3 trades up to 110, through the target at 106.05
+  assert.equal(long.trades.length, 1);
+  assert.equal(long.trades[0].reason, 'target');
+  near(long.trades[0].exit_price, 101 * 1.05 * 0.99, 'target fill');
+
+  const noShort = await runBacktest('SWING', scripted({ 14: 'short', 17: 'flat' }), { range: 'max' }, market);
+  assert.deepEqual(noShort.trades, []);
+  assert.equal(noShort.metrics.win_rate, null);
+  assert.equal(noShort.curve.equity.at(-1), 10000);
+});
+
+test('rules read indicators and crossings off the bars', async () => {
+  const rows = (await market.chart('SWING', 'max')).slice(0, 6);
+  const series = seriesFor(rows);
+  const at = (rule) => rows.map((_, i) => parseRule(rule)(series, i));
+  // Closes 100 100 100 110 120 120; sma(2) is null, 100, 100, 105, 115, 120
+  assert.deepEqual(at('close crosses_above sma(2)'), [false, false, false, true, false, false]);
+  assert.deepEqual(at('close > sma(2) and change(1) > 5'), [false, false, false, true, true, false]);
+  assert.deepEqual(at('(close < 105 or high >= 120) and sma(2) > 0'), [false, true, true, false, true, true]);
+  assert.throws(() => parseRule('close >'), StrategyError);
+  assert.throws(() => parseRule('nope(3) > 1'), /Unknown indicator "nope"/);
+});
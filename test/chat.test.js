@@ -0,0 +1,152 @@
+// handleChat driven end to end by the mock provider: plain replies, native
+// tool calls, and the text-mode fallback for models without tool support —
+// plus the WebSocket protocol's handling of malformed messages.
+// The server is loaded in-process against a throwaway database.
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'events';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import WebSocket from 'ws';
+import { MockProvider } from '../server/providers.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'velle-chat-'));
+Object.assign(process.env, {
+  DB_PATH: join(dir, 'companion.db'),
+  EXPORT_DIR: join(dir, 'exports'),
+  LLM_PROVIDER: 'mock',
+  MODEL: 'mock-chat',
+  AUTH_MODE: 'none',
+  PORT: '0',
+});
+const { handleChat, providers, server, stop } = await import('../server/index.js');
+
+after(() => {
+  stop();
+  rmSync(dir, { recursive: true, force: true });
+});
+
+// Stands in for the WebSocket: collects every event handleChat sends
+function fakeSocket() {
+  return {
+    readyState: 1,
+    events: [],
+    send(raw) { this.events.push(JSON.parse(raw)); },
+    of(type) { return this.events.filter(e => e.type === type); },
+  };
+}
+
+// Scripted replies that also record what the model was sent each turn
+function script(...replies) {
+  const seen = [];
+  return {
+    seen,
+    replies: messages => {
+      seen.push(messages.map(m => ({ ...m })));
+      const next = replies[seen.length - 1];
+      return typeof next === 'function' ? next(messages) : next;
+    },
+  };
+}
+
+test('streams a plain reply and saves both sides', async () => {
+  providers.get('mock').replies = null;
+  const ws = fakeSocket();
+  await handleChat(ws, 'plain', 'default', 'hello there');
+
+  assert.deepEqual(ws.of('error'), []);
+  assert.equal(ws.of('message_saved').length, 1);
+  assert.equal(ws.of('stream_start').length, 1);
+  assert.equal(ws.of('stream_token').map(e => e.content).join(''), 'Mock reply to: hello there');
+  const [end] = ws.of('stream_end');
+  assert.equal(end.full_content, 'Mock reply to: hello there');
+  assert.equal(end.provider, 'mock');
+  assert.ok(end.message_id);
+});
+
+test('runs native tool calls and feeds the results back', async () => {
+  const { seen, replies } = script(
+    { content: '', tool_calls: [{ name: 'add_todo', arguments: { content: 'water the plants' } }] },
+    messages => `Done: ${messages.at(-1).content}`,
+  );
+  providers.get('mock').replies = replies;
+  const ws = fakeSocket();
+  await handleChat(ws, 'native', 'default', 'add a todo to water the plants');
+
+  assert.deepEqual(ws.of('error'), []);
+  const [result] = ws.of('command_result');
+  assert.equal(result.action, 'add_todo');
+  assert.equal(result.success, true);
+  assert.match(result.result, /water the plants/);
+
+  // Second turn: the assistant's call and its tool result, linked by id
+  assert.equal(seen.length, 2);
+  const [call, reply] = seen[1].slice(-2);
+  assert.equal(call.role, 'assistant');
+  assert.equal(call.tool_calls[0].name, 'add_todo');
+  assert.equal(reply.role, 'tool');
+  assert.equal(reply.tool_call_id, call.tool_calls[0].id);
+  assert.equal(ws.of('stream_end').at(-1).full_content, `Done: ${reply.content}`);
+});
+
+test('falls back to text-mode commands when the model rejects tools', async () => {
+  const { seen, replies } = script(
+    'On it. {"action": "add_todo", "content": "call the dentist"}',
+    'Added.',
+  );
+  providers.set('mock-text', new MockProvider({ name: 'mock-text', tools: false, replies }));
+  const ws = fakeSocket();
+  await handleChat(ws, 'text', 'default', 'remind me in my todos to call the dentist', { provider: 'mock-text' });
+
+  assert.deepEqual(ws.of('error'), []);
+  assert.match(seen[0][0].content, /## Available Commands/);
+
+  const [result] = ws.of('command_result');
+  assert.equal(result.action, 'add_todo');
+  assert.equal(result.success, true);
+  assert.match(result.result, /call the dentist/);
+
+  // The command JSON is stripped from what the user sees
+  const [partial, final] = ws.of('stream_end');
+  assert.equal(partial.full_content, 'On it.');
+  assert.equal(partial.partial, true);
+  assert.equal(final.full_content, 'Added.');
+  assert.equal(final.provider, 'mock-text');
+
+  // Results come back as a system message, not tool messages
+  assert.match(seen[1].at(-1).content, /^Command results:\n\[add_todo\]/);
+  assert.ok(!seen[1].some(m => m.role === 'tool'));
+});
+
+test('malformed branch messages get errors instead of crashing the server', async () => {
+  if (!server.listening) await once(server, 'listening');
+  const ws = new WebSocket(`ws://127.0.0.1:${server.address().port}`);
+  const replies = [];
+  ws.on('message', raw => replies.push(JSON.parse(raw)));
+  await once(ws, 'open');
+
+  const errorFor = async msg => {
+    const before = replies.length;
+    ws.send(typeof msg === 'string' ? msg : JSON.stringify(msg));
+    while (!replies.slice(before).some(r => r.type === 'error')) await new Promise(r => setTimeout(r, 10));
+    return replies.slice(before).find(r => r.type === 'error').content;
+  };
+
+  assert.match(await errorFor({ type: 'switch_branch', message_id: { a: 1 } }), /message_id must be an integer/);
+  assert.match(await errorFor({ type: 'switch_branch', message_id: '1' }), /message_id must be an integer/);
+  assert.match(await errorFor({ type: 'regenerate', message_id: [1] }), /message_id must be an integer/);
+  assert.match(await errorFor({ type: 'edit_message', message_id: { a: 1 }, content: 'hi' }), /integer message_id/);
+  assert.match(await errorFor({ type: 'edit_message', message_id: 1, content: { a: 1 } }), /non-empty content/);
+  assert.match(await errorFor({ type: 'edit_message', message_id: 1, content: '  ' }), /non-empty content/);
+  assert.match(await errorFor({ type: 'switch_branch', message_id: 999999 }), /not found in this session/);
+  assert.match(await errorFor('null'), /Expected a JSON object/);
+  // Anything else that throws is reported, not fatal
+  assert.match(await errorFor({ type: 'save_memory', content: { a: 1 } }), /save_memory failed/);
+
+  // Still serving
+  ws.send(JSON.stringify({ type: 'set_agent', enabled: true }));
+  while (!replies.some(r => r.type === 'agent_mode')) await new Promise(r => setTimeout(r, 10));
+  ws.close();
+});
@@ -0,0 +1,156 @@
+// The Myers diff: every edit script has to rebuild both inputs, and be as
+// short as the longest common subsequence allows. Random inputs come from
+// a seeded generator so a failure reproduces.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { myers, diffLines, diffWords, diffStats, hunks, unifiedPatch } from '../server/diff.js';
+
+// The tokens of a (same + removed) and of b (same + added), in order
+function rebuild(ops, a, b) {
+  const oldSide = [], newSide = [];
+  for (const op of ops) {
+    if (op.type !== 'added') oldSide.push(a[op.a]);
+    if (op.type !== 'removed') newSide.push(b[op.b]);
+    if (op.type === 'same') assert.equal(a[op.a], b[op.b]);
+  }
+  return { oldSide, newSide };
+}
+
+function assertScript(a, b, ops) {
+  const { oldSide, newSide } = rebuild(ops, a, b);
+  assert.deepEqual(oldSide, a);
+  assert.deepEqual(newSide, b);
+}
+
+// Textbook O(nm) longest common subsequence length
+function lcs(a, b) {
+  const row = new Array(b.length + 1).fill(0);
+  for (let i = 1; i <= a.length; i++) {
+    let diag = 0;
+    for (let j = 1; j <= b.length; j++) {
+      const up = row[j];
+      row[j] = a[i - 1] === b[j - 1] ? diag + 1 : Math.max(row[j], row[j - 1]);
+      diag = up;
+    }
+  }
+  return row[b.length];
+}
+
+function seeded(seed) {
+  return () => (seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648;
+}
+
+// Mini `patch`: apply a unified diff to the text it was made from
+function applyPatch(text, patch) {
+  const old = text.match(/[^\n]*\n|[^\n]+$/g) || [];
+  const out = [];
+  let cursor = 0, last = null;
+  for (const line of patch.split('\n').slice(2, -1)) {
+    const header = /^@@ -(\d+)(?:,(\d+))? /.exec(line);
+    if (header) {
+      const start = header[2] === '0' ? +header[1] : +header[1] - 1;
+      while (cursor < start) out.push(old[cursor++]);
+      continue;
+    }
+    if (line === '\\ No newline at end of file') {
+      if (last !== '-') out[out.length - 1] = out[out.length - 1].replace(/\n$/, '');
+      continue;
+    }
+    last = line[0];
+    if (last === '+') out.push(line.slice(1) + '\n');
+    else if (last === '-') cursor++;
+    else out.push(old[cursor++]);
+  }
+  while (cursor < old.length) out.push(old[cursor++]);
+  return out.join('');
+}
+
+test('empty and identical inputs', () => {
+  assert.deepEqual(myers([], []), []);
+  assert.deepEqual(myers([], ['x', 'y']), [{ type: 'added', a: null, b: 0 }, { type: 'added', a: null, b: 1 }]);
+  assert.deepEqual(myers(['x'], []), [{ type: 'removed', a: 0, b: null }]);
+  const same = ['a', 'b', 'c'];
+  assert.deepEqual(myers(same, [...same]), same.map((_, i) => ({ type: 'same', a: i, b: i })));
+
+  assert.deepEqual(diffLines('', ''), []);
+  assert.deepEqual(diffStats(diffLines('', 'one\ntwo\n')), { added: 2, removed: 0, unchanged: 0 });
+  assert.deepEqual(diffStats(diffLines('one\ntwo', '')), { added: 0, removed: 2, unchanged: 0 });
+  const text = 'alpha\nbeta\ngamma\n';
+  assert.deepEqual(diffStats(diffLines(text, text)), { added: 0, removed: 0, unchanged: 3 });
+  assert.deepEqual(hunks(diffLines(text, text)), []);
+  assert.equal(unifiedPatch(text, text), '');
+  assert.equal(unifiedPatch('', ''), '');
+});
+
+test('random edit scripts rebuild both sides and are as short as the LCS allows', () => {
+  const rand = seeded(23);
+  for (let round = 0; round < 300; round++) {
+    const alphabet = 2 + Math.floor(rand() * 4);
+    const token = () => 'abcdef'[Math.floor(rand() * alphabet)];
+    const a = Array.from({ length: Math.floor(rand() * 25) }, token);
+    const b = rand() < 0.3
+      ? a.map(t => (rand() < 0.2 ? token() : t)).filter(() => rand() > 0.1)   // a light edit
+      : Array.from({ length: Math.floor(rand() * 25) }, token);
+    const ops = myers(a, b);
+    assertScript(a, b, ops);
+    const edits = ops.filter(op => op.type !== 'same').length;
+    assert.equal(edits, a.length + b.length - 2 * lcs(a, b), `${a.join('')} → ${b.join('')}`);
+  }
+});
+
+test('past the edit budget the middle is replaced wholesale, still correctly', () => {
+  const a = Array.from({ length: 1500 }, (_, i) => `a${i}`);
+  const b = ['keep', ...Array.from({ length: 1500 }, (_, i) => `b${i}`), 'tail'];
+  a.unshift('keep');
+  a.push('tail');
+  const ops = myers(a, b);
+  assertScript(a, b, ops);
+  assert.deepEqual([ops[0].type, ops.at(-1).type], ['same', 'same']);
+});
+
+test('line diffs round-trip through a unified patch', () => {
+  const rand = seeded(7);
+  const words = ['apple', 'banana', 'cherry', 'date', 'elder', 'fig'];
+  const doc = (n) => Array.from({ length: n }, () => words[Math.floor(rand() * words.length)]).join('\n');
+  const cases = [
+    ['one\ntwo\nthree\n', 'one\n2\nthree\n'],
+    ['one\ntwo\nthree\n', 'one\ntwo\nthree'],        // final newline dropped
+    ['one\ntwo', 'one\ntwo\nthree\n'],               // and added back
+    ['', 'new file\n'],
+    ['old file\n', ''],
+    ['x\n'.repeat(20) + 'mid\n' + 'y\n'.repeat(20), 'x\n'.repeat(20) + 'MID\n' + 'y\n'.repeat(20)],
+  ];
+  for (let i = 0; i < 100; i++) {
+    const a = doc(Math.floor(rand() * 30)) + (rand() < 0.5 ? '\n' : '');
+    const b = doc(Math.floor(rand() * 30)) + (rand() < 0.5 ? '\n' : '');
+    cases.push([a, b]);
+  }
+
+  for (const [a, b] of cases) {
+    const ops = diffLines(a, b);
+    const lines = ops.filter(l => l.type !== 'removed').map(l => l.text + (l.eol ? '\n' : '')).join('');
+    assert.equal(lines, b, JSON.stringify([a, b]));
+    for (const context of [0, 1, 3]) {
+      assert.equal(applyPatch(a, unifiedPatch(a, b, { context })), b, JSON.stringify([a, b, context]));
+    }
+  }
+
+  // Collapsed context: one hunk of 3 + 1 + 3 lines, the 17 before it skipped
+  const [h] = hunks(diffLines(cases[5][0], cases[5][1]));
+  assert.equal(h.skipped, 17);
+  assert.deepEqual([h.oldStart, h.oldLines, h.newStart, h.newLines], [18, 7, 18, 7]);
+});
+
+test('word diffs rebuild both lines', () => {
+  for (const [a, b] of [
+    ['the quick brown fox', 'the quick red fox jumps'],
+    ['', 'all new'],
+    ['same words', 'same words'],
+    ['Price: $12.50!', 'Price: $13.75?'],
+  ]) {
+    const ops = diffWords(a, b);
+    assert.equal(ops.filter(o => o.type !== 'added').map(o => o.text).join(''), a);
+    assert.equal(ops.filter(o => o.type !== 'removed').map(o => o.text).join(''), b);
+  }
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import { migrate } from '../server/migrations.js';
+import { PolicyEngine } from '../server/permissions.js';
+import { exportBundle, importBundle, formatImportReport } from '../server/export.js';
+
+function freshDb() {
+  const db = new Database(':memory:');
+  migrate(db, { log: () => {} });
+  return db;
+}
+
+test('imported allow rules arrive as ask and are listed for review', () => {
+  const source = freshDb();
+  const rules = new PolicyEngine(source);
+  rules.addRule('run_shell', 'allow', null, 'trust me');
+  rules.addRule('open_browser', 'allow', '^https://');
+  rules.addRule('play_music', 'deny');
+  const bundle = exportBundle(source);
+
+  const db = freshDb();
+  const policy = new PolicyEngine(db);
+  const report = importBundle(db, bundle);
+
+  assert.equal(report.tables.permission_rules.inserted, 3);
+  assert.deepEqual(policy.listRules().map(r => [r.action, r.decision]).sort(), [
+    ['open_browser', 'ask'], ['play_music', 'deny'], ['run_shell', 'ask'],
+  ]);
+  assert.equal(policy.evaluate('run_shell', { command: 'rm -rf ~' }).decision, 'ask');
+  assert.match(policy.listRules().find(r => r.action === 'run_shell').note, /^Imported as ask \(was allow\) — trust me$/);
+
+  assert.deepEqual(report.review.map(r => r.row.action).sort(), ['open_browser', 'run_shell']);
+  const text = formatImportReport(report);
+  assert.match(text, /2 permission rules imported as ask/);
+  assert.match(text, /\*\*open_browser\*\* when `\^https:\/\/`/);
+
+  // Importing the same bundle again changes nothing
+  const again = importBundle(db, bundle);
+  assert.equal(again.tables.permission_rules.unchanged, 3);
+  assert.deepEqual(again.review, []);
+});
+
+test('--replace never overwrites local permission rules', () => {
+  const db = freshDb();
+  const policy = new PolicyEngine(db);
+  const local = policy.addRule('run_shell', 'deny');
+  const bundle = exportBundle(db);
+  bundle.tables.permission_rules[0].decision = 'allow';
+
+  const report = importBundle(db, bundle, { onConflict: 'replace' });
+  assert.equal(report.tables.permission_rules.conflicts, 1);
+  assert.equal(report.tables.permission_rules.replaced, 0);
+  assert.equal(report.conflicts[0].resolution, 'kept local');
+  assert.deepEqual(policy.listRules().map(r => [r.id, r.decision]), [[local.id, 'deny']]);
+});
+
+test('achievements are matched by their text id, not given new ones', () => {
+  const db = freshDb();
+  db.prepare("INSERT INTO achievements (id, unlocked_at) VALUES ('first_chat', '2024-01-01 09:00:00'), ('streak_7', '2024-01-08 09:00:00')").run();
+  const bundle = exportBundle(db);
+  bundle.tables.achievements[0].unlocked_at = '2024-02-01 09:00:00';
+  bundle.tables.achievements.push({ id: 'night_owl', unlocked_at: '2024-03-01 01:00:00' });
+
+  const report = importBundle(db, bundle);
+  assert.deepEqual(report.tables.achievements, { inserted: 1, unchanged: 1, conflicts: 1, replaced: 0 });
+  assert.deepEqual(report.conflicts.map(c => [c.table, c.key, c.resolution]), [['achievements', 'first_chat', 'kept local']]);
+  const rows = () => db.prepare('SELECT id, unlocked_at FROM achievements ORDER BY id').all();
+  assert.deepEqual(rows(), [
+    { id: 'first_chat', unlocked_at: '2024-01-01 09:00:00' },
+    { id: 'night_owl', unlocked_at: '2024-03-01 01:00:00' },
+    { id: 'streak_7', unlocked_at: '2024-01-08 09:00:00' },
+  ]);
+
+  const replaced = importBundle(db, bundle, { onConflict: 'replace' });
+  assert.deepEqual(replaced.tables.achievements, { inserted: 0, unchanged: 2, conflicts: 0, replaced: 1 });
+  assert.equal(rows()[0].unlocked_at, '2024-02-01 09:00:00');
+  assert.equal(rows().length, 3);
+});
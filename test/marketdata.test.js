@@ -0,0 +1,126 @@
+// Offline market data sources against the fixtures in test/fixtures/market:
+// ACME.csv and ACME.parquet hold the same 30 daily bars (2024-01-02 to
+// 2024-02-12), the Parquet one written the way pandas does (timestamp[ns]
+// Date column, INT64 volume, snappy pages).
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync, existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { CsvMarketData, FixtureMarketData, parseBarsCsv, parseBarsParquet } from '../server/marketdata.js';
+
+const FIXTURES = fileURLToPath(new URL('fixtures/market', import.meta.url));
+const csv = new CsvMarketData({ dir: join(FIXTURES, 'csv') });
+const parquet = new CsvMarketData({ dir: join(FIXTURES, 'parquet') });
+
+test('CSV bars parse in date order with missing columns filled from close', () => {
+  const rows = parseBarsCsv('Close,Date\n11,2024-01-03\nn/a,2024-01-04\n10,2024-01-02\n');
+  assert.deepEqual(rows, [
+    { date: new Date('2024-01-02'), open: 10, high: 10, low: 10, close: 10, volume: 0 },
+    { date: new Date('2024-01-03'), open: 11, high: 11, low: 11, close: 11, volume: 0 },
+  ]);
+  assert.throws(() => parseBarsCsv('Open,High\n1,2\n'), /Date and Close/);
+});
+
+test('Parquet bars match the same data as CSV', async () => {
+  const fromCsv = parseBarsCsv(readFileSync(join(FIXTURES, 'csv', 'ACME.csv'), 'utf-8'));
+  const fromParquet = await parseBarsParquet(readFileSync(join(FIXTURES, 'parquet', 'ACME.parquet')));
+  assert.equal(fromParquet.length, 30);
+  assert.deepEqual(fromParquet, fromCsv);
+  assert.deepEqual(fromParquet[0], { date: new Date('2024-01-02'), open: 99.7, high: 101, low: 98.8, close: 100, volume: 1000000 });
+  assert.equal(typeof fromParquet[29].volume, 'number');
+});
+
+test('csv source reads .csv and .parquet files alike', async () => {
+  for (const source of [csv, parquet]) {
+    const bars = await source.chart('ACME', 'max');
+    assert.equal(bars.length, 30, source.dir);
+    assert.deepEqual(bars.at(-1).date, new Date('2024-02-12'));
+
+    // Ranges count back from the last bar; start/end bound the bars instead
+    assert.deepEqual((await source.chart('ACME', '5d')).map(b => b.date.toISOString().slice(0, 10)),
+      ['2024-02-07', '2024-02-08', '2024-02-09', '2024-02-12']);
+    const window = await source.chart('ACME', '1y', '1d', { start: new Date('2024-01-08'), end: new Date('2024-01-10') });
+    assert.deepEqual(window.map(b => b.close), [103, 104.5, 103]);
+
+    assert.equal(await source.chart('ACME', 'max', '1wk'), null);
+    assert.equal(await source.chart('NOPE', 'max'), null);
+  }
+});
+
+test('csv source derives quotes from the last two bars', async () => {
+  const { ACME, NOPE } = await csv.quotes(['ACME', 'NOPE']);
+  assert.equal(ACME.name, 'Acme Corp');
+  assert.equal(ACME.price, 116.5);
+  assert.equal(ACME.prev, 115);
+  assert.equal(ACME.change, 1.5);
+  assert.ok(Math.abs(ACME.pct - 1.5 / 115 * 100) < 1e-9);
+  assert.equal(ACME.state, 'CLOSED');
+  assert.equal(ACME.volume, 1029000);
+  assert.equal(ACME.fiftyTwoWeekHigh, 117.5);
+  assert.equal(ACME.fiftyTwoWeekLow, 98.8);
+  assert.equal(ACME.forwardPE, 18.4);
+  assert.equal(NOPE.price, null);
+
+  const { ACME: fromParquet } = await parquet.quotes('ACME');
+  assert.equal(fromParquet.price, 116.5);
+  assert.equal(fromParquet.name, 'ACME');   // no fundamentals.json there
+});
+
+test('csv source serves fundamentals, news and option chains from disk', async () => {
+  assert.equal((await csv.fundamentals('acme')).marketCap, 5200000000);
+  assert.equal(await csv.fundamentals('NOPE'), null);
+  assert.deepEqual(await csv.news('ACME'), ['Acme beats estimates on record anvil demand', 'Acme names new CFO']);
+  assert.deepEqual(await csv.news('NOPE'), []);
+
+  const chain = await csv.options('ACME');
+  assert.deepEqual(chain.expirations, ['2024-03-15', '2024-04-19']);
+  assert.equal(chain.expiration, '2024-03-15');
+  assert.equal(chain.spot, 116.5);
+  assert.deepEqual(chain.asof, new Date('2024-02-12'));
+  assert.deepEqual(chain.calls.map(c => [c.strike, c.iv, c.contract]), [[110, 0.26, 'ACME240315C110'], [115, 0.24, 'ACME240315C115']]);
+  assert.deepEqual(chain.puts.map(c => [c.strike, c.bid, c.ask]), [[115, 1.9, 2.1]]);
+  assert.equal((await csv.options('ACME', '2024-04-01')).expiration, '2024-04-19');
+  assert.equal(await csv.options('NOPE'), null);
+});
+
+test('fixture source records an upstream and replays it offline', async () => {
+  const dir = mkdtempSync(join(tmpdir(), 'velle-fixtures-'));
+  try {
+    assert.throws(() => new FixtureMarketData({ dir, record: true }), /needs an upstream/);
+    const recorder = new FixtureMarketData({ dir, record: true, upstream: csv });
+    assert.equal(recorder.name, 'fixture (recording csv)');
+    const live = {
+      quote: (await recorder.quotes(['ACME', 'NOPE'])).ACME,
+      chart: await recorder.chart('ACME', '1mo'),
+      fundamentals: await recorder.fundamentals('ACME'),
+      news: await recorder.news('ACME'),
+      options: await recorder.options('ACME'),
+    };
+    assert.ok(existsSync(join(dir, 'chart', 'ACME_1mo_1d.json')));
+    assert.ok(existsSync(join(dir, 'options', 'ACME_next.json')));
+    assert.ok(!existsSync(join(dir, 'quote', 'NOPE.json')));   // empty answers aren't recorded
+
+    const replay = new FixtureMarketData({ dir });
+    assert.deepEqual((await replay.quotes('ACME')).ACME, live.quote);
+    assert.deepEqual(await replay.chart('ACME', '1mo'), live.chart);
+    assert.deepEqual(await replay.fundamentals('ACME'), live.fundamentals);
+    assert.deepEqual(await replay.news('ACME'), live.news);
+    assert.deepEqual(await replay.options('ACME'), live.options);
+
+    // A start/end window applies to the recorded bars
+    const window = await replay.chart('ACME', '1mo', '1d', { start: new Date('2024-02-08'), end: new Date('2024-02-09') });
+    assert.deepEqual(window.map(b => b.close), [113.5, 115]);
+
+    // Anything not recorded comes back empty
+    assert.equal((await replay.quotes('NOPE')).NOPE.price, null);
+    assert.equal(await replay.chart('ACME', '1y'), null);
+    assert.equal(await replay.fundamentals('NOPE'), null);
+    assert.deepEqual(await replay.news('NOPE'), []);
+    assert.equal(await replay.options('ACME', '2024-04-19'), null);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MemoryManager } from '../server/memory.js';
+
+test('keyword memory search goes through the full-text index', async () => {
+  const memory = new MemoryManager(':memory:');
+  memory.saveMemory('User prefers dark roast coffee in the morning', 'preference', 6);
+  memory.saveMemory('User is learning to play the cello', 'personal', 5);
+  memory.saveMemory('Coffee makes the user jittery after 3pm', 'health', 4);
+
+  // Stemmed, any word, best BM25 match first
+  const hits = memory.searchMemories('drinking coffees');
+  assert.deepEqual(hits.map(m => m.content).sort(), [
+    'Coffee makes the user jittery after 3pm',
+    'User prefers dark roast coffee in the morning',
+  ]);
+  assert.ok(hits.every(m => typeof m.rank === 'number'));
+  assert.deepEqual(memory.searchMemories('to be'), []);
+
+  // Without an embedder, semantic search falls back to the same hits
+  const fallback = await memory.semanticSearch('cello lessons', 5);
+  assert.deepEqual(fallback.map(m => [m.content, m.match]), [['User is learning to play the cello', 'keyword']]);
+
+  // Near-duplicates update rather than insert
+  assert.equal(memory.saveMemory('User is learning to play the cello again', 'personal', 5).updated, true);
+  assert.equal(memory.getMemories(null, 50).length, 3);
+  memory.db.close();
+});
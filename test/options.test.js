@@ -0,0 +1,103 @@
+// Black-Scholes, implied vol and strategy payoffs against textbook values
+// (Hull, Options, Futures, and Other Derivatives: example 15.6 and the
+// 20-week call running through the Greeks chapter) and payoffs worked out
+// by hand.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { bsPrice, bsGreeks, impliedVol, payoff, parseLegs, normCdf } from '../server/options.js';
+
+const near = (actual, expected, eps, label) =>
+  assert.ok(Math.abs(actual - expected) <= eps, `${label}: ${actual} ≠ ${expected}`);
+
+test('prices a textbook call and put', () => {
+  // S 42, K 40, r 10%, σ 20%, six months: c = 4.76, p = 0.81
+  near(bsPrice('call', 42, 40, 0.5, 0.1, 0.2), 4.7594, 1e-4, 'call');
+  near(bsPrice('put', 42, 40, 0.5, 0.1, 0.2), 0.8086, 1e-4, 'put');
+  // At expiry, or with no vol, an option is worth its intrinsic value
+  assert.equal(bsPrice('call', 42, 40, 0, 0.1, 0.2), 2);
+  assert.equal(bsPrice('put', 42, 40, 0.5, 0.1, 0), 0);
+});
+
+test('calls and puts satisfy put-call parity', () => {
+  for (const [S, K, T, r, sigma] of [[42, 40, 0.5, 0.1, 0.2], [100, 120, 2, 0.03, 0.45], [50, 50, 7 / 365, 0, 0.8]]) {
+    const parity = bsPrice('call', S, K, T, r, sigma) - bsPrice('put', S, K, T, r, sigma);
+    near(parity, S - K * Math.exp(-r * T), 1e-9, `C − P at S ${S} K ${K}`);
+  }
+});
+
+test('Greeks match the textbook 20-week call', () => {
+  // S 49, K 50, r 5%, σ 20%, 20 weeks: delta 0.522, gamma 0.066, theta
+  // −4.31 a year, vega 12.1 and rho 8.91. bsGreeks gives theta per day
+  // and vega and rho per point, hence the scaling.
+  const T = 20 / 52;
+  near(bsPrice('call', 49, 50, T, 0.05, 0.2), 2.40, 0.005, 'price');
+  const g = bsGreeks('call', 49, 50, T, 0.05, 0.2);
+  near(g.delta, 0.522, 5e-4, 'delta');
+  near(g.gamma, 0.066, 5e-4, 'gamma');
+  near(g.theta * 365, -4.31, 0.005, 'theta');
+  near(g.vega * 100, 12.1, 0.05, 'vega');
+  near(g.rho * 100, 8.91, 0.005, 'rho');
+
+  // The put follows by parity: same gamma and vega, delta one lower,
+  // theta r·K·e^(−rT) higher and rho K·T·e^(−rT) lower (per year, per unit)
+  const p = bsGreeks('put', 49, 50, T, 0.05, 0.2);
+  const disc = 50 * Math.exp(-0.05 * T);
+  near(p.delta, g.delta - 1, 1e-12, 'put delta');
+  near(p.gamma, g.gamma, 1e-12, 'put gamma');
+  near(p.vega, g.vega, 1e-12, 'put vega');
+  near(p.theta * 365, g.theta * 365 + 0.05 * disc, 1e-9, 'put theta');
+  near(p.rho * 100, g.rho * 100 - disc * T, 1e-9, 'put rho');
+  assert.deepEqual(bsGreeks('put', 49, 50, 0, 0.05, 0.2), { delta: -1, gamma: 0, theta: 0, vega: 0, rho: 0 });
+});
+
+test('implied vol solves back to the vol that priced the option', () => {
+  for (const [type, S, K, T, sigma] of [['call', 100, 100, 0.25, 0.35], ['put', 100, 80, 1, 0.6], ['call', 100, 150, 0.1, 0.9], ['put', 42, 40, 0.5, 0.05]]) {
+    const price = bsPrice(type, S, K, T, 0.045, sigma);
+    near(impliedVol(type, price, S, K, T, 0.045), sigma, 1e-4, `${type} ${K}`);
+  }
+  // Below intrinsic value, above the underlying, or expired: no answer
+  assert.equal(impliedVol('call', 1, 100, 80, 0.5, 0.045), null);
+  assert.equal(impliedVol('call', 101, 100, 80, 0.5, 0.045), null);
+  assert.equal(impliedVol('put', 2, 100, 100, 0, 0.045), null);
+});
+
+test('a long straddle loses the premium at the strike and breaks even either side', () => {
+  // 1 × 100 call at 5 and 1 × 100 put at 4: 9 a share, 900 a contract
+  const legs = [
+    { kind: 'call', qty: 1, strike: 100, price: 5, iv: 0.3 },
+    { kind: 'put', qty: 1, strike: 100, price: 4, iv: 0.3 },
+  ];
+  const p = payoff(legs, { spot: 100, T: 30 / 365, iv: 0.3 });
+  assert.equal(p.net_debit, 900);
+  assert.equal(p.max_loss, -900);
+  assert.equal(p.max_profit, null);   // unlimited above
+  assert.deepEqual(p.breakevens, [91, 109]);
+  assert.equal(p.expiry[p.prices.indexOf(100)], -900);
+  // Profitable below 91 or above 109: the lognormal mass out there
+  const T = 30 / 365;
+  const z = (x) => (Math.log(x / 100) - (0.045 - 0.3 ** 2 / 2) * T) / (0.3 * Math.sqrt(T));
+  near(p.pop, normCdf(z(91)) + 1 - normCdf(z(109)), 1e-9, 'pop');
+  const delta = (type) => bsGreeks(type, 100, 100, T, 0.045, 0.3).delta;
+  near(p.greeks.delta, 100 * (delta('call') + delta('put')), 0.005, 'delta');
+});
+
+test('a bull call spread caps both profit and loss', () => {
+  // +1 100 call at 5, −1 110 call at 2: 3 a share debit
+  const legs = parseLegs('+1c100@5 -1c110@2').map(l => ({ ...l, iv: 0.25 }));
+  const p = payoff(legs, { spot: 102, T: 45 / 365 });
+  assert.equal(p.net_debit, 300);
+  assert.equal(p.max_loss, -300);    // both expire worthless below 100
+  assert.equal(p.max_profit, 700);   // (110 − 100 − 3) × 100 above 110
+  assert.deepEqual(p.breakevens, [103]);
+  assert.equal(p.pop, null);         // no iv given for it
+  assert.equal(p.expiry[0], -300);
+  assert.equal(p.expiry.at(-1), 700);
+
+  // The credit side is the mirror image
+  const bear = payoff(parseLegs('-1c100@5 +1c110@2').map(l => ({ ...l, iv: 0.25 })), { spot: 102, T: 45 / 365 });
+  assert.equal(bear.net_debit, -300);
+  assert.equal(bear.max_profit, 300);
+  assert.equal(bear.max_loss, -700);
+  assert.deepEqual(bear.breakevens, [103]);
+});
@@ -0,0 +1,157 @@
+// Indicators and candlestick patterns against reference values.
+// test/fixtures/quant/indicators.json holds 32 daily bars — a climb, an
+// outside-bar reversal at bar 12, a slide, a base and a rally — and the
+// expected output of each indicator on them, worked out separately from the
+// published definitions (exact fractions, rounded to 10 places). ATR is a
+// simple average of true range, as everywhere in quant.js.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'fs';
+import {
+  calcVWAP, calcStochastic, calcWilliamsR, calcOBV, calcCCI, calcIchimoku,
+  calcKeltner, calcSupertrend, calcDonchian, calcParabolicSAR,
+  calcCandlePatterns, CANDLE_PATTERNS,
+} from '../server/quant.js';
+
+const ref = JSON.parse(readFileSync(new URL('fixtures/quant/indicators.json', import.meta.url), 'utf-8'));
+const { open, high, low, close, volume } = ref.bars;
+
+function assertSeries(actual, expected, label) {
+  assert.equal(actual.length, expected.length, label);
+  actual.forEach((v, i) => {
+    if (expected[i] == null) assert.equal(v, null, `${label}[${i}]`);
+    else assert.ok(Math.abs(v - expected[i]) < 1e-8, `${label}[${i}]: ${v} ≠ ${expected[i]}`);
+  });
+}
+
+function assertLines(actual, expected, label) {
+  assert.deepEqual(Object.keys(actual).sort(), Object.keys(expected).sort(), label);
+  for (const line in expected) assertSeries(actual[line], expected[line], `${label}.${line}`);
+}
+
+test('every indicator matches the reference values', () => {
+  assertSeries(calcVWAP(high, low, close, volume), ref.vwap, 'vwap');
+  assertSeries(calcVWAP(high, low, close, volume, 5), ref.vwap_5, 'vwap_5');
+  assertLines(calcStochastic(high, low, close, 5, 3), ref.stochastic_5_3, 'stochastic');
+  assertSeries(calcWilliamsR(high, low, close, 5), ref.williams_r_5, 'williams_r');
+  assertSeries(calcOBV(close, volume), ref.obv, 'obv');
+  assertSeries(calcCCI(high, low, close, 5), ref.cci_5, 'cci');
+  assertLines(calcIchimoku(high, low, close, 3, 5, 8, 4), ref.ichimoku_3_5_8_4, 'ichimoku');
+  assertLines(calcKeltner(high, low, close, 5, 2, 3), ref.keltner_5_2_3, 'keltner');
+  assertLines(calcSupertrend(high, low, close, 5, 1.5), ref['supertrend_5_1.5'], 'supertrend');
+  assertLines(calcDonchian(high, low, 5), ref.donchian_5, 'donchian');
+  assertSeries(calcParabolicSAR(high, low), ref.psar, 'psar');
+});
+
+test('VWAP anchors at the first bar unless given a window', () => {
+  const anchored = calcVWAP(high, low, close, volume);
+  const rolling = calcVWAP(high, low, close, volume, 5);
+  assert.equal(anchored[0], (51.3 + 49.5 + 51) / 3);   // one bar: its typical price
+  assert.deepEqual(rolling.slice(0, 4), [null, null, null, null]);
+  assert.ok(Math.abs(rolling[4] - anchored[4]) < 1e-9);   // same five bars so far
+  assert.ok(Math.abs(rolling[5] - anchored[5]) > 0.1);    // bar 0 has dropped out
+  assert.deepEqual(calcVWAP([2, 2], [1, 1], [1.5, 1.5], [0, 0]), [null, null]);
+});
+
+test('Ichimoku spans are drawn displacement bars ahead, the lagging line behind', () => {
+  const ich = calcIchimoku(high, low, close, 3, 5, 8, 4);
+  // First bar with both conversion and base is 4; its span A lands on bar 8
+  assert.deepEqual(ich.span_a.slice(0, 8), new Array(8).fill(null));
+  assert.ok(Math.abs(ich.span_a[8] - (52.45 + 51.5) / 2) < 1e-9);
+  for (let i = 8; i < close.length; i++) {
+    assert.ok(Math.abs(ich.span_a[i] - (ich.conversion[i - 4] + ich.base[i - 4]) / 2) < 1e-9, `span_a[${i}]`);
+  }
+  // Span B needs 8 bars, so it starts at 7 + 4 with bars 0-7's midpoint
+  assert.equal(ich.span_b[10], null);
+  assert.equal(ich.span_b[11], (55 + 49.5) / 2);
+  // Bar i shows the close from bar i + 4; the last four have none yet
+  assert.deepEqual(ich.lagging.slice(0, 3), [close[4], close[5], close[6]]);
+  assert.deepEqual(ich.lagging.slice(-4), [null, null, null, null]);
+});
+
+test('Supertrend flips sides when the close breaks the band', () => {
+  const { value, direction } = calcSupertrend(high, low, close, 5, 1.5);
+  assert.deepEqual(direction.slice(0, 4), [null, null, null, null]);
+  assert.deepEqual(direction.slice(4, 12), new Array(8).fill(1));
+  assert.deepEqual(direction.slice(12, 25), new Array(13).fill(-1));
+  assert.deepEqual(direction.slice(25), new Array(7).fill(1));
+
+  // The lower band trails below price and only rises while the trend holds
+  for (let i = 5; i < 12; i++) {
+    assert.ok(value[i] >= value[i - 1] && value[i] < low[i], `uptrend bar ${i}`);
+  }
+  // Bar 12 closes under it, and the stop jumps above the bar
+  assert.ok(close[12] < value[11]);
+  assert.ok(value[12] > high[12]);
+  for (let i = 13; i < 25; i++) assert.ok(value[i] <= value[i - 1], `downtrend bar ${i}`);
+  // Bar 25 closes back over the upper band and the stop drops below again
+  assert.ok(close[25] > value[24]);
+  assert.ok(value[25] < low[25]);
+});
+
+test('Parabolic SAR reverses to the extreme point and resets acceleration', () => {
+  const sar = calcParabolicSAR(high, low);
+  assert.equal(sar[0], null);
+  assert.equal(sar[1], 49.5);   // bar 0's low, already clamped to it
+  // Bars 1 and 2 each set a new high (AF 0.04, then 0.06), so bar 3 moves
+  // 0.06 of the way up to 52.9
+  assert.ok(Math.abs(sar[3] - (49.5 + 0.06 * (52.9 - 49.5))) < 1e-9);
+
+  // Bar 12 makes a new high (57.6 over 57.2) and then trades through the
+  // SAR, which can't sit above bar 10's low: the short stop starts above
+  // that bar, not at the old extreme
+  assert.ok(high[12] > Math.max(...high.slice(0, 12)) && low[12] < low[10]);
+  assert.equal(sar[12], 57.6);
+  assert.equal(sar[13], 57.6);   // would be 57.526, held above the last two highs
+  for (let i = 12; i < 24; i++) assert.ok(sar[i] >= high[i], `short bar ${i}`);
+
+  // Bar 24 breaks out: the SAR drops to the downtrend's lowest low with AF
+  // back at 0.02, which bar 25's new high steps up to 0.04
+  assert.equal(sar[24], Math.min(...low.slice(12, 24)));
+  assert.equal(sar[25], 48);    // 48.05 held under the last two lows
+  assert.ok(Math.abs(sar[26] - (48 + 0.04 * (51.7 - 48))) < 1e-9);
+  for (let i = 24; i < 32; i++) assert.ok(sar[i] < low[i], `long bar ${i}`);
+});
+
+// [open, high, low, close] rows → calcCandlePatterns' arrays
+function patterns(rows) {
+  return calcCandlePatterns(rows.map(r => r[0]), rows.map(r => r[1]), rows.map(r => r[2]), rows.map(r => r[3]));
+}
+
+const DECLINE = [[10.2, 10.3, 9.9, 10], [10, 10.1, 9.7, 9.8], [9.8, 9.9, 9.5, 9.6], [9.6, 9.7, 9.3, 9.4], [9.4, 9.5, 9.1, 9.2]];
+const RALLY = [[9, 9.3, 8.9, 9.2], [9.2, 9.5, 9.1, 9.4], [9.4, 9.7, 9.3, 9.6], [9.6, 9.9, 9.5, 9.8], [9.8, 10.1, 9.7, 10]];
+
+test('engulfing candles need the whole body swallowed, in the other colour', () => {
+  assert.deepEqual(patterns([[10, 10.1, 8.9, 9], [8.9, 10.3, 8.8, 10.2]]), [[], ['bullish_engulfing']]);
+  assert.deepEqual(patterns([[9, 10.1, 8.9, 10], [10.1, 10.2, 8.7, 8.8]]), [[], ['bearish_engulfing']]);
+
+  assert.deepEqual(patterns([[10, 10.1, 8.9, 9], [9.2, 10.3, 9.1, 10.2]]).pop(), []);   // opened above the close
+  assert.deepEqual(patterns([[10, 10.1, 8.9, 9], [8.9, 9.95, 8.8, 9.9]]).pop(), []);    // closed under the open
+  assert.deepEqual(patterns([[10, 10.1, 8.9, 9], [9, 10.1, 8.9, 10]]).pop(), []);       // same body, not bigger
+  assert.deepEqual(patterns([[9, 10.1, 8.9, 10], [8.9, 10.3, 8.8, 10.2]]).pop(), []);   // two green candles
+});
+
+test('a hammer needs a long lower wick after five bars of decline', () => {
+  const hammer = [9, 9.15, 8.7, 9.1];   // body 0.1, lower wick 0.3, upper 0.05
+  assert.deepEqual(patterns([...DECLINE, hammer]).pop(), ['hammer']);
+  assert.deepEqual(patterns([...DECLINE, [9.1, 9.15, 8.7, 9]]).pop(), ['hammer']);   // red works too
+
+  assert.deepEqual(patterns([...RALLY, hammer]).pop(), []);   // no decline
+  assert.deepEqual(patterns([...DECLINE.slice(1), hammer]).pop(), []);                           // not five bars in
+  assert.deepEqual(patterns([...DECLINE, [9, 9.25, 8.7, 9.1]]).pop(), []);                       // upper wick > body
+  assert.deepEqual(patterns([...DECLINE, [9, 9.15, 8.85, 9.1]]).pop(), []);                      // lower wick < 2 × body
+});
+
+test('a doji has a body within a tenth of its range', () => {
+  assert.deepEqual(patterns([[10, 10.5, 9.5, 10.05]]), [['doji']]);
+  assert.deepEqual(patterns([[10, 10.5, 9.5, 10.15]]), [[]]);
+  // A doji with a long lower wick after a decline is still just a doji
+  assert.deepEqual(patterns([...DECLINE, [9.1, 9.12, 8.7, 9.11]]).pop(), ['doji']);
+  // Flat or incomplete bars have no patterns
+  assert.deepEqual(patterns([[10, 10, 10, 10], [10, null, 9, 9.5]]), [[], []]);
+
+  for (const names of patterns([...DECLINE, ...RALLY])) {
+    for (const name of names) assert.ok(CANDLE_PATTERNS[name], name);
+  }
+});
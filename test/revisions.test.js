@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import { migrate } from '../server/migrations.js';
+import { KnowledgeBase } from '../server/productivity.js';
+import { RevisionLog, formatRevisionHistory } from '../server/revisions.js';
+import { exportBundle } from '../server/export.js';
+
+function freshDb() {
+  const db = new Database(':memory:');
+  migrate(db, { log: () => {} });
+  return db;
+}
+
+test('saves are numbered revisions, listed newest first and diffed on view', () => {
+  const db = freshDb();
+  const kb = new KnowledgeBase(db);
+  const { id } = kb.add('Deploy', 'build\ntest\nship\n');
+  kb.update(id, 'build\nlint\ntest\nship\n', { author: 'llm', note: 'added lint' });
+  kb.update(id, 'build\nlint\ntest\nship\n');   // unchanged: no revision
+
+  const history = kb.history(id);
+  assert.deepEqual(history.map(r => [r.rev, r.author, r.note, r.title]), [
+    [2, 'llm', 'added lint', 'Deploy'],
+    [1, 'user', null, 'Deploy'],
+  ]);
+  assert.equal(history[1].content, 'build\ntest\nship\n');
+
+  const view = kb.revisions.view('knowledge', id, 2);
+  assert.equal(view.content, 'build\nlint\ntest\nship\n');
+  assert.deepEqual([view.changes.added, view.changes.removed, view.changes.unchanged], [1, 0, 3]);
+  assert.match(view.changes.patch, /^--- r1\n\+\+\+ r2\n@@ -1,3 \+1,4 @@\n build\n\+lint\n/);
+  assert.equal(kb.revisions.view('knowledge', id, 1).changes.added, 3);   // against nothing
+  assert.equal(kb.revisions.view('knowledge', id, 3), null);
+
+  // Restoring is a new revision, not a rewrite
+  kb.restore(id, 1);
+  assert.equal(kb.get(id).content, 'build\ntest\nship\n');
+  assert.deepEqual(kb.history(id).map(r => [r.rev, r.note]), [[3, 'restored r1'], [2, 'added lint'], [1, null]]);
+  assert.throws(() => new RevisionLog(db).record('todo', id, { content: 'x' }), /Unknown revision type/);
+});
+
+test('deleting an item keeps its history', () => {
+  const db = freshDb();
+  const kb = new KnowledgeBase(db);
+  const kept = kb.add('Kept', 'v1');
+  const gone = kb.add('Gone', 'first draft');
+  kb.update(gone.id, 'second draft');
+  kb.delete(gone.id);
+
+  assert.equal(kb.get(gone.id), undefined);
+  const history = kb.history(gone.id);
+  assert.deepEqual(history.map(r => r.content), ['second draft', 'first draft']);
+  assert.ok(history.every(r => r.deleted_at));
+  assert.equal(kb.revisions.view('knowledge', gone.id, 2).changes.removed, 1);
+  assert.ok(!kb.restore(gone.id, 1));   // nothing left to restore into
+
+  const text = formatRevisionHistory(`KB #${gone.id}`, history, { command: '/kb' });
+  assert.match(text, /\(2 revisions\) · 🗑️ deleted \d{4}-\d\d-\d\d/);
+  assert.doesNotMatch(text, /restore/);
+  assert.match(formatRevisionHistory(`KB #${kept.id}`, kb.history(kept.id), { command: '/kb' }), /\/kb restore ID REV/);
+
+  // Exports carry the history of items that still exist
+  assert.deepEqual(exportBundle(db).tables.revisions.map(r => r.item_id), [kept.id]);
+});
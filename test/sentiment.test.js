@@ -0,0 +1,41 @@
+// The lexicon scorer against the labelled set in
+// test/fixtures/sentiment-eval.json. A lexicon or rule change that costs
+// accuracy fails here; raise the floors when it gains some.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SentimentService, SentimentError, scoreLexicon, loadEvalSet } from '../server/sentiment.js';
+
+const ACCURACY_FLOOR = 0.9;
+const LABEL_FLOOR = 0.85;
+
+test('the lexicon stays above the accuracy floor on the evaluation set', async () => {
+  const cases = loadEvalSet();
+  assert.ok(cases.length >= 40);
+  for (const c of cases) {
+    assert.ok(['positive', 'negative', 'neutral'].includes(c.label), c.text);
+    assert.ok(['chat', 'headline'].includes(c.domain), c.text);
+  }
+
+  const e = await new SentimentService().evaluate({ model: 'lexicon' });
+  const misses = e.misses.map(m => `${m.label} → ${m.predicted}: ${m.text}`).join('\n');
+  assert.equal(e.total, cases.length);
+  assert.ok(e.accuracy >= ACCURACY_FLOOR, `accuracy ${e.accuracy.toFixed(3)}; misses:\n${misses}`);
+  for (const [label, t] of Object.entries(e.by_label)) {
+    assert.ok(t.correct / t.total >= LABEL_FLOOR, `${label}: ${t.correct}/${t.total}; misses:\n${misses}`);
+  }
+  assert.equal(e.fallbacks, 0);
+});
+
+test('negation and "un-" words score negative', () => {
+  assert.equal(scoreLexicon('unhappy').label, 'negative');
+  assert.equal(scoreLexicon('I am unhappy with how this turned out').label, 'negative');
+  assert.equal(scoreLexicon("I'm not happy about the results").label, 'negative');
+  assert.equal(scoreLexicon("Honestly I don't love this design").label, 'negative');
+  assert.equal(scoreLexicon('happy').label, 'positive');
+  assert.equal(scoreLexicon('not bad at all').label, 'positive');
+});
+
+test('a missing evaluation set is a SentimentError', () => {
+  assert.throws(() => loadEvalSet('/nonexistent/sentiment-eval.json'), SentimentError);
+});